@@ -1,4 +1,18 @@
+import { chain } from "@/config/chain"
 import { createClient } from "@/lib/supabase/server"
+import { withIdempotency } from "@/lib/idempotency"
+import { validateAddress } from "@/utils/address"
+import { ChainProviderError, getChainProvider } from "@/utils/chain-provider"
+import { findTokenForRole } from "@/utils/organizations"
+import {
+  SPONSORSHIP_MINUTES,
+  buildSponsoredTransaction,
+  checkSponsorPolicies,
+  findActiveSponsorship,
+  sponsorUnavailable,
+} from "@/utils/gasless"
+import { SponsorFundsError, TransactionBuildError } from "@/utils/tx-builder"
+import { BUILDABLE_STATUSES } from "@/utils/transaction-status"
 import { NextResponse } from "next/server"
 
 export async function POST(request: Request) {
@@ -14,83 +28,155 @@ export async function POST(request: Request) {
     }
 
     const body = await request.json()
-    const { transaction_id, estimated_fee } = body
-
-    // Validate transaction exists and belongs to user
-    const { data: transaction, error: txError } = await supabase
-      .from("transactions")
-      .select("*")
-      .eq("id", transaction_id)
-      .eq("user_id", user.id)
-      .single()
-
-    if (txError || !transaction) {
-      return NextResponse.json({ error: "Transaction not found" }, { status: 404 })
-    }
 
-    // Check security policies
-    const { data: policies } = await supabase
-      .from("security_policies")
-      .select("*")
-      .eq("user_id", user.id)
-      .eq("is_active", true)
-
-    // Validate against rate limits and amount limits
-    for (const policy of policies || []) {
-      if (policy.policy_type === "rate_limit") {
-        const config = policy.policy_config as any
-        const { data: recentTxs } = await supabase
-          .from("gasless_transactions")
-          .select("id")
-          .eq("user_id", user.id)
-          .gte("created_at", new Date(Date.now() - config.hours * 60 * 60 * 1000).toISOString())
-
-        if ((recentTxs?.length || 0) >= config.max_transactions) {
-          return NextResponse.json({ error: "Rate limit exceeded" }, { status: 429 })
+    return withIdempotency(request, supabase, user, body, async () => {
+      const { transaction_id, change_address, addresses = [] } = body
+
+      if (!Array.isArray(addresses) || addresses.length > 20) {
+        return NextResponse.json({ error: "addresses must be an array of at most 20" }, { status: 400 })
+      }
+
+      for (const address of [change_address, ...addresses]) {
+        const addressError = validateAddress(address)
+        if (addressError) {
+          return NextResponse.json({ error: addressError }, { status: 400 })
         }
       }
-    }
 
-    // Generate nonce
-    const { data: nonceResult } = await supabase.rpc("generate_transaction_nonce", {
-      user_uuid: user.id,
-    })
+      // Validate transaction exists and belongs to user
+      const { data: transaction, error: txError } = await supabase
+        .from("transactions")
+        .select("*")
+        .eq("id", transaction_id)
+        .eq("user_id", user.id)
+        .single()
 
-    const nonce = nonceResult || 1
-
-    // Create gasless transaction record
-    const { data: gaslessTransaction, error: gaslessError } = await supabase
-      .from("gasless_transactions")
-      .insert({
-        user_id: user.id,
-        transaction_id: transaction_id,
-        sponsor_address: "addr1_kepka_sponsor_treasury_address",
-        gas_fee_ada: estimated_fee,
-        status: "sponsored",
-        nonce: nonce,
-        expires_at: new Date(Date.now() + 30 * 60 * 1000).toISOString(), // 30 minutes
+      if (txError || !transaction) {
+        return NextResponse.json({ error: "Transaction not found" }, { status: 404 })
+      }
+
+      if (!BUILDABLE_STATUSES.includes(transaction.status)) {
+        return NextResponse.json({ error: `A ${transaction.status} transaction cannot be sponsored` }, { status: 409 })
+      }
+
+      const { data: token, error: accessError } = await findTokenForRole(
+        supabase,
+        user.id,
+        transaction.token_id,
+        "minter",
+        "id, policy_id, asset_name, asset_name_hex, policy_script, total_supply",
+      )
+
+      if (accessError) {
+        return NextResponse.json({ error: accessError.message }, { status: accessError.status })
+      }
+
+      const unavailable = sponsorUnavailable()
+      if (unavailable) {
+        return NextResponse.json({ error: unavailable }, { status: 503 })
+      }
+
+      if (await findActiveSponsorship(supabase, transaction.id)) {
+        return NextResponse.json({ error: "The transaction is already sponsored" }, { status: 409 })
+      }
+
+      // The fee comes from building the transaction with the treasury paying it,
+      // not from the client
+      let built
+      try {
+        built = await buildSponsoredTransaction(getChainProvider(), {
+          transaction,
+          token,
+          changeAddress: change_address,
+          addresses,
+        })
+      } catch (buildError) {
+        if (buildError instanceof SponsorFundsError) {
+          return NextResponse.json({ error: "The sponsor treasury cannot cover this fee right now" }, { status: 503 })
+        }
+        if (buildError instanceof TransactionBuildError) {
+          return NextResponse.json({ error: buildError.message }, { status: 400 })
+        }
+        if (buildError instanceof ChainProviderError) {
+          return NextResponse.json({ error: buildError.message }, { status: buildError.status })
+        }
+        throw buildError
+      }
+
+      const fee = Number(built.fee)
+
+      // The user's and the organization's rate and amount limits
+      const limitError = await checkSponsorPolicies(supabase, user.id, token, fee)
+      if (limitError) {
+        return NextResponse.json({ error: limitError.message }, { status: limitError.status })
+      }
+
+      // Generate nonce
+      const { data: nonceResult } = await supabase.rpc("generate_transaction_nonce", {
+        user_uuid: user.id,
       })
-      .select()
-      .single()
 
-    if (gaslessError) {
-      throw gaslessError
-    }
+      const nonce = nonceResult || 1
 
-    // In a real implementation, this would interact with Cardano blockchain
-    console.log("Transaction sponsored:", {
-      transactionId: transaction_id,
-      gaslessId: gaslessTransaction.id,
-      fee: estimated_fee,
-      nonce: nonce,
-    })
+      // Create gasless transaction record
+      const { data: gaslessTransaction, error: gaslessError } = await supabase
+        .from("gasless_transactions")
+        .insert({
+          user_id: user.id,
+          transaction_id: transaction_id,
+          sponsor_address: chain.sponsorAddress,
+          gas_fee_ada: fee,
+          status: "sponsored",
+          nonce: nonce,
+          expires_at: new Date(Date.now() + SPONSORSHIP_MINUTES * 60 * 1000).toISOString(),
+        })
+        .select()
+        .single()
 
-    return NextResponse.json({
-      success: true,
-      gasless_transaction_id: gaslessTransaction.id,
-      sponsor_address: gaslessTransaction.sponsor_address,
-      nonce: nonce,
-      expires_at: gaslessTransaction.expires_at,
+      if (gaslessError) {
+        throw gaslessError
+      }
+
+      // Record the sponsored build, which sets the sponsorship's fee from it
+      const { data: updated, error: buildRecordError } = await supabase
+        .rpc("record_transaction_build", {
+          p_transaction_id: transaction.id,
+          p_tx_hash: built.txHash,
+          p_fee_ada: fee,
+          p_unsigned_tx: built.cbor,
+          p_ttl_slot: built.ttl,
+          p_sponsored: true,
+        })
+        .single()
+
+      if (buildRecordError) {
+        return NextResponse.json(
+          { error: buildRecordError.message },
+          { status: buildRecordError.code === "55000" ? 409 : 400 },
+        )
+      }
+
+      console.log("Transaction sponsored:", {
+        transactionId: transaction_id,
+        gaslessId: gaslessTransaction.id,
+        txHash: built.txHash,
+        fee,
+        nonce: nonce,
+      })
+
+      return NextResponse.json({
+        success: true,
+        gasless_transaction_id: gaslessTransaction.id,
+        sponsor_address: gaslessTransaction.sponsor_address,
+        nonce: nonce,
+        gas_fee_ada: fee,
+        expires_at: gaslessTransaction.expires_at,
+        transaction: updated,
+        cbor: built.cbor,
+        tx_hash: built.txHash,
+        ttl: built.ttl,
+        required_signers: built.requiredSigners,
+      })
     })
   } catch (error) {
     console.error("Error sponsoring transaction:", error)
@@ -0,0 +1,53 @@
+import { createClient } from "@/lib/supabase/server"
+import { hashInvitationSecret } from "@/utils/organizations"
+import { NextResponse } from "next/server"
+
+export async function POST(request: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params
+    const supabase = await createClient()
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 })
+    }
+
+    const { secret } = await request.json()
+    if (typeof secret !== "string" || !secret) {
+      return NextResponse.json({ error: "Invitation secret is required" }, { status: 400 })
+    }
+
+    const { data, error } = await supabase
+      .rpc("accept_organization_invitation", {
+        p_invitation_id: id,
+        p_secret_hash: hashInvitationSecret(secret),
+      })
+      .single()
+
+    if (error) {
+      const errorStatus =
+        error.code === "P0002" ? 404 : error.code === "42501" ? 403 : error.code === "55000" ? 409 : 400
+      return NextResponse.json({ error: error.message }, { status: errorStatus })
+    }
+
+    const member = data as any
+
+    await supabase.from("audit_logs").insert({
+      user_id: user.id,
+      action: "JOIN_ORGANIZATION",
+      resource_type: "organization",
+      resource_id: member.organization_id,
+      ip_address: request.headers.get("x-forwarded-for")?.split(",")[0].trim() || null,
+      user_agent: request.headers.get("user-agent"),
+      metadata: { invitation_id: id, role: member.role },
+    })
+
+    return NextResponse.json({ member })
+  } catch (error) {
+    console.error("Error accepting organization invitation:", error)
+    return NextResponse.json({ error: "Failed to accept invitation" }, { status: 500 })
+  }
+}
@@ -0,0 +1,25 @@
+import { isRawCid } from "@/utils/cid"
+import { IMAGE_RESPONSE_HEADERS, loadImage } from "@/utils/token-image"
+import { NextResponse } from "next/server"
+
+export async function GET(request: Request, { params }: { params: Promise<{ cid: string }> }) {
+  try {
+    const { cid } = await params
+
+    if (!isRawCid(cid)) {
+      return NextResponse.json({ error: "Invalid image CID" }, { status: 400 })
+    }
+
+    const image = await loadImage(cid)
+    if (!image) {
+      return NextResponse.json({ error: "Image not found" }, { status: 404 })
+    }
+
+    return new NextResponse(new Uint8Array(image.bytes), {
+      headers: { ...IMAGE_RESPONSE_HEADERS, "Content-Type": image.mediaType },
+    })
+  } catch (error) {
+    console.error("Error fetching image:", error)
+    return NextResponse.json({ error: "Failed to fetch image" }, { status: 500 })
+  }
+}
@@ -0,0 +1,73 @@
+import { createClient } from "@/lib/supabase/server"
+import {
+  CATALOG_CACHE_CONTROL,
+  CATALOG_DEFAULT_LIMIT,
+  CATALOG_MAX_LIMIT,
+  buildCatalogQuery,
+} from "@/utils/token-catalog"
+import { validatePolicyId } from "@/utils/cardano-validation"
+import { NextResponse } from "next/server"
+
+const isDate = (value: string | null) => value === null || !Number.isNaN(Date.parse(value))
+
+export async function GET(request: Request) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const search = searchParams.get("q")?.trim() || undefined
+    const policyId = searchParams.get("policy_id")
+    const createdAfter = searchParams.get("created_after")
+    const createdBefore = searchParams.get("created_before")
+    const verified = searchParams.get("verified")
+    const limit = Number.parseInt(searchParams.get("limit") || "") || CATALOG_DEFAULT_LIMIT
+    const offset = Number.parseInt(searchParams.get("offset") || "") || 0
+
+    const policyIdError = policyId ? validatePolicyId(policyId) : null
+    if (policyIdError) {
+      return NextResponse.json({ error: policyIdError }, { status: 400 })
+    }
+
+    if (!isDate(createdAfter) || !isDate(createdBefore)) {
+      return NextResponse.json({ error: "created_after and created_before must be ISO 8601 dates" }, { status: 400 })
+    }
+
+    if (verified !== null && verified !== "true" && verified !== "false") {
+      return NextResponse.json({ error: "verified must be true or false" }, { status: 400 })
+    }
+
+    if (limit < 1 || limit > CATALOG_MAX_LIMIT || offset < 0) {
+      return NextResponse.json({ error: `limit must be between 1 and ${CATALOG_MAX_LIMIT}` }, { status: 400 })
+    }
+
+    const supabase = await createClient()
+
+    const {
+      data: tokens,
+      error,
+      count,
+    } = await buildCatalogQuery(supabase, {
+      search,
+      policyId: policyId || undefined,
+      createdAfter: createdAfter || undefined,
+      createdBefore: createdBefore || undefined,
+      verified: verified === null ? undefined : verified === "true",
+      limit,
+      offset,
+    })
+
+    if (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+
+    const total = count ?? 0
+    return NextResponse.json(
+      {
+        tokens: tokens || [],
+        pagination: { total, limit, offset, hasMore: total > offset + limit },
+      },
+      { headers: { "Cache-Control": CATALOG_CACHE_CONTROL } },
+    )
+  } catch (error) {
+    console.error("Error fetching token catalog:", error)
+    return NextResponse.json({ error: "Failed to fetch tokens" }, { status: 500 })
+  }
+}
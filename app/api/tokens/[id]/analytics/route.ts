@@ -0,0 +1,51 @@
+import { createClient } from "@/lib/supabase/server"
+import { AnalyticsError, fetchTokenAnalytics, resolveAnalyticsRange } from "@/utils/token-analytics"
+import { NextResponse } from "next/server"
+
+export async function GET(request: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params
+    const supabase = await createClient()
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 })
+    }
+
+    const { data: canView } = await supabase.rpc("has_token_role", { p_token_id: id, p_role: "viewer" })
+    if (!canView) {
+      return NextResponse.json({ error: "Token not found" }, { status: 404 })
+    }
+
+    const { searchParams } = new URL(request.url)
+
+    let range
+    try {
+      range = resolveAnalyticsRange({
+        granularity: searchParams.get("granularity") || undefined,
+        from: searchParams.get("from") || undefined,
+        to: searchParams.get("to") || undefined,
+      })
+    } catch (error) {
+      if (error instanceof AnalyticsError) {
+        return NextResponse.json({ error: error.message }, { status: 400 })
+      }
+      throw error
+    }
+
+    try {
+      const { series, totals } = await fetchTokenAnalytics(supabase, id, range)
+      return NextResponse.json({ token_id: id, ...range, totals, series })
+    } catch (error: any) {
+      const errorStatus = error.code === "P0002" ? 404 : error.code === "22023" ? 400 : 500
+      if (errorStatus === 500) throw error
+      return NextResponse.json({ error: error.message }, { status: errorStatus })
+    }
+  } catch (error) {
+    console.error("Error fetching token analytics:", error)
+    return NextResponse.json({ error: "Failed to fetch token analytics" }, { status: 500 })
+  }
+}
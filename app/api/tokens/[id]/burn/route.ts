@@ -0,0 +1,56 @@
+import { createClient } from "@/lib/supabase/server"
+import { findTokenForRole } from "@/utils/organizations"
+import { SupplyError, createSupplyTransaction, validateSupplyAmount } from "@/utils/token-supply"
+import { NextResponse } from "next/server"
+
+export async function POST(request: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params
+    const supabase = await createClient()
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 })
+    }
+
+    const body = await request.json()
+    const { amount, metadata } = body
+
+    const amountError = validateSupplyAmount(amount)
+    if (amountError) {
+      return NextResponse.json({ error: amountError }, { status: 400 })
+    }
+
+    const { data: token, error: accessError } = await findTokenForRole(supabase, user.id, id, "minter")
+
+    if (accessError) {
+      return NextResponse.json({ error: accessError.message }, { status: accessError.status })
+    }
+
+    try {
+      const transaction = await createSupplyTransaction(supabase, {
+        token,
+        transactionType: "burn",
+        amount,
+        metadata: {
+          ...metadata,
+          policy_id: token.policy_id,
+          asset_name: token.asset_name,
+        },
+      })
+
+      return NextResponse.json({ transaction }, { status: 201 })
+    } catch (supplyError) {
+      if (supplyError instanceof SupplyError) {
+        return NextResponse.json({ error: supplyError.message }, { status: supplyError.status })
+      }
+      throw supplyError
+    }
+  } catch (error) {
+    console.error("Error burning token:", error)
+    return NextResponse.json({ error: "Failed to burn token" }, { status: 500 })
+  }
+}
@@ -0,0 +1,80 @@
+import { createClient } from "@/lib/supabase/server"
+import { MintingPolicyError } from "@/utils/minting-policy"
+import { findTokenForRole } from "@/utils/organizations"
+import { SupplyError, createSupplyTransaction, validateSupplyAmount } from "@/utils/token-supply"
+import { buildMintMetadata } from "@/utils/token-metadata"
+import { validateAddress } from "@/utils/address"
+import { NextResponse } from "next/server"
+
+export async function POST(request: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params
+    const supabase = await createClient()
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 })
+    }
+
+    const body = await request.json()
+    const { amount, recipient, metadata, attach_metadata = true } = body
+
+    const amountError = validateSupplyAmount(amount)
+    if (amountError) {
+      return NextResponse.json({ error: amountError }, { status: 400 })
+    }
+
+    if (recipient) {
+      const addressError = validateAddress(recipient)
+      if (addressError) {
+        return NextResponse.json({ error: addressError }, { status: 400 })
+      }
+    }
+
+    const { data: token, error: accessError } = await findTokenForRole(supabase, user.id, id, "minter")
+
+    if (accessError) {
+      return NextResponse.json({ error: accessError.message }, { status: accessError.status })
+    }
+
+    let mintMetadata = {}
+    if (attach_metadata) {
+      const built = buildMintMetadata(token)
+      if (built.errors.length > 0) {
+        return NextResponse.json({ error: "Invalid token metadata", details: built.errors }, { status: 400 })
+      }
+      mintMetadata = built.metadata
+    }
+
+    try {
+      const transaction = await createSupplyTransaction(supabase, {
+        token,
+        transactionType: "mint",
+        amount,
+        metadata: {
+          ...metadata,
+          ...mintMetadata,
+          recipient: recipient || null,
+          policy_id: token.policy_id,
+          asset_name: token.asset_name,
+        },
+      })
+
+      return NextResponse.json({ transaction }, { status: 201 })
+    } catch (supplyError) {
+      if (supplyError instanceof SupplyError) {
+        return NextResponse.json({ error: supplyError.message }, { status: supplyError.status })
+      }
+      if (supplyError instanceof MintingPolicyError) {
+        return NextResponse.json({ error: supplyError.message }, { status: 400 })
+      }
+      throw supplyError
+    }
+  } catch (error) {
+    console.error("Error minting token:", error)
+    return NextResponse.json({ error: "Failed to mint token" }, { status: 500 })
+  }
+}
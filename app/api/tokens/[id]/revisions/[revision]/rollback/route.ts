@@ -0,0 +1,68 @@
+import { createClient } from "@/lib/supabase/server"
+import { buildCip68Datum } from "@/utils/cip68"
+import { NextResponse } from "next/server"
+
+export async function POST(request: Request, { params }: { params: Promise<{ id: string; revision: string }> }) {
+  try {
+    const { id, revision } = await params
+    const supabase = await createClient()
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 })
+    }
+
+    const revisionNumber = Number(revision)
+    if (!Number.isSafeInteger(revisionNumber) || revisionNumber < 1) {
+      return NextResponse.json({ error: "Revision must be a positive integer" }, { status: 400 })
+    }
+
+    const { data, error } = await supabase
+      .rpc("rollback_token_revision", { p_token_id: id, p_revision_number: revisionNumber })
+      .single()
+
+    if (error) {
+      const errorStatus = error.code === "P0002" ? 404 : error.code === "55000" ? 409 : 400
+      return NextResponse.json({ error: error.message }, { status: errorStatus })
+    }
+
+    const token = data as any
+
+    if (token.token_standard !== "cip68") {
+      return NextResponse.json({ token })
+    }
+
+    // The restored metadata only reaches the chain with a new reference token datum
+    const datum = buildCip68Datum(token)
+    const { data: transaction, error: txError } = await supabase
+      .from("transactions")
+      .insert({
+        token_id: token.id,
+        user_id: user.id,
+        transaction_type: "reference_update",
+        amount: 1,
+        status: "pending",
+        metadata: {
+          policy_id: token.policy_id,
+          reference_asset_name: token.reference_asset_name,
+          datum: datum.json,
+          datum_cbor: datum.cborHex,
+          changes: { rollback_to_revision: revisionNumber },
+        },
+      })
+      .select()
+      .single()
+
+    if (txError) {
+      return NextResponse.json({ error: txError.message }, { status: 400 })
+    }
+
+    return NextResponse.json({ token, transaction })
+  } catch (error) {
+    console.error("Error rolling back token:", error)
+    return NextResponse.json({ error: "Failed to roll back token" }, { status: 500 })
+  }
+}
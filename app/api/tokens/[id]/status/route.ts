@@ -0,0 +1,54 @@
+import { createClient } from "@/lib/supabase/server"
+import { findTokenForRole } from "@/utils/organizations"
+import { TOKEN_STATUSES, canTransition } from "@/utils/token-lifecycle"
+import { NextResponse } from "next/server"
+
+export async function POST(request: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params
+    const supabase = await createClient()
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 })
+    }
+
+    const body = await request.json()
+    const { status, reason } = body
+
+    if (!TOKEN_STATUSES.includes(status)) {
+      return NextResponse.json({ error: `Status must be one of: ${TOKEN_STATUSES.join(", ")}` }, { status: 400 })
+    }
+
+    const { data: existing, error: accessError } = await findTokenForRole(supabase, user.id, id, "admin", "status")
+
+    if (accessError) {
+      return NextResponse.json({ error: accessError.message }, { status: accessError.status })
+    }
+
+    if (!canTransition(existing.status, status)) {
+      return NextResponse.json({ error: `Token cannot move from ${existing.status} to ${status}` }, { status: 409 })
+    }
+
+    const { data: token, error } = await supabase
+      .rpc("transition_token_status", {
+        p_token_id: id,
+        p_status: status,
+        p_reason: reason || null,
+      })
+      .single()
+
+    if (error) {
+      const errorStatus = error.code === "55000" ? 409 : error.code === "P0002" ? 404 : 400
+      return NextResponse.json({ error: error.message }, { status: errorStatus })
+    }
+
+    return NextResponse.json({ token })
+  } catch (error) {
+    console.error("Error changing token status:", error)
+    return NextResponse.json({ error: "Failed to change token status" }, { status: 500 })
+  }
+}
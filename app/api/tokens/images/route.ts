@@ -0,0 +1,39 @@
+import { createClient } from "@/lib/supabase/server"
+import { IMAGE_MEDIA_TYPES, MAX_IMAGE_BYTES, storeImage } from "@/utils/token-image"
+import { NextResponse } from "next/server"
+
+export async function POST(request: Request) {
+  try {
+    const supabase = await createClient()
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 })
+    }
+
+    const contentType = (request.headers.get("content-type") || "").split(";")[0].trim()
+    if (!IMAGE_MEDIA_TYPES.includes(contentType)) {
+      return NextResponse.json({ error: `Content-Type must be one of: ${IMAGE_MEDIA_TYPES.join(", ")}` }, { status: 400 })
+    }
+
+    const declaredLength = Number(request.headers.get("content-length"))
+    if (declaredLength > MAX_IMAGE_BYTES) {
+      return NextResponse.json({ error: "Image is larger than 256 KiB" }, { status: 413 })
+    }
+
+    const bytes = Buffer.from(await request.arrayBuffer())
+    const { image, errors } = await storeImage(bytes, contentType)
+
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors[0], details: errors }, { status: 400 })
+    }
+
+    return NextResponse.json({ image }, { status: 201 })
+  } catch (error) {
+    console.error("Error uploading token image:", error)
+    return NextResponse.json({ error: "Failed to store image" }, { status: 500 })
+  }
+}
@@ -0,0 +1,115 @@
+import { createClient } from "@/lib/supabase/server"
+import { withIdempotency } from "@/lib/idempotency"
+import { MintingPolicyError, assertMintAllowed } from "@/utils/minting-policy"
+import { Cip68Error } from "@/utils/cip68"
+import { checkOrganizationRole } from "@/utils/organizations"
+import { buildNewToken, validateTokenCreation } from "@/utils/token-creation"
+import { buildMintMetadata } from "@/utils/token-metadata"
+import { SupplyError, createSupplyTransaction } from "@/utils/token-supply"
+import { NextResponse } from "next/server"
+
+export async function POST(request: Request) {
+  try {
+    const supabase = await createClient()
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 })
+    }
+
+    const body = await request.json()
+
+    return withIdempotency(request, supabase, user, body, async () => {
+      const validated = await validateTokenCreation(body)
+      if (validated.errors.length > 0) {
+        return NextResponse.json({ error: "Validation failed", details: validated.errors }, { status: 400 })
+      }
+
+      const { initial_mint_metadata, organization_id } = validated.body
+
+      if (organization_id) {
+        const { error: accessError } = await checkOrganizationRole(supabase, user.id, organization_id, "admin")
+        if (accessError) {
+          return NextResponse.json({ error: accessError.message }, { status: accessError.status })
+        }
+      }
+
+      let created
+      try {
+        created = buildNewToken(validated.body, { creatorId: user.id })
+      } catch (buildError) {
+        if (buildError instanceof MintingPolicyError || buildError instanceof Cip68Error) {
+          return NextResponse.json({ error: buildError.message }, { status: 400 })
+        }
+        throw buildError
+      }
+      const { token: newToken, initialSupply } = created
+
+      // The initial mint is checked before the token is stored, as the mint route would check it
+      let mintMetadata = null
+      if (initialSupply > BigInt(0)) {
+        const built = buildMintMetadata(newToken)
+        if (built.errors.length > 0) {
+          return NextResponse.json({ error: "Invalid token metadata", details: built.errors }, { status: 400 })
+        }
+        mintMetadata = built.metadata
+
+        try {
+          assertMintAllowed(newToken, initialSupply)
+        } catch (policyError) {
+          if (policyError instanceof MintingPolicyError) {
+            return NextResponse.json({ error: policyError.message }, { status: 400 })
+          }
+          throw policyError
+        }
+      }
+
+      const { data: token, error: tokenError } = await supabase.from("tokens").insert(newToken).select().single()
+
+      if (tokenError) {
+        return NextResponse.json({ error: tokenError.message }, { status: 400 })
+      }
+
+      // The initial supply is minted like any other; total_supply grows once it confirms
+      let transaction = null
+      if (initialSupply > BigInt(0)) {
+        try {
+          transaction = await createSupplyTransaction(supabase, {
+            token,
+            transactionType: "mint",
+            amount: initialSupply,
+            metadata: {
+              ...initial_mint_metadata,
+              ...mintMetadata,
+              policy_id: token.policy_id,
+              asset_name: token.asset_name,
+              initial_mint: true,
+            },
+          })
+        } catch (supplyError) {
+          // A token whose initial mint was refused is removed again
+          const { error: discardError } = await supabase.rpc("discard_unminted_token", { p_token_id: token.id })
+          if (discardError) {
+            console.error(`Token ${token.id} kept after its initial mint failed:`, discardError)
+          }
+
+          if (supplyError instanceof SupplyError) {
+            return NextResponse.json({ error: supplyError.message }, { status: supplyError.status })
+          }
+          if (supplyError instanceof MintingPolicyError) {
+            return NextResponse.json({ error: supplyError.message }, { status: 400 })
+          }
+          throw supplyError
+        }
+      }
+
+      return NextResponse.json({ token, transaction }, { status: 201 })
+    })
+  } catch (error) {
+    console.error("Error creating token:", error)
+    return NextResponse.json({ error: "Failed to create token" }, { status: 500 })
+  }
+}
@@ -0,0 +1,52 @@
+import { createClient } from "@/lib/supabase/server"
+import { hashTransferSecret, notifyTransfer, transferNotificationData } from "@/utils/token-transfer"
+import { NextResponse } from "next/server"
+
+export async function POST(request: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params
+    const supabase = await createClient()
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 })
+    }
+
+    const { secret } = await request.json()
+    if (typeof secret !== "string" || !secret) {
+      return NextResponse.json({ error: "Transfer secret is required" }, { status: 400 })
+    }
+
+    const { data, error } = await supabase
+      .rpc("accept_token_transfer", {
+        p_transfer_id: id,
+        p_secret_hash: hashTransferSecret(secret),
+        p_ip_address: request.headers.get("x-forwarded-for")?.split(",")[0].trim() || null,
+        p_user_agent: request.headers.get("user-agent"),
+      })
+      .single()
+
+    if (error) {
+      const errorStatus =
+        error.code === "P0002" ? 404 : error.code === "42501" ? 403 : error.code === "55000" ? 409 : 400
+      return NextResponse.json({ error: error.message }, { status: errorStatus })
+    }
+
+    const { secret_hash, ...transfer } = data as any
+
+    const { data: token } = await supabase.from("tokens").select("*").eq("id", transfer.token_id).single()
+
+    await notifyTransfer("token_transfer_completed", transferNotificationData(transfer, token), [
+      transfer.from_email,
+      transfer.to_email,
+    ])
+
+    return NextResponse.json({ token, transfer })
+  } catch (error) {
+    console.error("Error accepting token transfer:", error)
+    return NextResponse.json({ error: "Failed to accept transfer" }, { status: 500 })
+  }
+}
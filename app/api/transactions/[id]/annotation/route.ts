@@ -0,0 +1,59 @@
+import { createClient } from "@/lib/supabase/server"
+import { normalizeLabels, validateLabels, validateNote, withAnnotation } from "@/utils/transaction-annotations"
+import { NextResponse } from "next/server"
+
+export async function PUT(request: Request, { params }: { params: Promise<{ id: string }> }) {
+  try {
+    const { id } = await params
+    const supabase = await createClient()
+    const {
+      data: { user },
+      error: authError,
+    } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 })
+    }
+
+    const body = await request.json()
+
+    const labelsError = body.labels === undefined ? null : validateLabels(body.labels)
+    const noteError = body.note === undefined ? null : validateNote(body.note)
+    if (labelsError || noteError) {
+      return NextResponse.json({ error: labelsError || noteError }, { status: 400 })
+    }
+
+    const { data: transaction, error: transactionError } = await supabase
+      .from("transactions")
+      .select("id, transaction_annotations (labels, note)")
+      .eq("id", id)
+      .single()
+
+    if (transactionError || !transaction) {
+      return NextResponse.json({ error: "Transaction not found" }, { status: 404 })
+    }
+
+    const current = withAnnotation(transaction)
+    const labels = body.labels === undefined ? current.labels : normalizeLabels(body.labels)
+    const note = body.note === undefined ? current.note : body.note?.trim() || null
+
+    const { error } =
+      labels.length === 0 && note === null
+        ? await supabase.from("transaction_annotations").delete().eq("transaction_id", id).eq("user_id", user.id)
+        : await supabase
+            .from("transaction_annotations")
+            .upsert(
+              { transaction_id: id, user_id: user.id, labels, note, updated_at: new Date().toISOString() },
+              { onConflict: "transaction_id,user_id" },
+            )
+
+    if (error) {
+      throw error
+    }
+
+    return NextResponse.json({ annotation: { transaction_id: id, labels, note } })
+  } catch (error) {
+    console.error("Error saving transaction annotation:", error)
+    return NextResponse.json({ error: "Failed to save annotation" }, { status: 500 })
+  }
+}
@@ -0,0 +1,63 @@
+import { redirect } from "next/navigation"
+import { createClient } from "@/lib/supabase/server"
+import { DashboardHeader } from "@/components/dashboard/dashboard-header"
+import { OrganizationInvitationAccept } from "@/components/organization/organization-invitation-accept"
+import { Button } from "@/components/ui/button"
+import { ArrowLeft } from "lucide-react"
+import Link from "next/link"
+
+interface InvitationPageProps {
+  params: Promise<{ id: string }>
+  searchParams: Promise<{ secret?: string }>
+}
+
+export default async function InvitationPage({ params, searchParams }: InvitationPageProps) {
+  const { id } = await params
+  const { secret } = await searchParams
+  const supabase = await createClient()
+
+  const { data, error } = await supabase.auth.getUser()
+  if (error || !data?.user) {
+    redirect("/auth/login")
+  }
+
+  const { data: profile } = await supabase.from("profiles").select("*").eq("id", data.user.id).single()
+
+  // Only visible to the organization's admins and to the invited address
+  const { data: invitation, error: invitationError } = await supabase
+    .from("organization_invitations")
+    .select("id, organization_id, email, role, status, expires_at")
+    .eq("id", id)
+    .single()
+
+  if (invitationError || !invitation) {
+    redirect("/dashboard")
+  }
+
+  const { data: organization } = await supabase
+    .from("organizations")
+    .select("id, name")
+    .eq("id", invitation.organization_id)
+    .single()
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <DashboardHeader user={data.user} profile={profile} />
+
+      <main className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <Link href="/dashboard">
+            <Button variant="ghost" className="mb-4">
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to Dashboard
+            </Button>
+          </Link>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Organization Invitation</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-2">Review and accept an invitation to manage tokens together</p>
+        </div>
+
+        <OrganizationInvitationAccept invitation={invitation} organization={organization} secret={secret || null} />
+      </main>
+    </div>
+  )
+}
@@ -1,5 +1,6 @@
 import { redirect } from "next/navigation"
 import { createClient } from "@/lib/supabase/server"
+import { memberOrganizationIds } from "@/utils/organizations"
 import { DashboardHeader } from "@/components/dashboard/dashboard-header"
 import { TokenOverview } from "@/components/dashboard/token-overview"
 import { ExchangeRatesWidget } from "@/components/dashboard/exchange-rates-widget"
@@ -17,24 +18,36 @@ export default async function DashboardPage() {
   // Fetch user profile
   const { data: profile } = await supabase.from("profiles").select("*").eq("id", data.user.id).single()
 
-  // Fetch user's tokens
-  const { data: tokens } = await supabase
-    .from("tokens")
-    .select("*")
-    .eq("creator_id", data.user.id)
-    .order("created_at", { ascending: false })
+  // Fetch the user's personal tokens and their organizations' tokens
+  const organizationIds = await memberOrganizationIds(supabase, data.user.id)
+  let tokensQuery = supabase.from("tokens").select("*")
+  tokensQuery =
+    organizationIds.length > 0
+      ? tokensQuery.or(
+          `and(creator_id.eq.${data.user.id},organization_id.is.null),organization_id.in.(${organizationIds.join(",")})`,
+        )
+      : tokensQuery.eq("creator_id", data.user.id).is("organization_id", null)
+  const { data: tokens } = await tokensQuery.order("created_at", { ascending: false })
 
   // Fetch recent transactions
   const { data: transactions } = await supabase
     .from("transactions")
     .select(`
       *,
-      tokens (token_name, symbol)
+      tokens (token_name, symbol),
+      transaction_annotations (labels, note)
     `)
     .eq("user_id", data.user.id)
     .order("created_at", { ascending: false })
     .limit(10)
 
+  // RLS leaves only the user's own annotation on each transaction
+  const recentTransactions = (transactions || []).map(({ transaction_annotations, ...tx }) => ({
+    ...tx,
+    labels: transaction_annotations?.[0]?.labels || [],
+    note: transaction_annotations?.[0]?.note || null,
+  }))
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
       <DashboardHeader user={data.user} profile={profile} />
@@ -45,7 +58,7 @@ export default async function DashboardPage() {
           <div className="lg:col-span-2 space-y-8">
             <TokenOverview tokens={tokens || []} />
             <PortfolioChart />
-            <RecentTransactions transactions={transactions || []} />
+            <RecentTransactions transactions={recentTransactions} />
           </div>
 
           {/* Sidebar */}
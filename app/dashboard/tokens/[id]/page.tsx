@@ -1,7 +1,12 @@
 import { redirect } from "next/navigation"
 import { createClient } from "@/lib/supabase/server"
+import { assetFingerprint, isAssetFingerprint } from "@/utils/asset-name"
+import { tokenRole } from "@/utils/organizations"
 import { DashboardHeader } from "@/components/dashboard/dashboard-header"
 import { MintBurnInterface } from "@/components/token/mint-burn-interface"
+import { TokenAnalytics } from "@/components/token/token-analytics"
+import { TokenLifecycle } from "@/components/token/token-lifecycle"
+import { TokenRevisions } from "@/components/token/token-revisions"
 import { Button } from "@/components/ui/button"
 import { ArrowLeft } from "lucide-react"
 import Link from "next/link"
@@ -21,18 +26,34 @@ export default async function TokenPage({ params }: TokenPageProps) {
 
   const { data: profile } = await supabase.from("profiles").select("*").eq("id", data.user.id).single()
 
-  // Fetch token details
-  const { data: token, error: tokenError } = await supabase
+  // Fetch token details (by UUID or asset fingerprint) if the user has a role on it
+  const { data: token } = await supabase
     .from("tokens")
     .select("*")
-    .eq("id", id)
-    .eq("creator_id", data.user.id)
-    .single()
+    .eq(isAssetFingerprint(id) ? "fingerprint" : "id", id)
+    .maybeSingle()
 
-  if (tokenError || !token) {
+  const role = token ? await tokenRole(supabase, data.user.id, token) : null
+  if (!token || !role) {
     redirect("/dashboard")
   }
 
+  if (!token.fingerprint) {
+    token.fingerprint = assetFingerprint(token.policy_id, token.asset_name_hex)
+  }
+
+  const { data: statusHistory } = await supabase
+    .from("token_status_history")
+    .select("*")
+    .eq("token_id", token.id)
+    .order("created_at", { ascending: false })
+
+  const { data: revisions } = await supabase
+    .from("token_revisions")
+    .select("*")
+    .eq("token_id", token.id)
+    .order("revision_number", { ascending: false })
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
       <DashboardHeader user={data.user} profile={profile} />
@@ -51,7 +72,12 @@ export default async function TokenPage({ params }: TokenPageProps) {
           </p>
         </div>
 
-        <MintBurnInterface token={token} userId={data.user.id} />
+        <div className="space-y-6">
+          <MintBurnInterface token={token} userId={data.user.id} />
+          <TokenAnalytics token={token} />
+          <TokenLifecycle token={token} history={statusHistory || []} />
+          <TokenRevisions token={token} revisions={revisions || []} userId={data.user.id} />
+        </div>
       </main>
     </div>
   )
@@ -0,0 +1,63 @@
+import { redirect } from "next/navigation"
+import { createClient } from "@/lib/supabase/server"
+import { DashboardHeader } from "@/components/dashboard/dashboard-header"
+import { TokenTransferAccept } from "@/components/token/token-transfer-accept"
+import { Button } from "@/components/ui/button"
+import { ArrowLeft } from "lucide-react"
+import Link from "next/link"
+
+interface TransferPageProps {
+  params: Promise<{ id: string }>
+  searchParams: Promise<{ secret?: string }>
+}
+
+export default async function TransferPage({ params, searchParams }: TransferPageProps) {
+  const { id } = await params
+  const { secret } = await searchParams
+  const supabase = await createClient()
+
+  const { data, error } = await supabase.auth.getUser()
+  if (error || !data?.user) {
+    redirect("/auth/login")
+  }
+
+  const { data: profile } = await supabase.from("profiles").select("*").eq("id", data.user.id).single()
+
+  // Only visible to the sender and to the account the transfer was sent to
+  const { data: transfer, error: transferError } = await supabase
+    .from("token_ownership_transfers")
+    .select("id, token_id, from_email, to_email, message, status, expires_at")
+    .eq("id", id)
+    .single()
+
+  if (transferError || !transfer) {
+    redirect("/dashboard")
+  }
+
+  const { data: token } = await supabase
+    .from("tokens")
+    .select("id, token_name, symbol, policy_id, total_supply")
+    .eq("id", transfer.token_id)
+    .single()
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <DashboardHeader user={data.user} profile={profile} />
+
+      <main className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <Link href="/dashboard">
+            <Button variant="ghost" className="mb-4">
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to Dashboard
+            </Button>
+          </Link>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Token Transfer</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-2">Review and accept ownership of a token</p>
+        </div>
+
+        <TokenTransferAccept transfer={transfer} token={token} secret={secret || null} />
+      </main>
+    </div>
+  )
+}
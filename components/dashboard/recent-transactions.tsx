@@ -1,17 +1,46 @@
 "use client"
 
+import { useState } from "react"
+import { useRouter } from "next/navigation"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Badge } from "@/components/ui/badge"
 import { Button } from "@/components/ui/button"
-import { ArrowUpRight, ArrowDownRight, ArrowRightLeft, ExternalLink } from "lucide-react"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import {
+  ArrowUpRight,
+  ArrowDownRight,
+  ArrowRightLeft,
+  AlertTriangle,
+  ExternalLink,
+  MessageSquare,
+  Pencil,
+  StickyNote,
+  X,
+} from "lucide-react"
 
 interface Transaction {
   id: string
-  tx_hash: string
+  tx_hash: string | null
   transaction_type: "mint" | "burn" | "transfer"
   amount: number
   status: "pending" | "confirmed" | "failed"
   created_at: string
+  metadata?: {
+    cip20?: { msg: string[] }
+  } | null
+  labels?: string[]
+  note?: string | null
   tokens?: {
     token_name: string
     symbol: string
@@ -23,6 +52,57 @@ interface RecentTransactionsProps {
 }
 
 export function RecentTransactions({ transactions }: RecentTransactionsProps) {
+  const router = useRouter()
+  const [labelFilter, setLabelFilter] = useState<string | null>(null)
+  const [editing, setEditing] = useState<Transaction | null>(null)
+  const [labelsInput, setLabelsInput] = useState("")
+  const [noteInput, setNoteInput] = useState("")
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const visibleTransactions = labelFilter
+    ? transactions.filter((tx) => tx.labels?.includes(labelFilter))
+    : transactions
+
+  const openEditor = (tx: Transaction) => {
+    setEditing(tx)
+    setLabelsInput((tx.labels || []).join(", "))
+    setNoteInput(tx.note || "")
+    setError(null)
+  }
+
+  const handleSave = async () => {
+    if (!editing) return
+    setIsSaving(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`/api/transactions/${editing.id}/annotation`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          labels: labelsInput
+            .split(",")
+            .map((label) => label.trim())
+            .filter(Boolean),
+          note: noteInput.trim() || null,
+        }),
+      })
+
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to save labels and note")
+      }
+
+      setEditing(null)
+      router.refresh()
+    } catch (error: any) {
+      setError(error.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
   const getTransactionIcon = (type: string) => {
     switch (type) {
       case "mint":
@@ -53,8 +133,8 @@ export function RecentTransactions({ transactions }: RecentTransactionsProps) {
     return (amount / 1000000).toLocaleString() // Assuming 6 decimals
   }
 
-  const truncateHash = (hash: string) => {
-    return `${hash.slice(0, 8)}...${hash.slice(-8)}`
+  const truncateHash = (hash: string | null) => {
+    return hash ? `${hash.slice(0, 8)}...${hash.slice(-8)}` : "Not built yet"
   }
 
   return (
@@ -64,12 +144,20 @@ export function RecentTransactions({ transactions }: RecentTransactionsProps) {
           <CardTitle className="text-lg">Recent Transactions</CardTitle>
           <CardDescription>Your latest token operations</CardDescription>
         </div>
-        <Button variant="outline" size="sm">
-          View All
-        </Button>
+        <div className="flex items-center space-x-2">
+          {labelFilter && (
+            <Badge variant="secondary" className="cursor-pointer" onClick={() => setLabelFilter(null)}>
+              {labelFilter}
+              <X className="h-3 w-3 ml-1" />
+            </Badge>
+          )}
+          <Button variant="outline" size="sm">
+            View All
+          </Button>
+        </div>
       </CardHeader>
       <CardContent>
-        {transactions.length === 0 ? (
+        {visibleTransactions.length === 0 ? (
           <div className="text-center py-8">
             <div className="text-gray-400 mb-2">
               <ArrowRightLeft className="h-8 w-8 mx-auto" />
@@ -79,7 +167,7 @@ export function RecentTransactions({ transactions }: RecentTransactionsProps) {
           </div>
         ) : (
           <div className="space-y-4">
-            {transactions.map((tx) => (
+            {visibleTransactions.map((tx) => (
               <div
                 key={tx.id}
                 className="flex items-center justify-between p-3 rounded-lg border border-gray-200 dark:border-gray-700"
@@ -95,6 +183,32 @@ export function RecentTransactions({ transactions }: RecentTransactionsProps) {
                       <span>{truncateHash(tx.tx_hash)}</span>
                       <ExternalLink className="h-3 w-3" />
                     </div>
+                    {tx.metadata?.cip20 && (
+                      <div className="flex items-center space-x-1 text-xs text-gray-600 dark:text-gray-400 mt-1">
+                        <MessageSquare className="h-3 w-3" />
+                        <span>{tx.metadata.cip20.msg.join(" ")}</span>
+                      </div>
+                    )}
+                    {tx.note && (
+                      <div className="flex items-center space-x-1 text-xs text-gray-500 mt-1">
+                        <StickyNote className="h-3 w-3" />
+                        <span className="truncate max-w-xs">{tx.note}</span>
+                      </div>
+                    )}
+                    {tx.labels && tx.labels.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {tx.labels.map((label) => (
+                          <Badge
+                            key={label}
+                            variant="outline"
+                            className="cursor-pointer text-xs"
+                            onClick={() => setLabelFilter(label)}
+                          >
+                            {label}
+                          </Badge>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -102,13 +216,63 @@ export function RecentTransactions({ transactions }: RecentTransactionsProps) {
                   <div className="font-semibold text-sm">
                     {formatAmount(tx.amount)} {tx.tokens?.symbol || "TOKEN"}
                   </div>
-                  <div className="flex items-center justify-end space-x-2">{getStatusBadge(tx.status)}</div>
+                  <div className="flex items-center justify-end space-x-2">
+                    {getStatusBadge(tx.status)}
+                    <Button variant="ghost" size="sm" onClick={() => openEditor(tx)} title="Edit labels and note">
+                      <Pencil className="h-3 w-3" />
+                    </Button>
+                  </div>
                 </div>
               </div>
             ))}
           </div>
         )}
       </CardContent>
+
+      <Dialog open={editing !== null} onOpenChange={(open) => !open && setEditing(null)}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>Labels and Note</DialogTitle>
+            <DialogDescription>Only you can see these; they are not put on-chain</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="transactionLabels">Labels</Label>
+              <Input
+                id="transactionLabels"
+                placeholder="tax 2026, payroll"
+                value={labelsInput}
+                onChange={(e) => setLabelsInput(e.target.value)}
+              />
+              <p className="text-xs text-gray-500">Separate labels with commas (up to 10)</p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="transactionNote">Note</Label>
+              <Textarea
+                id="transactionNote"
+                placeholder="What was this transaction for?"
+                maxLength={2000}
+                value={noteInput}
+                onChange={(e) => setNoteInput(e.target.value)}
+              />
+            </div>
+            {error && (
+              <Alert className="border-red-200 bg-red-50 dark:border-red-800 dark:bg-red-900/20">
+                <AlertTriangle className="h-4 w-4 text-red-600" />
+                <AlertDescription className="text-red-800 dark:text-red-200">{error}</AlertDescription>
+              </Alert>
+            )}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setEditing(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} disabled={isSaving}>
+              {isSaving ? "Saving..." : "Save"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </Card>
   )
 }
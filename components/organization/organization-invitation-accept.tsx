@@ -0,0 +1,101 @@
+"use client"
+
+import { useState } from "react"
+import { useRouter } from "next/navigation"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Badge } from "@/components/ui/badge"
+import { AlertTriangle, Users } from "lucide-react"
+
+const ROLE_DESCRIPTIONS: Record<string, string> = {
+  owner: "manage every member, including other owners and admins, and delete the organization",
+  admin: "create and edit tokens, manage wallets, policies and invitations, and add minters and viewers",
+  minter: "mint, burn, create vesting schedules and run batch mints for the organization's tokens",
+  viewer: "see the organization's tokens, transactions, wallets and policies",
+}
+
+interface OrganizationInvitationAcceptProps {
+  invitation: {
+    id: string
+    email: string
+    role: string
+    status: string
+    expires_at: string
+  }
+  organization: {
+    id: string
+    name: string
+  } | null
+  secret: string | null
+}
+
+export function OrganizationInvitationAccept({ invitation, organization, secret }: OrganizationInvitationAcceptProps) {
+  const router = useRouter()
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const isExpired = new Date(invitation.expires_at).getTime() <= Date.now()
+  const canAccept = invitation.status === "pending" && !isExpired && Boolean(secret)
+
+  const handleAccept = async () => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`/api/organizations/invitations/${invitation.id}/accept`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ secret }),
+      })
+
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to accept invitation")
+      }
+
+      router.push("/dashboard")
+    } catch (error: any) {
+      setError(error.message)
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Users className="h-5 w-5" />
+          <span>{organization ? organization.name : "Organization Invitation"}</span>
+        </CardTitle>
+        <CardDescription>
+          You are invited to join as <Badge variant="outline">{invitation.role}</Badge>
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert className="border-red-200 bg-red-50 dark:border-red-800 dark:bg-red-900/20">
+            <AlertTriangle className="h-4 w-4 text-red-600" />
+            <AlertDescription className="text-red-800 dark:text-red-200">{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          As {invitation.role} you can {ROLE_DESCRIPTIONS[invitation.role]}.
+        </p>
+
+        {invitation.status !== "pending" ? (
+          <Badge variant="secondary">Invitation {invitation.status}</Badge>
+        ) : isExpired ? (
+          <Badge variant="secondary">Expired {new Date(invitation.expires_at).toLocaleString()}</Badge>
+        ) : !secret ? (
+          <p className="text-sm text-gray-500">Open the link from your email to accept this invitation.</p>
+        ) : null}
+
+        <Button onClick={handleAccept} disabled={!canAccept || isLoading} className="w-full">
+          {isLoading ? "Accepting..." : "Accept Invitation"}
+        </Button>
+      </CardContent>
+    </Card>
+  )
+}
@@ -19,6 +19,7 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { Shield, Users, Plus, Key, CheckCircle, Clock, AlertTriangle } from "lucide-react"
 import { createClient } from "@/lib/supabase/client"
+import { publicKeyToHex, validatePublicKey, validateShelleyAddress } from "@/utils/cardano-validation"
 
 interface MultiSigWallet {
   id: string
@@ -57,6 +58,8 @@ export function MultiSigWalletManager({ userId }: MultiSigWalletManagerProps) {
   const [requiredSignatures, setRequiredSignatures] = useState(2)
   const [totalSigners, setTotalSigners] = useState(3)
   const [signerAddresses, setSignerAddresses] = useState<string[]>(["", "", ""])
+  const [signerKeys, setSignerKeys] = useState<string[]>(["", "", ""])
+  const [createError, setCreateError] = useState<string | null>(null)
 
   useEffect(() => {
     fetchWallets()
@@ -104,7 +107,19 @@ export function MultiSigWalletManager({ userId }: MultiSigWalletManagerProps) {
   }
 
   const createMultiSigWallet = async () => {
+    setCreateError(null)
     try {
+      const signerEntries = signerAddresses
+        .map((address, index) => ({ address: address.trim(), publicKey: signerKeys[index].trim(), index }))
+        .filter((entry) => entry.address)
+
+      for (const entry of signerEntries) {
+        const signerError = validateShelleyAddress(entry.address) || validatePublicKey(entry.publicKey)
+        if (signerError) {
+          throw new Error(`Signer ${entry.index + 1}: ${signerError}`)
+        }
+      }
+
       // Generate mock wallet address and script hash
       const walletAddress = `addr1_multisig_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`
       const scriptHash = `script_${Date.now()}_${Math.random().toString(36).substr(2, 16)}`
@@ -125,14 +140,12 @@ export function MultiSigWalletManager({ userId }: MultiSigWalletManagerProps) {
       if (walletError) throw walletError
 
       // Add signers
-      const signersData = signerAddresses
-        .filter((addr) => addr.trim())
-        .map((address, index) => ({
-          multi_sig_wallet_id: wallet.id,
-          signer_address: address.trim(),
-          signer_name: `Signer ${index + 1}`,
-          public_key: `pubkey_${Date.now()}_${index}`,
-        }))
+      const signersData = signerEntries.map((entry, index) => ({
+        multi_sig_wallet_id: wallet.id,
+        signer_address: entry.address,
+        signer_name: `Signer ${index + 1}`,
+        public_key: publicKeyToHex(entry.publicKey),
+      }))
 
       if (signersData.length > 0) {
         const { error: signersError } = await supabase.from("wallet_signers").insert(signersData)
@@ -145,10 +158,12 @@ export function MultiSigWalletManager({ userId }: MultiSigWalletManagerProps) {
       setRequiredSignatures(2)
       setTotalSigners(3)
       setSignerAddresses(["", "", ""])
+      setSignerKeys(["", "", ""])
       setIsCreateDialogOpen(false)
       fetchWallets()
-    } catch (error) {
+    } catch (error: any) {
       console.error("Error creating multi-sig wallet:", error)
+      setCreateError(error.message)
     }
   }
 
@@ -158,8 +173,15 @@ export function MultiSigWalletManager({ userId }: MultiSigWalletManagerProps) {
     setSignerAddresses(newAddresses)
   }
 
+  const updateSignerKeys = (index: number, value: string) => {
+    const newKeys = [...signerKeys]
+    newKeys[index] = value
+    setSignerKeys(newKeys)
+  }
+
   const addSignerField = () => {
     setSignerAddresses([...signerAddresses, ""])
+    setSignerKeys([...signerKeys, ""])
     setTotalSigners(totalSigners + 1)
   }
 
@@ -234,14 +256,20 @@ export function MultiSigWalletManager({ userId }: MultiSigWalletManagerProps) {
               </div>
 
               <div className="space-y-2">
-                <Label>Signer Addresses</Label>
+                <Label>Signers</Label>
                 {signerAddresses.map((address, index) => (
-                  <Input
-                    key={index}
-                    placeholder={`addr1... (Signer ${index + 1})`}
-                    value={address}
-                    onChange={(e) => updateSignerAddresses(index, e.target.value)}
-                  />
+                  <div key={index} className="space-y-1">
+                    <Input
+                      placeholder={`addr1... (Signer ${index + 1})`}
+                      value={address}
+                      onChange={(e) => updateSignerAddresses(index, e.target.value)}
+                    />
+                    <Input
+                      placeholder="Public key (hex or ed25519_pk1...)"
+                      value={signerKeys[index]}
+                      onChange={(e) => updateSignerKeys(index, e.target.value)}
+                    />
+                  </div>
                 ))}
                 <Button type="button" variant="outline" size="sm" onClick={addSignerField}>
                   <Plus className="h-3 w-3 mr-1" />
@@ -249,6 +277,13 @@ export function MultiSigWalletManager({ userId }: MultiSigWalletManagerProps) {
                 </Button>
               </div>
 
+              {createError && (
+                <Alert className="border-red-200 bg-red-50 dark:border-red-800 dark:bg-red-900/20">
+                  <AlertTriangle className="h-4 w-4 text-red-600" />
+                  <AlertDescription className="text-red-800 dark:text-red-200">{createError}</AlertDescription>
+                </Alert>
+              )}
+
               <Alert>
                 <Shield className="h-4 w-4" />
                 <AlertDescription>
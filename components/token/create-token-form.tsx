@@ -14,8 +14,9 @@ import { Switch } from "@/components/ui/switch"
 import { Badge } from "@/components/ui/badge"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { Alert, AlertDescription } from "@/components/ui/alert"
-import { Coins, Code, Shield, Info } from "lucide-react"
-import { createClient } from "@/lib/supabase/client"
+import { Coins, Code, Shield, Info, Upload } from "lucide-react"
+import { gatewayUrl } from "@/utils/ipfs"
+import { validateAssetName, validateKeyHash } from "@/utils/cardano-validation"
 
 interface CreateTokenFormProps {
   userId: string
@@ -23,7 +24,6 @@ interface CreateTokenFormProps {
 
 export function CreateTokenForm({ userId }: CreateTokenFormProps) {
   const router = useRouter()
-  const supabase = createClient()
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
 
@@ -34,17 +34,51 @@ export function CreateTokenForm({ userId }: CreateTokenFormProps) {
   const [totalSupply, setTotalSupply] = useState("")
   const [description, setDescription] = useState("")
   const [imageUrl, setImageUrl] = useState("")
+  const [imageMediaType, setImageMediaType] = useState<string | null>(null)
+  const [isUploadingImage, setIsUploadingImage] = useState(false)
 
   // Minting policy settings
   const [scriptType, setScriptType] = useState<"native" | "plutus">("native")
   const [mintingPolicy, setMintingPolicy] = useState<"unlimited" | "limited" | "time-locked" | "custom">("unlimited")
   const [lockUntil, setLockUntil] = useState("")
   const [customScript, setCustomScript] = useState("")
+  const [policyKeyHash, setPolicyKeyHash] = useState("")
 
   // Advanced settings
   const [enableBurning, setEnableBurning] = useState(true)
   const [enableTransfers, setEnableTransfers] = useState(true)
   const [requireSignature, setRequireSignature] = useState(false)
+  const [tokenStandard, setTokenStandard] = useState<"cip25" | "cip68">("cip25")
+
+  // Uploaded images are stored by content hash and referenced as ipfs:// URIs
+  const handleImageUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setIsUploadingImage(true)
+    setError(null)
+
+    try {
+      const response = await fetch("/api/tokens/images", {
+        method: "POST",
+        headers: { "Content-Type": file.type },
+        body: file,
+      })
+
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to upload image")
+      }
+
+      setImageUrl(result.image.uri)
+      setImageMediaType(result.image.media_type)
+    } catch (error: any) {
+      setError(error.message)
+    } finally {
+      setIsUploadingImage(false)
+      e.target.value = ""
+    }
+  }
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
@@ -66,54 +100,78 @@ export function CreateTokenForm({ userId }: CreateTokenFormProps) {
         throw new Error("Total supply must be a positive number")
       }
 
-      // Generate policy ID (in real implementation, this would be generated by Cardano)
-      const policyId = `policy_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-      const assetName = Buffer.from(symbol).toString("hex")
+      if (scriptType === "plutus") {
+        throw new Error("Plutus minting policies are not supported yet")
+      }
+
+      if (mintingPolicy !== "custom" && !policyKeyHash) {
+        throw new Error("Please enter the key hash that will sign minting transactions")
+      }
+
+      const keyHashError = policyKeyHash ? validateKeyHash(policyKeyHash.trim()) : null
+      if (keyHashError) {
+        throw new Error(keyHashError)
+      }
+
+      if ((mintingPolicy === "time-locked" && !lockUntil) || (lockUntil && new Date(lockUntil) <= new Date())) {
+        throw new Error("Please choose a lock date in the future")
+      }
+
+      let parsedCustomScript
+      if (mintingPolicy === "custom") {
+        try {
+          parsedCustomScript = JSON.parse(customScript)
+        } catch {
+          throw new Error("Custom script must be valid native script JSON")
+        }
+      }
+
+      // The symbol as typed is the on-chain asset name (sent as UTF-8 text)
+      const assetNameError = validateAssetName(symbol)
+      if (assetNameError) {
+        throw new Error(assetNameError)
+      }
 
-      // Create token in database
-      const { data: token, error: tokenError } = await supabase
-        .from("tokens")
-        .insert({
+      // The server builds the native script and derives the policy ID from it
+      const response = await fetch("/api/tokens", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
           token_name: tokenName,
-          policy_id: policyId,
-          asset_name: assetName,
+          asset_name: symbol,
           symbol: symbol.toUpperCase(),
           decimals,
           total_supply: Math.floor(supplyAmount * Math.pow(10, decimals)),
           description,
           image_url: imageUrl || null,
-          creator_id: userId,
-        })
-        .select()
-        .single()
-
-      if (tokenError) throw tokenError
-
-      // Create initial mint transaction record
-      const { error: txError } = await supabase.from("transactions").insert({
-        tx_hash: `mint_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        token_id: token.id,
-        user_id: userId,
-        transaction_type: "mint",
-        amount: Math.floor(supplyAmount * Math.pow(10, decimals)),
-        status: "pending",
-        metadata: {
-          script_type: scriptType,
+          image_media_type: imageMediaType,
+          token_standard: tokenStandard,
           minting_policy: mintingPolicy,
-          lock_until: lockUntil || null,
-          custom_script: customScript || null,
-          enable_burning: enableBurning,
-          enable_transfers: enableTransfers,
-          require_signature: requireSignature,
-        },
+          policy_key_hashes: policyKeyHash ? [policyKeyHash.trim().toLowerCase()] : undefined,
+          lock_until: lockUntil ? new Date(lockUntil).toISOString() : undefined,
+          custom_script: parsedCustomScript,
+          initial_mint_metadata: {
+            script_type: scriptType,
+            minting_policy: mintingPolicy,
+            enable_burning: enableBurning,
+            enable_transfers: enableTransfers,
+            require_signature: requireSignature,
+          },
+        }),
       })
 
-      if (txError) throw txError
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to create token")
+      }
+
+      // The API also queues the initial mint transaction for the requested supply
+      const token = result.token
 
       // In a real implementation, this would trigger the actual Cardano transaction
       console.log("Token creation initiated:", {
-        policyId,
-        assetName,
+        policyId: token.policy_id,
+        assetName: token.asset_name_hex,
         amount: supplyAmount,
         scriptType,
         mintingPolicy,
@@ -224,8 +282,37 @@ export function CreateTokenForm({ userId }: CreateTokenFormProps) {
                   type="url"
                   placeholder="https://example.com/token-image.png"
                   value={imageUrl}
-                  onChange={(e) => setImageUrl(e.target.value)}
+                  onChange={(e) => {
+                    setImageUrl(e.target.value)
+                    setImageMediaType(null)
+                  }}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="imageFile" className="flex items-center space-x-2">
+                  <Upload className="h-4 w-4" />
+                  <span>Or Upload an Image</span>
+                </Label>
+                <Input
+                  id="imageFile"
+                  type="file"
+                  accept="image/png,image/svg+xml,image/webp"
+                  onChange={handleImageUpload}
+                  disabled={isUploadingImage}
                 />
+                <p className="text-xs text-gray-500">
+                  {isUploadingImage
+                    ? "Uploading..."
+                    : "PNG, SVG or WebP up to 256 KiB. Stored on IPFS and referenced as an ipfs:// URI."}
+                </p>
+                {imageUrl && imageMediaType && (
+                  <img
+                    src={gatewayUrl(imageUrl)}
+                    alt="Token image preview"
+                    className="h-16 w-16 rounded-lg border object-contain"
+                  />
+                )}
               </div>
             </CardContent>
           </Card>
@@ -293,16 +380,31 @@ export function CreateTokenForm({ userId }: CreateTokenFormProps) {
                 </Select>
               </div>
 
-              {mintingPolicy === "time-locked" && (
+              {mintingPolicy !== "custom" && (
+                <div className="space-y-2">
+                  <Label htmlFor="policyKeyHash">Policy Key Hash *</Label>
+                  <Input
+                    id="policyKeyHash"
+                    placeholder="56 character payment key hash"
+                    value={policyKeyHash}
+                    onChange={(e) => setPolicyKeyHash(e.target.value)}
+                    className="font-mono text-sm"
+                    maxLength={56}
+                  />
+                  <p className="text-xs text-gray-500">Only this key will be able to sign minting transactions</p>
+                </div>
+              )}
+
+              {(mintingPolicy === "time-locked" || mintingPolicy === "limited") && (
                 <div className="space-y-2">
-                  <Label htmlFor="lockUntil">Lock Until (UTC)</Label>
+                  <Label htmlFor="lockUntil">Lock Until{mintingPolicy === "limited" ? " (Optional)" : ""}</Label>
                   <Input
                     id="lockUntil"
                     type="datetime-local"
                     value={lockUntil}
                     onChange={(e) => setLockUntil(e.target.value)}
                   />
-                  <p className="text-xs text-gray-500">Minting will be disabled until this date</p>
+                  <p className="text-xs text-gray-500">Minting will be permanently disabled after this date</p>
                 </div>
               )}
 
@@ -346,6 +448,19 @@ export function CreateTokenForm({ userId }: CreateTokenFormProps) {
               <CardDescription>Configure additional token behaviors and security features</CardDescription>
             </CardHeader>
             <CardContent className="space-y-6">
+              <div className="space-y-2">
+                <Label htmlFor="tokenStandard">Metadata Standard</Label>
+                <Select value={tokenStandard} onValueChange={(value: any) => setTokenStandard(value)}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="cip25">CIP-25 (metadata in the mint transaction)</SelectItem>
+                    <SelectItem value="cip68">CIP-68 (updatable reference token datum)</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
               <div className="space-y-4">
                 <div className="flex items-center justify-between">
                   <div className="space-y-0.5">
@@ -10,7 +10,8 @@ import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Badge } from "@/components/ui/badge"
 import { Textarea } from "@/components/ui/textarea"
 import { Plus, Flame, Coins, AlertTriangle, CheckCircle } from "lucide-react"
-import { createClient } from "@/lib/supabase/client"
+import { gatewayUrl } from "@/utils/ipfs"
+import { validateShelleyAddress } from "@/utils/cardano-validation"
 
 interface Token {
   id: string
@@ -20,6 +21,8 @@ interface Token {
   decimals: number
   policy_id: string
   asset_name: string
+  fingerprint: string
+  image_url: string | null
 }
 
 interface MintBurnInterfaceProps {
@@ -28,7 +31,6 @@ interface MintBurnInterfaceProps {
 }
 
 export function MintBurnInterface({ token, userId }: MintBurnInterfaceProps) {
-  const supabase = createClient()
   const [activeTab, setActiveTab] = useState<"mint" | "burn">("mint")
   const [amount, setAmount] = useState("")
   const [recipient, setRecipient] = useState("")
@@ -56,55 +58,33 @@ export function MintBurnInterface({ token, userId }: MintBurnInterfaceProps) {
         throw new Error("Please enter a recipient address")
       }
 
-      // Validate Cardano address format (basic validation)
-      if (!recipient.startsWith("addr1") && !recipient.startsWith("addr_test1")) {
-        throw new Error("Please enter a valid Cardano address")
+      // The server also checks the address is on its network
+      const addressError = validateShelleyAddress(recipient)
+      if (addressError) {
+        throw new Error(addressError)
       }
 
       const amountInLovelace = Math.floor(mintAmount * Math.pow(10, token.decimals))
 
-      // Create transaction record
-      const { data: transaction, error: txError } = await supabase
-        .from("transactions")
-        .insert({
-          tx_hash: `mint_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          token_id: token.id,
-          user_id: userId,
-          transaction_type: "mint",
+      // The server checks the supply cap and policy lock before creating the transaction
+      const response = await fetch(`/api/tokens/${token.id}/mint`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
           amount: amountInLovelace,
-          status: "pending",
-          metadata: {
-            recipient,
-            user_metadata: metadata || null,
-            policy_id: token.policy_id,
-            asset_name: token.asset_name,
-          },
-        })
-        .select()
-        .single()
-
-      if (txError) throw txError
-
-      // In a real implementation, this would trigger the actual Cardano transaction
-      console.log("Mint transaction initiated:", {
-        tokenId: token.id,
-        amount: amountInLovelace,
-        recipient,
-        txHash: transaction.tx_hash,
+          recipient,
+          metadata: { user_metadata: metadata || null },
+        }),
       })
 
-      // Simulate transaction processing
-      setTimeout(async () => {
-        await supabase.from("transactions").update({ status: "confirmed" }).eq("id", transaction.id)
-
-        // Update token supply
-        await supabase
-          .from("tokens")
-          .update({ total_supply: token.total_supply + amountInLovelace })
-          .eq("id", token.id)
-      }, 3000)
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to mint tokens")
+      }
 
-      setSuccess(`Successfully initiated minting of ${mintAmount} ${token.symbol}`)
+      setSuccess(
+        `Minting of ${mintAmount} ${token.symbol} initiated. Total supply updates once the transaction is confirmed.`,
+      )
       setAmount("")
       setRecipient("")
       setMetadata("")
@@ -132,46 +112,23 @@ export function MintBurnInterface({ token, userId }: MintBurnInterfaceProps) {
         throw new Error("Cannot burn more tokens than the total supply")
       }
 
-      // Create transaction record
-      const { data: transaction, error: txError } = await supabase
-        .from("transactions")
-        .insert({
-          tx_hash: `burn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          token_id: token.id,
-          user_id: userId,
-          transaction_type: "burn",
+      const response = await fetch(`/api/tokens/${token.id}/burn`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
           amount: amountInLovelace,
-          status: "pending",
-          metadata: {
-            user_metadata: metadata || null,
-            policy_id: token.policy_id,
-            asset_name: token.asset_name,
-          },
-        })
-        .select()
-        .single()
-
-      if (txError) throw txError
-
-      // In a real implementation, this would trigger the actual Cardano transaction
-      console.log("Burn transaction initiated:", {
-        tokenId: token.id,
-        amount: amountInLovelace,
-        txHash: transaction.tx_hash,
+          metadata: { user_metadata: metadata || null },
+        }),
       })
 
-      // Simulate transaction processing
-      setTimeout(async () => {
-        await supabase.from("transactions").update({ status: "confirmed" }).eq("id", transaction.id)
-
-        // Update token supply
-        await supabase
-          .from("tokens")
-          .update({ total_supply: token.total_supply - amountInLovelace })
-          .eq("id", token.id)
-      }, 3000)
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to burn tokens")
+      }
 
-      setSuccess(`Successfully initiated burning of ${burnAmount} ${token.symbol}`)
+      setSuccess(
+        `Burning of ${burnAmount} ${token.symbol} initiated. Total supply updates once the transaction is confirmed.`,
+      )
       setAmount("")
       setMetadata("")
     } catch (error: any) {
@@ -189,10 +146,18 @@ export function MintBurnInterface({ token, userId }: MintBurnInterfaceProps) {
           <div className="flex items-center justify-between">
             <div>
               <CardTitle className="flex items-center space-x-2">
-                <Coins className="h-5 w-5" />
+                {token.image_url ? (
+                  <img src={gatewayUrl(token.image_url)} alt="" className="h-5 w-5 rounded object-contain" />
+                ) : (
+                  <Coins className="h-5 w-5" />
+                )}
                 <span>{token.token_name}</span>
               </CardTitle>
-              <CardDescription>Policy ID: {token.policy_id}</CardDescription>
+              <CardDescription className="space-y-1">
+                <span className="block break-all">Policy ID: {token.policy_id}</span>
+                <span className="block break-all">Asset Name: {token.asset_name}</span>
+                <span className="block break-all">Fingerprint: {token.fingerprint}</span>
+              </CardDescription>
             </div>
             <Badge variant="secondary" className="text-lg px-3 py-1">
               {token.symbol}
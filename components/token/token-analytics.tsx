@@ -0,0 +1,194 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { AlertTriangle, BarChart3 } from "lucide-react"
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts"
+
+interface SeriesPoint {
+  bucket: string
+  minted: number
+  burned: number
+  net_supply: number
+  transaction_count: number
+  fees_ada: number
+}
+
+interface Analytics {
+  granularity: string
+  totals: {
+    minted: number
+    burned: number
+    transaction_count: number
+    fees_ada: number
+  }
+  series: SeriesPoint[]
+}
+
+interface TokenAnalyticsProps {
+  token: {
+    id: string
+    symbol: string
+    decimals: number
+  }
+}
+
+const GRANULARITY_LABELS: Record<string, string> = {
+  hour: "48 Hours",
+  day: "30 Days",
+  week: "26 Weeks",
+}
+
+const tooltipStyle = {
+  backgroundColor: "var(--card)",
+  border: "1px solid var(--border)",
+  borderRadius: "8px",
+}
+
+export function TokenAnalytics({ token }: TokenAnalyticsProps) {
+  const [granularity, setGranularity] = useState("day")
+  const [analytics, setAnalytics] = useState<Analytics | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const load = async () => {
+      setError(null)
+      try {
+        const response = await fetch(`/api/tokens/${token.id}/analytics?granularity=${granularity}`)
+        const result = await response.json()
+        if (!response.ok) {
+          throw new Error(result.error || "Failed to load analytics")
+        }
+        if (!cancelled) setAnalytics(result)
+      } catch (error: any) {
+        if (!cancelled) setError(error.message)
+      }
+    }
+
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [token.id, granularity])
+
+  // Amounts arrive in base units
+  const toDisplay = (amount: number) => amount / 10 ** token.decimals
+
+  const formatBucket = (value: string) =>
+    granularity === "hour"
+      ? new Date(value).toLocaleTimeString("en-US", { hour: "numeric", day: "numeric", month: "short" })
+      : new Date(value).toLocaleDateString("en-US", { month: "short", day: "numeric" })
+
+  const chartData = (analytics?.series || []).map((point) => ({
+    ...point,
+    minted: toDisplay(point.minted),
+    burned: toDisplay(point.burned),
+    net_supply: toDisplay(point.net_supply),
+  }))
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center space-x-2">
+              <BarChart3 className="h-5 w-5" />
+              <span>Analytics</span>
+            </CardTitle>
+            <CardDescription>Confirmed mints, burns and fees for {token.symbol}</CardDescription>
+          </div>
+          <div className="flex space-x-1">
+            {Object.entries(GRANULARITY_LABELS).map(([value, label]) => (
+              <Button
+                key={value}
+                size="sm"
+                variant={granularity === value ? "default" : "outline"}
+                onClick={() => setGranularity(value)}
+              >
+                {label}
+              </Button>
+            ))}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {error && (
+          <Alert className="border-red-200 bg-red-50 dark:border-red-800 dark:bg-red-900/20">
+            <AlertTriangle className="h-4 w-4 text-red-600" />
+            <AlertDescription className="text-red-800 dark:text-red-200">{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {analytics && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <p className="text-gray-500">Minted</p>
+              <p className="text-lg font-semibold">{toDisplay(analytics.totals.minted).toLocaleString()}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Burned</p>
+              <p className="text-lg font-semibold">{toDisplay(analytics.totals.burned).toLocaleString()}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Transactions</p>
+              <p className="text-lg font-semibold">{analytics.totals.transaction_count.toLocaleString()}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Fees paid</p>
+              <p className="text-lg font-semibold">₳{(analytics.totals.fees_ada / 1_000_000).toLocaleString()}</p>
+            </div>
+          </div>
+        )}
+
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" className="stroke-gray-200 dark:stroke-gray-700" />
+              <XAxis dataKey="bucket" tickFormatter={formatBucket} className="text-gray-600 dark:text-gray-400" />
+              <YAxis className="text-gray-600 dark:text-gray-400" />
+              <Tooltip
+                labelFormatter={(value) => new Date(value).toLocaleString()}
+                formatter={(value: number) => [value.toLocaleString(), "Supply"]}
+                contentStyle={tooltipStyle}
+              />
+              <Line type="stepAfter" dataKey="net_supply" stroke="#3b82f6" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" className="stroke-gray-200 dark:stroke-gray-700" />
+              <XAxis dataKey="bucket" tickFormatter={formatBucket} className="text-gray-600 dark:text-gray-400" />
+              <YAxis className="text-gray-600 dark:text-gray-400" />
+              <Tooltip
+                labelFormatter={(value) => new Date(value).toLocaleString()}
+                formatter={(value: number, name: string) => [value.toLocaleString(), name]}
+                contentStyle={tooltipStyle}
+              />
+              <Legend />
+              <Bar dataKey="minted" name="Minted" fill="#22c55e" />
+              <Bar dataKey="burned" name="Burned" fill="#ef4444" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,163 @@
+"use client"
+
+import { useState } from "react"
+import { useRouter } from "next/navigation"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Badge } from "@/components/ui/badge"
+import { AlertTriangle, History } from "lucide-react"
+import { STATUS_TRANSITIONS } from "@/utils/token-lifecycle"
+
+interface StatusChange {
+  id: string
+  from_status: string | null
+  to_status: string
+  reason: string | null
+  created_at: string
+}
+
+interface TokenLifecycleProps {
+  token: {
+    id: string
+    status: string
+  }
+  history: StatusChange[]
+}
+
+const STATUS_LABELS: Record<string, string> = {
+  draft: "Draft",
+  policy_locked: "Policy Locked",
+  active: "Active",
+  frozen: "Frozen",
+  retired: "Retired",
+}
+
+const STATUS_ACTIONS: Record<string, string> = {
+  policy_locked: "Lock Policy",
+  active: "Activate",
+  frozen: "Freeze",
+  retired: "Retire",
+}
+
+export function TokenLifecycle({ token, history }: TokenLifecycleProps) {
+  const router = useRouter()
+  const [reason, setReason] = useState("")
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const transitions: string[] = STATUS_TRANSITIONS[token.status as keyof typeof STATUS_TRANSITIONS] || []
+
+  const getStatusBadge = (status: string) => {
+    switch (status) {
+      case "active":
+        return <Badge className="bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">Active</Badge>
+      case "policy_locked":
+        return <Badge className="bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">Policy Locked</Badge>
+      case "frozen":
+        return <Badge className="bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">Frozen</Badge>
+      case "retired":
+        return <Badge className="bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200">Retired</Badge>
+      default:
+        return <Badge variant="secondary">{STATUS_LABELS[status] || status}</Badge>
+    }
+  }
+
+  const handleTransition = async (status: string) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`/api/tokens/${token.id}/status`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ status, reason: reason || null }),
+      })
+
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to change token status")
+      }
+
+      setReason("")
+      router.refresh()
+    } catch (error: any) {
+      setError(error.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center space-x-2">
+              <History className="h-5 w-5" />
+              <span>Lifecycle</span>
+            </CardTitle>
+            <CardDescription>Mints need a locked or active token; retired tokens can only be burned</CardDescription>
+          </div>
+          {getStatusBadge(token.status)}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {transitions.length > 0 && (
+          <div className="space-y-2">
+            <Label htmlFor="statusReason">Reason (Optional)</Label>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Input
+                id="statusReason"
+                placeholder="Why is the status changing?"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+              />
+              {transitions.map((status) => (
+                <Button
+                  key={status}
+                  variant={status === "retired" ? "destructive" : "outline"}
+                  disabled={isLoading}
+                  onClick={() => handleTransition(status)}
+                >
+                  {STATUS_ACTIONS[status] || STATUS_LABELS[status]}
+                </Button>
+              ))}
+            </div>
+            {transitions.includes("retired") && (
+              <p className="text-xs text-gray-500">Retiring a token is permanent.</p>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <Alert className="border-red-200 bg-red-50 dark:border-red-800 dark:bg-red-900/20">
+            <AlertTriangle className="h-4 w-4 text-red-600" />
+            <AlertDescription className="text-red-800 dark:text-red-200">{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="space-y-3">
+          {history.length === 0 ? (
+            <p className="text-sm text-gray-500">No status changes recorded</p>
+          ) : (
+            history.map((change) => (
+              <div key={change.id} className="flex items-start justify-between border-b pb-2 last:border-0">
+                <div>
+                  <p className="text-sm font-medium text-gray-900 dark:text-white">
+                    {change.from_status ? `${STATUS_LABELS[change.from_status] || change.from_status} → ` : ""}
+                    {STATUS_LABELS[change.to_status] || change.to_status}
+                  </p>
+                  {change.reason && <p className="text-xs text-gray-500">{change.reason}</p>}
+                </div>
+                <span className="text-xs text-gray-500">{new Date(change.created_at).toLocaleString()}</span>
+              </div>
+            ))
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
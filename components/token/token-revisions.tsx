@@ -0,0 +1,139 @@
+"use client"
+
+import { useState } from "react"
+import { useRouter } from "next/navigation"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Badge } from "@/components/ui/badge"
+import { AlertTriangle, GitCommit, RotateCcw } from "lucide-react"
+import { diffRevision } from "@/utils/token-revisions"
+
+interface Revision {
+  id: string
+  revision_number: number
+  changes: Record<string, { before: unknown; after: unknown }>
+  reason: string | null
+  changed_by: string | null
+  created_at: string
+}
+
+interface TokenRevisionsProps {
+  token: {
+    id: string
+    status: string
+  }
+  revisions: Revision[]
+  userId: string
+}
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === "") return "(empty)"
+  return typeof value === "string" ? value : JSON.stringify(value)
+}
+
+export function TokenRevisions({ token, revisions, userId }: TokenRevisionsProps) {
+  const router = useRouter()
+  const [rollingBack, setRollingBack] = useState<number | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  const latestRevision = revisions[0]?.revision_number
+
+  const handleRollback = async (revisionNumber: number) => {
+    if (!confirm(`Restore this token's metadata to revision ${revisionNumber}?`)) return
+
+    setRollingBack(revisionNumber)
+    setError(null)
+
+    try {
+      const response = await fetch(`/api/tokens/${token.id}/revisions/${revisionNumber}/rollback`, {
+        method: "POST",
+      })
+
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to roll back token")
+      }
+
+      router.refresh()
+    } catch (error: any) {
+      setError(error.message)
+    } finally {
+      setRollingBack(null)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <GitCommit className="h-5 w-5" />
+          <span>Revision History</span>
+        </CardTitle>
+        <CardDescription>Every change to the token&apos;s description, image and metadata</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert className="border-red-200 bg-red-50 dark:border-red-800 dark:bg-red-900/20">
+            <AlertTriangle className="h-4 w-4 text-red-600" />
+            <AlertDescription className="text-red-800 dark:text-red-200">{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {revisions.length === 0 ? (
+          <p className="text-sm text-gray-500">No revisions recorded</p>
+        ) : (
+          <ol className="relative border-l border-gray-200 dark:border-gray-700 ml-2 space-y-6">
+            {revisions.map((revision) => (
+              <li key={revision.id} className="ml-4">
+                <div className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-gray-300 dark:border-gray-900 dark:bg-gray-600" />
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                      Revision {revision.revision_number}
+                      {revision.revision_number === latestRevision && (
+                        <Badge variant="secondary" className="ml-2">
+                          Current
+                        </Badge>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(revision.created_at).toLocaleString()}
+                      {revision.changed_by && ` · ${revision.changed_by === userId ? "You" : "Another user"}`}
+                      {revision.reason && ` · ${revision.reason}`}
+                    </p>
+                  </div>
+                  {revision.revision_number !== latestRevision && token.status !== "retired" && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={rollingBack !== null}
+                      onClick={() => handleRollback(revision.revision_number)}
+                    >
+                      <RotateCcw className="h-3 w-3 mr-1" />
+                      {rollingBack === revision.revision_number ? "Restoring..." : "Restore"}
+                    </Button>
+                  )}
+                </div>
+
+                <div className="mt-2 space-y-2">
+                  {diffRevision(revision).map((entry) => (
+                    <div key={entry.field} className="text-xs font-mono">
+                      <div className="text-gray-600 dark:text-gray-400">{entry.field}</div>
+                      <div className="break-all rounded bg-red-50 px-2 py-1 text-red-800 dark:bg-red-900/20 dark:text-red-200">
+                        - {formatValue(entry.before)}
+                      </div>
+                      <div className="break-all rounded bg-green-50 px-2 py-1 text-green-800 dark:bg-green-900/20 dark:text-green-200">
+                        + {formatValue(entry.after)}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
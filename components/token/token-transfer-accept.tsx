@@ -0,0 +1,112 @@
+"use client"
+
+import { useState } from "react"
+import { useRouter } from "next/navigation"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Badge } from "@/components/ui/badge"
+import { AlertTriangle, ArrowRightLeft } from "lucide-react"
+
+interface TokenTransferAcceptProps {
+  transfer: {
+    id: string
+    from_email: string
+    to_email: string
+    message: string | null
+    status: string
+    expires_at: string
+  }
+  token: {
+    id: string
+    token_name: string
+    symbol: string
+    policy_id: string
+    total_supply: number
+  } | null
+  secret: string | null
+}
+
+export function TokenTransferAccept({ transfer, token, secret }: TokenTransferAcceptProps) {
+  const router = useRouter()
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const isExpired = new Date(transfer.expires_at).getTime() <= Date.now()
+  const canAccept = transfer.status === "pending" && !isExpired && Boolean(secret)
+
+  const handleAccept = async () => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`/api/tokens/transfers/${transfer.id}/accept`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ secret }),
+      })
+
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || "Failed to accept transfer")
+      }
+
+      router.push(`/dashboard/tokens/${result.transfer.token_id}`)
+    } catch (error: any) {
+      setError(error.message)
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <ArrowRightLeft className="h-5 w-5" />
+          <span>{token ? `${token.token_name} (${token.symbol})` : "Token Transfer"}</span>
+        </CardTitle>
+        <CardDescription>{transfer.from_email} wants to transfer ownership of this token to you</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert className="border-red-200 bg-red-50 dark:border-red-800 dark:bg-red-900/20">
+            <AlertTriangle className="h-4 w-4 text-red-600" />
+            <AlertDescription className="text-red-800 dark:text-red-200">{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {transfer.message && (
+          <blockquote className="border-l-2 border-gray-200 pl-3 text-sm italic text-gray-600 dark:border-gray-700 dark:text-gray-400">
+            {transfer.message}
+          </blockquote>
+        )}
+
+        {token && (
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <span className="text-gray-500">Policy ID</span>
+            <span className="font-mono break-all">{token.policy_id}</span>
+            <span className="text-gray-500">Total supply</span>
+            <span>{token.total_supply.toLocaleString()}</span>
+          </div>
+        )}
+
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Accepting makes you the owner of the token, its transaction history, vesting schedules, and the security
+          policies and multi-sig wallets scoped to it.
+        </p>
+
+        {transfer.status !== "pending" ? (
+          <Badge variant="secondary">Transfer {transfer.status}</Badge>
+        ) : isExpired ? (
+          <Badge variant="secondary">Expired {new Date(transfer.expires_at).toLocaleString()}</Badge>
+        ) : !secret ? (
+          <p className="text-sm text-gray-500">Open the link from your email to accept this transfer.</p>
+        ) : null}
+
+        <Button onClick={handleAccept} disabled={!canAccept || isLoading} className="w-full">
+          {isLoading ? "Accepting..." : "Accept Transfer"}
+        </Button>
+      </CardContent>
+    </Card>
+  )
+}
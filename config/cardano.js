@@ -0,0 +1,49 @@
+// Cardano network configuration
+//
+// Slot numbers are derived from wall-clock time using each network's Shelley
+// era start: slot = shelleySlot + (unixSeconds - shelleyTime)
+const networks = {
+  mainnet: {
+    networkId: 1,
+    shelleyTime: 1596059091,
+    shelleySlot: 4492800,
+  },
+  preprod: {
+    networkId: 0,
+    shelleyTime: 1655769600,
+    shelleySlot: 86400,
+  },
+  preview: {
+    networkId: 0,
+    shelleyTime: 1666656000,
+    shelleySlot: 0,
+  },
+}
+
+const networkName = process.env.CARDANO_NETWORK || "preprod"
+
+if (!networks[networkName]) {
+  throw new Error(`Unsupported CARDANO_NETWORK: ${networkName}`)
+}
+
+const network = {
+  name: networkName,
+  ...networks[networkName],
+}
+
+// Convert a Date (or anything Date accepts) to an absolute slot number
+const dateToSlot = (date) => {
+  const unixSeconds = Math.floor(new Date(date).getTime() / 1000)
+  return network.shelleySlot + (unixSeconds - network.shelleyTime)
+}
+
+// Convert an absolute slot number back to a Date
+const slotToDate = (slot) => {
+  return new Date((network.shelleyTime + (slot - network.shelleySlot)) * 1000)
+}
+
+module.exports = {
+  network,
+  dateToSlot,
+  slotToDate,
+}
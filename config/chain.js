@@ -0,0 +1,54 @@
+const { network } = require("./cardano")
+
+// Chain provider configuration
+//
+// CHAIN_PROVIDER selects where UTxOs, protocol parameters, the chain tip and
+// transaction status come from, and where signed transactions are submitted:
+//
+// - blockfrost (default): a Blockfrost-compatible HTTP API at BLOCKFROST_URL
+// - ogmios:               an Ogmios WebSocket at OGMIOS_URL, with the Kupo
+//                         indexer at KUPO_URL for transaction lookups
+// - mock:                 a deterministic in-memory ledger for local development
+//                         and tests; MOCK_LEDGER_FUNDED_ADDRESSES (comma separated)
+//                         start with 10,000 ADA each
+const providers = ["blockfrost", "ogmios", "mock"]
+
+const blockfrostUrls = {
+  mainnet: "https://cardano-mainnet.blockfrost.io/api/v0",
+  preprod: "https://cardano-preprod.blockfrost.io/api/v0",
+  preview: "https://cardano-preview.blockfrost.io/api/v0",
+}
+
+const providerName = process.env.CHAIN_PROVIDER || "blockfrost"
+
+if (!providers.includes(providerName)) {
+  throw new Error(`Unsupported CHAIN_PROVIDER: ${providerName}`)
+}
+
+const chain = {
+  provider: providerName,
+  blockfrost: {
+    url: process.env.BLOCKFROST_URL || blockfrostUrls[network.name],
+    projectId: process.env.BLOCKFROST_PROJECT_ID,
+  },
+  ogmios: {
+    url: process.env.OGMIOS_URL || "ws://127.0.0.1:1337",
+  },
+  kupo: {
+    url: process.env.KUPO_URL || null,
+  },
+  mock: {
+    fundedAddresses: (process.env.MOCK_LEDGER_FUNDED_ADDRESSES || "")
+      .split(",")
+      .map((address) => address.trim())
+      .filter(Boolean),
+  },
+  // Treasury address that pays for sponsored (gasless) transactions, and the
+  // ed25519 signing key of its payment credential (hex, or a .skey cborHex)
+  sponsorAddress: process.env.GASLESS_SPONSOR_ADDRESS || null,
+  sponsorSigningKey: process.env.GASLESS_SPONSOR_SIGNING_KEY || null,
+}
+
+module.exports = {
+  chain,
+}
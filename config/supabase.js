@@ -0,0 +1,19 @@
+const { createClient } = require("@supabase/supabase-js")
+
+// Service-role client for background jobs that act outside a user request.
+// It bypasses row level security, so never hand it to request handlers.
+
+if (!process.env.NEXT_PUBLIC_SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  throw new Error("NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set")
+}
+
+const supabaseAdmin = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+  auth: {
+    persistSession: false,
+    autoRefreshToken: false,
+  },
+})
+
+module.exports = {
+  supabaseAdmin,
+}
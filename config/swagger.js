@@ -37,6 +37,75 @@ const options = {
           description: "Enter your Supabase access token",
         },
       },
+      parameters: {
+        IdempotencyKey: {
+          in: "header",
+          name: "Idempotency-Key",
+          required: false,
+          schema: {
+            type: "string",
+            maxLength: 255,
+          },
+          description:
+            "Unique key for this request. Retries with the same key and body get the original response (with Idempotent-Replayed: true) instead of running again.",
+        },
+        ListLimit: {
+          in: "query",
+          name: "limit",
+          schema: {
+            type: "integer",
+            minimum: 1,
+            maximum: 100,
+            default: 20,
+          },
+        },
+        ListCursor: {
+          in: "query",
+          name: "cursor",
+          schema: {
+            type: "string",
+          },
+          description:
+            "pagination.nextCursor from the previous page. Keep the same sort, order and filters while following cursors.",
+        },
+        ListOffset: {
+          in: "query",
+          name: "offset",
+          deprecated: true,
+          schema: {
+            type: "integer",
+            minimum: 0,
+          },
+          description: "Offset paging with an exact total; slower than cursors on large lists",
+        },
+        ListOrder: {
+          in: "query",
+          name: "order",
+          schema: {
+            type: "string",
+            enum: ["asc", "desc"],
+            default: "desc",
+          },
+        },
+        ListFrom: {
+          in: "query",
+          name: "from",
+          schema: {
+            type: "string",
+            format: "date-time",
+          },
+          description: "Only items created at or after this time",
+        },
+        ListTo: {
+          in: "query",
+          name: "to",
+          schema: {
+            type: "string",
+            format: "date-time",
+          },
+          description: "Only items created before this time",
+        },
+      },
       schemas: {
         Error: {
           type: "object",
@@ -117,6 +186,14 @@ const options = {
             asset_name: {
               type: "string",
             },
+            asset_name_hex: {
+              type: "string",
+              description: "On-chain asset name bytes (hex)",
+            },
+            fingerprint: {
+              type: "string",
+              description: "CIP-14 asset fingerprint (asset1...)",
+            },
             symbol: {
               type: "string",
             },
@@ -131,6 +208,60 @@ const options = {
             },
             image_url: {
               type: "string",
+              description: "http(s) URL or ipfs:// URI of the token image",
+            },
+            image_media_type: {
+              type: "string",
+              description: "MIME type of the image, used as the CIP-25 mediaType",
+            },
+            minting_policy: {
+              type: "string",
+              enum: ["unlimited", "limited", "time-locked", "custom"],
+            },
+            policy_script: {
+              type: "object",
+              description: "Native script JSON whose hash is the policy ID",
+            },
+            policy_lock_slot: {
+              type: "integer",
+              description: "Slot after which the policy no longer allows minting",
+            },
+            policy_lock_time: {
+              type: "string",
+              format: "date-time",
+              description: "Time of policy_lock_slot on the token's network",
+            },
+            max_supply: {
+              type: "integer",
+            },
+            status: {
+              type: "string",
+              enum: ["draft", "policy_locked", "active", "frozen", "retired"],
+              description: "Lifecycle status; mints need policy_locked or active, burns need active or retired",
+            },
+            is_verified: {
+              type: "boolean",
+              description: "Verified by an admin; shown in the public catalog",
+            },
+            verified_at: {
+              type: "string",
+              format: "date-time",
+            },
+            metadata: {
+              type: "object",
+              description: "Extra CIP-25 properties merged into on-chain metadata",
+            },
+            token_standard: {
+              type: "string",
+              enum: ["cip25", "cip68"],
+            },
+            cip68_label: {
+              type: "integer",
+              enum: [222, 333, 444],
+            },
+            reference_asset_name: {
+              type: "string",
+              description: "CIP-68 (100) reference token asset name (hex)",
             },
             creator_id: {
               type: "string",
@@ -166,7 +297,7 @@ const options = {
             },
             transaction_type: {
               type: "string",
-              enum: ["mint", "burn", "transfer"],
+              enum: ["mint", "burn", "transfer", "reference_update", "vesting_release"],
             },
             amount: {
               type: "integer",
@@ -176,11 +307,21 @@ const options = {
             },
             status: {
               type: "string",
-              enum: ["pending", "confirmed", "failed"],
+              enum: ["pending", "built", "signed", "submitted", "confirmed", "failed", "expired"],
             },
             metadata: {
               type: "object",
             },
+            batch_job_id: {
+              type: "string",
+              format: "uuid",
+              description: "Batch mint job this transaction belongs to",
+            },
+            vesting_schedule_id: {
+              type: "string",
+              format: "uuid",
+              description: "Vesting schedule a vesting_release transaction pays out",
+            },
             created_at: {
               type: "string",
               format: "date-time",
@@ -275,10 +416,18 @@ const options = {
         name: "Tokens",
         description: "Cardano native token creation and management",
       },
+      {
+        name: "Organizations",
+        description: "Shared token management with member roles",
+      },
       {
         name: "Transactions",
         description: "Token minting, burning, and transfer operations",
       },
+      {
+        name: "Public",
+        description: "Unauthenticated token catalog",
+      },
       {
         name: "Exchange Rates",
         description: "Real-time token price and market data",
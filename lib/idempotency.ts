@@ -0,0 +1,65 @@
+import { beginIdempotentRequest, finishIdempotentRequest } from "@/utils/idempotency"
+import { NextResponse } from "next/server"
+
+/**
+ * Run a route handler at most once per Idempotency-Key header, as
+ * middleware/idempotency.js does for the Express API: retries with the same
+ * key and body get the first response back with Idempotent-Replayed: true.
+ * Requests without the header just run the handler.
+ */
+export async function withIdempotency(
+  request: Request,
+  supabase: any,
+  user: { id: string; email?: string },
+  body: unknown,
+  handler: () => Promise<NextResponse>,
+) {
+  const key = request.headers.get("Idempotency-Key")
+  if (key === null) {
+    return handler()
+  }
+
+  let claimId: string
+  try {
+    const begun = await beginIdempotentRequest(supabase, user, {
+      key,
+      method: request.method,
+      path: new URL(request.url).pathname,
+      body,
+    })
+
+    if (begun.error) {
+      return NextResponse.json({ error: begun.error.message }, { status: begun.error.status })
+    }
+
+    if (begun.replay) {
+      return NextResponse.json(begun.replay.body, {
+        status: begun.replay.status,
+        headers: { "Idempotent-Replayed": "true" },
+      })
+    }
+
+    claimId = begun.claimId
+  } catch (error) {
+    console.error("Idempotency key error:", error)
+    return NextResponse.json({ error: "Unable to process idempotency key" }, { status: 500 })
+  }
+
+  let response: NextResponse
+  try {
+    response = await handler()
+  } catch (error) {
+    await finishIdempotentRequest(supabase, claimId, 500, undefined).catch(() => {})
+    throw error
+  }
+
+  const responseBody = await response
+    .clone()
+    .json()
+    .catch(() => undefined)
+  await finishIdempotentRequest(supabase, claimId, response.status, responseBody).catch((error: unknown) => {
+    console.error("Idempotency key completion error:", error)
+  })
+
+  return response
+}
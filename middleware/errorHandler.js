@@ -52,6 +52,12 @@ const errorHandler = (err, req, res, next) => {
     }
   }
 
+  // Request bodies over a body parser's limit
+  if (err.type === "entity.too.large") {
+    error.status = 413
+    error.message = "Request body too large"
+  }
+
   // Stripe errors
   if (err.type && err.type.startsWith("Stripe")) {
     error.status = 400
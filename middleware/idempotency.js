@@ -0,0 +1,68 @@
+const logger = require("../utils/logger")
+const { beginIdempotentRequest, finishIdempotentRequest } = require("../utils/idempotency")
+
+const requestPath = (req) => `${req.baseUrl}${req.path}`
+
+/**
+ * Replay the stored response when a request is retried with the same
+ * Idempotency-Key header (see utils/idempotency.js for how keys are claimed,
+ * reused and released). Requests without the header are not affected. Mount
+ * it before the route's validators so the fingerprint covers the body as sent.
+ */
+const idempotency = (options = {}) => {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key")
+    if (key === undefined || !req.user) {
+      return next()
+    }
+
+    let claimId
+    try {
+      const begun = await beginIdempotentRequest(
+        req.userSupabase,
+        req.user,
+        { key, method: req.method, path: requestPath(req), body: req.body },
+        options,
+      )
+
+      if (begun.error) {
+        return res.status(begun.error.status).json({
+          error: begun.error.error,
+          message: begun.error.message,
+        })
+      }
+
+      if (begun.replay) {
+        res.set("Idempotent-Replayed", "true")
+        return res.status(begun.replay.status).json(begun.replay.body)
+      }
+
+      claimId = begun.claimId
+    } catch (error) {
+      logger.error("Idempotency key error:", error)
+      return res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to process idempotency key",
+      })
+    }
+
+    let responseBody
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      responseBody = body
+      return json(body)
+    }
+
+    res.on("close", () => {
+      finishIdempotentRequest(req.userSupabase, claimId, res.statusCode, responseBody).catch((error) => {
+        logger.error("Idempotency key completion error:", error)
+      })
+    })
+
+    next()
+  }
+}
+
+module.exports = {
+  idempotency,
+}
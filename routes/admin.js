@@ -2,9 +2,30 @@ const express = require("express")
 const { body, param, query, validationResult } = require("express-validator")
 const { requireAdmin } = require("../middleware/auth")
 const logger = require("../utils/logger")
+const { diffRevision, stateAt } = require("../utils/token-revisions")
+const {
+  ListQueryError,
+  defineList,
+  listValidators,
+  parseListQuery,
+  listSelectOptions,
+  applyListQuery,
+  listPage,
+} = require("../utils/list-query")
 
 const router = express.Router()
 
+const USER_LIST = defineList({
+  defaultLimit: 50,
+  sortFields: ["created_at", "email"],
+})
+
+const TOKEN_LIST = defineList({
+  defaultLimit: 50,
+  sortFields: ["created_at", "token_name", "symbol"],
+  rangeFilters: { supply: "total_supply" },
+})
+
 // Apply admin authentication to all routes
 router.use(requireAdmin)
 
@@ -87,12 +108,20 @@ router.get("/stats", async (req, res) => {
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 100
  *           default: 50
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListOffset'
  *       - in: query
- *         name: offset
+ *         name: sort
  *         schema:
- *           type: integer
- *           default: 0
+ *           type: string
+ *           enum: [created_at, email]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/ListOrder'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
  *       - in: query
  *         name: search
  *         schema:
@@ -100,12 +129,13 @@ router.get("/stats", async (req, res) => {
  *     responses:
  *       200:
  *         description: Users retrieved successfully
+ *       400:
+ *         description: Invalid filters or cursor
  */
 router.get(
   "/users",
   [
-    query("limit").optional().isInt({ min: 1, max: 100 }),
-    query("offset").optional().isInt({ min: 0 }),
+    ...listValidators(USER_LIST),
     query("search").optional().isLength({ min: 1 }),
   ],
   async (req, res) => {
@@ -118,8 +148,19 @@ router.get(
         })
       }
 
-      const limit = Number.parseInt(req.query.limit) || 50
-      const offset = Number.parseInt(req.query.offset) || 0
+      let page
+      try {
+        page = parseListQuery(USER_LIST, req.query)
+      } catch (queryError) {
+        if (queryError instanceof ListQueryError) {
+          return res.status(400).json({
+            error: "Invalid list query",
+            message: queryError.message,
+          })
+        }
+        throw queryError
+      }
+
       const { search } = req.query
 
       let query = req.userSupabase.from("profiles").select(
@@ -130,18 +171,14 @@ router.get(
             subscription_plans (name)
           )
         `,
-        { count: "exact" },
+        listSelectOptions(page),
       )
 
       if (search) {
         query = query.or(`email.ilike.%${search}%,full_name.ilike.%${search}%`)
       }
 
-      const {
-        data: users,
-        error,
-        count,
-      } = await query.order("created_at", { ascending: false }).range(offset, offset + limit - 1)
+      const { data, error, count } = await applyListQuery(query, page)
 
       if (error) {
         return res.status(400).json({
@@ -150,14 +187,11 @@ router.get(
         })
       }
 
+      const { items: users, pagination } = listPage(page, data, count)
+
       res.json({
-        users: users || [],
-        pagination: {
-          total: count,
-          limit,
-          offset,
-          hasMore: count > offset + limit,
-        },
+        users,
+        pagination,
       })
     } catch (error) {
       logger.error("Get admin users error:", error)
@@ -280,12 +314,28 @@ router.post(
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 100
  *           default: 50
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListOffset'
  *       - in: query
- *         name: offset
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, token_name, symbol]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/ListOrder'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: min_supply
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: max_supply
  *         schema:
  *           type: integer
- *           default: 0
  *       - in: query
  *         name: search
  *         schema:
@@ -293,12 +343,13 @@ router.post(
  *     responses:
  *       200:
  *         description: Tokens retrieved successfully
+ *       400:
+ *         description: Invalid filters or cursor
  */
 router.get(
   "/tokens",
   [
-    query("limit").optional().isInt({ min: 1, max: 100 }),
-    query("offset").optional().isInt({ min: 0 }),
+    ...listValidators(TOKEN_LIST),
     query("search").optional().isLength({ min: 1 }),
   ],
   async (req, res) => {
@@ -311,8 +362,19 @@ router.get(
         })
       }
 
-      const limit = Number.parseInt(req.query.limit) || 50
-      const offset = Number.parseInt(req.query.offset) || 0
+      let page
+      try {
+        page = parseListQuery(TOKEN_LIST, req.query)
+      } catch (queryError) {
+        if (queryError instanceof ListQueryError) {
+          return res.status(400).json({
+            error: "Invalid list query",
+            message: queryError.message,
+          })
+        }
+        throw queryError
+      }
+
       const { search } = req.query
 
       let query = req.userSupabase.from("tokens").select(
@@ -320,18 +382,14 @@ router.get(
           *,
           profiles (email, full_name)
         `,
-        { count: "exact" },
+        listSelectOptions(page),
       )
 
       if (search) {
         query = query.or(`token_name.ilike.%${search}%,symbol.ilike.%${search}%`)
       }
 
-      const {
-        data: tokens,
-        error,
-        count,
-      } = await query.order("created_at", { ascending: false }).range(offset, offset + limit - 1)
+      const { data, error, count } = await applyListQuery(query, page)
 
       if (error) {
         return res.status(400).json({
@@ -340,14 +398,11 @@ router.get(
         })
       }
 
+      const { items: tokens, pagination } = listPage(page, data, count)
+
       res.json({
-        tokens: tokens || [],
-        pagination: {
-          total: count,
-          limit,
-          offset,
-          hasMore: count > offset + limit,
-        },
+        tokens,
+        pagination,
       })
     } catch (error) {
       logger.error("Get admin tokens error:", error)
@@ -359,6 +414,190 @@ router.get(
   },
 )
 
+/**
+ * @swagger
+ * /api/admin/tokens/{id}/revisions:
+ *   get:
+ *     summary: Get a token's metadata revision history (Admin only)
+ *     description: Pass `at` (e.g. a report's created_at) to also get the token's metadata as it was at that time.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ */
+router.get(
+  "/tokens/:id/revisions",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    query("at").optional().isISO8601().withMessage("at must be an ISO 8601 date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { id } = req.params
+
+      const [{ data: token, error: tokenError }, { data: revisions, error }] = await Promise.all([
+        req.userSupabase.from("tokens").select("*").eq("id", id).single(),
+        req.userSupabase
+          .from("token_revisions")
+          .select("*, profiles!changed_by (email, full_name)")
+          .eq("token_id", id)
+          .order("revision_number", { ascending: false }),
+      ])
+
+      if (tokenError || !token) {
+        return res.status(404).json({
+          error: "Token not found",
+          message: "Token does not exist",
+        })
+      }
+
+      if (error) {
+        return res.status(400).json({
+          error: "Failed to retrieve revisions",
+          message: error.message,
+        })
+      }
+
+      res.json({
+        revisions: (revisions || []).map((revision) => ({ ...revision, diff: diffRevision(revision) })),
+        ...(req.query.at && { state_at: { at: req.query.at, ...stateAt(token, revisions || [], req.query.at) } }),
+      })
+    } catch (error) {
+      logger.error("Get admin token revisions error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retrieve token revisions",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/admin/tokens/{id}/verify:
+ *   post:
+ *     summary: Mark a token as verified in the public catalog (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - verified
+ *             properties:
+ *               verified:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Token verification updated
+ *       403:
+ *         description: Not an active admin
+ *       404:
+ *         description: Token not found
+ */
+router.post(
+  "/tokens/:id/verify",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    body("verified").isBoolean().withMessage("Verified must be a boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { id } = req.params
+      const { verified } = req.body
+
+      // Only the verification flag changes; verified_at is set by the database
+      const { data: token, error: updateError } = await req.userSupabase
+        .rpc("set_token_verification", { p_token_id: id, p_verified: verified })
+        .single()
+
+      if (updateError) {
+        if (updateError.code === "42501") {
+          return res.status(403).json({
+            error: "Access denied",
+            message: updateError.message,
+          })
+        }
+        if (updateError.code === "P0002") {
+          return res.status(404).json({
+            error: "Token not found",
+            message: "Token does not exist",
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to update token verification",
+          message: updateError.message,
+        })
+      }
+
+      // Log admin action
+      await req.userSupabase.from("audit_logs").insert({
+        user_id: req.user.id,
+        action: verified ? "VERIFY_TOKEN" : "UNVERIFY_TOKEN",
+        resource_type: "token",
+        resource_id: id,
+        ip_address: req.ip,
+        user_agent: req.get("User-Agent"),
+        metadata: { verified },
+      })
+
+      logger.info(`Token ${verified ? "verified" : "unverified"}: ${token.token_name} by admin ${req.user.email}`)
+
+      res.json({
+        message: verified ? "Token verified" : "Token verification removed",
+        token,
+      })
+    } catch (error) {
+      logger.error("Verify token error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to update token verification",
+      })
+    }
+  },
+)
+
 /**
  * @swagger
  * /api/admin/reports:
@@ -1,6 +1,21 @@
 const express = require("express")
-const { body, param, validationResult } = require("express-validator")
+const { body, param, query, validationResult } = require("express-validator")
 const logger = require("../utils/logger")
+const { checkOrganizationRole, findTokenForRole } = require("../utils/organizations")
+const { validateAddress } = require("../utils/address")
+const { validatorFor } = require("../utils/cardano-validation")
+const { ChainProviderError, getChainProvider } = require("../utils/chain-provider")
+const { SponsorFundsError, TransactionBuildError } = require("../utils/tx-builder")
+const {
+  SPONSORSHIP_MINUTES,
+  sponsorUnavailable,
+  findActiveSponsorship,
+  checkSponsorPolicies,
+  buildSponsoredTransaction,
+} = require("../utils/gasless")
+const { BUILDABLE_STATUSES, STATUS_TRANSITIONS } = require("../utils/transaction-status")
+const { chain } = require("../config/chain")
+const { idempotency } = require("../middleware/idempotency")
 
 const router = express.Router()
 
@@ -9,9 +24,18 @@ const router = express.Router()
  * /api/gasless/sponsor:
  *   post:
  *     summary: Sponsor a gasless transaction
+ *     description: |
+ *       The fee is paid from the treasury at GASLESS_SPONSOR_ADDRESS. The transaction is built here
+ *       with a treasury UTxO paying the fee and the treasury's change output, signed with the treasury
+ *       key and recorded like POST /api/transactions/{id}/build, so the wallet only funds the outputs
+ *       and its change. Sign the returned CBOR with the wallet and send the witness set to
+ *       POST /api/transactions/{id}/submit. Rebuilding within the sponsorship's 30 minutes keeps it
+ *       sponsored. The transaction must be pending, built or signed.
  *     tags: [Gasless Transactions]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -20,22 +44,48 @@ const router = express.Router()
  *             type: object
  *             required:
  *               - transaction_id
- *               - estimated_fee
+ *               - change_address
  *             properties:
  *               transaction_id:
  *                 type: string
  *                 format: uuid
+ *               change_address:
+ *                 type: string
+ *                 description: Wallet address that funds the outputs (not the fee) and receives the change
+ *               addresses:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 description: Other wallet addresses whose UTxOs may be spent
  *               estimated_fee:
  *                 type: integer
+ *                 deprecated: true
+ *                 description: Ignored; the fee is calculated by the server
  *     responses:
  *       200:
- *         description: Transaction sponsored successfully
+ *         description: Transaction sponsored and built; sign the returned CBOR with the wallet
+ *       400:
+ *         description: The wallet cannot fund the outputs, or the fee is above your amount limit
+ *       409:
+ *         description: >
+ *           The transaction's status does not allow a build, it is already sponsored, or a request
+ *           with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: The Idempotency-Key was already used for a different request
+ *       502:
+ *         description: The chain provider could not be reached
+ *       503:
+ *         description: Sponsoring is not configured (treasury address and signing key) or the treasury cannot cover the fee
  */
 router.post(
   "/sponsor",
+  idempotency(),
   [
     body("transaction_id").isUUID().withMessage("Invalid transaction ID"),
-    body("estimated_fee").isInt({ min: 1 }).withMessage("Estimated fee must be a positive integer"),
+    body("change_address").custom(validatorFor(validateAddress)),
+    body("addresses").optional().isArray({ max: 20 }).withMessage("addresses must be an array of at most 20"),
+    body("addresses.*").custom(validatorFor(validateAddress)),
   ],
   async (req, res) => {
     try {
@@ -47,7 +97,7 @@ router.post(
         })
       }
 
-      const { transaction_id, estimated_fee } = req.body
+      const { transaction_id, change_address, addresses = [] } = req.body
 
       // Validate transaction exists and belongs to user
       const { data: transaction, error: txError } = await req.userSupabase
@@ -64,42 +114,86 @@ router.post(
         })
       }
 
-      // Check security policies
-      const { data: policies } = await req.userSupabase
-        .from("security_policies")
-        .select("*")
-        .eq("user_id", req.user.id)
-        .eq("is_active", true)
-
-      // Validate against rate limits and amount limits
-      for (const policy of policies || []) {
-        if (policy.policy_type === "rate_limit") {
-          const config = policy.policy_config
-          const hoursAgo = new Date(Date.now() - config.hours * 60 * 60 * 1000).toISOString()
-
-          const { data: recentTxs } = await req.userSupabase
-            .from("gasless_transactions")
-            .select("id")
-            .eq("user_id", req.user.id)
-            .gte("created_at", hoursAgo)
-
-          if ((recentTxs?.length || 0) >= config.max_transactions) {
-            return res.status(429).json({
-              error: "Rate limit exceeded",
-              message: `Maximum ${config.max_transactions} gasless transactions per ${config.hours} hours`,
-            })
-          }
-        }
+      if (!BUILDABLE_STATUSES.includes(transaction.status)) {
+        return res.status(409).json({
+          error: "Invalid status transition",
+          message: `A ${transaction.status} transaction cannot be built again, so its fee cannot be sponsored`,
+          allowed_statuses: STATUS_TRANSITIONS[transaction.status],
+        })
+      }
 
-        if (policy.policy_type === "amount_limit") {
-          const config = policy.policy_config
-          if (estimated_fee > config.max_amount) {
-            return res.status(400).json({
-              error: "Amount limit exceeded",
-              message: `Maximum fee limit is ${config.max_amount} lovelace`,
-            })
-          }
+      const { data: token, error: accessError } = await findTokenForRole(
+        req.userSupabase,
+        req.user.id,
+        transaction.token_id,
+        "minter",
+        "id, policy_id, asset_name, asset_name_hex, policy_script, total_supply",
+      )
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const unavailable = sponsorUnavailable()
+      if (unavailable) {
+        return res.status(503).json({
+          error: "Sponsoring unavailable",
+          message: unavailable,
+        })
+      }
+
+      if (await findActiveSponsorship(req.userSupabase, transaction.id)) {
+        return res.status(409).json({
+          error: "Already sponsored",
+          message: "The transaction is already sponsored; rebuild it with /api/transactions/:id/build",
+        })
+      }
+
+      // The fee comes from building the transaction with the treasury paying
+      // it, not from the client
+      let built
+      try {
+        built = await buildSponsoredTransaction(getChainProvider(), {
+          transaction,
+          token,
+          changeAddress: change_address,
+          addresses,
+        })
+      } catch (buildError) {
+        if (buildError instanceof SponsorFundsError) {
+          logger.warn(`Sponsor treasury ${chain.sponsorAddress} cannot cover a fee: ${buildError.message}`)
+          return res.status(503).json({
+            error: "Sponsoring unavailable",
+            message: "The sponsor treasury cannot cover this fee right now",
+          })
         }
+        if (buildError instanceof TransactionBuildError) {
+          return res.status(400).json({
+            error: "Unable to build transaction",
+            message: buildError.message,
+          })
+        }
+        if (buildError instanceof ChainProviderError) {
+          return res.status(buildError.status).json({
+            error: "Chain provider unavailable",
+            message: buildError.message,
+          })
+        }
+        throw buildError
+      }
+
+      const { fee } = built
+
+      // The user's and the organization's rate and amount limits
+      const limitError = await checkSponsorPolicies(req.userSupabase, req.user.id, token, fee)
+      if (limitError) {
+        return res.status(limitError.status).json({
+          error: limitError.error,
+          message: limitError.message,
+        })
       }
 
       // Generate nonce
@@ -123,11 +217,11 @@ router.post(
         .insert({
           user_id: req.user.id,
           transaction_id: transaction_id,
-          sponsor_address: "addr1_kepka_sponsor_treasury_address",
-          gas_fee_ada: estimated_fee,
+          sponsor_address: chain.sponsorAddress,
+          gas_fee_ada: Number(fee),
           status: "sponsored",
           nonce: nonce,
-          expires_at: new Date(Date.now() + 30 * 60 * 1000).toISOString(), // 30 minutes
+          expires_at: new Date(Date.now() + SPONSORSHIP_MINUTES * 60 * 1000).toISOString(),
         })
         .select()
         .single()
@@ -139,21 +233,56 @@ router.post(
         })
       }
 
-      logger.info(`Transaction sponsored: ${transaction_id} for user ${req.user.email}`)
+      // Record the sponsored build, which sets the sponsorship's fee from it
+      const { data: updated, error: buildRecordError } = await req.userSupabase
+        .rpc("record_transaction_build", {
+          p_transaction_id: transaction.id,
+          p_tx_hash: built.txHash,
+          p_fee_ada: Number(fee),
+          p_unsigned_tx: built.cbor,
+          p_ttl_slot: built.ttl,
+          p_sponsored: true,
+        })
+        .single()
+
+      if (buildRecordError) {
+        if (buildRecordError.code === "55000") {
+          return res.status(409).json({
+            error: "Invalid status transition",
+            message: buildRecordError.message,
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to record transaction build",
+          message: buildRecordError.message,
+        })
+      }
+
+      logger.info(`Transaction sponsored: ${transaction_id} as ${built.txHash} for user ${req.user.email}`)
 
       // Emit real-time update
       const io = req.app.get("io")
       io.to(`user-${req.user.id}`).emit("gasless-transaction-sponsored", gaslessTransaction)
+      io.to(`user-${req.user.id}`).emit("transaction-updated", updated)
 
       res.json({
-        message: "Transaction sponsored successfully",
+        message: "Transaction sponsored; sign it with the wallet",
         gasless_transaction: {
           id: gaslessTransaction.id,
           sponsor_address: gaslessTransaction.sponsor_address,
           nonce: nonce,
+          gas_fee_ada: Number(fee),
           expires_at: gaslessTransaction.expires_at,
           status: gaslessTransaction.status,
         },
+        transaction: updated,
+        cbor: built.cbor,
+        tx_hash: built.txHash,
+        fee: Number(fee),
+        ttl: built.ttl,
+        validity_start: built.validityStart,
+        inputs: built.inputs,
+        required_signers: built.requiredSigners,
       })
     } catch (error) {
       logger.error("Sponsor transaction error:", error)
@@ -218,46 +347,95 @@ router.get("/transactions", async (req, res) => {
  * @swagger
  * /api/gasless/policies:
  *   get:
- *     summary: Get user's security policies
+ *     summary: Get security policies
  *     tags: [Gasless Transactions]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: organization_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The organization's policies instead of your personal ones
+ *       - in: query
+ *         name: token_id
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     responses:
  *       200:
  *         description: Security policies retrieved successfully
  */
-router.get("/policies", async (req, res) => {
-  try {
-    const { data: policies, error } = await req.userSupabase
-      .from("security_policies")
-      .select("*")
-      .eq("user_id", req.user.id)
-      .order("created_at", { ascending: false })
+router.get(
+  "/policies",
+  [
+    query("organization_id").optional().isUUID().withMessage("Invalid organization ID"),
+    query("token_id").optional().isUUID().withMessage("Invalid token ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
 
-    if (error) {
-      return res.status(400).json({
-        error: "Failed to retrieve security policies",
-        message: error.message,
+      const { organization_id, token_id } = req.query
+
+      let query = req.userSupabase.from("security_policies").select("*")
+
+      if (organization_id) {
+        const { error: accessError } = await checkOrganizationRole(
+          req.userSupabase,
+          req.user.id,
+          organization_id,
+          "viewer",
+        )
+
+        if (accessError) {
+          return res.status(accessError.status).json({
+            error: accessError.error,
+            message: accessError.message,
+          })
+        }
+
+        query = query.eq("organization_id", organization_id)
+      } else {
+        query = query.eq("user_id", req.user.id).is("organization_id", null)
+      }
+
+      if (token_id) query = query.eq("token_id", token_id)
+
+      const { data: policies, error } = await query.order("created_at", { ascending: false })
+
+      if (error) {
+        return res.status(400).json({
+          error: "Failed to retrieve security policies",
+          message: error.message,
+        })
+      }
+
+      res.json({
+        policies: policies || [],
+      })
+    } catch (error) {
+      logger.error("Get security policies error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retrieve security policies",
       })
     }
-
-    res.json({
-      policies: policies || [],
-    })
-  } catch (error) {
-    logger.error("Get security policies error:", error)
-    res.status(500).json({
-      error: "Internal server error",
-      message: "Unable to retrieve security policies",
-    })
-  }
-})
+  },
+)
 
 /**
  * @swagger
  * /api/gasless/policies:
  *   post:
- *     summary: Create security policy
+ *     summary: Create a security policy
  *     tags: [Gasless Transactions]
  *     security:
  *       - bearerAuth: []
@@ -279,9 +457,19 @@ router.get("/policies", async (req, res) => {
  *                 enum: [rate_limit, amount_limit, time_lock, whitelist]
  *               policy_config:
  *                 type: object
+ *               token_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Scope the policy to one token
+ *               organization_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Create the policy for an organization where you are an admin (defaults to the token's)
  *     responses:
  *       201:
  *         description: Security policy created successfully
+ *       403:
+ *         description: Your organization role cannot manage policies
  */
 router.post(
   "/policies",
@@ -291,6 +479,8 @@ router.post(
       .isIn(["rate_limit", "amount_limit", "time_lock", "whitelist"])
       .withMessage("Invalid policy type"),
     body("policy_config").isObject().withMessage("Policy config must be an object"),
+    body("token_id").optional().isUUID().withMessage("Invalid token ID"),
+    body("organization_id").optional().isUUID().withMessage("Invalid organization ID"),
   ],
   async (req, res) => {
     try {
@@ -302,7 +492,49 @@ router.post(
         })
       }
 
-      const { policy_name, policy_type, policy_config } = req.body
+      const { policy_name, policy_type, policy_config, token_id } = req.body
+      let organizationId = req.body.organization_id || null
+
+      if (token_id) {
+        const { data: token, error: accessError } = await findTokenForRole(
+          req.userSupabase,
+          req.user.id,
+          token_id,
+          "admin",
+          "id",
+        )
+
+        if (accessError) {
+          return res.status(accessError.status).json({
+            error: accessError.error,
+            message: accessError.message,
+          })
+        }
+
+        if (organizationId && organizationId !== token.organization_id) {
+          return res.status(400).json({
+            error: "Invalid configuration",
+            message: "A policy scoped to a token must belong to the token's organization",
+          })
+        }
+        organizationId = token.organization_id
+      }
+
+      if (organizationId) {
+        const { error: accessError } = await checkOrganizationRole(
+          req.userSupabase,
+          req.user.id,
+          organizationId,
+          "admin",
+        )
+
+        if (accessError) {
+          return res.status(accessError.status).json({
+            error: accessError.error,
+            message: accessError.message,
+          })
+        }
+      }
 
       const { data: policy, error } = await req.userSupabase
         .from("security_policies")
@@ -311,6 +543,8 @@ router.post(
           policy_name,
           policy_type,
           policy_config,
+          token_id: token_id || null,
+          organization_id: organizationId,
           is_active: true,
         })
         .select()
@@ -0,0 +1,946 @@
+const express = require("express")
+const { body, param, validationResult } = require("express-validator")
+const logger = require("../utils/logger")
+const notifications = require("../utils/notifications")
+const {
+  ORGANIZATION_ROLES,
+  INVITATION_EXPIRY_DAYS,
+  hasRole,
+  roleNeededToManage,
+  createInvitationSecret,
+  hashInvitationSecret,
+  invitationAcceptUrl,
+  checkOrganizationRole,
+} = require("../utils/organizations")
+
+const router = express.Router()
+
+// Everything but the secret hash
+const INVITATION_COLUMNS = "id, organization_id, email, role, invited_by, status, expires_at, accepted_at, created_at"
+
+// The organization in req.params.id, if the user holds `role` in it
+const checkRole = (req, role) => checkOrganizationRole(req.userSupabase, req.user.id, req.params.id, role)
+
+const logMembershipChange = (req, action, metadata) =>
+  req.userSupabase.from("audit_logs").insert({
+    user_id: req.user.id,
+    action,
+    resource_type: "organization",
+    resource_id: req.params.id,
+    ip_address: req.ip,
+    user_agent: req.get("User-Agent"),
+    metadata,
+  })
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   get:
+ *     summary: Get the organizations you belong to
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations with your role in each
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { data: memberships, error } = await req.userSupabase
+      .from("organization_members")
+      .select("role, organizations (*)")
+      .eq("user_id", req.user.id)
+      .order("created_at", { ascending: true })
+
+    if (error) {
+      return res.status(400).json({
+        error: "Failed to retrieve organizations",
+        message: error.message,
+      })
+    }
+
+    res.json({
+      organizations: (memberships || []).map((membership) => ({ ...membership.organizations, role: membership.role })),
+    })
+  } catch (error) {
+    logger.error("Get organizations error:", error)
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Unable to retrieve organizations",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   post:
+ *     summary: Create an organization
+ *     description: You become its first owner.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Organization created successfully
+ */
+router.post(
+  "/",
+  [body("name").isString().trim().isLength({ min: 1, max: 100 }).withMessage("Name must be 1-100 characters")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { data: organization, error } = await req.userSupabase
+        .rpc("create_organization", { p_name: req.body.name })
+        .single()
+
+      if (error) {
+        return res.status(400).json({
+          error: "Failed to create organization",
+          message: error.message,
+        })
+      }
+
+      logger.info(`Organization created: ${organization.name} by ${req.user.email}`)
+
+      res.status(201).json({
+        message: "Organization created successfully",
+        organization: { ...organization, role: "owner" },
+      })
+    } catch (error) {
+      logger.error("Create organization error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to create organization",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/organizations/{id}:
+ *   get:
+ *     summary: Get an organization and its members
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Organization retrieved successfully
+ *       404:
+ *         description: Organization not found
+ */
+router.get("/:id", [param("id").isUUID().withMessage("Invalid organization ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const { role, error: accessError } = await checkRole(req, "viewer")
+
+    if (accessError) {
+      return res.status(accessError.status).json({
+        error: accessError.error,
+        message: accessError.message,
+      })
+    }
+
+    const { data: organization, error } = await req.userSupabase
+      .from("organizations")
+      .select(
+        `
+        *,
+        organization_members (
+          user_id,
+          role,
+          created_at,
+          profiles!user_id (email, full_name)
+        )
+      `,
+      )
+      .eq("id", req.params.id)
+      .single()
+
+    if (error || !organization) {
+      return res.status(404).json({
+        error: "Organization not found",
+        message: "Organization does not exist or you are not a member",
+      })
+    }
+
+    res.json({ organization, role })
+  } catch (error) {
+    logger.error("Get organization error:", error)
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Unable to retrieve organization",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/organizations/{id}:
+ *   delete:
+ *     summary: Delete an organization
+ *     description: Owners only. Organizations that still own tokens cannot be deleted.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Organization deleted
+ *       403:
+ *         description: Only owners can delete an organization
+ *       409:
+ *         description: The organization still owns tokens
+ */
+router.delete("/:id", [param("id").isUUID().withMessage("Invalid organization ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const { error: accessError } = await checkRole(req, "owner")
+
+    if (accessError) {
+      return res.status(accessError.status).json({
+        error: accessError.error,
+        message: accessError.message,
+      })
+    }
+
+    const { error } = await req.userSupabase.from("organizations").delete().eq("id", req.params.id)
+
+    if (error) {
+      if (error.code === "23503") {
+        return res.status(409).json({
+          error: "Organization owns tokens",
+          message: "Move or retire the organization's tokens before deleting it",
+        })
+      }
+      return res.status(400).json({
+        error: "Failed to delete organization",
+        message: error.message,
+      })
+    }
+
+    logger.info(`Organization ${req.params.id} deleted by ${req.user.email}`)
+
+    res.json({ message: "Organization deleted" })
+  } catch (error) {
+    logger.error("Delete organization error:", error)
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Unable to delete organization",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role
+ *     description: Admins can change minters and viewers; only owners can grant or change owner and admin roles.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, minter, viewer]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       403:
+ *         description: Your role cannot make this change
+ *       404:
+ *         description: Member not found
+ *       409:
+ *         description: The organization would be left without an owner
+ */
+router.put(
+  "/:id/members/:userId",
+  [
+    param("id").isUUID().withMessage("Invalid organization ID"),
+    param("userId").isUUID().withMessage("Invalid user ID"),
+    body("role").isIn(ORGANIZATION_ROLES).withMessage(`Role must be one of: ${ORGANIZATION_ROLES.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { role: userRole, error: accessError } = await checkRole(req, "admin")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const { data: member } = await req.userSupabase
+        .from("organization_members")
+        .select("role")
+        .eq("organization_id", req.params.id)
+        .eq("user_id", req.params.userId)
+        .single()
+
+      if (!member) {
+        return res.status(404).json({
+          error: "Member not found",
+          message: "This user is not a member of the organization",
+        })
+      }
+
+      const { role } = req.body
+
+      if (!hasRole(userRole, roleNeededToManage(member.role)) || !hasRole(userRole, roleNeededToManage(role))) {
+        return res.status(403).json({
+          error: "Insufficient role",
+          message: "Only owners can grant or change owner and admin roles",
+        })
+      }
+
+      const { data: updated, error } = await req.userSupabase
+        .from("organization_members")
+        .update({ role, updated_at: new Date().toISOString() })
+        .eq("organization_id", req.params.id)
+        .eq("user_id", req.params.userId)
+        .select()
+        .single()
+
+      if (error) {
+        if (error.code === "55000") {
+          return res.status(409).json({
+            error: "Role change not possible",
+            message: error.message,
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to change role",
+          message: error.message,
+        })
+      }
+
+      await logMembershipChange(req, "UPDATE_MEMBER_ROLE", {
+        member_id: req.params.userId,
+        from_role: member.role,
+        to_role: role,
+      })
+
+      logger.info(`Member ${req.params.userId} of ${req.params.id} is now ${role}, set by ${req.user.email}`)
+
+      res.json({
+        message: `Member is now ${role}`,
+        member: updated,
+      })
+    } catch (error) {
+      logger.error("Update organization member error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to change role",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member, or leave the organization
+ *     description: Pass your own user ID to leave. Admins can remove minters and viewers; owners can remove anyone.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Your role cannot remove this member
+ *       409:
+ *         description: The organization would be left without an owner
+ */
+router.delete(
+  "/:id/members/:userId",
+  [
+    param("id").isUUID().withMessage("Invalid organization ID"),
+    param("userId").isUUID().withMessage("Invalid user ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const leaving = req.params.userId === req.user.id
+
+      const { role: userRole, error: accessError } = await checkRole(req, leaving ? "viewer" : "admin")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const { data: member } = await req.userSupabase
+        .from("organization_members")
+        .select("role")
+        .eq("organization_id", req.params.id)
+        .eq("user_id", req.params.userId)
+        .single()
+
+      if (!member) {
+        return res.status(404).json({
+          error: "Member not found",
+          message: "This user is not a member of the organization",
+        })
+      }
+
+      if (!leaving && !hasRole(userRole, roleNeededToManage(member.role))) {
+        return res.status(403).json({
+          error: "Insufficient role",
+          message: "Only owners can remove owners and admins",
+        })
+      }
+
+      const { error } = await req.userSupabase
+        .from("organization_members")
+        .delete()
+        .eq("organization_id", req.params.id)
+        .eq("user_id", req.params.userId)
+
+      if (error) {
+        if (error.code === "55000") {
+          return res.status(409).json({
+            error: "Member cannot be removed",
+            message: error.message,
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to remove member",
+          message: error.message,
+        })
+      }
+
+      await logMembershipChange(req, leaving ? "LEAVE_ORGANIZATION" : "REMOVE_MEMBER", {
+        member_id: req.params.userId,
+        role: member.role,
+      })
+
+      logger.info(`Member ${req.params.userId} removed from ${req.params.id} by ${req.user.email}`)
+
+      res.json({ message: leaving ? "You left the organization" : "Member removed" })
+    } catch (error) {
+      logger.error("Remove organization member error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to remove member",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations:
+ *   post:
+ *     summary: Invite someone to the organization
+ *     description: |
+ *       Emails a link to accept the invitation, valid for 7 days. Admins can invite minters and viewers;
+ *       only owners can invite owners and admins.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, minter, viewer]
+ *     responses:
+ *       201:
+ *         description: Invitation created and emailed
+ *       403:
+ *         description: Your role cannot invite with this role
+ *       409:
+ *         description: The address already has a pending invitation
+ *       502:
+ *         description: The invitation could not be emailed and was revoked
+ */
+router.post(
+  "/:id/invitations",
+  [
+    param("id").isUUID().withMessage("Invalid organization ID"),
+    body("email").isEmail().withMessage("A valid email is required"),
+    body("role").isIn(ORGANIZATION_ROLES).withMessage(`Role must be one of: ${ORGANIZATION_ROLES.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { role } = req.body
+      const email = req.body.email.trim()
+
+      const { error: accessError } = await checkRole(req, roleNeededToManage(role))
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const { data: organization } = await req.userSupabase
+        .from("organizations")
+        .select("id, name")
+        .eq("id", req.params.id)
+        .single()
+
+      const secret = createInvitationSecret()
+
+      const { data: invitation, error } = await req.userSupabase
+        .from("organization_invitations")
+        .insert({
+          organization_id: organization.id,
+          email,
+          role,
+          secret_hash: hashInvitationSecret(secret),
+          invited_by: req.user.id,
+          expires_at: new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        })
+        .select(INVITATION_COLUMNS)
+        .single()
+
+      if (error) {
+        if (error.code === "23505") {
+          return res.status(409).json({
+            error: "Invitation already pending",
+            message: `${email} already has a pending invitation to this organization`,
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to create invitation",
+          message: error.message,
+        })
+      }
+
+      try {
+        await notifications.send(
+          "email",
+          "organization_invitation",
+          {
+            organization_name: organization.name,
+            inviter_email: req.user.email,
+            role,
+            expires_at: new Date(invitation.expires_at).toUTCString(),
+            accept_url: invitationAcceptUrl(invitation.id, secret),
+          },
+          invitation.email,
+        )
+      } catch (notifyError) {
+        logger.error("Invitation email error:", notifyError)
+
+        // Without the email the invitation cannot be accepted
+        await req.userSupabase.from("organization_invitations").update({ status: "revoked" }).eq("id", invitation.id)
+
+        return res.status(502).json({
+          error: "Failed to email invitation",
+          message: "The invitation was revoked because it could not be delivered",
+        })
+      }
+
+      await logMembershipChange(req, "INVITE_MEMBER", { invitation_id: invitation.id, email, role })
+
+      logger.info(`${email} invited to ${organization.name} as ${role} by ${req.user.email}`)
+
+      res.status(201).json({
+        message: `Invitation sent to ${email}`,
+        invitation,
+      })
+    } catch (error) {
+      logger.error("Create invitation error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to create invitation",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations:
+ *   get:
+ *     summary: Get an organization's invitations
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first
+ *       403:
+ *         description: Only admins and owners can see invitations
+ */
+router.get("/:id/invitations", [param("id").isUUID().withMessage("Invalid organization ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const { error: accessError } = await checkRole(req, "admin")
+
+    if (accessError) {
+      return res.status(accessError.status).json({
+        error: accessError.error,
+        message: accessError.message,
+      })
+    }
+
+    const { data: invitations, error } = await req.userSupabase
+      .from("organization_invitations")
+      .select(INVITATION_COLUMNS)
+      .eq("organization_id", req.params.id)
+      .order("created_at", { ascending: false })
+
+    if (error) {
+      return res.status(400).json({
+        error: "Failed to retrieve invitations",
+        message: error.message,
+      })
+    }
+
+    res.json({
+      invitations: invitations || [],
+    })
+  } catch (error) {
+    logger.error("Get invitations error:", error)
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Unable to retrieve invitations",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations/{invitationId}/revoke:
+ *   post:
+ *     summary: Revoke a pending invitation
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: No pending invitation found
+ */
+router.post(
+  "/:id/invitations/:invitationId/revoke",
+  [
+    param("id").isUUID().withMessage("Invalid organization ID"),
+    param("invitationId").isUUID().withMessage("Invalid invitation ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { error: accessError } = await checkRole(req, "admin")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const { data: invitation, error } = await req.userSupabase
+        .from("organization_invitations")
+        .update({ status: "revoked" })
+        .eq("id", req.params.invitationId)
+        .eq("organization_id", req.params.id)
+        .eq("status", "pending")
+        .select(INVITATION_COLUMNS)
+        .single()
+
+      if (error || !invitation) {
+        return res.status(404).json({
+          error: "Invitation not found",
+          message: "No pending invitation with this ID exists for the organization",
+        })
+      }
+
+      await logMembershipChange(req, "REVOKE_INVITATION", {
+        invitation_id: invitation.id,
+        email: invitation.email,
+        role: invitation.role,
+      })
+
+      res.json({
+        message: "Invitation revoked",
+        invitation,
+      })
+    } catch (error) {
+      logger.error("Revoke invitation error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to revoke invitation",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/organizations/invitations/{invitationId}/accept:
+ *   post:
+ *     summary: Accept an invitation to an organization
+ *     description: Must be called by the account registered with the invited email, with the secret from the emailed link.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - secret
+ *             properties:
+ *               secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: You are now a member
+ *       403:
+ *         description: The secret does not match the invitation
+ *       404:
+ *         description: Invitation not found or not addressed to you
+ *       409:
+ *         description: The invitation is no longer pending, has expired, or you are already a member
+ */
+router.post(
+  "/invitations/:invitationId/accept",
+  [
+    param("invitationId").isUUID().withMessage("Invalid invitation ID"),
+    body("secret").isString().notEmpty().withMessage("Invitation secret is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { data: member, error } = await req.userSupabase
+        .rpc("accept_organization_invitation", {
+          p_invitation_id: req.params.invitationId,
+          p_secret_hash: hashInvitationSecret(req.body.secret),
+        })
+        .single()
+
+      if (error) {
+        if (error.code === "P0002") {
+          return res.status(404).json({
+            error: "Invitation not found",
+            message: "Invitation does not exist or was not sent to your email address",
+          })
+        }
+        if (error.code === "42501") {
+          return res.status(403).json({
+            error: "Invalid invitation link",
+            message: error.message,
+          })
+        }
+        if (error.code === "55000") {
+          return res.status(409).json({
+            error: "Invitation not possible",
+            message: error.message,
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to accept invitation",
+          message: error.message,
+        })
+      }
+
+      await req.userSupabase.from("audit_logs").insert({
+        user_id: req.user.id,
+        action: "JOIN_ORGANIZATION",
+        resource_type: "organization",
+        resource_id: member.organization_id,
+        ip_address: req.ip,
+        user_agent: req.get("User-Agent"),
+        metadata: { invitation_id: req.params.invitationId, role: member.role },
+      })
+
+      logger.info(`${req.user.email} joined organization ${member.organization_id} as ${member.role}`)
+
+      res.json({
+        message: `You joined the organization as ${member.role}`,
+        member,
+      })
+    } catch (error) {
+      logger.error("Accept invitation error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to accept invitation",
+      })
+    }
+  },
+)
+
+module.exports = router
@@ -2,6 +2,7 @@ const express = require("express")
 const { body, param, validationResult } = require("express-validator")
 const { stripe } = require("../config/stripe")
 const logger = require("../utils/logger")
+const { idempotency } = require("../middleware/idempotency")
 
 const router = express.Router()
 
@@ -13,6 +14,8 @@ const router = express.Router()
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -35,9 +38,14 @@ const router = express.Router()
  *     responses:
  *       200:
  *         description: Payment intent created successfully
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: The Idempotency-Key was already used for a different request
  */
 router.post(
   "/create-intent",
+  idempotency(),
   [
     body("amount").isFloat({ min: 0.5 }).withMessage("Amount must be at least $0.50"),
     body("currency").optional().isIn(["usd", "eur", "gbp"]).withMessage("Invalid currency"),
@@ -0,0 +1,182 @@
+const express = require("express")
+const { param, query, validationResult } = require("express-validator")
+const logger = require("../utils/logger")
+const { supabase } = require("../config/database")
+const {
+  CATALOG_CACHE_CONTROL,
+  CATALOG_DEFAULT_LIMIT,
+  CATALOG_MAX_LIMIT,
+  buildCatalogQuery,
+} = require("../utils/token-catalog")
+const { isRawCid } = require("../utils/cid")
+const { validatePolicyId, validatorFor } = require("../utils/cardano-validation")
+const { IMAGE_RESPONSE_HEADERS, loadImage } = require("../utils/token-image")
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * /api/public/tokens:
+ *   get:
+ *     summary: Browse the public token catalog
+ *     description: |
+ *       No authentication required. Draft tokens and tokens with an open or upheld report are not listed.
+ *       Each entry includes the current price from exchange rates. Responses may be cached for 60 seconds.
+ *     tags: [Public]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search over name, symbol and description
+ *       - in: query
+ *         name: policy_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: created_after
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: verified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Catalog page retrieved successfully
+ */
+router.get(
+  "/tokens",
+  [
+    query("q").optional().isString().trim().isLength({ min: 1, max: 200 }),
+    query("policy_id").optional().custom(validatorFor(validatePolicyId)),
+    query("created_after").optional().isISO8601().withMessage("created_after must be an ISO 8601 date"),
+    query("created_before").optional().isISO8601().withMessage("created_before must be an ISO 8601 date"),
+    query("verified").optional().isBoolean().toBoolean(),
+    query("limit").optional().isInt({ min: 1, max: CATALOG_MAX_LIMIT }),
+    query("offset").optional().isInt({ min: 0 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const limit = Number.parseInt(req.query.limit) || CATALOG_DEFAULT_LIMIT
+      const offset = Number.parseInt(req.query.offset) || 0
+
+      const {
+        data: tokens,
+        error,
+        count,
+      } = await buildCatalogQuery(supabase, {
+        search: req.query.q,
+        policyId: req.query.policy_id,
+        createdAfter: req.query.created_after,
+        createdBefore: req.query.created_before,
+        verified: req.query.verified,
+        limit,
+        offset,
+      })
+
+      if (error) {
+        return res.status(400).json({
+          error: "Failed to retrieve tokens",
+          message: error.message,
+        })
+      }
+
+      res.set("Cache-Control", CATALOG_CACHE_CONTROL)
+      res.json({
+        tokens: tokens || [],
+        pagination: {
+          total: count,
+          limit,
+          offset,
+          hasMore: count > offset + limit,
+        },
+      })
+    } catch (error) {
+      logger.error("Get public tokens error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retrieve tokens",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/public/images/{cid}:
+ *   get:
+ *     summary: Get an uploaded token image by its IPFS CID
+ *     description: No authentication required. Images never change for a CID, so responses are cached indefinitely.
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: cid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The image
+ *       404:
+ *         description: Image not found
+ */
+router.get(
+  "/images/:cid",
+  [param("cid").custom((value) => isRawCid(value)).withMessage("Invalid image CID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const image = await loadImage(req.params.cid)
+
+      if (!image) {
+        return res.status(404).json({
+          error: "Image not found",
+          message: `No image stored for CID ${req.params.cid}`,
+        })
+      }
+
+      res.set(IMAGE_RESPONSE_HEADERS)
+      res.type(image.mediaType).send(image.bytes)
+    } catch (error) {
+      logger.error("Get public image error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retrieve image",
+      })
+    }
+  },
+)
+
+module.exports = router
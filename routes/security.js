@@ -1,9 +1,28 @@
 const express = require("express")
 const { body, param, query, validationResult } = require("express-validator")
 const logger = require("../utils/logger")
+const { validateAddress } = require("../utils/address")
+const {
+  publicKeyToHex,
+  validatePublicKey,
+  validateScriptHash,
+  validatorFor,
+} = require("../utils/cardano-validation")
+const { checkOrganizationRole, findTokenForRole } = require("../utils/organizations")
+const {
+  ListQueryError,
+  defineList,
+  listValidators,
+  parseListQuery,
+  listSelectOptions,
+  applyListQuery,
+  listPage,
+} = require("../utils/list-query")
 
 const router = express.Router()
 
+const AUDIT_LOG_LIST = defineList({ defaultLimit: 50 })
+
 /**
  * @swagger
  * /api/security/multi-sig-wallets:
@@ -12,41 +31,80 @@ const router = express.Router()
  *     tags: [Security]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: organization_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The organization's wallets instead of your personal ones
  *     responses:
  *       200:
  *         description: Multi-sig wallets retrieved successfully
  */
-router.get("/multi-sig-wallets", async (req, res) => {
-  try {
-    const { data: wallets, error } = await req.userSupabase
-      .from("multi_sig_wallets")
-      .select(
+router.get(
+  "/multi-sig-wallets",
+  [query("organization_id").optional().isUUID().withMessage("Invalid organization ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { organization_id } = req.query
+
+      let query = req.userSupabase.from("multi_sig_wallets").select(
         `
         *,
         wallet_signers (*)
       `,
       )
-      .eq("user_id", req.user.id)
-      .order("created_at", { ascending: false })
 
-    if (error) {
-      return res.status(400).json({
-        error: "Failed to retrieve multi-sig wallets",
-        message: error.message,
+      if (organization_id) {
+        const { error: accessError } = await checkOrganizationRole(
+          req.userSupabase,
+          req.user.id,
+          organization_id,
+          "viewer",
+        )
+
+        if (accessError) {
+          return res.status(accessError.status).json({
+            error: accessError.error,
+            message: accessError.message,
+          })
+        }
+
+        query = query.eq("organization_id", organization_id)
+      } else {
+        query = query.eq("user_id", req.user.id).is("organization_id", null)
+      }
+
+      const { data: wallets, error } = await query.order("created_at", { ascending: false })
+
+      if (error) {
+        return res.status(400).json({
+          error: "Failed to retrieve multi-sig wallets",
+          message: error.message,
+        })
+      }
+
+      res.json({
+        wallets: wallets || [],
+      })
+    } catch (error) {
+      logger.error("Get multi-sig wallets error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retrieve multi-sig wallets",
       })
     }
-
-    res.json({
-      wallets: wallets || [],
-    })
-  } catch (error) {
-    logger.error("Get multi-sig wallets error:", error)
-    res.status(500).json({
-      error: "Internal server error",
-      message: "Unable to retrieve multi-sig wallets",
-    })
-  }
-})
+  },
+)
 
 /**
  * @swagger
@@ -80,8 +138,18 @@ router.get("/multi-sig-wallets", async (req, res) => {
  *                 minimum: 1
  *               wallet_address:
  *                 type: string
+ *                 description: Bech32 payment address on the configured network
  *               script_hash:
  *                 type: string
+ *                 description: 28-byte native script hash as 56 hex characters
+ *               token_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Scope the wallet to one of your tokens; it moves with the token's ownership
+ *               organization_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Create the wallet for an organization where you are an admin (defaults to the token's)
  *               signers:
  *                 type: array
  *                 items:
@@ -93,9 +161,12 @@ router.get("/multi-sig-wallets", async (req, res) => {
  *                       type: string
  *                     public_key:
  *                       type: string
+ *                       description: Ed25519 public key as 64 hex characters or CIP-5 bech32 (ed25519_pk1...)
  *     responses:
  *       201:
  *         description: Multi-sig wallet created successfully
+ *       403:
+ *         description: Your organization role cannot manage wallets
  */
 router.post(
   "/multi-sig-wallets",
@@ -103,11 +174,13 @@ router.post(
     body("wallet_name").notEmpty().withMessage("Wallet name is required"),
     body("required_signatures").isInt({ min: 1 }).withMessage("Required signatures must be at least 1"),
     body("total_signers").isInt({ min: 1 }).withMessage("Total signers must be at least 1"),
-    body("wallet_address").notEmpty().withMessage("Wallet address is required"),
-    body("script_hash").notEmpty().withMessage("Script hash is required"),
+    body("wallet_address").custom(validatorFor(validateAddress)),
+    body("script_hash").custom(validatorFor(validateScriptHash)),
+    body("token_id").optional().isUUID().withMessage("Invalid token ID"),
+    body("organization_id").optional().isUUID().withMessage("Invalid organization ID"),
     body("signers").isArray({ min: 1 }).withMessage("At least one signer is required"),
-    body("signers.*.signer_address").notEmpty().withMessage("Signer address is required"),
-    body("signers.*.public_key").notEmpty().withMessage("Public key is required"),
+    body("signers.*.signer_address").custom(validatorFor(validateAddress)),
+    body("signers.*.public_key").custom(validatorFor(validatePublicKey)).customSanitizer(publicKeyToHex),
   ],
   async (req, res) => {
     try {
@@ -119,7 +192,9 @@ router.post(
         })
       }
 
-      const { wallet_name, required_signatures, total_signers, wallet_address, script_hash, signers } = req.body
+      const { wallet_name, required_signatures, total_signers, wallet_address, script_hash, token_id, signers } =
+        req.body
+      let organizationId = req.body.organization_id || null
 
       // Validate required signatures doesn't exceed total signers
       if (required_signatures > total_signers) {
@@ -137,6 +212,48 @@ router.post(
         })
       }
 
+      if (token_id) {
+        const { data: token, error: accessError } = await findTokenForRole(
+          req.userSupabase,
+          req.user.id,
+          token_id,
+          "admin",
+          "id",
+        )
+
+        if (accessError) {
+          return res.status(accessError.status).json({
+            error: accessError.error,
+            message: accessError.message,
+          })
+        }
+
+        // A token's wallets belong to whoever owns the token
+        if (organizationId && organizationId !== token.organization_id) {
+          return res.status(400).json({
+            error: "Invalid configuration",
+            message: "A wallet scoped to a token must belong to the token's organization",
+          })
+        }
+        organizationId = token.organization_id
+      }
+
+      if (organizationId) {
+        const { error: accessError } = await checkOrganizationRole(
+          req.userSupabase,
+          req.user.id,
+          organizationId,
+          "admin",
+        )
+
+        if (accessError) {
+          return res.status(accessError.status).json({
+            error: accessError.error,
+            message: accessError.message,
+          })
+        }
+      }
+
       // Create multi-sig wallet
       const { data: wallet, error: walletError } = await req.userSupabase
         .from("multi_sig_wallets")
@@ -147,6 +264,8 @@ router.post(
           total_signers,
           wallet_address,
           script_hash,
+          token_id: token_id || null,
+          organization_id: organizationId,
           is_active: true,
         })
         .select()
@@ -230,16 +349,19 @@ router.post(
  *                 type: string
  *               public_key:
  *                 type: string
+ *                 description: Ed25519 public key as 64 hex characters or CIP-5 bech32 (ed25519_pk1...)
  *     responses:
  *       201:
  *         description: Signer added successfully
+ *       403:
+ *         description: Your organization role cannot manage wallets
  */
 router.post(
   "/multi-sig-wallets/:id/signers",
   [
     param("id").isUUID().withMessage("Invalid wallet ID"),
-    body("signer_address").notEmpty().withMessage("Signer address is required"),
-    body("public_key").notEmpty().withMessage("Public key is required"),
+    body("signer_address").custom(validatorFor(validateAddress)),
+    body("public_key").custom(validatorFor(validatePublicKey)).customSanitizer(publicKeyToHex),
     body("signer_name").optional().isLength({ max: 100 }),
   ],
   async (req, res) => {
@@ -255,21 +377,36 @@ router.post(
       const { id } = req.params
       const { signer_address, signer_name, public_key } = req.body
 
-      // Verify wallet ownership
+      // Verify wallet ownership; organization wallets are managed by admins
       const { data: wallet, error: walletError } = await req.userSupabase
         .from("multi_sig_wallets")
         .select("*")
         .eq("id", id)
-        .eq("user_id", req.user.id)
         .single()
 
-      if (walletError || !wallet) {
+      if (walletError || !wallet || (!wallet.organization_id && wallet.user_id !== req.user.id)) {
         return res.status(404).json({
           error: "Wallet not found",
           message: "Multi-sig wallet does not exist or you don't have access to it",
         })
       }
 
+      if (wallet.organization_id) {
+        const { error: accessError } = await checkOrganizationRole(
+          req.userSupabase,
+          req.user.id,
+          wallet.organization_id,
+          "admin",
+        )
+
+        if (accessError) {
+          return res.status(accessError.status).json({
+            error: accessError.error,
+            message: accessError.message,
+          })
+        }
+      }
+
       // Check if signer already exists
       const { data: existingSigner } = await req.userSupabase
         .from("wallet_signers")
@@ -334,12 +471,14 @@ router.post(
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 100
  *           default: 50
- *       - in: query
- *         name: offset
- *         schema:
- *           type: integer
- *           default: 0
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListOffset'
+ *       - $ref: '#/components/parameters/ListOrder'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
  *       - in: query
  *         name: action
  *         schema:
@@ -347,12 +486,13 @@ router.post(
  *     responses:
  *       200:
  *         description: Audit logs retrieved successfully
+ *       400:
+ *         description: Invalid filters or cursor
  */
 router.get(
   "/audit-logs",
   [
-    query("limit").optional().isInt({ min: 1, max: 100 }),
-    query("offset").optional().isInt({ min: 0 }),
+    ...listValidators(AUDIT_LOG_LIST),
     query("action").optional().isLength({ min: 1 }),
   ],
   async (req, res) => {
@@ -365,21 +505,28 @@ router.get(
         })
       }
 
-      const limit = Number.parseInt(req.query.limit) || 50
-      const offset = Number.parseInt(req.query.offset) || 0
+      let page
+      try {
+        page = parseListQuery(AUDIT_LOG_LIST, req.query)
+      } catch (queryError) {
+        if (queryError instanceof ListQueryError) {
+          return res.status(400).json({
+            error: "Invalid list query",
+            message: queryError.message,
+          })
+        }
+        throw queryError
+      }
+
       const { action } = req.query
 
-      let query = req.userSupabase.from("audit_logs").select("*", { count: "exact" }).eq("user_id", req.user.id)
+      let query = req.userSupabase.from("audit_logs").select("*", listSelectOptions(page)).eq("user_id", req.user.id)
 
       if (action) {
         query = query.eq("action", action)
       }
 
-      const {
-        data: logs,
-        error,
-        count,
-      } = await query.order("created_at", { ascending: false }).range(offset, offset + limit - 1)
+      const { data, error, count } = await applyListQuery(query, page)
 
       if (error) {
         return res.status(400).json({
@@ -388,14 +535,11 @@ router.get(
         })
       }
 
+      const { items: logs, pagination } = listPage(page, data, count)
+
       res.json({
-        logs: logs || [],
-        pagination: {
-          total: count,
-          limit,
-          offset,
-          hasMore: count > offset + limit,
-        },
+        logs,
+        pagination,
       })
     } catch (error) {
       logger.error("Get audit logs error:", error)
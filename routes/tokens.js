@@ -1,9 +1,81 @@
+const crypto = require("crypto")
 const express = require("express")
 const { body, param, query, validationResult } = require("express-validator")
 const logger = require("../utils/logger")
+const { assetFingerprint, isAssetFingerprint } = require("../utils/asset-name")
+const { MintingPolicyError, assertMintAllowed } = require("../utils/minting-policy")
+const { buildCip25Metadata, validateCip25Metadata, buildMintMetadata } = require("../utils/token-metadata")
+const { Cip68Error, buildCip68Datum } = require("../utils/cip68")
+const {
+  REGISTRY_PROPERTIES,
+  fetchLogo,
+  buildRegistryEntry,
+  verifyAttestation,
+  unsignedProperties,
+} = require("../utils/token-registry")
+const { parseBatchCsv, chunkRows, rowStatus, summarizeRows } = require("../utils/batch-mint")
+const { SupplyError, validateSupplyAmount, createSupplyTransaction } = require("../utils/token-supply")
+const { validateAddress } = require("../utils/address")
+const { publicKeyToHex, validatePublicKey, validatorFor } = require("../utils/cardano-validation")
+const { IPFS_URI_PATTERN, isIpfsUri } = require("../utils/ipfs")
+const { IMAGE_MEDIA_TYPES, MAX_IMAGE_BYTES, storeImage } = require("../utils/token-image")
+const { diffRevision } = require("../utils/token-revisions")
+const {
+  ANALYTICS_GRANULARITIES,
+  AnalyticsError,
+  resolveAnalyticsRange,
+  fetchTokenAnalytics,
+} = require("../utils/token-analytics")
+const {
+  checkOrganizationRole,
+  memberOrganizationIds,
+  tokenRole,
+  findTokenForRole,
+} = require("../utils/organizations")
+const notifications = require("../utils/notifications")
+const {
+  TRANSFER_EXPIRY_DAYS,
+  createTransferSecret,
+  hashTransferSecret,
+  transferAcceptUrl,
+  transferNotificationData,
+  notifyTransfer,
+} = require("../utils/token-transfer")
+const {
+  TOKEN_STATUSES,
+  MINTABLE_STATUSES,
+  EDITABLE_STATUSES,
+  canTransition,
+} = require("../utils/token-lifecycle")
+const {
+  VESTING_SCHEDULE_TYPES,
+  VestingError,
+  validateVestingSchedule,
+  summarizeSchedule,
+} = require("../utils/vesting")
+const { idempotency } = require("../middleware/idempotency")
+const { tokenCreationValidators, buildNewToken } = require("../utils/token-creation")
+const {
+  ListQueryError,
+  defineList,
+  listValidators,
+  parseListQuery,
+  listSelectOptions,
+  applyListQuery,
+  listPage,
+} = require("../utils/list-query")
 
 const router = express.Router()
 
+const TOKEN_LIST = defineList({
+  sortFields: ["created_at", "token_name", "symbol"],
+  rangeFilters: { supply: "total_supply" },
+})
+
+// The token in req.params.id, if the user holds `role` on it (see utils/organizations.js)
+const findToken = (req, role, columns) =>
+  findTokenForRole(req.userSupabase, req.user.id, req.params.id, role, columns)
+
 /**
  * @swagger
  * /api/tokens:
@@ -13,23 +85,50 @@ const router = express.Router()
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListOffset'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, token_name, symbol]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/ListOrder'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
  *       - in: query
- *         name: limit
+ *         name: min_supply
  *         schema:
  *           type: integer
- *           default: 20
  *       - in: query
- *         name: offset
+ *         name: max_supply
  *         schema:
  *           type: integer
- *           default: 0
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, policy_locked, active, frozen, retired]
+ *       - in: query
+ *         name: organization_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: "Only this organization's tokens (default: personal tokens and those of your organizations)"
  *     responses:
  *       200:
  *         description: Tokens retrieved successfully
+ *       400:
+ *         description: Invalid filters or cursor
  */
 router.get(
   "/",
-  [query("limit").optional().isInt({ min: 1, max: 100 }), query("offset").optional().isInt({ min: 0 })],
+  [
+    ...listValidators(TOKEN_LIST),
+    query("status").optional().isIn(TOKEN_STATUSES),
+    query("organization_id").optional().isUUID().withMessage("Invalid organization ID"),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req)
@@ -40,19 +139,44 @@ router.get(
         })
       }
 
-      const limit = Number.parseInt(req.query.limit) || 20
-      const offset = Number.parseInt(req.query.offset) || 0
+      let page
+      try {
+        page = parseListQuery(TOKEN_LIST, req.query)
+      } catch (queryError) {
+        if (queryError instanceof ListQueryError) {
+          return res.status(400).json({
+            error: "Invalid list query",
+            message: queryError.message,
+          })
+        }
+        throw queryError
+      }
+
+      const organizationIds = await memberOrganizationIds(req.userSupabase, req.user.id)
 
-      const {
-        data: tokens,
-        error,
-        count,
-      } = await req.userSupabase
-        .from("tokens")
-        .select("*", { count: "exact" })
-        .eq("creator_id", req.user.id)
-        .order("created_at", { ascending: false })
-        .range(offset, offset + limit - 1)
+      let query = req.userSupabase.from("tokens").select("*", listSelectOptions(page))
+
+      if (req.query.organization_id) {
+        if (!organizationIds.includes(req.query.organization_id)) {
+          return res.status(404).json({
+            error: "Organization not found",
+            message: "Organization does not exist or you are not a member",
+          })
+        }
+        query = query.eq("organization_id", req.query.organization_id)
+      } else if (organizationIds.length > 0) {
+        query = query.or(
+          `and(creator_id.eq.${req.user.id},organization_id.is.null),organization_id.in.(${organizationIds.join(",")})`,
+        )
+      } else {
+        query = query.eq("creator_id", req.user.id).is("organization_id", null)
+      }
+
+      if (req.query.status) {
+        query = query.eq("status", req.query.status)
+      }
+
+      const { data, error, count } = await applyListQuery(query, page)
 
       if (error) {
         return res.status(400).json({
@@ -61,14 +185,11 @@ router.get(
         })
       }
 
+      const { items: tokens, pagination } = listPage(page, data, count)
+
       res.json({
-        tokens: tokens || [],
-        pagination: {
-          total: count,
-          limit,
-          offset,
-          hasMore: count > offset + limit,
-        },
+        tokens,
+        pagination,
       })
     } catch (error) {
       logger.error("Get tokens error:", error)
@@ -84,7 +205,7 @@ router.get(
  * @swagger
  * /api/tokens/{id}:
  *   get:
- *     summary: Get token by ID
+ *     summary: Get token by ID or CIP-14 asset fingerprint
  *     tags: [Tokens]
  *     security:
  *       - bearerAuth: []
@@ -94,14 +215,86 @@ router.get(
  *         required: true
  *         schema:
  *           type: string
- *           format: uuid
+ *         description: Token UUID or asset fingerprint (asset1...)
  *     responses:
  *       200:
  *         description: Token retrieved successfully
  *       404:
  *         description: Token not found
  */
-router.get("/:id", [param("id").isUUID().withMessage("Invalid token ID")], async (req, res) => {
+router.get(
+  "/:id",
+  [
+    param("id")
+      .if((value) => !isAssetFingerprint(value))
+      .isUUID()
+      .withMessage("Invalid token ID or asset fingerprint"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const lookupColumn = isAssetFingerprint(req.params.id) ? "fingerprint" : "id"
+
+      const { data: token } = await req.userSupabase
+        .from("tokens")
+        .select("*")
+        .eq(lookupColumn, req.params.id)
+        .maybeSingle()
+
+      const role = token ? await tokenRole(req.userSupabase, req.user.id, token) : null
+
+      if (!role) {
+        return res.status(404).json({
+          error: "Token not found",
+          message: "Token does not exist or you don't have access to it",
+        })
+      }
+
+      // Tokens created before fingerprints were stored lack one until scripts/backfill-token-fingerprints.js runs
+      if (!token.fingerprint) {
+        token.fingerprint = assetFingerprint(token.policy_id, token.asset_name_hex)
+      }
+
+      res.json({ token, role })
+    } catch (error) {
+      logger.error("Get token error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retrieve token",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/metadata:
+ *   get:
+ *     summary: Get on-chain metadata for a token (CIP-25 label 721 or CIP-68 datum)
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Label 721 metadata with validation results, or the CIP-68 reference datum
+ *       404:
+ *         description: Token not found
+ */
+router.get("/:id/metadata", [param("id").isUUID().withMessage("Invalid token ID")], async (req, res) => {
   try {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -111,26 +304,38 @@ router.get("/:id", [param("id").isUUID().withMessage("Invalid token ID")], async
       })
     }
 
-    const { data: token, error } = await req.userSupabase
-      .from("tokens")
-      .select("*")
-      .eq("id", req.params.id)
-      .eq("creator_id", req.user.id)
-      .single()
+    const { data: token, error: accessError } = await findToken(req, "viewer")
+
+    if (accessError) {
+      return res.status(accessError.status).json({
+        error: accessError.error,
+        message: accessError.message,
+      })
+    }
 
-    if (error || !token) {
-      return res.status(404).json({
-        error: "Token not found",
-        message: "Token does not exist or you don't have access to it",
+    if (token.token_standard === "cip68") {
+      return res.json({
+        standard: "cip68",
+        reference_asset_name: token.reference_asset_name,
+        user_asset_name: token.asset_name,
+        datum: buildCip68Datum(token),
       })
     }
 
-    res.json({ token })
+    const metadata = buildCip25Metadata(token)
+    const metadataErrors = validateCip25Metadata(metadata)
+
+    res.json({
+      standard: "cip25",
+      metadata,
+      valid: metadataErrors.length === 0,
+      errors: metadataErrors,
+    })
   } catch (error) {
-    logger.error("Get token error:", error)
+    logger.error("Get token metadata error:", error)
     res.status(500).json({
       error: "Internal server error",
-      message: "Unable to retrieve token",
+      message: "Unable to build token metadata",
     })
   }
 })
@@ -143,6 +348,8 @@ router.get("/:id", [param("id").isUUID().withMessage("Invalid token ID")], async
  *     tags: [Tokens]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -152,41 +359,96 @@ router.get("/:id", [param("id").isUUID().withMessage("Invalid token ID")], async
  *             required:
  *               - token_name
  *               - symbol
- *               - policy_id
  *               - asset_name
  *             properties:
  *               token_name:
  *                 type: string
  *               symbol:
  *                 type: string
- *               policy_id:
- *                 type: string
  *               asset_name:
  *                 type: string
+ *                 description: For CIP-68 tokens, the base name without a label prefix (max 28 bytes)
+ *               asset_name_encoding:
+ *                 type: string
+ *                 enum: [utf8, hex]
+ *                 default: utf8
+ *                 description: Whether asset_name is text or hex bytes; hex-looking text such as "cafe" is still text unless this is hex
+ *               token_standard:
+ *                 type: string
+ *                 enum: [cip25, cip68]
+ *                 default: cip25
+ *               cip68_label:
+ *                 type: integer
+ *                 enum: [222, 333, 444]
+ *                 default: 333
+ *                 description: CIP-68 user token type (NFT, FT or RFT)
+ *               minting_policy:
+ *                 type: string
+ *                 enum: [unlimited, limited, time-locked, custom]
+ *                 default: unlimited
+ *               policy_key_hashes:
+ *                 type: array
+ *                 description: Payment key hashes allowed to sign mints (required unless custom)
+ *                 items:
+ *                   type: string
+ *               required_signatures:
+ *                 type: integer
+ *                 description: Signatures required when several key hashes are given (defaults to all)
+ *               lock_until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Minting closes at this time (required for time-locked)
+ *               custom_script:
+ *                 type: object
+ *                 description: Native script JSON (custom policy only)
+ *               max_supply:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                     pattern: "^[0-9]+$"
+ *                 description: Supply cap for limited policies (defaults to total_supply); send values above 2^53 as a decimal string
  *               decimals:
  *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 18
  *               total_supply:
- *                 type: integer
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                     pattern: "^[0-9]+$"
+ *                 description: Initial supply, queued as a pending mint (the token's total_supply starts at 0); send values above 2^53 as a decimal string
+ *               initial_mint_metadata:
+ *                 type: object
+ *                 description: Extra metadata recorded on the initial mint transaction
  *               description:
  *                 type: string
  *               image_url:
  *                 type: string
+ *                 description: http(s) URL or ipfs:// URI from POST /api/tokens/images
+ *               image_media_type:
+ *                 type: string
+ *                 description: MIME type of the image (needed for ipfs:// images, which have no file extension)
+ *               metadata:
+ *                 type: object
+ *                 description: Extra CIP-25 properties for the token's on-chain metadata
+ *               organization_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Create the token for an organization where you are an admin or owner
  *     responses:
  *       201:
  *         description: Token created successfully
+ *       403:
+ *         description: Your role in the organization cannot create tokens
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: The Idempotency-Key was already used for a different request
  */
 router.post(
   "/",
-  [
-    body("token_name").notEmpty().withMessage("Token name is required"),
-    body("symbol").notEmpty().withMessage("Symbol is required"),
-    body("policy_id").notEmpty().withMessage("Policy ID is required"),
-    body("asset_name").notEmpty().withMessage("Asset name is required"),
-    body("decimals").optional().isInt({ min: 0, max: 18 }),
-    body("total_supply").optional().isInt({ min: 0 }),
-    body("description").optional().isLength({ max: 1000 }),
-    body("image_url").optional().isURL(),
-  ],
+  idempotency(),
+  tokenCreationValidators,
   async (req, res) => {
     try {
       const errors = validationResult(req)
@@ -197,32 +459,71 @@ router.post(
         })
       }
 
-      const {
-        token_name,
-        symbol,
-        policy_id,
-        asset_name,
-        decimals = 6,
-        total_supply = 0,
-        description,
-        image_url,
-      } = req.body
+      const { initial_mint_metadata, organization_id } = req.body
 
-      const { data: token, error } = await req.userSupabase
-        .from("tokens")
-        .insert({
-          token_name,
-          symbol,
-          policy_id,
-          asset_name,
-          decimals,
-          total_supply,
-          description,
-          image_url,
-          creator_id: req.user.id,
-        })
-        .select()
-        .single()
+      if (organization_id) {
+        const { error: accessError } = await checkOrganizationRole(
+          req.userSupabase,
+          req.user.id,
+          organization_id,
+          "admin",
+        )
+
+        if (accessError) {
+          return res.status(accessError.status).json({
+            error: accessError.error,
+            message: accessError.message,
+          })
+        }
+      }
+
+      let created
+      try {
+        created = buildNewToken(req.body, { creatorId: req.user.id })
+      } catch (buildError) {
+        if (buildError instanceof MintingPolicyError) {
+          return res.status(400).json({
+            error: "Invalid minting policy",
+            message: buildError.message,
+          })
+        }
+        if (buildError instanceof Cip68Error) {
+          return res.status(400).json({
+            error: "Invalid asset name",
+            message: buildError.message,
+          })
+        }
+        throw buildError
+      }
+      const { token: newToken, initialSupply } = created
+
+      // The initial mint is checked before the token is stored, as /:id/mint would check it
+      let mintMetadata = null
+      if (initialSupply > 0n) {
+        const built = buildMintMetadata(newToken)
+        if (built.errors.length > 0) {
+          return res.status(400).json({
+            error: "Invalid token metadata",
+            message: "Token metadata does not meet CIP-25, so the initial supply cannot be minted with it",
+            details: built.errors,
+          })
+        }
+        mintMetadata = built.metadata
+
+        try {
+          assertMintAllowed(newToken, initialSupply)
+        } catch (policyError) {
+          if (policyError instanceof MintingPolicyError) {
+            return res.status(400).json({
+              error: "Minting not allowed",
+              message: policyError.message,
+            })
+          }
+          throw policyError
+        }
+      }
+
+      const { data: token, error } = await req.userSupabase.from("tokens").insert(newToken).select().single()
 
       if (error) {
         return res.status(400).json({
@@ -231,15 +532,54 @@ router.post(
         })
       }
 
-      logger.info(`Token created: ${token_name} by ${req.user.email}`)
+      // The initial supply is minted like any other; total_supply grows once it confirms
+      let transaction = null
+      if (initialSupply > 0n) {
+        try {
+          transaction = await createSupplyTransaction(req.userSupabase, {
+            token,
+            transactionType: "mint",
+            amount: initialSupply,
+            metadata: {
+              ...initial_mint_metadata,
+              ...mintMetadata,
+              policy_id: token.policy_id,
+              asset_name: token.asset_name,
+              initial_mint: true,
+            },
+          })
+        } catch (supplyError) {
+          // A token whose initial mint was refused is removed again
+          const { error: discardError } = await req.userSupabase.rpc("discard_unminted_token", {
+            p_token_id: token.id,
+          })
+          if (discardError) {
+            logger.error(`Token ${token.id} kept after its initial mint failed:`, discardError)
+          }
+
+          if (supplyError instanceof SupplyError || supplyError instanceof MintingPolicyError) {
+            return res.status(supplyError.status || 400).json({
+              error: "Minting not allowed",
+              message: supplyError.message,
+            })
+          }
+          throw supplyError
+        }
+      }
+
+      logger.info(`Token created: ${token.token_name} by ${req.user.email}`)
 
       // Emit real-time update
       const io = req.app.get("io")
       io.to(`user-${req.user.id}`).emit("token-created", token)
+      if (transaction) {
+        io.to(`user-${req.user.id}`).emit("transaction-created", transaction)
+      }
 
       res.status(201).json({
         message: "Token created successfully",
         token,
+        transaction,
       })
     } catch (error) {
       logger.error("Create token error:", error)
@@ -251,6 +591,104 @@ router.post(
   },
 )
 
+/**
+ * @swagger
+ * /api/tokens/images:
+ *   post:
+ *     summary: Upload a token image
+ *     description: |
+ *       Send the raw image as the request body with its Content-Type (PNG, SVG or WebP, at most 256 KiB).
+ *       The image is stored under its IPFS CIDv1. Use the returned `uri` as the token's image_url and
+ *       `media_type` as its image_media_type; `gateway_url` is an HTTP URL for displaying it.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         image/png:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         image/svg+xml:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         image/webp:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: Image stored
+ *       400:
+ *         description: Unsupported type, wrong dimensions or unsafe SVG content
+ *       413:
+ *         description: Image larger than 256 KiB
+ */
+router.post("/images", express.raw({ type: IMAGE_MEDIA_TYPES, limit: MAX_IMAGE_BYTES }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({
+        error: "Invalid image",
+        message: `Content-Type must be one of: ${IMAGE_MEDIA_TYPES.join(", ")}`,
+      })
+    }
+
+    const { image, errors } = await storeImage(req.body, req.get("Content-Type").split(";")[0].trim())
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid image",
+        message: errors[0],
+        details: errors,
+      })
+    }
+
+    logger.info(`Token image uploaded: ${image.cid} (${image.size} bytes) by ${req.user.email}`)
+
+    res.status(201).json({ image })
+  } catch (error) {
+    logger.error("Upload token image error:", error)
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Unable to store image",
+    })
+  }
+})
+
+// CIP-68 metadata lives on-chain in the reference token's datum, so an edit
+// only takes effect once the reference token is re-output with the new datum.
+// Queues that reference_update transaction; returns the insert's { data, error }.
+const queueReferenceUpdate = async (req, token, changes) => {
+  const datum = buildCip68Datum(token)
+
+  const result = await req.userSupabase
+    .from("transactions")
+    .insert({
+      token_id: token.id,
+      user_id: req.user.id,
+      transaction_type: "reference_update",
+      amount: 1,
+      status: "pending",
+      metadata: {
+        policy_id: token.policy_id,
+        reference_asset_name: token.reference_asset_name,
+        datum: datum.json,
+        datum_cbor: datum.cborHex,
+        changes,
+      },
+    })
+    .select()
+    .single()
+
+  if (!result.error) {
+    req.app.get("io").to(`user-${req.user.id}`).emit("transaction-created", result.data)
+  }
+
+  return result
+}
+
 /**
  * @swagger
  * /api/tokens/{id}:
@@ -277,16 +715,38 @@ router.post(
  *                 type: string
  *               image_url:
  *                 type: string
+ *               image_media_type:
+ *                 type: string
+ *               metadata:
+ *                 type: object
  *     responses:
  *       200:
- *         description: Token updated successfully
+ *         description: Token updated successfully. For CIP-68 tokens the response also contains the
+ *           pending reference token update transaction carrying the new inline datum.
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ *       409:
+ *         description: Retired tokens cannot be edited
  */
 router.put(
   "/:id",
   [
     param("id").isUUID().withMessage("Invalid token ID"),
     body("description").optional().isLength({ max: 1000 }),
-    body("image_url").optional().isURL(),
+    body("image_url")
+      .optional()
+      .if((value) => !isIpfsUri(value))
+      .isURL(),
+    body("image_url")
+      .optional()
+      .if(isIpfsUri)
+      .matches(IPFS_URI_PATTERN)
+      .withMessage("Invalid ipfs:// image URI"),
+    body("image_media_type")
+      .optional()
+      .matches(/^image\/[\w.+-]+$/)
+      .withMessage("Image media type must be an image/* MIME type"),
+    body("metadata").optional().isObject().withMessage("Metadata must be an object"),
   ],
   async (req, res) => {
     try {
@@ -298,16 +758,36 @@ router.put(
         })
       }
 
+      const { data: existing, error: accessError } = await findToken(req, "admin", "status")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      if (!EDITABLE_STATUSES.includes(existing.status)) {
+        return res.status(409).json({
+          error: "Token cannot be edited",
+          message: `Metadata of a ${existing.status} token cannot be changed`,
+        })
+      }
+
       const updateData = {}
       if (req.body.description !== undefined) updateData.description = req.body.description
-      if (req.body.image_url !== undefined) updateData.image_url = req.body.image_url
+      if (req.body.image_url !== undefined) {
+        // A new image replaces the old media type, which may no longer apply
+        updateData.image_url = req.body.image_url
+        updateData.image_media_type = req.body.image_media_type || null
+      }
+      if (req.body.metadata !== undefined) updateData.metadata = req.body.metadata
       updateData.updated_at = new Date().toISOString()
 
       const { data: token, error } = await req.userSupabase
         .from("tokens")
         .update(updateData)
         .eq("id", req.params.id)
-        .eq("creator_id", req.user.id)
         .select()
         .single()
 
@@ -320,9 +800,26 @@ router.put(
 
       logger.info(`Token updated: ${token.token_name} by ${req.user.email}`)
 
+      if (token.token_standard !== "cip68") {
+        return res.json({
+          message: "Token updated successfully",
+          token,
+        })
+      }
+
+      const { data: transaction, error: txError } = await queueReferenceUpdate(req, token, updateData)
+
+      if (txError) {
+        return res.status(400).json({
+          error: "Failed to create reference token update",
+          message: txError.message,
+        })
+      }
+
       res.json({
-        message: "Token updated successfully",
+        message: "Token updated; reference token update transaction created",
         token,
+        transaction,
       })
     } catch (error) {
       logger.error("Update token error:", error)
@@ -334,4 +831,2402 @@ router.put(
   },
 )
 
+/**
+ * @swagger
+ * /api/tokens/{id}/status:
+ *   post:
+ *     summary: Move a token to another lifecycle status
+ *     description: |
+ *       Allowed transitions are draft → policy_locked, policy_locked → active, active ⇄ frozen,
+ *       and any non-retired status → retired. Retirement is permanent.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, policy_locked, active, frozen, retired]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ *       404:
+ *         description: Token not found
+ *       409:
+ *         description: The transition is not allowed from the token's current status
+ */
+router.post(
+  "/:id/status",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    body("status").isIn(TOKEN_STATUSES).withMessage(`Status must be one of: ${TOKEN_STATUSES.join(", ")}`),
+    body("reason").optional().isString().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { status, reason } = req.body
+
+      const { data: existing, error: accessError } = await findToken(req, "admin", "status")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      if (!canTransition(existing.status, status)) {
+        return res.status(409).json({
+          error: "Invalid status transition",
+          message: `Token cannot move from ${existing.status} to ${status}`,
+        })
+      }
+
+      const { data: token, error } = await req.userSupabase
+        .rpc("transition_token_status", {
+          p_token_id: req.params.id,
+          p_status: status,
+          p_reason: reason || null,
+        })
+        .single()
+
+      if (error) {
+        // The token may have changed status since it was read
+        if (error.code === "55000") {
+          return res.status(409).json({
+            error: "Invalid status transition",
+            message: error.message,
+          })
+        }
+        if (error.code === "P0002") {
+          return res.status(404).json({
+            error: "Token not found",
+            message: "Token does not exist or you don't have access to it",
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to change token status",
+          message: error.message,
+        })
+      }
+
+      logger.info(`Token ${token.token_name} moved from ${existing.status} to ${status} by ${req.user.email}`)
+
+      const io = req.app.get("io")
+      io.to(`user-${req.user.id}`).emit("token-updated", token)
+
+      res.json({
+        message: `Token is now ${status}`,
+        token,
+      })
+    } catch (error) {
+      logger.error("Change token status error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to change token status",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/status-history:
+ *   get:
+ *     summary: Get a token's lifecycle status history
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Status changes, oldest first
+ */
+router.get("/:id/status-history", [param("id").isUUID().withMessage("Invalid token ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const { data: token, error: accessError } = await findToken(req, "viewer", "id, status")
+
+    if (accessError) {
+      return res.status(accessError.status).json({
+        error: accessError.error,
+        message: accessError.message,
+      })
+    }
+
+    const { data: history, error } = await req.userSupabase
+      .from("token_status_history")
+      .select("*")
+      .eq("token_id", token.id)
+      .order("created_at", { ascending: true })
+
+    if (error) {
+      return res.status(400).json({
+        error: "Failed to retrieve status history",
+        message: error.message,
+      })
+    }
+
+    res.json({
+      status: token.status,
+      history: history || [],
+    })
+  } catch (error) {
+    logger.error("Get token status history error:", error)
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Unable to retrieve status history",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/tokens/{id}/revisions:
+ *   get:
+ *     summary: Get a token's metadata revision history
+ *     description: Every change to description, image_url, image_media_type or metadata, newest first,
+ *       with its author, time, before/after values and a per-field diff.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *       404:
+ *         description: Token not found
+ */
+router.get("/:id/revisions", [param("id").isUUID().withMessage("Invalid token ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const { data: token, error: accessError } = await findToken(req, "viewer", "id")
+
+    if (accessError) {
+      return res.status(accessError.status).json({
+        error: accessError.error,
+        message: accessError.message,
+      })
+    }
+
+    const { data: revisions, error } = await req.userSupabase
+      .from("token_revisions")
+      .select("*, profiles!changed_by (email, full_name)")
+      .eq("token_id", token.id)
+      .order("revision_number", { ascending: false })
+
+    if (error) {
+      return res.status(400).json({
+        error: "Failed to retrieve revisions",
+        message: error.message,
+      })
+    }
+
+    res.json({
+      revisions: (revisions || []).map((revision) => ({ ...revision, diff: diffRevision(revision) })),
+    })
+  } catch (error) {
+    logger.error("Get token revisions error:", error)
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Unable to retrieve revisions",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/tokens/{id}/analytics:
+ *   get:
+ *     summary: Get a token's mint, burn, supply and fee history
+ *     description: |
+ *       Confirmed transactions grouped into UTC hour, day or week buckets. The range is widened to whole
+ *       buckets and may cover at most 1000 of them. Without `from`, the last 48 hours, 30 days or 26 weeks
+ *       are returned. Amounts are in base units and fees in lovelace; `net_supply` is the supply at the
+ *       end of each bucket.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [hour, day, week]
+ *           default: day
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Time series and totals for the range
+ *       400:
+ *         description: Invalid or too large range
+ *       404:
+ *         description: Token not found
+ */
+router.get(
+  "/:id/analytics",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    query("granularity")
+      .optional()
+      .isIn(ANALYTICS_GRANULARITIES)
+      .withMessage(`Granularity must be one of: ${ANALYTICS_GRANULARITIES.join(", ")}`),
+    query("from").optional().isISO8601().withMessage("from must be an ISO 8601 date"),
+    query("to").optional().isISO8601().withMessage("to must be an ISO 8601 date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { data: token, error: accessError } = await findToken(req, "viewer", "id, total_supply, decimals")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      let range
+      try {
+        range = resolveAnalyticsRange(req.query)
+      } catch (rangeError) {
+        if (rangeError instanceof AnalyticsError) {
+          return res.status(400).json({
+            error: "Invalid range",
+            message: rangeError.message,
+          })
+        }
+        throw rangeError
+      }
+
+      const { series, totals } = await fetchTokenAnalytics(req.userSupabase, token.id, range)
+
+      res.json({
+        token_id: token.id,
+        decimals: token.decimals,
+        ...range,
+        totals,
+        series,
+      })
+    } catch (error) {
+      logger.error("Get token analytics error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retrieve analytics",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/revisions/{revision}/rollback:
+ *   post:
+ *     summary: Restore a token's metadata to an earlier revision
+ *     description: |
+ *       Sets description, image_url, image_media_type and metadata back to their values right after the
+ *       given revision. The rollback is recorded as a new revision. CIP-68 tokens also get a pending
+ *       reference token update transaction.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Token restored
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ *       404:
+ *         description: Token or revision not found
+ *       409:
+ *         description: The token already matches the revision, or is retired
+ */
+router.post(
+  "/:id/revisions/:revision/rollback",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    param("revision").isInt({ min: 1 }).toInt().withMessage("Revision must be a positive integer"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { error: accessError } = await findToken(req, "admin", "id")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const { data: token, error } = await req.userSupabase
+        .rpc("rollback_token_revision", {
+          p_token_id: req.params.id,
+          p_revision_number: req.params.revision,
+        })
+        .single()
+
+      if (error) {
+        if (error.code === "P0002") {
+          return res.status(404).json({
+            error: "Revision not found",
+            message: error.message,
+          })
+        }
+        if (error.code === "55000") {
+          return res.status(409).json({
+            error: "Rollback not possible",
+            message: error.message,
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to roll back token",
+          message: error.message,
+        })
+      }
+
+      logger.info(`Token ${token.token_name} rolled back to revision ${req.params.revision} by ${req.user.email}`)
+
+      const io = req.app.get("io")
+      io.to(`user-${req.user.id}`).emit("token-updated", token)
+
+      if (token.token_standard !== "cip68") {
+        return res.json({
+          message: `Token restored to revision ${req.params.revision}`,
+          token,
+        })
+      }
+
+      const { data: transaction, error: txError } = await queueReferenceUpdate(req, token, {
+        rollback_to_revision: req.params.revision,
+      })
+
+      if (txError) {
+        return res.status(400).json({
+          error: "Failed to create reference token update",
+          message: txError.message,
+        })
+      }
+
+      res.json({
+        message: `Token restored to revision ${req.params.revision}; reference token update transaction created`,
+        token,
+        transaction,
+      })
+    } catch (error) {
+      logger.error("Rollback token revision error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to roll back token",
+      })
+    }
+  },
+)
+
+// Everything but the secret hash
+const TRANSFER_COLUMNS =
+  "id, token_id, from_user_id, from_email, to_email, to_user_id, message, status, expires_at, accepted_at, cancelled_at, created_at"
+
+/**
+ * @swagger
+ * /api/tokens/{id}/transfers:
+ *   post:
+ *     summary: Start transferring a token to another account
+ *     description: |
+ *       Emails the recipient a link to accept the transfer. The sender stays the owner until the
+ *       recipient accepts; pending transfers expire after 7 days. A token has at most one pending transfer.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to_email
+ *             properties:
+ *               to_email:
+ *                 type: string
+ *                 format: email
+ *               message:
+ *                 type: string
+ *                 description: Included in the email to the recipient
+ *     responses:
+ *       201:
+ *         description: Transfer started and recipient emailed
+ *       404:
+ *         description: Token not found
+ *       409:
+ *         description: The token already has a pending transfer, or belongs to an organization
+ *       502:
+ *         description: The recipient could not be emailed; the transfer was cancelled
+ */
+router.post(
+  "/:id/transfers",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    body("to_email").isEmail().withMessage("A valid recipient email is required"),
+    body("message").optional().isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const toEmail = req.body.to_email.trim()
+
+      const { data: token, error: accessError } = await findToken(req, "owner", "id, token_name, symbol")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      if (token.organization_id) {
+        return res.status(409).json({
+          error: "Organization token",
+          message: "Organization tokens cannot be transferred; manage access through organization roles instead",
+        })
+      }
+
+      if (toEmail.toLowerCase() === req.user.email.toLowerCase()) {
+        return res.status(400).json({
+          error: "Invalid recipient",
+          message: "You already own this token",
+        })
+      }
+
+      const secret = createTransferSecret()
+
+      const { data: transfer, error } = await req.userSupabase
+        .from("token_ownership_transfers")
+        .insert({
+          token_id: token.id,
+          from_user_id: req.user.id,
+          from_email: req.user.email,
+          to_email: toEmail,
+          secret_hash: hashTransferSecret(secret),
+          message: req.body.message || null,
+          expires_at: new Date(Date.now() + TRANSFER_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        })
+        .select(TRANSFER_COLUMNS)
+        .single()
+
+      if (error) {
+        if (error.code === "23505") {
+          return res.status(409).json({
+            error: "Transfer already pending",
+            message: "Cancel the token's pending transfer before starting another",
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to start transfer",
+          message: error.message,
+        })
+      }
+
+      const data = transferNotificationData(transfer, token)
+
+      try {
+        await notifications.send(
+          "email",
+          "token_transfer_requested",
+          { ...data, accept_url: transferAcceptUrl(transfer.id, secret) },
+          transfer.to_email,
+        )
+      } catch (notifyError) {
+        logger.error("Transfer email error:", notifyError)
+
+        // Without the email the recipient has no way to accept
+        await req.userSupabase
+          .from("token_ownership_transfers")
+          .update({ status: "cancelled", cancelled_at: new Date().toISOString() })
+          .eq("id", transfer.id)
+
+        return res.status(502).json({
+          error: "Failed to email recipient",
+          message: "The transfer was cancelled because the recipient could not be notified",
+        })
+      }
+
+      await req.userSupabase.from("audit_logs").insert({
+        user_id: req.user.id,
+        action: "START_TOKEN_TRANSFER",
+        resource_type: "token",
+        resource_id: token.id,
+        ip_address: req.ip,
+        user_agent: req.get("User-Agent"),
+        metadata: { transfer_id: transfer.id, to_email: transfer.to_email },
+      })
+
+      await notifyTransfer("token_transfer_sent", data, [req.user.email])
+
+      logger.info(`Transfer of token ${token.token_name} to ${transfer.to_email} started by ${req.user.email}`)
+
+      res.status(201).json({
+        message: `Transfer started; ${transfer.to_email} has been emailed a link to accept it`,
+        transfer,
+      })
+    } catch (error) {
+      logger.error("Start token transfer error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to start transfer",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/transfers:
+ *   get:
+ *     summary: Get a token's ownership transfers
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Transfers started by you, newest first
+ */
+router.get("/:id/transfers", [param("id").isUUID().withMessage("Invalid token ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const { data: transfers, error } = await req.userSupabase
+      .from("token_ownership_transfers")
+      .select(TRANSFER_COLUMNS)
+      .eq("token_id", req.params.id)
+      .eq("from_user_id", req.user.id)
+      .order("created_at", { ascending: false })
+
+    if (error) {
+      return res.status(400).json({
+        error: "Failed to retrieve transfers",
+        message: error.message,
+      })
+    }
+
+    res.json({
+      transfers: transfers || [],
+    })
+  } catch (error) {
+    logger.error("Get token transfers error:", error)
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Unable to retrieve transfers",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/tokens/{id}/transfers/{transferId}/cancel:
+ *   post:
+ *     summary: Cancel a pending ownership transfer
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled and recipient notified
+ *       404:
+ *         description: No pending transfer found
+ */
+router.post(
+  "/:id/transfers/:transferId/cancel",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    param("transferId").isUUID().withMessage("Invalid transfer ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { data: token, error: accessError } = await findToken(req, "owner", "id, token_name, symbol")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const { data: transfer, error } = await req.userSupabase
+        .from("token_ownership_transfers")
+        .update({ status: "cancelled", cancelled_at: new Date().toISOString() })
+        .eq("id", req.params.transferId)
+        .eq("token_id", token.id)
+        .eq("from_user_id", req.user.id)
+        .eq("status", "pending")
+        .select(TRANSFER_COLUMNS)
+        .single()
+
+      if (error || !transfer) {
+        return res.status(404).json({
+          error: "Transfer not found",
+          message: "No pending transfer with this ID exists for the token",
+        })
+      }
+
+      await req.userSupabase.from("audit_logs").insert({
+        user_id: req.user.id,
+        action: "CANCEL_TOKEN_TRANSFER",
+        resource_type: "token",
+        resource_id: token.id,
+        ip_address: req.ip,
+        user_agent: req.get("User-Agent"),
+        metadata: { transfer_id: transfer.id, to_email: transfer.to_email },
+      })
+
+      await notifyTransfer("token_transfer_cancelled", transferNotificationData(transfer, token), [transfer.to_email])
+
+      logger.info(`Transfer of token ${token.token_name} to ${transfer.to_email} cancelled by ${req.user.email}`)
+
+      res.json({
+        message: "Transfer cancelled",
+        transfer,
+      })
+    } catch (error) {
+      logger.error("Cancel token transfer error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to cancel transfer",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/transfers/{transferId}/accept:
+ *   post:
+ *     summary: Accept a token ownership transfer
+ *     description: |
+ *       Must be called by the account registered with the email the transfer was sent to, with the
+ *       secret from the emailed link. The token moves to the caller together with its transactions,
+ *       vesting schedules, and the security policies and multi-sig wallets scoped to it.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - secret
+ *             properties:
+ *               secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: You now own the token
+ *       403:
+ *         description: The secret does not match the transfer
+ *       404:
+ *         description: Transfer not found or not addressed to you
+ *       409:
+ *         description: The transfer is no longer pending or has expired
+ */
+router.post(
+  "/transfers/:transferId/accept",
+  [
+    param("transferId").isUUID().withMessage("Invalid transfer ID"),
+    body("secret").isString().notEmpty().withMessage("Transfer secret is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { data: transfer, error } = await req.userSupabase
+        .rpc("accept_token_transfer", {
+          p_transfer_id: req.params.transferId,
+          p_secret_hash: hashTransferSecret(req.body.secret),
+          p_ip_address: req.ip,
+          p_user_agent: req.get("User-Agent") || null,
+        })
+        .single()
+
+      if (error) {
+        if (error.code === "P0002") {
+          return res.status(404).json({
+            error: "Transfer not found",
+            message: "Transfer does not exist or was not sent to your email address",
+          })
+        }
+        if (error.code === "42501") {
+          return res.status(403).json({
+            error: "Invalid transfer link",
+            message: error.message,
+          })
+        }
+        if (error.code === "55000") {
+          return res.status(409).json({
+            error: "Transfer not possible",
+            message: error.message,
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to accept transfer",
+          message: error.message,
+        })
+      }
+
+      const { data: token } = await req.userSupabase.from("tokens").select("*").eq("id", transfer.token_id).single()
+
+      await notifyTransfer("token_transfer_completed", transferNotificationData(transfer, token), [
+        transfer.from_email,
+        transfer.to_email,
+      ])
+
+      logger.info(`Token ${token.token_name} transferred from ${transfer.from_email} to ${req.user.email}`)
+
+      const io = req.app.get("io")
+      io.to(`user-${req.user.id}`).emit("token-updated", token)
+      io.to(`user-${transfer.from_user_id}`).emit("token-transferred", { token_id: token.id, transfer_id: transfer.id })
+
+      delete transfer.secret_hash
+
+      res.json({
+        message: `You now own ${token.token_name}`,
+        token,
+        transfer,
+      })
+    } catch (error) {
+      logger.error("Accept token transfer error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to accept transfer",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/mint:
+ *   post:
+ *     summary: Mint more of a token
+ *     description: Creates a pending mint transaction. The token's total_supply grows when the transaction is confirmed.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                     pattern: "^[1-9][0-9]*$"
+ *                 description: Amount in base units; send amounts above 2^53 as a decimal string
+ *               recipient:
+ *                 type: string
+ *                 description: Bech32 address that receives the minted tokens
+ *               metadata:
+ *                 type: object
+ *               attach_metadata:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Attach the token's CIP-25 metadata (or CIP-68 reference datum)
+ *     responses:
+ *       201:
+ *         description: Mint transaction created
+ *       400:
+ *         description: The mint would exceed the supply cap or the policy's time lock has passed
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ *       409:
+ *         description: The token is not policy_locked or active
+ */
+router.post(
+  "/:id/mint",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    body("amount").custom(validatorFor(validateSupplyAmount)),
+    body("recipient").optional().custom(validatorFor(validateAddress)),
+    body("metadata").optional().isObject(),
+    body("attach_metadata").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { amount, recipient, metadata, attach_metadata = true } = req.body
+
+      const { data: token, error: accessError } = await findToken(req, "minter")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      // Mints carry the token's CIP-25 metadata (or CIP-68 datum) so wallets and explorers can display it
+      let mintMetadata = {}
+      if (attach_metadata) {
+        const built = buildMintMetadata(token)
+        if (built.errors.length > 0) {
+          return res.status(400).json({
+            error: "Invalid token metadata",
+            message: "Token metadata does not meet CIP-25; fix the token or set attach_metadata to false",
+            details: built.errors,
+          })
+        }
+        mintMetadata = built.metadata
+      }
+
+      let transaction
+      try {
+        transaction = await createSupplyTransaction(req.userSupabase, {
+          token,
+          transactionType: "mint",
+          amount,
+          metadata: {
+            ...metadata,
+            ...mintMetadata,
+            recipient: recipient || null,
+            policy_id: token.policy_id,
+            asset_name: token.asset_name,
+          },
+        })
+      } catch (supplyError) {
+        if (supplyError instanceof SupplyError || supplyError instanceof MintingPolicyError) {
+          return res.status(supplyError.status || 400).json({
+            error: "Minting not allowed",
+            message: supplyError.message,
+          })
+        }
+        throw supplyError
+      }
+
+      logger.info(`Mint requested: ${amount} ${token.symbol} by ${req.user.email}`)
+
+      const io = req.app.get("io")
+      io.to(`user-${req.user.id}`).emit("transaction-created", transaction)
+
+      res.status(201).json({
+        message: "Mint transaction created successfully",
+        transaction,
+      })
+    } catch (error) {
+      logger.error("Mint token error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to mint token",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/burn:
+ *   post:
+ *     summary: Burn part of a token's circulating supply
+ *     description: Creates a pending burn transaction. The token's total_supply shrinks when the transaction is confirmed.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                     pattern: "^[1-9][0-9]*$"
+ *                 description: Amount in base units; send amounts above 2^53 as a decimal string
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Burn transaction created
+ *       400:
+ *         description: The burn is larger than the circulating supply
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ *       409:
+ *         description: The token is not active or retired
+ */
+router.post(
+  "/:id/burn",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    body("amount").custom(validatorFor(validateSupplyAmount)),
+    body("metadata").optional().isObject(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { amount, metadata } = req.body
+
+      const { data: token, error: accessError } = await findToken(req, "minter")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      let transaction
+      try {
+        transaction = await createSupplyTransaction(req.userSupabase, {
+          token,
+          transactionType: "burn",
+          amount,
+          metadata: {
+            ...metadata,
+            policy_id: token.policy_id,
+            asset_name: token.asset_name,
+          },
+        })
+      } catch (supplyError) {
+        if (supplyError instanceof SupplyError) {
+          return res.status(supplyError.status).json({
+            error: "Burn not allowed",
+            message: supplyError.message,
+          })
+        }
+        throw supplyError
+      }
+
+      logger.info(`Burn requested: ${amount} ${token.symbol} by ${req.user.email}`)
+
+      const io = req.app.get("io")
+      io.to(`user-${req.user.id}`).emit("transaction-created", transaction)
+
+      res.status(201).json({
+        message: "Burn transaction created successfully",
+        transaction,
+      })
+    } catch (error) {
+      logger.error("Burn token error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to burn token",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/vesting:
+ *   post:
+ *     summary: Create a vesting schedule for a beneficiary
+ *     description: Mints the full allocation (subject to the token's supply cap); tranches are released by the vesting scheduler as they unlock.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - beneficiary_address
+ *               - total_amount
+ *               - schedule_type
+ *               - start_at
+ *               - end_at
+ *             properties:
+ *               beneficiary_address:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *                 description: e.g. "Founder" or "Seed investor"
+ *               total_amount:
+ *                 type: integer
+ *                 description: Allocation in base units
+ *               schedule_type:
+ *                 type: string
+ *                 enum: [linear, stepped]
+ *               start_at:
+ *                 type: string
+ *                 format: date-time
+ *               cliff_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Nothing unlocks before this date (defaults to start_at)
+ *               end_at:
+ *                 type: string
+ *                 format: date-time
+ *               step_interval_days:
+ *                 type: integer
+ *                 description: Days between tranches (stepped schedules only)
+ *     responses:
+ *       201:
+ *         description: Vesting schedule created with its allocation mint transaction
+ *       400:
+ *         description: Invalid schedule, or the allocation exceeds the token's minting policy
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ */
+router.post(
+  "/:id/vesting",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    body("beneficiary_address").custom(validatorFor(validateAddress)),
+    body("label").optional().isLength({ max: 100 }),
+    body("total_amount").isInt({ min: 1 }).toInt().withMessage("Total amount must be a positive integer"),
+    body("schedule_type").isIn(VESTING_SCHEDULE_TYPES).withMessage("Schedule type must be linear or stepped"),
+    body("start_at").isISO8601().withMessage("Start date must be an ISO 8601 date"),
+    body("cliff_at").optional().isISO8601().withMessage("Cliff date must be an ISO 8601 date"),
+    body("end_at").isISO8601().withMessage("End date must be an ISO 8601 date"),
+    body("step_interval_days").optional().isInt({ min: 1 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { beneficiary_address, label, total_amount, schedule_type, start_at, end_at, step_interval_days } =
+        req.body
+      const cliff_at = req.body.cliff_at || start_at
+
+      try {
+        validateVestingSchedule({ schedule_type, start_at, cliff_at, end_at, step_interval_days, total_amount })
+      } catch (vestingError) {
+        if (vestingError instanceof VestingError) {
+          return res.status(400).json({
+            error: "Invalid vesting schedule",
+            message: vestingError.message,
+          })
+        }
+        throw vestingError
+      }
+
+      const { data: token, error: accessError } = await findToken(req, "minter")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const scheduleId = crypto.randomUUID()
+      const mintMetadata = buildMintMetadata(token)
+      if (mintMetadata.errors.length > 0) {
+        return res.status(400).json({
+          error: "Invalid token metadata",
+          message: "Token metadata does not meet CIP-25; fix the token before minting its vesting allocation",
+          details: mintMetadata.errors,
+        })
+      }
+
+      // The whole allocation is minted up front so the supply cap covers it
+      let transaction
+      try {
+        transaction = await createSupplyTransaction(req.userSupabase, {
+          token,
+          transactionType: "mint",
+          amount: total_amount,
+          metadata: {
+            ...mintMetadata.metadata,
+            policy_id: token.policy_id,
+            asset_name: token.asset_name,
+            vesting_schedule_id: scheduleId,
+            vesting_allocation: true,
+          },
+        })
+      } catch (supplyError) {
+        if (supplyError instanceof SupplyError || supplyError instanceof MintingPolicyError) {
+          return res.status(supplyError.status || 400).json({
+            error: "Minting not allowed",
+            message: supplyError.message,
+          })
+        }
+        throw supplyError
+      }
+
+      const { data: schedule, error } = await req.userSupabase
+        .from("vesting_schedules")
+        .insert({
+          id: scheduleId,
+          token_id: token.id,
+          user_id: req.user.id,
+          beneficiary_address,
+          label,
+          schedule_type,
+          total_amount,
+          start_at,
+          cliff_at,
+          end_at,
+          step_interval_days: schedule_type === "stepped" ? step_interval_days : null,
+          allocation_transaction_id: transaction.id,
+        })
+        .select()
+        .single()
+
+      if (error) {
+        logger.error(`Vesting schedule insert failed after allocation mint ${transaction.id}:`, error)
+        return res.status(400).json({
+          error: "Failed to create vesting schedule",
+          message: error.message,
+        })
+      }
+
+      logger.info(`Vesting schedule created: ${total_amount} ${token.symbol} for ${beneficiary_address}`)
+
+      const io = req.app.get("io")
+      io.to(`user-${req.user.id}`).emit("transaction-created", transaction)
+      io.to(`user-${req.user.id}`).emit("vesting-created", schedule)
+
+      res.status(201).json({
+        message: "Vesting schedule created successfully",
+        schedule: { ...schedule, ...summarizeSchedule(schedule) },
+        transaction,
+      })
+    } catch (error) {
+      logger.error("Create vesting schedule error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to create vesting schedule",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/vesting:
+ *   get:
+ *     summary: List a token's vesting schedules with vested and claimable amounts
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: beneficiary
+ *         schema:
+ *           type: string
+ *         description: Only schedules for this beneficiary address
+ *     responses:
+ *       200:
+ *         description: Schedules and totals (claimable = vested but not yet released)
+ */
+router.get(
+  "/:id/vesting",
+  [param("id").isUUID().withMessage("Invalid token ID"), query("beneficiary").optional().isString()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { error: accessError } = await findToken(req, "viewer", "id")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      let query = req.userSupabase.from("vesting_schedules").select("*").eq("token_id", req.params.id)
+
+      if (req.query.beneficiary) query = query.eq("beneficiary_address", req.query.beneficiary)
+
+      const { data, error } = await query.order("created_at", { ascending: false })
+
+      if (error) {
+        return res.status(400).json({
+          error: "Failed to retrieve vesting schedules",
+          message: error.message,
+        })
+      }
+
+      const now = new Date()
+      const schedules = (data || []).map((schedule) => ({ ...schedule, ...summarizeSchedule(schedule, now) }))
+
+      const totals = schedules.reduce(
+        (sum, schedule) => ({
+          total_amount: sum.total_amount + Number(schedule.total_amount),
+          vested_amount: sum.vested_amount + schedule.vested_amount,
+          released_amount: sum.released_amount + schedule.released_amount,
+          claimable_amount: sum.claimable_amount + schedule.claimable_amount,
+        }),
+        { total_amount: 0, vested_amount: 0, released_amount: 0, claimable_amount: 0 },
+      )
+
+      res.json({ schedules, totals })
+    } catch (error) {
+      logger.error("Get vesting schedules error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retrieve vesting schedules",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/vesting/{scheduleId}:
+ *   get:
+ *     summary: Get a vesting schedule with its release transactions
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Vesting schedule retrieved successfully
+ *       404:
+ *         description: Vesting schedule not found
+ */
+router.get(
+  "/:id/vesting/:scheduleId",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    param("scheduleId").isUUID().withMessage("Invalid vesting schedule ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { error: accessError } = await findToken(req, "viewer", "id")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const { data: schedule, error } = await req.userSupabase
+        .from("vesting_schedules")
+        .select("*")
+        .eq("id", req.params.scheduleId)
+        .eq("token_id", req.params.id)
+        .single()
+
+      if (error || !schedule) {
+        return res.status(404).json({
+          error: "Vesting schedule not found",
+          message: "Vesting schedule does not exist or you don't have access to it",
+        })
+      }
+
+      const { data: releases } = await req.userSupabase
+        .from("transactions")
+        .select("*")
+        .eq("vesting_schedule_id", schedule.id)
+        .order("created_at", { ascending: true })
+
+      res.json({
+        schedule: { ...schedule, ...summarizeSchedule(schedule) },
+        releases: releases || [],
+      })
+    } catch (error) {
+      logger.error("Get vesting schedule error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retrieve vesting schedule",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/registry:
+ *   post:
+ *     summary: Build a token registry (CIP-26) entry for a token
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               logo:
+ *                 type: string
+ *                 description: Base64 PNG logo (defaults to the token's image_url)
+ *               url:
+ *                 type: string
+ *                 description: Project website (https)
+ *     responses:
+ *       201:
+ *         description: Draft entry created with the attestation message to sign for each property
+ *       400:
+ *         description: Token does not meet the registry requirements
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ */
+router.post(
+  "/:id/registry",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    body("logo").optional().isBase64().withMessage("Logo must be base64 encoded"),
+    body("url").optional().isURL({ protocols: ["https"], require_protocol: true }).withMessage("URL must use https"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { data: token, error: accessError } = await findToken(req, "admin")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      let logo = req.body.logo
+      const logoErrors = []
+      if (!logo && token.image_url) {
+        try {
+          logo = await fetchLogo(token.image_url)
+        } catch (logoError) {
+          logoErrors.push(logoError.message)
+        }
+      }
+
+      // Re-generating an entry that was already signed needs a higher sequence number
+      const { data: existing } = await req.userSupabase
+        .from("token_registry_submissions")
+        .select("sequence_number, status")
+        .eq("token_id", token.id)
+        .single()
+
+      const sequenceNumber = existing ? existing.sequence_number + (existing.status === "draft" ? 0 : 1) : 0
+
+      const { entry, errors: entryErrors, attestationMessages } = buildRegistryEntry(token, {
+        logo,
+        url: req.body.url,
+        sequenceNumber,
+      })
+
+      if (logoErrors.length > 0 || entryErrors.length > 0) {
+        return res.status(400).json({
+          error: "Token does not meet registry requirements",
+          details: [...logoErrors, ...entryErrors],
+        })
+      }
+
+      const { data: submission, error } = await req.userSupabase
+        .from("token_registry_submissions")
+        .upsert(
+          {
+            token_id: token.id,
+            user_id: req.user.id,
+            subject: entry.subject,
+            sequence_number: sequenceNumber,
+            entry,
+            attestation_messages: attestationMessages,
+            status: "draft",
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: "token_id" },
+        )
+        .select()
+        .single()
+
+      if (error) {
+        return res.status(400).json({
+          error: "Failed to save registry entry",
+          message: error.message,
+        })
+      }
+
+      logger.info(`Registry entry prepared for token ${token.token_name} by ${req.user.email}`)
+
+      res.status(201).json({
+        message: "Registry entry created; sign each attestation message with a policy key",
+        submission,
+        attestation_messages: attestationMessages,
+      })
+    } catch (error) {
+      logger.error("Create registry entry error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to build registry entry",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/registry/signatures:
+ *   post:
+ *     summary: Add policy key attestation signatures to a registry entry
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - signatures
+ *             properties:
+ *               signatures:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     property:
+ *                       type: string
+ *                       enum: [name, description, ticker, decimals, url, logo]
+ *                     public_key:
+ *                       type: string
+ *                       description: Ed25519 public key of a policy signer (hex or ed25519_pk1... bech32)
+ *                     signature:
+ *                       type: string
+ *                       description: Hex ed25519 signature of the property's attestation message
+ *     responses:
+ *       200:
+ *         description: Signatures added
+ *       400:
+ *         description: One or more signatures are invalid
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ */
+router.post(
+  "/:id/registry/signatures",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    body("signatures").isArray({ min: 1 }).withMessage("At least one signature is required"),
+    body("signatures.*.property").isIn(REGISTRY_PROPERTIES).withMessage("Invalid registry property"),
+    body("signatures.*.public_key").custom(validatorFor(validatePublicKey)).customSanitizer(publicKeyToHex),
+    body("signatures.*.signature")
+      .matches(/^[0-9a-fA-F]{128}$/)
+      .withMessage("Signature must be 64 bytes of hex"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { data: token, error: accessError } = await findToken(req, "admin")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const { data: submission, error: submissionError } = await req.userSupabase
+        .from("token_registry_submissions")
+        .select("*")
+        .eq("token_id", token.id)
+        .single()
+
+      if (submissionError || !submission) {
+        return res.status(404).json({
+          error: "Registry entry not found",
+          message: "Create a registry entry for this token first",
+        })
+      }
+
+      const entry = submission.entry
+      const signatureErrors = []
+
+      for (const attestation of req.body.signatures) {
+        const normalized = {
+          property: attestation.property,
+          public_key: attestation.public_key.toLowerCase(),
+          signature: attestation.signature.toLowerCase(),
+        }
+
+        const verificationError = verifyAttestation(token, entry, normalized)
+        if (verificationError) {
+          signatureErrors.push(verificationError)
+          continue
+        }
+
+        const field = entry[normalized.property]
+        field.signatures = field.signatures.filter((existing) => existing.publicKey !== normalized.public_key)
+        field.signatures.push({ signature: normalized.signature, publicKey: normalized.public_key })
+      }
+
+      if (signatureErrors.length > 0) {
+        return res.status(400).json({
+          error: "Invalid attestation signatures",
+          details: signatureErrors,
+        })
+      }
+
+      const { data: updated, error } = await req.userSupabase
+        .from("token_registry_submissions")
+        .update({
+          entry,
+          status: unsignedProperties(entry).length === 0 ? "signed" : "draft",
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", submission.id)
+        .select()
+        .single()
+
+      if (error) {
+        return res.status(400).json({
+          error: "Failed to save signatures",
+          message: error.message,
+        })
+      }
+
+      res.json({
+        message: "Signatures added successfully",
+        submission: updated,
+        unsigned_properties: unsignedProperties(entry),
+      })
+    } catch (error) {
+      logger.error("Add registry signatures error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to add registry signatures",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/registry:
+ *   get:
+ *     summary: Get a token's registry entry, or download it for submission
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: boolean
+ *         description: Return the signed entry as a <subject>.json attachment
+ *     responses:
+ *       200:
+ *         description: Registry entry retrieved successfully
+ *       404:
+ *         description: Registry entry not found
+ *       409:
+ *         description: Entry cannot be downloaded until every property is signed
+ */
+router.get(
+  "/:id/registry",
+  [param("id").isUUID().withMessage("Invalid token ID"), query("download").optional().isBoolean()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { error: accessError } = await findToken(req, "viewer", "id")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const { data: submission, error } = await req.userSupabase
+        .from("token_registry_submissions")
+        .select("*")
+        .eq("token_id", req.params.id)
+        .single()
+
+      if (error || !submission) {
+        return res.status(404).json({
+          error: "Registry entry not found",
+          message: "No registry entry exists for this token",
+        })
+      }
+
+      const unsigned = unsignedProperties(submission.entry)
+
+      if (req.query.download !== "true") {
+        return res.json({
+          submission,
+          unsigned_properties: unsigned,
+        })
+      }
+
+      if (unsigned.length > 0) {
+        return res.status(409).json({
+          error: "Registry entry is not fully signed",
+          message: `Missing signatures for: ${unsigned.join(", ")}`,
+        })
+      }
+
+      res.setHeader("Content-Disposition", `attachment; filename="${submission.subject}.json"`)
+      res.type("application/json").send(JSON.stringify(submission.entry, null, 2))
+    } catch (error) {
+      logger.error("Get registry entry error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retrieve registry entry",
+      })
+    }
+  },
+)
+
+// Create one pending mint transaction per chunk and link the rows to it. Rows
+// left without a transaction (e.g. the cap was reached mid-batch) count as failed.
+const queueBatchChunks = async (req, { token, job, rows, mintMetadata }) => {
+  const transactions = []
+  const chunks = chunkRows(rows, token, mintMetadata)
+
+  for (const [chunkIndex, chunk] of chunks.entries()) {
+    const transaction = await createSupplyTransaction(req.userSupabase, {
+      token,
+      transactionType: "mint",
+      amount: chunk.reduce((sum, row) => sum + row.amount, 0),
+      batchJobId: job.id,
+      metadata: {
+        ...mintMetadata,
+        policy_id: token.policy_id,
+        asset_name: token.asset_name,
+        batch_job_id: job.id,
+        chunk_index: chunkIndex,
+        outputs: chunk.map((row) => ({ address: row.address, amount: row.amount })),
+      },
+    })
+
+    const { error: rowsError } = await req.userSupabase
+      .from("batch_mint_rows")
+      .update({ transaction_id: transaction.id, updated_at: new Date().toISOString() })
+      .in(
+        "id",
+        chunk.map((row) => row.id),
+      )
+
+    if (rowsError) throw rowsError
+
+    transactions.push(transaction)
+  }
+
+  return transactions
+}
+
+// Rows of a job together with the status of the transaction each was last placed in
+const loadBatchRows = async (req, jobId) => {
+  const { data: rows, error } = await req.userSupabase
+    .from("batch_mint_rows")
+    .select("*, transactions (status, tx_hash)")
+    .eq("job_id", jobId)
+    .order("row_number", { ascending: true })
+
+  if (error) throw error
+
+  return rows.map(({ transactions, ...row }) => ({
+    ...row,
+    status: rowStatus({ transactions }),
+    tx_hash: transactions?.tx_hash || null,
+  }))
+}
+
+/**
+ * @swagger
+ * /api/tokens/{id}/batch-mints:
+ *   post:
+ *     summary: Mint a token to many addresses from a CSV
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - csv
+ *             properties:
+ *               csv:
+ *                 type: string
+ *                 description: "address,amount rows (amounts in display units, optional header row)"
+ *               attach_metadata:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Batch job created with one pending mint transaction per chunk
+ *       400:
+ *         description: Invalid rows, or the total exceeds the token's minting policy
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ */
+router.post(
+  "/:id/batch-mints",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    body("csv").isString().notEmpty().withMessage("CSV content is required"),
+    body("attach_metadata").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { csv, attach_metadata = true } = req.body
+
+      const { data: token, error: accessError } = await findToken(req, "minter")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      if (!MINTABLE_STATUSES.includes(token.status)) {
+        return res.status(409).json({
+          error: "Minting not allowed",
+          message: `Cannot mint a ${token.status} token`,
+        })
+      }
+
+      const { rows, errors: rowErrors } = parseBatchCsv(csv, token)
+
+      if (rowErrors.length > 0) {
+        return res.status(400).json({
+          error: "Invalid batch rows",
+          message: `${rowErrors.length} row(s) failed validation; nothing was minted`,
+          details: rowErrors,
+        })
+      }
+
+      if (rows.length === 0) {
+        return res.status(400).json({
+          error: "Invalid batch rows",
+          message: "The CSV contains no rows",
+        })
+      }
+
+      const totalAmount = rows.reduce((sum, row) => sum + row.amount, 0)
+
+      try {
+        assertMintAllowed(token, totalAmount)
+      } catch (policyError) {
+        if (policyError instanceof MintingPolicyError) {
+          return res.status(400).json({
+            error: "Minting not allowed",
+            message: policyError.message,
+          })
+        }
+        throw policyError
+      }
+
+      let mintMetadata = {}
+      if (attach_metadata) {
+        const built = buildMintMetadata(token)
+        if (built.errors.length > 0) {
+          return res.status(400).json({
+            error: "Invalid token metadata",
+            message: "Token metadata does not meet CIP-25; fix the token or set attach_metadata to false",
+            details: built.errors,
+          })
+        }
+        mintMetadata = built.metadata
+      }
+
+      const { data: job, error: jobError } = await req.userSupabase
+        .from("batch_mint_jobs")
+        .insert({
+          token_id: token.id,
+          user_id: req.user.id,
+          total_rows: rows.length,
+          total_amount: totalAmount,
+          attach_metadata,
+        })
+        .select()
+        .single()
+
+      if (jobError) {
+        return res.status(400).json({
+          error: "Failed to create batch mint",
+          message: jobError.message,
+        })
+      }
+
+      const { data: insertedRows, error: rowsError } = await req.userSupabase
+        .from("batch_mint_rows")
+        .insert(rows.map((row) => ({ ...row, job_id: job.id })))
+        .select()
+
+      if (rowsError) {
+        await req.userSupabase.from("batch_mint_jobs").delete().eq("id", job.id)
+        return res.status(400).json({
+          error: "Failed to create batch mint",
+          message: rowsError.message,
+        })
+      }
+
+      let transactions
+      try {
+        transactions = await queueBatchChunks(req, { token, job, rows: insertedRows, mintMetadata })
+      } catch (supplyError) {
+        if (supplyError instanceof SupplyError || supplyError instanceof MintingPolicyError) {
+          return res.status(supplyError.status || 400).json({
+            error: "Minting not allowed",
+            message: `${supplyError.message}. Rows that were not queued can be retried.`,
+            job,
+          })
+        }
+        throw supplyError
+      }
+
+      logger.info(
+        `Batch mint created: ${rows.length} rows in ${transactions.length} transactions for ${token.token_name} by ${req.user.email}`,
+      )
+
+      const io = req.app.get("io")
+      transactions.forEach((transaction) => io.to(`user-${req.user.id}`).emit("transaction-created", transaction))
+
+      res.status(201).json({
+        message: "Batch mint created successfully",
+        job,
+        transactions,
+      })
+    } catch (error) {
+      logger.error("Create batch mint error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to create batch mint",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/batch-mints/{jobId}:
+ *   get:
+ *     summary: Get a batch mint job with per-row progress
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Job summary and each row's status (pending, minted or failed)
+ *       404:
+ *         description: Batch mint not found
+ */
+router.get(
+  "/:id/batch-mints/:jobId",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    param("jobId").isUUID().withMessage("Invalid batch mint ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { error: accessError } = await findToken(req, "viewer", "id")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const { data: job, error } = await req.userSupabase
+        .from("batch_mint_jobs")
+        .select("*")
+        .eq("id", req.params.jobId)
+        .eq("token_id", req.params.id)
+        .single()
+
+      if (error || !job) {
+        return res.status(404).json({
+          error: "Batch mint not found",
+          message: "Batch mint does not exist or you don't have access to it",
+        })
+      }
+
+      const rows = await loadBatchRows(req, job.id)
+      const { status, counts } = summarizeRows(rows)
+
+      res.json({
+        job: { ...job, status, counts },
+        rows,
+      })
+    } catch (error) {
+      logger.error("Get batch mint error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retrieve batch mint",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/tokens/{id}/batch-mints/{jobId}/retry:
+ *   post:
+ *     summary: Retry the failed rows of a batch mint
+ *     description: Failed rows are placed in new mint transactions; minted and pending rows are left alone.
+ *     tags: [Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: New transactions created for the failed rows
+ *       400:
+ *         description: No failed rows, or the retry exceeds the token's minting policy
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ */
+router.post(
+  "/:id/batch-mints/:jobId/retry",
+  [
+    param("id").isUUID().withMessage("Invalid token ID"),
+    param("jobId").isUUID().withMessage("Invalid batch mint ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { error: accessError } = await findToken(req, "minter", "id")
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      const { data: job, error: jobError } = await req.userSupabase
+        .from("batch_mint_jobs")
+        .select("*, tokens (*)")
+        .eq("id", req.params.jobId)
+        .eq("token_id", req.params.id)
+        .single()
+
+      if (jobError || !job) {
+        return res.status(404).json({
+          error: "Batch mint not found",
+          message: "Batch mint does not exist or you don't have access to it",
+        })
+      }
+
+      const token = job.tokens
+      if (!MINTABLE_STATUSES.includes(token.status)) {
+        return res.status(409).json({
+          error: "Minting not allowed",
+          message: `Cannot mint a ${token.status} token`,
+        })
+      }
+
+      const failedRows = (await loadBatchRows(req, job.id)).filter((row) => row.status === "failed")
+
+      if (failedRows.length === 0) {
+        return res.status(400).json({
+          error: "Nothing to retry",
+          message: "This batch mint has no failed rows",
+        })
+      }
+
+      try {
+        assertMintAllowed(
+          token,
+          failedRows.reduce((sum, row) => sum + Number(row.amount), 0),
+        )
+      } catch (policyError) {
+        if (policyError instanceof MintingPolicyError) {
+          return res.status(400).json({
+            error: "Minting not allowed",
+            message: policyError.message,
+          })
+        }
+        throw policyError
+      }
+
+      let mintMetadata = {}
+      if (job.attach_metadata) {
+        const built = buildMintMetadata(token)
+        if (built.errors.length > 0) {
+          return res.status(400).json({
+            error: "Invalid token metadata",
+            message: "Token metadata no longer meets CIP-25; fix the token before retrying",
+            details: built.errors,
+          })
+        }
+        mintMetadata = built.metadata
+      }
+
+      let transactions
+      try {
+        transactions = await queueBatchChunks(req, {
+          token,
+          job,
+          rows: failedRows.map((row) => ({ ...row, amount: Number(row.amount) })),
+          mintMetadata,
+        })
+      } catch (supplyError) {
+        if (supplyError instanceof SupplyError || supplyError instanceof MintingPolicyError) {
+          return res.status(supplyError.status || 400).json({
+            error: "Minting not allowed",
+            message: supplyError.message,
+          })
+        }
+        throw supplyError
+      }
+
+      const rowsByAttempts = new Map()
+      failedRows.forEach((row) => {
+        rowsByAttempts.set(row.attempts, [...(rowsByAttempts.get(row.attempts) || []), row.id])
+      })
+      for (const [attempts, ids] of rowsByAttempts) {
+        await req.userSupabase
+          .from("batch_mint_rows")
+          .update({ attempts: attempts + 1 })
+          .in("id", ids)
+      }
+
+      logger.info(`Batch mint ${job.id} retried: ${failedRows.length} rows in ${transactions.length} transactions`)
+
+      const io = req.app.get("io")
+      transactions.forEach((transaction) => io.to(`user-${req.user.id}`).emit("transaction-created", transaction))
+
+      res.status(201).json({
+        message: "Failed rows queued for retry",
+        retried_rows: failedRows.length,
+        transactions,
+      })
+    } catch (error) {
+      logger.error("Retry batch mint error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to retry batch mint",
+      })
+    }
+  },
+)
+
 module.exports = router
@@ -1,9 +1,78 @@
 const express = require("express")
 const { body, param, query, validationResult } = require("express-validator")
 const logger = require("../utils/logger")
+const { getOrganizationRole, findTokenForRole } = require("../utils/organizations")
+const { validateAddress } = require("../utils/address")
+const { validatorFor } = require("../utils/cardano-validation")
+const { buildMintMetadata } = require("../utils/token-metadata")
+const { validateCip20Message, buildCip20Message } = require("../utils/cip20")
+const {
+  normalizeLabel,
+  normalizeLabels,
+  validateLabel,
+  validateLabels,
+  validateNote,
+  annotationSearchFilter,
+  withAnnotation,
+} = require("../utils/transaction-annotations")
+const {
+  TransactionBuildError,
+  SponsorFundsError,
+  buildTokenTransaction,
+  transactionId,
+  attachWitnesses,
+} = require("../utils/tx-builder")
+const { sponsorUnavailable, findActiveSponsorship, buildSponsoredTransaction } = require("../utils/gasless")
+const { ChainProviderError, getChainProvider } = require("../utils/chain-provider")
+const { dateToSlot } = require("../config/cardano")
+const { requireAdmin } = require("../middleware/auth")
+const { idempotency } = require("../middleware/idempotency")
+const {
+  ListQueryError,
+  defineList,
+  listValidators,
+  parseListQuery,
+  listSelectOptions,
+  applyListQuery,
+  listPage,
+} = require("../utils/list-query")
+const {
+  EXPORT_FORMATS,
+  ExportError,
+  resolveExportRange,
+  fetchExportRows,
+  exportFormat,
+} = require("../utils/transaction-export")
+const {
+  TRANSACTION_STATUSES,
+  STATUS_TRANSITIONS,
+  BUILDABLE_STATUSES,
+  SUBMITTABLE_STATUSES,
+  canTransition,
+} = require("../utils/transaction-status")
 
 const router = express.Router()
 
+const TRANSACTION_LIST = defineList({
+  sortFields: ["created_at", "amount"],
+  rangeFilters: { amount: "amount" },
+  equalFilters: { token_id: "token_id" },
+  prefixFilters: { tx_hash: "tx_hash" },
+})
+
+// Wait until a streamed response can take more data, or the client has gone
+const drained = (res) => {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done)
+      res.off("close", done)
+      resolve()
+    }
+    res.on("drain", done)
+    res.on("close", done)
+  })
+}
+
 /**
  * @swagger
  * /api/transactions:
@@ -13,37 +82,77 @@ const router = express.Router()
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListOffset'
  *       - in: query
- *         name: limit
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, amount]
+ *           default: created_at
+ *       - $ref: '#/components/parameters/ListOrder'
+ *       - $ref: '#/components/parameters/ListFrom'
+ *       - $ref: '#/components/parameters/ListTo'
+ *       - in: query
+ *         name: token_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: min_amount
  *         schema:
  *           type: integer
- *           default: 20
  *       - in: query
- *         name: offset
+ *         name: max_amount
  *         schema:
  *           type: integer
- *           default: 0
+ *       - in: query
+ *         name: tx_hash
+ *         schema:
+ *           type: string
+ *         description: Hex prefix of the transaction hash
  *       - in: query
  *         name: type
  *         schema:
  *           type: string
- *           enum: [mint, burn, transfer]
+ *           enum: [mint, burn, transfer, reference_update, vesting_release]
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, failed]
+ *           enum: [pending, built, signed, submitted, confirmed, failed, expired]
+ *       - in: query
+ *         name: organization_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Every member's transactions on this organization's tokens, instead of your own
+ *       - in: query
+ *         name: label
+ *         schema:
+ *           type: string
+ *         description: Only transactions you gave this label
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Only transactions whose note contains this text or that have it as a label
  *     responses:
  *       200:
- *         description: Transactions retrieved successfully
+ *         description: Transactions retrieved successfully, each with your labels and note
+ *       400:
+ *         description: Invalid filters or cursor
  */
 router.get(
   "/",
   [
-    query("limit").optional().isInt({ min: 1, max: 100 }),
-    query("offset").optional().isInt({ min: 0 }),
-    query("type").optional().isIn(["mint", "burn", "transfer"]),
-    query("status").optional().isIn(["pending", "confirmed", "failed"]),
+    ...listValidators(TRANSACTION_LIST),
+    query("type").optional().isIn(["mint", "burn", "transfer", "reference_update", "vesting_release"]),
+    query("status").optional().isIn(TRANSACTION_STATUSES),
+    query("organization_id").optional().isUUID().withMessage("Invalid organization ID"),
+    query("label").optional().custom(validatorFor(validateLabel)),
+    query("search").optional().isLength({ min: 1, max: 100 }).withMessage("Search must be 1 to 100 characters"),
   ],
   async (req, res) => {
     try {
@@ -55,29 +164,66 @@ router.get(
         })
       }
 
-      const limit = Number.parseInt(req.query.limit) || 20
-      const offset = Number.parseInt(req.query.offset) || 0
-      const { type, status } = req.query
+      let page
+      try {
+        page = parseListQuery(TRANSACTION_LIST, req.query)
+      } catch (queryError) {
+        if (queryError instanceof ListQueryError) {
+          return res.status(400).json({
+            error: "Invalid list query",
+            message: queryError.message,
+          })
+        }
+        throw queryError
+      }
 
-      let query = req.userSupabase
-        .from("transactions")
-        .select(
-          `
-          *,
-          tokens (token_name, symbol)
-        `,
-          { count: "exact" },
-        )
-        .eq("user_id", req.user.id)
+      const { type, status, organization_id, label, search } = req.query
+
+      // Filtering on annotations keeps only transactions that have a matching one
+      const annotations = `transaction_annotations${label || search ? "!inner" : ""} (labels, note)`
+
+      let query
+
+      if (organization_id) {
+        const role = await getOrganizationRole(req.userSupabase, req.user.id, organization_id)
+        if (!role) {
+          return res.status(404).json({
+            error: "Organization not found",
+            message: "Organization does not exist or you are not a member",
+          })
+        }
+
+        query = req.userSupabase
+          .from("transactions")
+          .select(
+            `
+            *,
+            tokens!inner (token_name, symbol, organization_id),
+            ${annotations}
+          `,
+            listSelectOptions(page),
+          )
+          .eq("tokens.organization_id", organization_id)
+      } else {
+        query = req.userSupabase
+          .from("transactions")
+          .select(
+            `
+            *,
+            tokens (token_name, symbol),
+            ${annotations}
+          `,
+            listSelectOptions(page),
+          )
+          .eq("user_id", req.user.id)
+      }
 
       if (type) query = query.eq("transaction_type", type)
       if (status) query = query.eq("status", status)
+      if (label) query = query.contains("transaction_annotations.labels", [normalizeLabel(label)])
+      if (search) query = query.or(annotationSearchFilter(search), { referencedTable: "transaction_annotations" })
 
-      const {
-        data: transactions,
-        error,
-        count,
-      } = await query.order("created_at", { ascending: false }).range(offset, offset + limit - 1)
+      const { data, error, count } = await applyListQuery(query, page)
 
       if (error) {
         return res.status(400).json({
@@ -86,14 +232,11 @@ router.get(
         })
       }
 
+      const { items, pagination } = listPage(page, data, count)
+
       res.json({
-        transactions: transactions || [],
-        pagination: {
-          total: count,
-          limit,
-          offset,
-          hasMore: count > offset + limit,
-        },
+        transactions: items.map(withAnnotation),
+        pagination,
       })
     } catch (error) {
       logger.error("Get transactions error:", error)
@@ -105,6 +248,131 @@ router.get(
   },
 )
 
+/**
+ * @swagger
+ * /api/transactions/export:
+ *   get:
+ *     summary: Export your full transaction history
+ *     description: |
+ *       Streams all of your token transactions, gasless sponsorships and payments, oldest first, as a
+ *       file download. Token amounts are in display units and fees in ADA. Each row is valued with
+ *       the ADA/USD and token/USD prices recorded at the time of the transaction, where known.
+ *       The koinly format is Koinly's universal CSV with only confirmed transactions and succeeded
+ *       payments.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, koinly]
+ *           default: csv
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (inclusive); defaults to the beginning of your history
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (exclusive); defaults to now
+ *     responses:
+ *       200:
+ *         description: The export file
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *       400:
+ *         description: Invalid format or date range
+ */
+router.get(
+  "/export",
+  [
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+    query("from").optional().isISO8601().withMessage("from must be an ISO 8601 date"),
+    query("to").optional().isISO8601().withMessage("to must be an ISO 8601 date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const format = req.query.format || "csv"
+
+      let range
+      try {
+        range = resolveExportRange(req.query)
+      } catch (rangeError) {
+        if (rangeError instanceof ExportError) {
+          return res.status(400).json({
+            error: "Invalid export range",
+            message: rangeError.message,
+          })
+        }
+        throw rangeError
+      }
+
+      const writer = exportFormat(format)
+      const rows = fetchExportRows(req.userSupabase, range)
+
+      // Read the first page before answering, so query errors still get a JSON response
+      let next
+      try {
+        next = await rows.next()
+      } catch (queryError) {
+        return res.status(400).json({
+          error: "Failed to export transactions",
+          message: queryError.message,
+        })
+      }
+
+      const suffix = format === "koinly" ? "-koinly" : ""
+      const filename = `transactions-${range.from.slice(0, 10)}-${range.to.slice(0, 10)}${suffix}.${writer.extension}`
+      res.setHeader("Content-Type", writer.contentType)
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+      res.write(writer.header)
+
+      let count = 0
+      try {
+        for (; !next.done; next = await rows.next()) {
+          if (res.destroyed) break
+          const line = writer.line(next.value)
+          if (!line) continue
+          count++
+          if (!res.write(line)) await drained(res)
+        }
+      } catch (streamError) {
+        // Headers are sent; cut the download short so it is not mistaken for a complete file
+        logger.error("Transaction export stream error:", streamError)
+        return res.destroy(streamError)
+      }
+
+      res.end()
+      logger.info(`Transactions exported: ${count} rows as ${format} by ${req.user.email}`)
+    } catch (error) {
+      logger.error("Export transactions error:", error)
+      if (res.headersSent) return res.destroy(error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to export transactions",
+      })
+    }
+  },
+)
+
 /**
  * @swagger
  * /api/transactions/{id}:
@@ -140,13 +408,14 @@ router.get("/:id", [param("id").isUUID().withMessage("Invalid transaction ID")],
         `
         *,
         tokens (token_name, symbol),
-        gasless_transactions (*)
+        gasless_transactions (*),
+        transaction_annotations (labels, note)
       `,
       )
       .eq("id", req.params.id)
-      .eq("user_id", req.user.id)
       .single()
 
+    // RLS returns your own transactions and those on your organizations' tokens
     if (error || !transaction) {
       return res.status(404).json({
         error: "Transaction not found",
@@ -154,7 +423,7 @@ router.get("/:id", [param("id").isUUID().withMessage("Invalid transaction ID")],
       })
     }
 
-    res.json({ transaction })
+    res.json({ transaction: withAnnotation(transaction) })
   } catch (error) {
     logger.error("Get transaction error:", error)
     res.status(500).json({
@@ -164,14 +433,215 @@ router.get("/:id", [param("id").isUUID().withMessage("Invalid transaction ID")],
   }
 })
 
+/**
+ * @swagger
+ * /api/transactions/{id}/status-history:
+ *   get:
+ *     summary: Get a transaction's status history
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Status changes, oldest first, with the statuses the transaction can move to next
+ *       404:
+ *         description: Transaction not found
+ */
+router.get("/:id/status-history", [param("id").isUUID().withMessage("Invalid transaction ID")], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array(),
+      })
+    }
+
+    const { data: transaction, error: transactionError } = await req.userSupabase
+      .from("transactions")
+      .select("id, status")
+      .eq("id", req.params.id)
+      .single()
+
+    if (transactionError || !transaction) {
+      return res.status(404).json({
+        error: "Transaction not found",
+        message: "Transaction does not exist or you don't have access to it",
+      })
+    }
+
+    const { data: history, error } = await req.userSupabase
+      .from("transaction_status_history")
+      .select("*")
+      .eq("transaction_id", transaction.id)
+      .order("created_at", { ascending: true })
+
+    if (error) {
+      return res.status(400).json({
+        error: "Failed to retrieve status history",
+        message: error.message,
+      })
+    }
+
+    res.json({
+      status: transaction.status,
+      allowed_statuses: STATUS_TRANSITIONS[transaction.status],
+      history: history || [],
+    })
+  } catch (error) {
+    logger.error("Get transaction status history error:", error)
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Unable to retrieve status history",
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /api/transactions/{id}/annotation:
+ *   put:
+ *     summary: Set your labels and note on a transaction
+ *     description: |
+ *       Labels and notes are private: other members of the token's organization do not see them.
+ *       Fields left out keep their current value; an empty label list and a null note remove the annotation.
+ *       Labels are lowercased and deduplicated.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               labels:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   maxLength: 32
+ *               note:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Annotation saved
+ *       404:
+ *         description: Transaction not found
+ */
+router.put(
+  "/:id/annotation",
+  [
+    param("id").isUUID().withMessage("Invalid transaction ID"),
+    body("labels").optional().custom(validatorFor(validateLabels)),
+    body("note").optional().custom(validatorFor(validateNote)),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      // RLS returns your own transactions and those on your organizations' tokens
+      const { data: transaction, error: transactionError } = await req.userSupabase
+        .from("transactions")
+        .select("id, transaction_annotations (labels, note)")
+        .eq("id", req.params.id)
+        .single()
+
+      if (transactionError || !transaction) {
+        return res.status(404).json({
+          error: "Transaction not found",
+          message: "Transaction does not exist or you don't have access to it",
+        })
+      }
+
+      const current = withAnnotation(transaction)
+      const labels = req.body.labels === undefined ? current.labels : normalizeLabels(req.body.labels)
+      const note = req.body.note === undefined ? current.note : req.body.note?.trim() || null
+
+      if (labels.length === 0 && note === null) {
+        const { error } = await req.userSupabase
+          .from("transaction_annotations")
+          .delete()
+          .eq("transaction_id", transaction.id)
+          .eq("user_id", req.user.id)
+
+        if (error) {
+          return res.status(400).json({
+            error: "Failed to save annotation",
+            message: error.message,
+          })
+        }
+      } else {
+        const { error } = await req.userSupabase.from("transaction_annotations").upsert(
+          {
+            transaction_id: transaction.id,
+            user_id: req.user.id,
+            labels,
+            note,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: "transaction_id,user_id" },
+        )
+
+        if (error) {
+          return res.status(400).json({
+            error: "Failed to save annotation",
+            message: error.message,
+          })
+        }
+      }
+
+      res.json({
+        message: "Annotation saved",
+        annotation: { transaction_id: transaction.id, labels, note },
+      })
+    } catch (error) {
+      logger.error("Save transaction annotation error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to save annotation",
+      })
+    }
+  },
+)
+
 /**
  * @swagger
  * /api/transactions:
  *   post:
  *     summary: Create a new transaction
+ *     description: |
+ *       Records transfers. Mints and burns go through /api/tokens/{id}/mint and /api/tokens/{id}/burn.
+ *       Give a recipient and leave out tx_hash to have the transaction built with /api/transactions/{id}/build.
+ *       Transactions recorded with a tx_hash start as submitted, the others as pending.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -182,34 +652,59 @@ router.get("/:id", [param("id").isUUID().withMessage("Invalid transaction ID")],
  *               - token_id
  *               - transaction_type
  *               - amount
- *               - tx_hash
  *             properties:
  *               token_id:
  *                 type: string
  *                 format: uuid
  *               transaction_type:
  *                 type: string
- *                 enum: [mint, burn, transfer]
+ *                 enum: [transfer]
  *               amount:
  *                 type: integer
+ *               recipient:
+ *                 type: string
+ *                 description: Address receiving the tokens
  *               tx_hash:
  *                 type: string
+ *                 description: Hash of a transaction already submitted outside the platform
  *               fee_ada:
  *                 type: integer
+ *               message:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                 description: CIP-20 message (label 674) put on-chain when the transaction is built; lines longer than 64 bytes are split
  *               metadata:
  *                 type: object
  *     responses:
  *       201:
  *         description: Transaction created successfully
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ *       409:
+ *         description: The token is frozen, or a request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: The Idempotency-Key was already used for a different request
  */
 router.post(
   "/",
+  idempotency(),
   [
     body("token_id").isUUID().withMessage("Invalid token ID"),
-    body("transaction_type").isIn(["mint", "burn", "transfer"]).withMessage("Invalid transaction type"),
+    body("transaction_type")
+      .isIn(["transfer"])
+      .withMessage("Invalid transaction type; use /api/tokens/:id/mint or /api/tokens/:id/burn for mints and burns"),
     body("amount").isInt({ min: 1 }).withMessage("Amount must be a positive integer"),
-    body("tx_hash").notEmpty().withMessage("Transaction hash is required"),
+    body("recipient")
+      .if(body("tx_hash").not().exists())
+      .notEmpty()
+      .withMessage("A recipient or a transaction hash is required"),
+    body("recipient").optional().custom(validatorFor(validateAddress)),
+    body("tx_hash").optional().isHexadecimal().isLength({ min: 64, max: 64 }).withMessage("Invalid transaction hash"),
     body("fee_ada").optional().isInt({ min: 0 }),
+    body("message").optional().custom(validatorFor(validateCip20Message)),
     body("metadata").optional().isObject(),
   ],
   async (req, res) => {
@@ -222,20 +717,27 @@ router.post(
         })
       }
 
-      const { token_id, transaction_type, amount, tx_hash, fee_ada = 0, metadata } = req.body
+      const { token_id, transaction_type, amount, recipient, tx_hash, fee_ada = 0, message, metadata } = req.body
 
-      // Verify token ownership
-      const { data: token, error: tokenError } = await req.userSupabase
-        .from("tokens")
-        .select("id")
-        .eq("id", token_id)
-        .eq("creator_id", req.user.id)
-        .single()
+      const { data: token, error: accessError } = await findTokenForRole(
+        req.userSupabase,
+        req.user.id,
+        token_id,
+        "minter",
+        "id, status",
+      )
 
-      if (tokenError || !token) {
-        return res.status(404).json({
-          error: "Token not found",
-          message: "Token does not exist or you don't have access to it",
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      if (token.status === "frozen") {
+        return res.status(409).json({
+          error: "Token is frozen",
+          message: "Transfers are paused until the token is active again",
         })
       }
 
@@ -246,10 +748,15 @@ router.post(
           user_id: req.user.id,
           transaction_type,
           amount,
-          tx_hash,
+          tx_hash: tx_hash || null,
           fee_ada,
-          metadata,
-          status: "pending",
+          metadata: {
+            ...metadata,
+            recipient: recipient || null,
+            // Only validated messages go on-chain
+            cip20: message === undefined ? undefined : buildCip20Message(message),
+          },
+          status: tx_hash ? "submitted" : "pending",
         })
         .select()
         .single()
@@ -281,11 +788,640 @@ router.post(
   },
 )
 
+/**
+ * @swagger
+ * /api/transactions/estimate:
+ *   post:
+ *     summary: Estimate the fee of a mint, burn or transfer
+ *     description: |
+ *       Builds the transaction against the wallet's UTxOs without saving anything and returns the
+ *       minimum fee the ledger would charge under the current protocol parameters: a fee per byte of
+ *       the signed transaction plus a constant, plus its script execution units at the protocol's
+ *       prices (native minting scripts use none). Pass transaction_id for a pending, built or signed
+ *       transaction, or describe a draft with token_id, transaction_type, amount and recipient.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - change_address
+ *             properties:
+ *               transaction_id:
+ *                 type: string
+ *                 format: uuid
+ *               token_id:
+ *                 type: string
+ *                 format: uuid
+ *               transaction_type:
+ *                 type: string
+ *                 enum: [mint, burn, transfer]
+ *               amount:
+ *                 type: integer
+ *               recipient:
+ *                 type: string
+ *                 description: Address receiving the tokens (required for transfers)
+ *               message:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                 description: CIP-20 message to include in the draft
+ *               attach_metadata:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Include the token's CIP-25 metadata or CIP-68 datum in a mint, as POST /api/tokens/{id}/mint does
+ *               change_address:
+ *                 type: string
+ *                 description: Wallet address that funds the transaction and receives the change
+ *               addresses:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 description: Other wallet addresses whose UTxOs may be spent
+ *     responses:
+ *       200:
+ *         description: Fee estimate in lovelace
+ *       400:
+ *         description: The wallet cannot fund the transaction or the minting policy does not allow it now
+ *       403:
+ *         description: Your role in the token's organization does not allow this
+ *       404:
+ *         description: Transaction or token not found
+ *       409:
+ *         description: The transaction's status does not allow a build
+ *       502:
+ *         description: The chain provider could not be reached
+ */
+router.post(
+  "/estimate",
+  [
+    body("transaction_id").optional().isUUID().withMessage("Invalid transaction ID"),
+    body("token_id").if(body("transaction_id").not().exists()).isUUID().withMessage("Invalid token ID"),
+    body("transaction_type")
+      .if(body("transaction_id").not().exists())
+      .isIn(["mint", "burn", "transfer"])
+      .withMessage("Transaction type must be mint, burn or transfer"),
+    body("amount")
+      .if(body("transaction_id").not().exists())
+      .isInt({ min: 1 })
+      .withMessage("Amount must be a positive integer"),
+    body("recipient")
+      .if(body("transaction_id").not().exists())
+      .if(body("transaction_type").equals("transfer"))
+      .notEmpty()
+      .withMessage("Transfers need a recipient"),
+    body("recipient").optional().custom(validatorFor(validateAddress)),
+    body("message").optional().custom(validatorFor(validateCip20Message)),
+    body("attach_metadata").optional().isBoolean(),
+    body("change_address").custom(validatorFor(validateAddress)),
+    body("addresses").optional().isArray({ max: 20 }).withMessage("addresses must be an array of at most 20"),
+    body("addresses.*").custom(validatorFor(validateAddress)),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const {
+        transaction_id,
+        token_id,
+        transaction_type,
+        amount,
+        recipient,
+        message,
+        attach_metadata = true,
+        change_address,
+        addresses = [],
+      } = req.body
+
+      let transaction = null
+      if (transaction_id) {
+        const { data, error: transactionError } = await req.userSupabase
+          .from("transactions")
+          .select("*")
+          .eq("id", transaction_id)
+          .eq("user_id", req.user.id)
+          .single()
+
+        if (transactionError || !data) {
+          return res.status(404).json({
+            error: "Transaction not found",
+            message: "Transaction does not exist or you don't have access to it",
+          })
+        }
+
+        if (!BUILDABLE_STATUSES.includes(data.status)) {
+          return res.status(409).json({
+            error: "Invalid status transition",
+            message: `A ${data.status} transaction cannot be built again`,
+            allowed_statuses: STATUS_TRANSITIONS[data.status],
+          })
+        }
+
+        transaction = data
+      }
+
+      const { data: token, error: accessError } = await findTokenForRole(
+        req.userSupabase,
+        req.user.id,
+        transaction ? transaction.token_id : token_id,
+        "minter",
+      )
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      // A draft carries the same metadata the mint, burn or transfer route would record
+      if (!transaction) {
+        let mintMetadata = {}
+        if (transaction_type === "mint" && attach_metadata) {
+          const built = buildMintMetadata(token)
+          if (built.errors.length > 0) {
+            return res.status(400).json({
+              error: "Invalid token metadata",
+              message: "Token metadata does not meet CIP-25; fix the token or set attach_metadata to false",
+              details: built.errors,
+            })
+          }
+          mintMetadata = built.metadata
+        }
+
+        transaction = {
+          transaction_type,
+          amount,
+          metadata: {
+            ...mintMetadata,
+            recipient: recipient || null,
+            cip20: message === undefined ? undefined : buildCip20Message(message),
+          },
+        }
+      }
+
+      let built
+      try {
+        built = await buildTokenTransaction(getChainProvider(), {
+          transaction,
+          token,
+          changeAddress: change_address,
+          addresses,
+        })
+      } catch (buildError) {
+        if (buildError instanceof TransactionBuildError) {
+          return res.status(400).json({
+            error: "Unable to build transaction",
+            message: buildError.message,
+          })
+        }
+        if (buildError instanceof ChainProviderError) {
+          return res.status(buildError.status).json({
+            error: "Chain provider unavailable",
+            message: buildError.message,
+          })
+        }
+        throw buildError
+      }
+
+      const { feeDetails } = built
+
+      res.json({
+        fee: Number(built.fee),
+        size: feeDetails.size,
+        size_fee: Number(feeDetails.sizeFee),
+        execution_units: {
+          memory: Number(feeDetails.executionUnits.memory),
+          steps: Number(feeDetails.executionUnits.steps),
+        },
+        execution_fee: Number(feeDetails.executionFee),
+        inputs: built.inputs.length,
+        ttl: built.ttl,
+      })
+    } catch (error) {
+      logger.error("Estimate transaction fee error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to estimate transaction fee",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/transactions/{id}/build:
+ *   post:
+ *     summary: Build the unsigned transaction for wallet signing
+ *     description: |
+ *       Selects UTxOs from the wallet's addresses and returns unsigned transaction CBOR (hex) for a
+ *       pending mint, burn, transfer or CIP-68 reference update, ready for a CIP-30 wallet's signTx,
+ *       and moves it to built. The transaction's tx_hash and fee_ada are set from the build. Building
+ *       a built or signed transaction again replaces the previous build; once its validity window
+ *       (ttl) has passed unsubmitted it is expired and cannot be rebuilt. While the transaction has an
+ *       unexpired sponsorship (POST /api/gasless/sponsor) the build includes the treasury's input,
+ *       change and signature, and the sponsorship's fee is updated to match.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - change_address
+ *             properties:
+ *               change_address:
+ *                 type: string
+ *                 description: Wallet address that funds the transaction and receives the change
+ *               addresses:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 description: Other wallet addresses whose UTxOs may be spent
+ *     responses:
+ *       200:
+ *         description: Unsigned transaction built
+ *       400:
+ *         description: The wallet cannot fund the transaction or the minting policy does not allow it now
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: The transaction's status does not allow a build; the response lists its allowed next statuses
+ *       502:
+ *         description: The chain provider could not be reached
+ *       503:
+ *         description: The transaction is sponsored but the treasury cannot sign for or cover its fee
+ */
+router.post(
+  "/:id/build",
+  [
+    param("id").isUUID().withMessage("Invalid transaction ID"),
+    body("change_address").custom(validatorFor(validateAddress)),
+    body("addresses").optional().isArray({ max: 20 }).withMessage("addresses must be an array of at most 20"),
+    body("addresses.*").custom(validatorFor(validateAddress)),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { change_address, addresses = [] } = req.body
+
+      const { data: transaction, error: transactionError } = await req.userSupabase
+        .from("transactions")
+        .select("*")
+        .eq("id", req.params.id)
+        .eq("user_id", req.user.id)
+        .single()
+
+      if (transactionError || !transaction) {
+        return res.status(404).json({
+          error: "Transaction not found",
+          message: "Transaction does not exist or you don't have access to it",
+        })
+      }
+
+      if (!BUILDABLE_STATUSES.includes(transaction.status)) {
+        return res.status(409).json({
+          error: "Invalid status transition",
+          message: `A ${transaction.status} transaction cannot be built again`,
+          allowed_statuses: STATUS_TRANSITIONS[transaction.status],
+        })
+      }
+
+      const { data: token, error: accessError } = await findTokenForRole(
+        req.userSupabase,
+        req.user.id,
+        transaction.token_id,
+        "minter",
+        "id, policy_id, asset_name, asset_name_hex, policy_script, total_supply",
+      )
+
+      if (accessError) {
+        return res.status(accessError.status).json({
+          error: accessError.error,
+          message: accessError.message,
+        })
+      }
+
+      // A sponsored transaction is rebuilt with the treasury paying the fee
+      const sponsorship = await findActiveSponsorship(req.userSupabase, transaction.id)
+      const unavailable = sponsorship && sponsorUnavailable(sponsorship.sponsor_address)
+      if (unavailable) {
+        return res.status(503).json({
+          error: "Sponsoring unavailable",
+          message: unavailable,
+        })
+      }
+
+      const build = sponsorship ? buildSponsoredTransaction : buildTokenTransaction
+      let built
+      try {
+        built = await build(getChainProvider(), {
+          transaction,
+          token,
+          changeAddress: change_address,
+          addresses,
+        })
+      } catch (buildError) {
+        if (buildError instanceof SponsorFundsError) {
+          logger.warn(`Sponsor treasury cannot cover the fee of ${transaction.id}: ${buildError.message}`)
+          return res.status(503).json({
+            error: "Sponsoring unavailable",
+            message: "The sponsor treasury cannot cover this fee right now",
+          })
+        }
+        if (buildError instanceof TransactionBuildError) {
+          return res.status(400).json({
+            error: "Unable to build transaction",
+            message: buildError.message,
+          })
+        }
+        if (buildError instanceof ChainProviderError) {
+          return res.status(buildError.status).json({
+            error: "Chain provider unavailable",
+            message: buildError.message,
+          })
+        }
+        throw buildError
+      }
+
+      const { data: updated, error } = await req.userSupabase
+        .rpc("record_transaction_build", {
+          p_transaction_id: transaction.id,
+          p_tx_hash: built.txHash,
+          p_fee_ada: Number(built.fee),
+          p_unsigned_tx: built.cbor,
+          p_ttl_slot: built.ttl,
+          p_sponsored: Boolean(sponsorship),
+        })
+        .single()
+
+      if (error) {
+        if (error.code === "P0002") {
+          return res.status(404).json({
+            error: "Transaction not found",
+            message: "Transaction does not exist or you don't have access to it",
+          })
+        }
+        if (error.code === "55000") {
+          return res.status(409).json({
+            error: "Invalid status transition",
+            message: error.message,
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to record transaction build",
+          message: error.message,
+        })
+      }
+
+      logger.info(`Transaction built: ${transaction.id} as ${built.txHash} by ${req.user.email}`)
+
+      const io = req.app.get("io")
+      io.to(`user-${req.user.id}`).emit("transaction-updated", updated)
+
+      res.json({
+        message: "Transaction built; sign it with the wallet",
+        transaction: updated,
+        cbor: built.cbor,
+        tx_hash: built.txHash,
+        fee: Number(built.fee),
+        ttl: built.ttl,
+        validity_start: built.validityStart,
+        inputs: built.inputs,
+        required_signers: built.requiredSigners,
+        sponsored: Boolean(sponsorship),
+      })
+    } catch (error) {
+      logger.error("Build transaction error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to build transaction",
+      })
+    }
+  },
+)
+
+/**
+ * @swagger
+ * /api/transactions/{id}/submit:
+ *   post:
+ *     summary: Submit a signed transaction to the chain
+ *     description: |
+ *       Send either the witness set returned by the wallet's CIP-30 signTx (added to the built
+ *       transaction here) or the complete signed transaction. It must be the transaction last
+ *       built for this record. The transaction moves to signed, then to submitted once the chain
+ *       provider accepts it; if the provider cannot be reached it stays signed and can be submitted again.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               witness_set:
+ *                 type: string
+ *                 description: Hex CBOR witness set from signTx
+ *               signed_tx:
+ *                 type: string
+ *                 description: Hex CBOR of the complete signed transaction
+ *     responses:
+ *       200:
+ *         description: Transaction accepted by the chain provider
+ *       400:
+ *         description: Invalid CBOR, a different transaction, or rejected by the node
+ *       409:
+ *         description: Transaction not built or signed, or its validity window has passed; lists the allowed next statuses
+ *       502:
+ *         description: The chain provider could not be reached
+ */
+router.post(
+  "/:id/submit",
+  [
+    param("id").isUUID().withMessage("Invalid transaction ID"),
+    body("witness_set")
+      .if(body("signed_tx").not().exists())
+      .notEmpty()
+      .withMessage("A witness set or a signed transaction is required"),
+    body("witness_set").optional().isHexadecimal().withMessage("witness_set must be hex encoded CBOR"),
+    body("signed_tx").optional().isHexadecimal().withMessage("signed_tx must be hex encoded CBOR"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors.array(),
+        })
+      }
+
+      const { witness_set, signed_tx } = req.body
+
+      const { data: transaction, error: transactionError } = await req.userSupabase
+        .from("transactions")
+        .select("*")
+        .eq("id", req.params.id)
+        .eq("user_id", req.user.id)
+        .single()
+
+      if (transactionError || !transaction) {
+        return res.status(404).json({
+          error: "Transaction not found",
+          message: "Transaction does not exist or you don't have access to it",
+        })
+      }
+
+      if (!SUBMITTABLE_STATUSES.includes(transaction.status) || !transaction.unsigned_tx) {
+        return res.status(409).json({
+          error: "Invalid status transition",
+          message:
+            transaction.status === "pending"
+              ? "Build the transaction with /api/transactions/:id/build first"
+              : `A ${transaction.status} transaction cannot be submitted`,
+          allowed_statuses: STATUS_TRANSITIONS[transaction.status],
+        })
+      }
+
+      if (transaction.ttl_slot !== null && dateToSlot(new Date()) >= Number(transaction.ttl_slot)) {
+        return res.status(409).json({
+          error: "Transaction expired",
+          message: "The build's validity window has passed; record the transaction again",
+        })
+      }
+
+      let signedTx
+      try {
+        signedTx = signed_tx || attachWitnesses(transaction.unsigned_tx, witness_set)
+        if (transactionId(signedTx) !== transaction.tx_hash) {
+          return res.status(400).json({
+            error: "Transaction mismatch",
+            message: "The signed transaction is not the one built for this record",
+          })
+        }
+      } catch (buildError) {
+        if (buildError instanceof TransactionBuildError) {
+          return res.status(400).json({
+            error: "Invalid signed transaction",
+            message: buildError.message,
+          })
+        }
+        throw buildError
+      }
+
+      const io = req.app.get("io")
+
+      if (transaction.status === "built") {
+        const { data: signed, error: signError } = await req.userSupabase
+          .rpc("transition_transaction_status", { p_transaction_id: transaction.id, p_status: "signed" })
+          .single()
+
+        if (signError) {
+          if (signError.code === "55000") {
+            return res.status(409).json({
+              error: "Invalid status transition",
+              message: signError.message,
+            })
+          }
+          return res.status(400).json({
+            error: "Failed to record signature",
+            message: signError.message,
+          })
+        }
+
+        io.to(`user-${req.user.id}`).emit("transaction-updated", signed)
+      }
+
+      try {
+        await getChainProvider().submitTransaction(signedTx)
+      } catch (submitError) {
+        if (submitError instanceof ChainProviderError) {
+          return res.status(submitError.status).json({
+            error: submitError.status === 400 ? "Transaction rejected" : "Chain provider unavailable",
+            message: submitError.message,
+          })
+        }
+        throw submitError
+      }
+
+      const { data: submitted, error } = await req.userSupabase
+        .rpc("transition_transaction_status", { p_transaction_id: transaction.id, p_status: "submitted" })
+        .single()
+
+      // The chain has it either way; the confirmation tracker moves it on once it is seen in a block
+      if (error) {
+        logger.warn(`Submitted transaction ${transaction.id} could not be marked submitted: ${error.message}`)
+      } else {
+        io.to(`user-${req.user.id}`).emit("transaction-updated", submitted)
+      }
+
+      logger.info(`Transaction submitted: ${transaction.id} as ${transaction.tx_hash} by ${req.user.email}`)
+
+      res.json({
+        message: "Transaction submitted",
+        transaction: submitted,
+        tx_hash: transaction.tx_hash,
+      })
+    } catch (error) {
+      logger.error("Submit transaction error:", error)
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Unable to submit transaction",
+      })
+    }
+  },
+)
+
 /**
  * @swagger
  * /api/transactions/{id}/status:
  *   patch:
- *     summary: Update transaction status
+ *     summary: Override transaction status (admin only)
+ *     description: >
+ *       Statuses are normally set by the build and submit endpoints and by the
+ *       confirmation tracker. Admins can override them within the status
+ *       machine, e.g. to fail a transaction that will never be submitted.
+ *       Overrides are written to the audit log and the status history.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -307,16 +1443,29 @@ router.post(
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, failed]
+ *                 enum: [pending, built, signed, submitted, confirmed, failed, expired]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
  *     responses:
  *       200:
  *         description: Transaction status updated successfully
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: The transition is not allowed; the response lists the allowed next statuses
  */
 router.patch(
   "/:id/status",
+  requireAdmin,
   [
     param("id").isUUID().withMessage("Invalid transaction ID"),
-    body("status").isIn(["pending", "confirmed", "failed"]).withMessage("Invalid status"),
+    body("status")
+      .isIn(TRANSACTION_STATUSES)
+      .withMessage(`Status must be one of: ${TRANSACTION_STATUSES.join(", ")}`),
+    body("reason").optional().isString().isLength({ max: 500 }).trim(),
   ],
   async (req, res) => {
     try {
@@ -328,31 +1477,78 @@ router.patch(
         })
       }
 
-      const { status } = req.body
+      const { status, reason } = req.body
 
-      const { data: transaction, error } = await req.userSupabase
+      const { data: existing, error: fetchError } = await req.userSupabase
         .from("transactions")
-        .update({
-          status,
-          updated_at: new Date().toISOString(),
-        })
+        .select("id, status")
         .eq("id", req.params.id)
-        .eq("user_id", req.user.id)
-        .select()
         .single()
 
-      if (error || !transaction) {
+      if (fetchError || !existing) {
         return res.status(404).json({
           error: "Transaction not found",
           message: "Transaction does not exist or you don't have access to it",
         })
       }
 
-      logger.info(`Transaction status updated: ${req.params.id} to ${status}`)
+      if (!canTransition(existing.status, status)) {
+        return res.status(409).json({
+          error: "Invalid status transition",
+          message: `Transaction cannot move from ${existing.status} to ${status}`,
+          allowed_statuses: STATUS_TRANSITIONS[existing.status],
+        })
+      }
 
-      // Emit real-time update
+      const { data: transaction, error } = await req.userSupabase
+        .rpc("transition_transaction_status", {
+          p_transaction_id: req.params.id,
+          p_status: status,
+          p_reason: reason || null,
+        })
+        .single()
+
+      if (error) {
+        // The transaction may have changed status since it was read
+        if (error.code === "55000") {
+          return res.status(409).json({
+            error: "Invalid status transition",
+            message: error.message,
+          })
+        }
+        if (error.code === "P0002") {
+          return res.status(404).json({
+            error: "Transaction not found",
+            message: "Transaction does not exist or you don't have access to it",
+          })
+        }
+        if (error.code === "42501") {
+          return res.status(403).json({
+            error: "Insufficient admin level",
+            message: error.message,
+          })
+        }
+        return res.status(400).json({
+          error: "Failed to update transaction status",
+          message: error.message,
+        })
+      }
+
+      await req.userSupabase.from("audit_logs").insert({
+        user_id: req.user.id,
+        action: "UPDATE_TRANSACTION_STATUS",
+        resource_type: "transaction",
+        resource_id: transaction.id,
+        ip_address: req.ip,
+        user_agent: req.get("User-Agent"),
+        metadata: { previous_status: existing.status, status, reason },
+      })
+
+      logger.info(`Transaction status updated: ${req.params.id} to ${status} by admin ${req.user.email}`)
+
+      // Emit real-time update to the transaction's owner
       const io = req.app.get("io")
-      io.to(`user-${req.user.id}`).emit("transaction-updated", transaction)
+      io.to(`user-${transaction.user_id}`).emit("transaction-updated", transaction)
 
       res.json({
         message: "Transaction status updated successfully",
@@ -1,6 +1,8 @@
 const express = require("express")
 const { body, validationResult } = require("express-validator")
 const logger = require("../utils/logger")
+const { validateAddress } = require("../utils/address")
+const { validatorFor } = require("../utils/cardano-validation")
 
 const router = express.Router()
 
@@ -73,7 +75,7 @@ router.put(
   "/profile",
   [
     body("full_name").optional().isLength({ min: 2 }).withMessage("Full name must be at least 2 characters"),
-    body("wallet_address").optional().isLength({ min: 10 }).withMessage("Invalid wallet address"),
+    body("wallet_address").optional().custom(validatorFor(validateAddress)),
   ],
   async (req, res) => {
     try {
@@ -192,7 +194,7 @@ router.get("/wallet-connections", async (req, res) => {
 router.post(
   "/wallet-connections",
   [
-    body("wallet_address").notEmpty().withMessage("Wallet address is required"),
+    body("wallet_address").custom(validatorFor(validateAddress)),
     body("wallet_type").isIn(["nami", "eternl", "flint", "yoroi", "lace"]).withMessage("Invalid wallet type"),
     body("is_primary").optional().isBoolean(),
   ],
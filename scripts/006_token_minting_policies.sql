@@ -0,0 +1,14 @@
+-- Store the native minting script that governs each token
+ALTER TABLE public.tokens
+  ADD COLUMN IF NOT EXISTS minting_policy TEXT DEFAULT 'unlimited'
+    CHECK (minting_policy IN ('unlimited', 'limited', 'time-locked', 'custom')),
+  ADD COLUMN IF NOT EXISTS policy_script JSONB,
+  ADD COLUMN IF NOT EXISTS policy_lock_slot BIGINT,
+  ADD COLUMN IF NOT EXISTS max_supply BIGINT CHECK (max_supply IS NULL OR max_supply >= 0);
+
+-- Policy IDs are blake2b-224 hashes of the script (56 hex characters)
+ALTER TABLE public.tokens
+  ADD CONSTRAINT tokens_policy_id_format
+  CHECK (policy_script IS NULL OR policy_id ~ '^[0-9a-f]{56}$') NOT VALID;
+
+CREATE INDEX IF NOT EXISTS idx_tokens_policy_id ON public.tokens(policy_id);
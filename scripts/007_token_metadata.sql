@@ -0,0 +1,3 @@
+-- Custom CIP-25 properties merged into each token's on-chain metadata
+ALTER TABLE public.tokens
+  ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'::JSONB;
@@ -0,0 +1,20 @@
+-- Token metadata standard: CIP-25 (label 721 in the mint transaction) or
+-- CIP-68 (reference token carrying an inline datum)
+ALTER TABLE public.tokens
+  ADD COLUMN IF NOT EXISTS token_standard TEXT DEFAULT 'cip25' CHECK (token_standard IN ('cip25', 'cip68')),
+  ADD COLUMN IF NOT EXISTS cip68_label INTEGER CHECK (cip68_label IN (222, 333, 444)),
+  ADD COLUMN IF NOT EXISTS reference_asset_name TEXT;
+
+ALTER TABLE public.tokens
+  ADD CONSTRAINT tokens_cip68_fields CHECK (
+    token_standard = 'cip25' OR (cip68_label IS NOT NULL AND reference_asset_name IS NOT NULL)
+  ) NOT VALID;
+
+-- Reference token updates are tracked as their own transaction type
+ALTER TABLE public.transactions DROP CONSTRAINT IF EXISTS transactions_transaction_type_check;
+ALTER TABLE public.transactions
+  ADD CONSTRAINT transactions_transaction_type_check
+  CHECK (transaction_type IN ('mint', 'burn', 'transfer', 'reference_update'));
+
+-- Transactions built by the platform have no hash until they are signed and submitted
+ALTER TABLE public.transactions ALTER COLUMN tx_hash DROP NOT NULL;
@@ -0,0 +1,19 @@
+-- Off-chain token registry (CIP-26) entries prepared for submission
+CREATE TABLE IF NOT EXISTS public.token_registry_submissions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_id UUID REFERENCES public.tokens(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
+  subject TEXT NOT NULL,
+  sequence_number INTEGER NOT NULL DEFAULT 0,
+  entry JSONB NOT NULL,
+  attestation_messages JSONB NOT NULL DEFAULT '{}'::JSONB,
+  status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'signed', 'submitted')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(token_id)
+);
+
+ALTER TABLE public.token_registry_submissions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own registry submissions" ON public.token_registry_submissions
+  FOR ALL USING (auth.uid() = user_id);
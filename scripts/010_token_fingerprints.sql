@@ -0,0 +1,7 @@
+-- CIP-14 asset fingerprint (asset1...) of each token's user-facing asset.
+-- Computed by the application on create; rows created earlier are filled in
+-- by scripts/backfill-token-fingerprints.js.
+ALTER TABLE public.tokens ADD COLUMN IF NOT EXISTS fingerprint TEXT;
+
+-- (policy_id, asset_name) is already unique, so the fingerprint is as well
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tokens_fingerprint ON public.tokens(fingerprint);
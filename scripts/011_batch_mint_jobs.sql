@@ -0,0 +1,48 @@
+-- Batch (airdrop) mints: a CSV of address/amount rows minted over one or more transactions
+CREATE TABLE IF NOT EXISTS public.batch_mint_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_id UUID REFERENCES public.tokens(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
+  total_rows INTEGER NOT NULL,
+  total_amount BIGINT NOT NULL,
+  attach_metadata BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per CSV line. A row's progress follows the transaction it was last
+-- placed in; retrying a failed row moves it to a new transaction.
+CREATE TABLE IF NOT EXISTS public.batch_mint_rows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID REFERENCES public.batch_mint_jobs(id) ON DELETE CASCADE,
+  row_number INTEGER NOT NULL,
+  address TEXT NOT NULL,
+  amount BIGINT NOT NULL CHECK (amount > 0),
+  transaction_id UUID REFERENCES public.transactions(id) ON DELETE SET NULL,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(job_id, row_number)
+);
+
+ALTER TABLE public.transactions
+  ADD COLUMN IF NOT EXISTS batch_job_id UUID REFERENCES public.batch_mint_jobs(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_batch_mint_jobs_token_id ON public.batch_mint_jobs(token_id);
+CREATE INDEX IF NOT EXISTS idx_batch_mint_rows_job_id ON public.batch_mint_rows(job_id);
+CREATE INDEX IF NOT EXISTS idx_batch_mint_rows_transaction_id ON public.batch_mint_rows(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_transactions_batch_job_id ON public.transactions(batch_job_id);
+
+ALTER TABLE public.batch_mint_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.batch_mint_rows ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own batch mint jobs" ON public.batch_mint_jobs
+  FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage rows of their batch mint jobs" ON public.batch_mint_rows
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM public.batch_mint_jobs
+      WHERE id = job_id AND user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,144 @@
+-- Server-enforced token supply.
+--
+-- Mint and burn transactions can only be created through
+-- create_supply_transaction(), which locks the token row so concurrent
+-- requests see each other's pending amounts:
+--   * mints may not take confirmed + pending supply past max_supply
+--   * burns may not exceed the confirmed supply less pending burns
+-- total_supply itself only moves when a mint or burn is confirmed.
+
+CREATE OR REPLACE FUNCTION public.create_supply_transaction(
+  p_token_id UUID,
+  p_transaction_type TEXT,
+  p_amount BIGINT,
+  p_metadata JSONB DEFAULT '{}'::JSONB,
+  p_batch_job_id UUID DEFAULT NULL
+)
+RETURNS public.transactions AS $$
+DECLARE
+  v_token public.tokens%ROWTYPE;
+  v_pending_mint BIGINT;
+  v_pending_burn BIGINT;
+  v_transaction public.transactions%ROWTYPE;
+BEGIN
+  IF p_transaction_type NOT IN ('mint', 'burn') THEN
+    RAISE EXCEPTION 'Unsupported supply transaction type: %', p_transaction_type USING ERRCODE = '22023';
+  END IF;
+
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Amount must be a positive integer' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_token
+  FROM public.tokens
+  WHERE id = p_token_id AND creator_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT
+    COALESCE(SUM(amount) FILTER (WHERE transaction_type = 'mint'), 0),
+    COALESCE(SUM(amount) FILTER (WHERE transaction_type = 'burn'), 0)
+  INTO v_pending_mint, v_pending_burn
+  FROM public.transactions
+  WHERE token_id = p_token_id AND status = 'pending';
+
+  IF p_transaction_type = 'mint'
+    AND v_token.max_supply IS NOT NULL
+    AND v_token.total_supply + v_pending_mint + p_amount > v_token.max_supply THEN
+    RAISE EXCEPTION 'Minting % would exceed the maximum supply of % (% confirmed, % pending)',
+      p_amount, v_token.max_supply, v_token.total_supply, v_pending_mint
+      USING ERRCODE = '23514';
+  END IF;
+
+  IF p_transaction_type = 'burn' AND p_amount > v_token.total_supply - v_pending_burn THEN
+    RAISE EXCEPTION 'Cannot burn %: only % is circulating (% already pending burn)',
+      p_amount, v_token.total_supply - v_pending_burn, v_pending_burn
+      USING ERRCODE = '23514';
+  END IF;
+
+  PERFORM set_config('app.supply_checked', 'on', true);
+
+  INSERT INTO public.transactions (token_id, user_id, transaction_type, amount, status, metadata, batch_job_id)
+  VALUES (p_token_id, auth.uid(), p_transaction_type, p_amount, 'pending', p_metadata, p_batch_job_id)
+  RETURNING * INTO v_transaction;
+
+  PERFORM set_config('app.supply_checked', 'off', true);
+
+  RETURN v_transaction;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- Reject mint/burn rows that did not come through create_supply_transaction()
+CREATE OR REPLACE FUNCTION public.require_supply_check()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.transaction_type IN ('mint', 'burn')
+    AND COALESCE(current_setting('app.supply_checked', true), 'off') <> 'on' THEN
+    RAISE EXCEPTION 'Mint and burn transactions must be created through the token mint/burn endpoints'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS require_supply_check ON public.transactions;
+CREATE TRIGGER require_supply_check
+  BEFORE INSERT ON public.transactions
+  FOR EACH ROW EXECUTE FUNCTION public.require_supply_check();
+
+-- Move total_supply when a mint or burn is confirmed (and back if a confirmation is reverted)
+CREATE OR REPLACE FUNCTION public.apply_confirmed_supply()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_delta BIGINT;
+BEGIN
+  IF NEW.transaction_type NOT IN ('mint', 'burn') OR OLD.status IS NOT DISTINCT FROM NEW.status THEN
+    RETURN NEW;
+  END IF;
+
+  v_delta := CASE WHEN NEW.transaction_type = 'mint' THEN NEW.amount ELSE -NEW.amount END;
+
+  PERFORM set_config('app.supply_confirmed', 'on', true);
+
+  IF NEW.status = 'confirmed' THEN
+    UPDATE public.tokens SET total_supply = total_supply + v_delta, updated_at = NOW() WHERE id = NEW.token_id;
+  ELSIF OLD.status = 'confirmed' THEN
+    UPDATE public.tokens SET total_supply = total_supply - v_delta, updated_at = NOW() WHERE id = NEW.token_id;
+  END IF;
+
+  PERFORM set_config('app.supply_confirmed', 'off', true);
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS apply_confirmed_supply ON public.transactions;
+CREATE TRIGGER apply_confirmed_supply
+  AFTER UPDATE OF status ON public.transactions
+  FOR EACH ROW EXECUTE FUNCTION public.apply_confirmed_supply();
+
+-- Tokens start with no circulating supply (the initial supply is minted like
+-- any other) and total_supply cannot be edited directly
+CREATE OR REPLACE FUNCTION public.protect_total_supply()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    NEW.total_supply := 0;
+  ELSIF NEW.total_supply IS DISTINCT FROM OLD.total_supply
+    AND COALESCE(current_setting('app.supply_confirmed', true), 'off') <> 'on' THEN
+    RAISE EXCEPTION 'total_supply only changes when a mint or burn is confirmed' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_total_supply ON public.tokens;
+CREATE TRIGGER protect_total_supply
+  BEFORE INSERT OR UPDATE OF total_supply ON public.tokens
+  FOR EACH ROW EXECUTE FUNCTION public.protect_total_supply();
+
+ALTER TABLE public.tokens
+  ADD CONSTRAINT tokens_total_supply_non_negative CHECK (total_supply >= 0) NOT VALID;
@@ -0,0 +1,47 @@
+-- Vesting schedules: an allocation of a token that unlocks for a beneficiary
+-- address over time (cliff, then linear or stepped). The full allocation is
+-- minted when the schedule is created; the vesting scheduler records a
+-- vesting_release transaction for each tranche as it unlocks.
+CREATE TABLE IF NOT EXISTS public.vesting_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_id UUID REFERENCES public.tokens(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
+  beneficiary_address TEXT NOT NULL,
+  label TEXT,
+  schedule_type TEXT NOT NULL CHECK (schedule_type IN ('linear', 'stepped')),
+  total_amount BIGINT NOT NULL CHECK (total_amount > 0),
+  released_amount BIGINT NOT NULL DEFAULT 0,
+  start_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  cliff_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  end_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  step_interval_days INTEGER CHECK (step_interval_days > 0),
+  allocation_transaction_id UUID REFERENCES public.transactions(id) ON DELETE SET NULL,
+  status TEXT DEFAULT 'active' CHECK (status IN ('active', 'completed')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (released_amount >= 0 AND released_amount <= total_amount),
+  CHECK (start_at <= cliff_at AND cliff_at <= end_at AND start_at < end_at),
+  CHECK (schedule_type = 'linear' OR step_interval_days IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vesting_schedules_token_id ON public.vesting_schedules(token_id);
+CREATE INDEX IF NOT EXISTS idx_vesting_schedules_active ON public.vesting_schedules(status, cliff_at);
+
+ALTER TABLE public.vesting_schedules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own vesting schedules" ON public.vesting_schedules
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create their own vesting schedules" ON public.vesting_schedules
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Releases are tracked as their own transaction type
+ALTER TABLE public.transactions DROP CONSTRAINT IF EXISTS transactions_transaction_type_check;
+ALTER TABLE public.transactions
+  ADD CONSTRAINT transactions_transaction_type_check
+  CHECK (transaction_type IN ('mint', 'burn', 'transfer', 'reference_update', 'vesting_release'));
+
+ALTER TABLE public.transactions
+  ADD COLUMN IF NOT EXISTS vesting_schedule_id UUID REFERENCES public.vesting_schedules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_vesting_schedule_id ON public.transactions(vesting_schedule_id);
@@ -0,0 +1,216 @@
+-- Token lifecycle:
+--   draft          configuration in progress, nothing can be minted
+--   policy_locked  minting policy final, ready for the first mint
+--   active         live; the first mint moves policy_locked tokens here
+--   frozen         temporarily halted: no mints, burns, transfers or releases
+--   retired        permanent: no mints or metadata edits, burns still allowed
+ALTER TABLE public.tokens
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'draft'
+  CHECK (status IN ('draft', 'policy_locked', 'active', 'frozen', 'retired'));
+
+-- Existing tokens were created with their policy already built
+UPDATE public.tokens SET status = CASE WHEN total_supply > 0 THEN 'active' ELSE 'policy_locked' END
+WHERE status = 'draft';
+
+CREATE INDEX IF NOT EXISTS idx_tokens_status ON public.tokens(status);
+
+CREATE TABLE IF NOT EXISTS public.token_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_id UUID REFERENCES public.tokens(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  reason TEXT,
+  changed_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_status_history_token_id ON public.token_status_history(token_id, created_at);
+
+ALTER TABLE public.token_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view status history of their tokens" ON public.token_status_history
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.tokens
+      WHERE id = token_id AND creator_id = auth.uid()
+    )
+  );
+
+CREATE OR REPLACE FUNCTION public.token_status_transition_allowed(p_from TEXT, p_to TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN (p_from, p_to) IN (
+    ('draft', 'policy_locked'),
+    ('draft', 'retired'),
+    ('policy_locked', 'active'),
+    ('policy_locked', 'retired'),
+    ('active', 'frozen'),
+    ('active', 'retired'),
+    ('frozen', 'active'),
+    ('frozen', 'retired')
+  );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Reject transitions that are not in the lifecycle
+CREATE OR REPLACE FUNCTION public.enforce_token_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.status NOT IN ('draft', 'policy_locked') THEN
+      RAISE EXCEPTION 'New tokens must start as draft or policy_locked' USING ERRCODE = '55000';
+    END IF;
+  ELSIF NEW.status IS DISTINCT FROM OLD.status
+    AND NOT public.token_status_transition_allowed(OLD.status, NEW.status) THEN
+    RAISE EXCEPTION 'Token cannot move from % to %', OLD.status, NEW.status USING ERRCODE = '55000';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enforce_token_status ON public.tokens;
+CREATE TRIGGER enforce_token_status
+  BEFORE INSERT OR UPDATE OF status ON public.tokens
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_token_status();
+
+-- Retired tokens keep their final metadata
+CREATE OR REPLACE FUNCTION public.protect_retired_token()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.status = 'retired' THEN
+    RAISE EXCEPTION 'Retired tokens cannot be edited' USING ERRCODE = '55000';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_retired_token ON public.tokens;
+CREATE TRIGGER protect_retired_token
+  BEFORE UPDATE OF token_name, symbol, description, image_url, metadata ON public.tokens
+  FOR EACH ROW EXECUTE FUNCTION public.protect_retired_token();
+
+-- Record every status change; the reason comes from transition_token_status()
+CREATE OR REPLACE FUNCTION public.log_token_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO public.token_status_history (token_id, from_status, to_status, reason, changed_by)
+    VALUES (
+      NEW.id,
+      CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE OLD.status END,
+      NEW.status,
+      COALESCE(NULLIF(current_setting('app.status_reason', true), ''), CASE WHEN TG_OP = 'INSERT' THEN 'Token created' END),
+      auth.uid()
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS log_token_status ON public.tokens;
+CREATE TRIGGER log_token_status
+  AFTER INSERT OR UPDATE OF status ON public.tokens
+  FOR EACH ROW EXECUTE FUNCTION public.log_token_status();
+
+-- Move a token to a new status, recording why
+CREATE OR REPLACE FUNCTION public.transition_token_status(p_token_id UUID, p_status TEXT, p_reason TEXT DEFAULT NULL)
+RETURNS public.tokens AS $$
+DECLARE
+  v_token public.tokens%ROWTYPE;
+BEGIN
+  PERFORM set_config('app.status_reason', COALESCE(p_reason, ''), true);
+
+  UPDATE public.tokens
+  SET status = p_status, updated_at = NOW()
+  WHERE id = p_token_id AND creator_id = auth.uid()
+  RETURNING * INTO v_token;
+
+  PERFORM set_config('app.status_reason', '', true);
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN v_token;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- Supply transactions now also respect the lifecycle: mints need policy_locked
+-- or active, burns need active or retired. The first mint activates the token.
+CREATE OR REPLACE FUNCTION public.create_supply_transaction(
+  p_token_id UUID,
+  p_transaction_type TEXT,
+  p_amount BIGINT,
+  p_metadata JSONB DEFAULT '{}'::JSONB,
+  p_batch_job_id UUID DEFAULT NULL
+)
+RETURNS public.transactions AS $$
+DECLARE
+  v_token public.tokens%ROWTYPE;
+  v_pending_mint BIGINT;
+  v_pending_burn BIGINT;
+  v_transaction public.transactions%ROWTYPE;
+BEGIN
+  IF p_transaction_type NOT IN ('mint', 'burn') THEN
+    RAISE EXCEPTION 'Unsupported supply transaction type: %', p_transaction_type USING ERRCODE = '22023';
+  END IF;
+
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Amount must be a positive integer' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_token
+  FROM public.tokens
+  WHERE id = p_token_id AND creator_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_transaction_type = 'mint' AND v_token.status NOT IN ('policy_locked', 'active') THEN
+    RAISE EXCEPTION 'Cannot mint a % token', v_token.status USING ERRCODE = '55000';
+  END IF;
+
+  IF p_transaction_type = 'burn' AND v_token.status NOT IN ('active', 'retired') THEN
+    RAISE EXCEPTION 'Cannot burn a % token', v_token.status USING ERRCODE = '55000';
+  END IF;
+
+  SELECT
+    COALESCE(SUM(amount) FILTER (WHERE transaction_type = 'mint'), 0),
+    COALESCE(SUM(amount) FILTER (WHERE transaction_type = 'burn'), 0)
+  INTO v_pending_mint, v_pending_burn
+  FROM public.transactions
+  WHERE token_id = p_token_id AND status = 'pending';
+
+  IF p_transaction_type = 'mint'
+    AND v_token.max_supply IS NOT NULL
+    AND v_token.total_supply + v_pending_mint + p_amount > v_token.max_supply THEN
+    RAISE EXCEPTION 'Minting % would exceed the maximum supply of % (% confirmed, % pending)',
+      p_amount, v_token.max_supply, v_token.total_supply, v_pending_mint
+      USING ERRCODE = '23514';
+  END IF;
+
+  IF p_transaction_type = 'burn' AND p_amount > v_token.total_supply - v_pending_burn THEN
+    RAISE EXCEPTION 'Cannot burn %: only % is circulating (% already pending burn)',
+      p_amount, v_token.total_supply - v_pending_burn, v_pending_burn
+      USING ERRCODE = '23514';
+  END IF;
+
+  PERFORM set_config('app.supply_checked', 'on', true);
+
+  INSERT INTO public.transactions (token_id, user_id, transaction_type, amount, status, metadata, batch_job_id)
+  VALUES (p_token_id, auth.uid(), p_transaction_type, p_amount, 'pending', p_metadata, p_batch_job_id)
+  RETURNING * INTO v_transaction;
+
+  PERFORM set_config('app.supply_checked', 'off', true);
+
+  IF v_token.status = 'policy_locked' THEN
+    PERFORM set_config('app.status_reason', 'First mint', true);
+    UPDATE public.tokens SET status = 'active', updated_at = NOW() WHERE id = p_token_id;
+    PERFORM set_config('app.status_reason', '', true);
+  END IF;
+
+  RETURN v_transaction;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
@@ -0,0 +1,92 @@
+-- Public token catalog: admin verification, full-text search and a view that
+-- anonymous visitors can page through.
+
+ALTER TABLE public.tokens
+  ADD COLUMN IF NOT EXISTS is_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_tokens_is_verified ON public.tokens(is_verified);
+CREATE INDEX IF NOT EXISTS idx_tokens_created_at ON public.tokens(created_at);
+
+-- Only admins can verify tokens; creators cannot verify their own
+CREATE OR REPLACE FUNCTION public.protect_token_verification()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    NEW.is_verified := FALSE;
+    NEW.verified_at := NULL;
+  ELSIF NEW.is_verified IS DISTINCT FROM OLD.is_verified THEN
+    IF NOT EXISTS (
+      SELECT 1 FROM public.admin_users au
+      WHERE au.user_id = auth.uid() AND au.is_active = TRUE
+    ) THEN
+      RAISE EXCEPTION 'Only admins can change token verification' USING ERRCODE = '42501';
+    END IF;
+    NEW.verified_at := CASE WHEN NEW.is_verified THEN NOW() ELSE NULL END;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_token_verification ON public.tokens;
+CREATE TRIGGER protect_token_verification
+  BEFORE INSERT OR UPDATE OF is_verified ON public.tokens
+  FOR EACH ROW EXECUTE FUNCTION public.protect_token_verification();
+
+CREATE POLICY "Admins can verify tokens" ON public.tokens
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM public.admin_users au
+      WHERE au.user_id = auth.uid() AND au.is_active = TRUE
+    )
+  );
+
+-- Name and symbol weigh more than the description. The 'simple' configuration
+-- keeps tickers and made-up token names from being stemmed.
+ALTER TABLE public.tokens
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', COALESCE(token_name, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(symbol, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(description, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_tokens_search_vector ON public.tokens USING GIN(search_vector);
+
+-- Catalog entries with their current price. Draft tokens are left out, as is
+-- any token with a report that has not been dismissed. The view runs with its
+-- owner's rights so it can read token_reports, whose rows visitors cannot see.
+CREATE OR REPLACE VIEW public.token_catalog AS
+SELECT
+  t.id,
+  t.token_name,
+  t.symbol,
+  t.policy_id,
+  t.asset_name,
+  t.fingerprint,
+  t.decimals,
+  t.total_supply,
+  t.max_supply,
+  t.description,
+  t.image_url,
+  t.token_standard,
+  t.minting_policy,
+  t.status,
+  t.is_verified,
+  t.verified_at,
+  t.created_at,
+  t.search_vector,
+  r.price_usd,
+  r.price_ada,
+  r.change_24h,
+  r.volume_24h,
+  r.market_cap,
+  r.updated_at AS price_updated_at
+FROM public.tokens t
+LEFT JOIN public.exchange_rates r ON r.token_symbol = UPPER(t.symbol)
+WHERE t.status <> 'draft'
+  AND NOT EXISTS (
+    SELECT 1 FROM public.token_reports tr
+    WHERE tr.token_id = t.id AND tr.status <> 'dismissed'
+  );
+
+GRANT SELECT ON public.token_catalog TO anon, authenticated;
@@ -0,0 +1,5 @@
+-- MIME type of the token image. ipfs:// URIs have no file extension to guess
+-- it from, and CIP-25 metadata should carry it as mediaType.
+ALTER TABLE public.tokens
+  ADD COLUMN IF NOT EXISTS image_media_type TEXT
+  CHECK (image_media_type IS NULL OR image_media_type LIKE 'image/%');
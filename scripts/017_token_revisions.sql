@@ -0,0 +1,155 @@
+-- Token metadata revisions. Every change to an editable field is recorded
+-- with its author and before/after values, whichever way the row was updated.
+--
+-- changes: { "<field>": { "before": <old value>, "after": <new value> }, ... }
+CREATE TABLE IF NOT EXISTS public.token_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_id UUID REFERENCES public.tokens(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  changes JSONB NOT NULL,
+  reason TEXT,
+  changed_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(token_id, revision_number)
+);
+
+ALTER TABLE public.token_revisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view revisions of their tokens" ON public.token_revisions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.tokens
+      WHERE id = token_id AND creator_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Admins can view all token revisions" ON public.token_revisions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.admin_users au
+      WHERE au.user_id = auth.uid() AND au.is_active = TRUE
+    )
+  );
+
+CREATE OR REPLACE FUNCTION public.record_token_revision()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_field TEXT;
+  v_before JSONB;
+  v_after JSONB;
+  v_changes JSONB := '{}'::JSONB;
+  v_number INTEGER;
+BEGIN
+  FOREACH v_field IN ARRAY ARRAY['description', 'image_url', 'image_media_type', 'metadata'] LOOP
+    v_before := CASE WHEN TG_OP = 'INSERT' THEN 'null'::JSONB ELSE to_jsonb(OLD) -> v_field END;
+    v_after := to_jsonb(NEW) -> v_field;
+    IF v_before IS DISTINCT FROM v_after THEN
+      v_changes := v_changes || jsonb_build_object(v_field, jsonb_build_object('before', v_before, 'after', v_after));
+    END IF;
+  END LOOP;
+
+  IF v_changes = '{}'::JSONB THEN
+    RETURN NEW;
+  END IF;
+
+  -- The updated token row stays locked until commit, so numbers cannot collide
+  SELECT COALESCE(MAX(revision_number), 0) + 1 INTO v_number
+  FROM public.token_revisions
+  WHERE token_id = NEW.id;
+
+  INSERT INTO public.token_revisions (token_id, revision_number, changes, reason, changed_by)
+  VALUES (
+    NEW.id,
+    v_number,
+    v_changes,
+    COALESCE(NULLIF(current_setting('app.revision_reason', true), ''), CASE WHEN TG_OP = 'INSERT' THEN 'Token created' END),
+    auth.uid()
+  );
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS record_token_revision ON public.tokens;
+CREATE TRIGGER record_token_revision
+  AFTER INSERT OR UPDATE OF description, image_url, image_media_type, metadata ON public.tokens
+  FOR EACH ROW EXECUTE FUNCTION public.record_token_revision();
+
+-- Existing tokens start their history from their current values
+INSERT INTO public.token_revisions (token_id, revision_number, changes, reason, changed_by, created_at)
+SELECT
+  t.id,
+  1,
+  jsonb_strip_nulls(jsonb_build_object(
+    'description', CASE WHEN t.description IS NOT NULL THEN jsonb_build_object('before', NULL, 'after', t.description) END,
+    'image_url', CASE WHEN t.image_url IS NOT NULL THEN jsonb_build_object('before', NULL, 'after', t.image_url) END,
+    'image_media_type', CASE WHEN t.image_media_type IS NOT NULL
+      THEN jsonb_build_object('before', NULL, 'after', t.image_media_type) END,
+    'metadata', CASE WHEN t.metadata IS NOT NULL THEN jsonb_build_object('before', NULL, 'after', t.metadata) END
+  )),
+  'Revision history started',
+  NULL,
+  COALESCE(t.updated_at, t.created_at)
+FROM public.tokens t
+WHERE NOT EXISTS (SELECT 1 FROM public.token_revisions r WHERE r.token_id = t.id);
+
+-- Restore the editable fields to their values right after revision
+-- p_revision_number. Each field takes the "before" value of the first later
+-- revision that changed it. The restore is itself recorded as a new revision.
+CREATE OR REPLACE FUNCTION public.rollback_token_revision(p_token_id UUID, p_revision_number INTEGER)
+RETURNS public.tokens AS $$
+DECLARE
+  v_token public.tokens%ROWTYPE;
+  v_field TEXT;
+  v_value JSONB;
+  v_restore JSONB := '{}'::JSONB;
+BEGIN
+  SELECT * INTO v_token
+  FROM public.tokens
+  WHERE id = p_token_id AND creator_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.token_revisions
+    WHERE token_id = p_token_id AND revision_number = p_revision_number
+  ) THEN
+    RAISE EXCEPTION 'Revision % not found', p_revision_number USING ERRCODE = 'P0002';
+  END IF;
+
+  FOREACH v_field IN ARRAY ARRAY['description', 'image_url', 'image_media_type', 'metadata'] LOOP
+    SELECT changes -> v_field -> 'before' INTO v_value
+    FROM public.token_revisions
+    WHERE token_id = p_token_id AND revision_number > p_revision_number AND changes ? v_field
+    ORDER BY revision_number
+    LIMIT 1;
+
+    IF FOUND AND v_value IS DISTINCT FROM to_jsonb(v_token) -> v_field THEN
+      v_restore := v_restore || jsonb_build_object(v_field, v_value);
+    END IF;
+  END LOOP;
+
+  IF v_restore = '{}'::JSONB THEN
+    RAISE EXCEPTION 'Token already matches revision %', p_revision_number USING ERRCODE = '55000';
+  END IF;
+
+  PERFORM set_config('app.revision_reason', format('Rolled back to revision %s', p_revision_number), true);
+
+  UPDATE public.tokens
+  SET
+    description = CASE WHEN v_restore ? 'description' THEN v_restore ->> 'description' ELSE description END,
+    image_url = CASE WHEN v_restore ? 'image_url' THEN v_restore ->> 'image_url' ELSE image_url END,
+    image_media_type = CASE WHEN v_restore ? 'image_media_type' THEN v_restore ->> 'image_media_type' ELSE image_media_type END,
+    metadata = CASE WHEN v_restore ? 'metadata' THEN NULLIF(v_restore -> 'metadata', 'null'::JSONB) ELSE metadata END,
+    updated_at = NOW()
+  WHERE id = p_token_id
+  RETURNING * INTO v_token;
+
+  PERFORM set_config('app.revision_reason', '', true);
+
+  RETURN v_token;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
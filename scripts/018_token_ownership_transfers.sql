@@ -0,0 +1,169 @@
+-- Token ownership transfers between platform accounts. The owner starts a
+-- transfer to an email address; the recipient accepts it with the secret from
+-- the emailed link. Only the SHA-256 hash of that secret is stored.
+--
+-- Accepting moves the token together with its transactions, vesting
+-- schedules, and the security policies and multi-sig wallets scoped to it.
+
+-- Security policies and multi-sig wallets can now belong to a single token
+ALTER TABLE public.security_policies
+  ADD COLUMN IF NOT EXISTS token_id UUID REFERENCES public.tokens(id) ON DELETE CASCADE;
+
+ALTER TABLE public.multi_sig_wallets
+  ADD COLUMN IF NOT EXISTS token_id UUID REFERENCES public.tokens(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_security_policies_token_id ON public.security_policies(token_id);
+CREATE INDEX IF NOT EXISTS idx_multi_sig_wallets_token_id ON public.multi_sig_wallets(token_id);
+
+-- Users record their own actions; transfer acceptance writes for both parties
+CREATE POLICY "Users can create their own audit logs" ON public.audit_logs
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE TABLE IF NOT EXISTS public.token_ownership_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_id UUID REFERENCES public.tokens(id) ON DELETE CASCADE,
+  from_user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
+  from_email TEXT NOT NULL,
+  to_email TEXT NOT NULL,
+  to_user_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  secret_hash TEXT NOT NULL,
+  message TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'cancelled')),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  accepted_at TIMESTAMP WITH TIME ZONE,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A token has at most one open transfer at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_token_ownership_transfers_pending
+  ON public.token_ownership_transfers(token_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_token_ownership_transfers_to_email
+  ON public.token_ownership_transfers(LOWER(to_email));
+
+ALTER TABLE public.token_ownership_transfers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view transfers they sent" ON public.token_ownership_transfers
+  FOR SELECT USING (auth.uid() = from_user_id);
+
+CREATE POLICY "Users can view transfers sent to them" ON public.token_ownership_transfers
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.profiles
+      WHERE id = auth.uid() AND LOWER(email) = LOWER(to_email)
+    )
+  );
+
+-- Recipients can see what they are being offered before accepting
+CREATE POLICY "Users can view tokens being transferred to them" ON public.tokens
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.token_ownership_transfers t
+      JOIN public.profiles p ON p.id = auth.uid()
+      WHERE t.token_id = tokens.id AND t.status = 'pending' AND LOWER(t.to_email) = LOWER(p.email)
+    )
+  );
+
+CREATE POLICY "Owners can start transfers of their tokens" ON public.token_ownership_transfers
+  FOR INSERT WITH CHECK (
+    auth.uid() = from_user_id AND EXISTS (
+      SELECT 1 FROM public.tokens
+      WHERE id = token_id AND creator_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can cancel transfers they sent" ON public.token_ownership_transfers
+  FOR UPDATE USING (auth.uid() = from_user_id AND status = 'pending')
+  WITH CHECK (status = 'cancelled');
+
+-- Accept a pending transfer as the signed-in recipient. Runs as definer because
+-- it moves rows the recipient cannot see yet; every check is made here.
+CREATE OR REPLACE FUNCTION public.accept_token_transfer(
+  p_transfer_id UUID,
+  p_secret_hash TEXT,
+  p_ip_address INET DEFAULT NULL,
+  p_user_agent TEXT DEFAULT NULL
+)
+RETURNS public.token_ownership_transfers AS $$
+DECLARE
+  v_transfer public.token_ownership_transfers%ROWTYPE;
+  v_recipient public.profiles%ROWTYPE;
+  v_moved JSONB;
+  v_count INTEGER;
+BEGIN
+  SELECT * INTO v_recipient FROM public.profiles WHERE id = auth.uid();
+
+  SELECT * INTO v_transfer
+  FROM public.token_ownership_transfers
+  WHERE id = p_transfer_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_recipient.id IS NULL OR LOWER(v_transfer.to_email) <> LOWER(v_recipient.email) THEN
+    RAISE EXCEPTION 'Transfer not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_transfer.secret_hash <> p_secret_hash THEN
+    RAISE EXCEPTION 'Invalid transfer link' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_transfer.status <> 'pending' THEN
+    RAISE EXCEPTION 'Transfer is already %', v_transfer.status USING ERRCODE = '55000';
+  END IF;
+
+  IF v_transfer.expires_at <= NOW() THEN
+    RAISE EXCEPTION 'Transfer expired at %', v_transfer.expires_at USING ERRCODE = '55000';
+  END IF;
+
+  IF v_transfer.from_user_id = v_recipient.id THEN
+    RAISE EXCEPTION 'Cannot transfer a token to yourself' USING ERRCODE = '55000';
+  END IF;
+
+  UPDATE public.tokens
+  SET creator_id = v_recipient.id, updated_at = NOW()
+  WHERE id = v_transfer.token_id AND creator_id = v_transfer.from_user_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token is no longer owned by the sender' USING ERRCODE = '55000';
+  END IF;
+
+  UPDATE public.transactions SET user_id = v_recipient.id
+  WHERE token_id = v_transfer.token_id AND user_id = v_transfer.from_user_id;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  v_moved := jsonb_build_object('transactions', v_count);
+
+  UPDATE public.vesting_schedules SET user_id = v_recipient.id
+  WHERE token_id = v_transfer.token_id AND user_id = v_transfer.from_user_id;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  v_moved := v_moved || jsonb_build_object('vesting_schedules', v_count);
+
+  UPDATE public.security_policies SET user_id = v_recipient.id
+  WHERE token_id = v_transfer.token_id AND user_id = v_transfer.from_user_id;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  v_moved := v_moved || jsonb_build_object('security_policies', v_count);
+
+  UPDATE public.multi_sig_wallets SET user_id = v_recipient.id
+  WHERE token_id = v_transfer.token_id AND user_id = v_transfer.from_user_id;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  v_moved := v_moved || jsonb_build_object('multi_sig_wallets', v_count);
+
+  UPDATE public.token_ownership_transfers
+  SET status = 'accepted', to_user_id = v_recipient.id, accepted_at = NOW()
+  WHERE id = v_transfer.id
+  RETURNING * INTO v_transfer;
+
+  INSERT INTO public.audit_logs (user_id, action, resource_type, resource_id, ip_address, user_agent, metadata)
+  VALUES
+    (
+      v_transfer.from_user_id, 'COMPLETE_TOKEN_TRANSFER', 'token', v_transfer.token_id::TEXT, NULL, NULL,
+      jsonb_build_object('transfer_id', v_transfer.id, 'to_user_id', v_recipient.id, 'to_email', v_transfer.to_email,
+        'moved', v_moved)
+    ),
+    (
+      v_recipient.id, 'ACCEPT_TOKEN_TRANSFER', 'token', v_transfer.token_id::TEXT, p_ip_address, p_user_agent,
+      jsonb_build_object('transfer_id', v_transfer.id, 'from_user_id', v_transfer.from_user_id,
+        'from_email', v_transfer.from_email, 'moved', v_moved)
+    );
+
+  RETURN v_transfer;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
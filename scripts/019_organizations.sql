@@ -0,0 +1,514 @@
+-- Organizations: teams that co-manage tokens, multi-sig wallets and security
+-- policies. Members hold one role, each including the ones below it:
+--   owner   manage members of any role and delete the organization
+--   admin   create and edit tokens, manage wallets, policies and invitations
+--   minter  mint, burn, vest and batch mint
+--   viewer  read everything the organization owns
+--
+-- Tokens, wallets and policies with an organization_id belong to it: access
+-- follows membership, not who created them. Those without one stay personal.
+CREATE TABLE IF NOT EXISTS public.organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.organization_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'minter', 'viewer')),
+  invited_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON public.organization_members(user_id);
+
+-- Invitations are accepted with the secret from the emailed link; only its
+-- SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS public.organization_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'minter', 'viewer')),
+  secret_hash TEXT NOT NULL,
+  invited_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  accepted_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One open invitation per address and organization
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_invitations_pending
+  ON public.organization_invitations(organization_id, LOWER(email)) WHERE status = 'pending';
+
+ALTER TABLE public.tokens
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES public.organizations(id) ON DELETE RESTRICT;
+
+ALTER TABLE public.multi_sig_wallets
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE;
+
+ALTER TABLE public.security_policies
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_tokens_organization_id ON public.tokens(organization_id);
+CREATE INDEX IF NOT EXISTS idx_multi_sig_wallets_organization_id ON public.multi_sig_wallets(organization_id);
+CREATE INDEX IF NOT EXISTS idx_security_policies_organization_id ON public.security_policies(organization_id);
+
+CREATE OR REPLACE FUNCTION public.organization_role_rank(p_role TEXT)
+RETURNS INTEGER AS $$
+  SELECT CASE p_role WHEN 'owner' THEN 4 WHEN 'admin' THEN 3 WHEN 'minter' THEN 2 WHEN 'viewer' THEN 1 ELSE 0 END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Whether the signed-in user holds p_role or higher in the organization.
+-- Definer so policies on organization_members can use it without recursing.
+CREATE OR REPLACE FUNCTION public.has_organization_role(p_organization_id UUID, p_role TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.organization_members
+    WHERE organization_id = p_organization_id
+      AND user_id = auth.uid()
+      AND public.organization_role_rank(role) >= public.organization_role_rank(p_role)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Personal tokens: their creator holds every role. Organization tokens: the
+-- user's role in the organization.
+CREATE OR REPLACE FUNCTION public.has_token_role(p_token_id UUID, p_role TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.tokens
+    WHERE id = p_token_id
+      AND CASE
+        WHEN organization_id IS NULL THEN creator_id = auth.uid()
+        ELSE public.has_organization_role(organization_id, p_role)
+      END
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Create an organization with the signed-in user as its first owner
+CREATE OR REPLACE FUNCTION public.create_organization(p_name TEXT)
+RETURNS public.organizations AS $$
+DECLARE
+  v_organization public.organizations%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not signed in' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO public.organizations (name, created_by)
+  VALUES (p_name, auth.uid())
+  RETURNING * INTO v_organization;
+
+  INSERT INTO public.organization_members (organization_id, user_id, role)
+  VALUES (v_organization.id, auth.uid(), 'owner');
+
+  RETURN v_organization;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- An organization always keeps at least one owner
+CREATE OR REPLACE FUNCTION public.protect_last_organization_owner()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.role <> 'owner' OR (TG_OP = 'UPDATE' AND NEW.role = 'owner') THEN
+    RETURN COALESCE(NEW, OLD);
+  END IF;
+
+  -- Deleting the organization itself removes every member
+  IF NOT EXISTS (SELECT 1 FROM public.organizations WHERE id = OLD.organization_id) THEN
+    RETURN OLD;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.organization_members
+    WHERE organization_id = OLD.organization_id AND role = 'owner' AND id <> OLD.id
+  ) THEN
+    RAISE EXCEPTION 'An organization must keep at least one owner' USING ERRCODE = '55000';
+  END IF;
+
+  RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_last_organization_owner ON public.organization_members;
+CREATE TRIGGER protect_last_organization_owner
+  BEFORE UPDATE OF role OR DELETE ON public.organization_members
+  FOR EACH ROW EXECUTE FUNCTION public.protect_last_organization_owner();
+
+ALTER TABLE public.organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organization_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.organization_invitations ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for organizations
+CREATE POLICY "Members can view their organizations" ON public.organizations
+  FOR SELECT USING (public.has_organization_role(id, 'viewer'));
+
+-- Invitees can see which organization they are invited to before accepting
+CREATE POLICY "Users can view organizations they are invited to" ON public.organizations
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.organization_invitations i
+      JOIN public.profiles p ON p.id = auth.uid()
+      WHERE i.organization_id = organizations.id AND i.status = 'pending' AND LOWER(i.email) = LOWER(p.email)
+    )
+  );
+
+CREATE POLICY "Admins can update their organizations" ON public.organizations
+  FOR UPDATE USING (public.has_organization_role(id, 'admin'));
+
+CREATE POLICY "Owners can delete their organizations" ON public.organizations
+  FOR DELETE USING (public.has_organization_role(id, 'owner'));
+
+-- RLS Policies for organization_members. Admins manage minters and viewers;
+-- only owners grant or change owner and admin roles. Anyone can leave.
+CREATE POLICY "Members can view fellow members" ON public.organization_members
+  FOR SELECT USING (public.has_organization_role(organization_id, 'viewer'));
+
+CREATE POLICY "Admins can update members" ON public.organization_members
+  FOR UPDATE USING (
+    public.has_organization_role(organization_id, CASE WHEN role IN ('owner', 'admin') THEN 'owner' ELSE 'admin' END)
+  )
+  WITH CHECK (
+    public.has_organization_role(organization_id, CASE WHEN role IN ('owner', 'admin') THEN 'owner' ELSE 'admin' END)
+  );
+
+CREATE POLICY "Admins can remove members" ON public.organization_members
+  FOR DELETE USING (
+    auth.uid() = user_id
+    OR public.has_organization_role(organization_id, CASE WHEN role IN ('owner', 'admin') THEN 'owner' ELSE 'admin' END)
+  );
+
+-- RLS Policies for organization_invitations
+CREATE POLICY "Admins can view invitations" ON public.organization_invitations
+  FOR SELECT USING (public.has_organization_role(organization_id, 'admin'));
+
+CREATE POLICY "Users can view invitations sent to them" ON public.organization_invitations
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.profiles
+      WHERE id = auth.uid() AND LOWER(email) = LOWER(organization_invitations.email)
+    )
+  );
+
+CREATE POLICY "Admins can invite members" ON public.organization_invitations
+  FOR INSERT WITH CHECK (
+    auth.uid() = invited_by
+    AND public.has_organization_role(organization_id, CASE WHEN role IN ('owner', 'admin') THEN 'owner' ELSE 'admin' END)
+  );
+
+CREATE POLICY "Admins can revoke invitations" ON public.organization_invitations
+  FOR UPDATE USING (status = 'pending' AND public.has_organization_role(organization_id, 'admin'))
+  WITH CHECK (status = 'revoked');
+
+-- Tokens: organization admins create and edit organization tokens; personal
+-- tokens are still edited by their creator only
+DROP POLICY IF EXISTS "Users can create tokens" ON public.tokens;
+CREATE POLICY "Users can create tokens" ON public.tokens
+  FOR INSERT WITH CHECK (
+    auth.uid() = creator_id
+    AND (organization_id IS NULL OR public.has_organization_role(organization_id, 'admin'))
+  );
+
+DROP POLICY IF EXISTS "Users can update their own tokens" ON public.tokens;
+CREATE POLICY "Users can update their own tokens" ON public.tokens
+  FOR UPDATE USING (public.has_token_role(id, 'admin'))
+  WITH CHECK (
+    CASE
+      WHEN organization_id IS NULL THEN auth.uid() = creator_id
+      ELSE public.has_organization_role(organization_id, 'admin')
+    END
+  );
+
+-- Transactions: members see every transaction of their organization's tokens.
+-- Recording one needs the minter role on its token.
+CREATE POLICY "Members can view organization token transactions" ON public.transactions
+  FOR SELECT USING (token_id IS NOT NULL AND public.has_token_role(token_id, 'viewer'));
+
+DROP POLICY IF EXISTS "Users can create their own transactions" ON public.transactions;
+CREATE POLICY "Users can create their own transactions" ON public.transactions
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id AND (token_id IS NULL OR public.has_token_role(token_id, 'minter'))
+  );
+
+CREATE POLICY "Members can view organization token status history" ON public.token_status_history
+  FOR SELECT USING (public.has_token_role(token_id, 'viewer'));
+
+CREATE POLICY "Members can view organization token revisions" ON public.token_revisions
+  FOR SELECT USING (public.has_token_role(token_id, 'viewer'));
+
+CREATE POLICY "Members can view organization vesting schedules" ON public.vesting_schedules
+  FOR SELECT USING (public.has_token_role(token_id, 'viewer'));
+
+-- Multi-sig wallets and security policies: personal ones stay with their
+-- user; organization ones are read by members and managed by admins
+DROP POLICY IF EXISTS "Users can manage their own multi-sig wallets" ON public.multi_sig_wallets;
+CREATE POLICY "Users can manage their own multi-sig wallets" ON public.multi_sig_wallets
+  FOR ALL USING (auth.uid() = user_id AND organization_id IS NULL);
+
+DROP POLICY IF EXISTS "Users can view their own multi-sig wallets" ON public.multi_sig_wallets;
+CREATE POLICY "Users can view their own multi-sig wallets" ON public.multi_sig_wallets
+  FOR SELECT USING (auth.uid() = user_id AND organization_id IS NULL);
+
+CREATE POLICY "Members can view organization multi-sig wallets" ON public.multi_sig_wallets
+  FOR SELECT USING (organization_id IS NOT NULL AND public.has_organization_role(organization_id, 'viewer'));
+
+CREATE POLICY "Admins can manage organization multi-sig wallets" ON public.multi_sig_wallets
+  FOR ALL USING (organization_id IS NOT NULL AND public.has_organization_role(organization_id, 'admin'));
+
+CREATE POLICY "Members can view signers of organization wallets" ON public.wallet_signers
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.multi_sig_wallets w
+      WHERE w.id = multi_sig_wallet_id
+        AND w.organization_id IS NOT NULL
+        AND public.has_organization_role(w.organization_id, 'viewer')
+    )
+  );
+
+CREATE POLICY "Admins can manage signers of organization wallets" ON public.wallet_signers
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM public.multi_sig_wallets w
+      WHERE w.id = multi_sig_wallet_id
+        AND w.organization_id IS NOT NULL
+        AND public.has_organization_role(w.organization_id, 'admin')
+    )
+  );
+
+DROP POLICY IF EXISTS "Users can manage their own security policies" ON public.security_policies;
+CREATE POLICY "Users can manage their own security policies" ON public.security_policies
+  FOR ALL USING (auth.uid() = user_id AND organization_id IS NULL);
+
+CREATE POLICY "Members can view organization security policies" ON public.security_policies
+  FOR SELECT USING (organization_id IS NOT NULL AND public.has_organization_role(organization_id, 'viewer'));
+
+CREATE POLICY "Admins can manage organization security policies" ON public.security_policies
+  FOR ALL USING (organization_id IS NOT NULL AND public.has_organization_role(organization_id, 'admin'));
+
+-- Organization tokens change hands through membership, not ownership transfers
+DROP POLICY IF EXISTS "Owners can start transfers of their tokens" ON public.token_ownership_transfers;
+CREATE POLICY "Owners can start transfers of their tokens" ON public.token_ownership_transfers
+  FOR INSERT WITH CHECK (
+    auth.uid() = from_user_id AND EXISTS (
+      SELECT 1 FROM public.tokens
+      WHERE id = token_id AND creator_id = auth.uid() AND organization_id IS NULL
+    )
+  );
+
+-- Accept an invitation as the signed-in user whose email it was sent to
+CREATE OR REPLACE FUNCTION public.accept_organization_invitation(p_invitation_id UUID, p_secret_hash TEXT)
+RETURNS public.organization_members AS $$
+DECLARE
+  v_invitation public.organization_invitations%ROWTYPE;
+  v_user public.profiles%ROWTYPE;
+  v_member public.organization_members%ROWTYPE;
+BEGIN
+  SELECT * INTO v_user FROM public.profiles WHERE id = auth.uid();
+
+  SELECT * INTO v_invitation
+  FROM public.organization_invitations
+  WHERE id = p_invitation_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_user.id IS NULL OR LOWER(v_invitation.email) <> LOWER(v_user.email) THEN
+    RAISE EXCEPTION 'Invitation not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_invitation.secret_hash <> p_secret_hash THEN
+    RAISE EXCEPTION 'Invalid invitation link' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_invitation.status <> 'pending' THEN
+    RAISE EXCEPTION 'Invitation is already %', v_invitation.status USING ERRCODE = '55000';
+  END IF;
+
+  IF v_invitation.expires_at <= NOW() THEN
+    RAISE EXCEPTION 'Invitation expired at %', v_invitation.expires_at USING ERRCODE = '55000';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.organization_members
+    WHERE organization_id = v_invitation.organization_id AND user_id = v_user.id
+  ) THEN
+    RAISE EXCEPTION 'You are already a member of this organization' USING ERRCODE = '55000';
+  END IF;
+
+  INSERT INTO public.organization_members (organization_id, user_id, role, invited_by)
+  VALUES (v_invitation.organization_id, v_user.id, v_invitation.role, v_invitation.invited_by)
+  RETURNING * INTO v_member;
+
+  UPDATE public.organization_invitations
+  SET status = 'accepted', accepted_at = NOW()
+  WHERE id = v_invitation.id;
+
+  RETURN v_member;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- The token RPCs now check roles instead of creator_id
+
+CREATE OR REPLACE FUNCTION public.transition_token_status(p_token_id UUID, p_status TEXT, p_reason TEXT DEFAULT NULL)
+RETURNS public.tokens AS $$
+DECLARE
+  v_token public.tokens%ROWTYPE;
+BEGIN
+  PERFORM set_config('app.status_reason', COALESCE(p_reason, ''), true);
+
+  UPDATE public.tokens
+  SET status = p_status, updated_at = NOW()
+  WHERE id = p_token_id AND public.has_token_role(id, 'admin')
+  RETURNING * INTO v_token;
+
+  PERFORM set_config('app.status_reason', '', true);
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN v_token;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+CREATE OR REPLACE FUNCTION public.rollback_token_revision(p_token_id UUID, p_revision_number INTEGER)
+RETURNS public.tokens AS $$
+DECLARE
+  v_token public.tokens%ROWTYPE;
+  v_field TEXT;
+  v_value JSONB;
+  v_restore JSONB := '{}'::JSONB;
+BEGIN
+  SELECT * INTO v_token
+  FROM public.tokens
+  WHERE id = p_token_id AND public.has_token_role(id, 'admin')
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.token_revisions
+    WHERE token_id = p_token_id AND revision_number = p_revision_number
+  ) THEN
+    RAISE EXCEPTION 'Revision % not found', p_revision_number USING ERRCODE = 'P0002';
+  END IF;
+
+  FOREACH v_field IN ARRAY ARRAY['description', 'image_url', 'image_media_type', 'metadata'] LOOP
+    SELECT changes -> v_field -> 'before' INTO v_value
+    FROM public.token_revisions
+    WHERE token_id = p_token_id AND revision_number > p_revision_number AND changes ? v_field
+    ORDER BY revision_number
+    LIMIT 1;
+
+    IF FOUND AND v_value IS DISTINCT FROM to_jsonb(v_token) -> v_field THEN
+      v_restore := v_restore || jsonb_build_object(v_field, v_value);
+    END IF;
+  END LOOP;
+
+  IF v_restore = '{}'::JSONB THEN
+    RAISE EXCEPTION 'Token already matches revision %', p_revision_number USING ERRCODE = '55000';
+  END IF;
+
+  PERFORM set_config('app.revision_reason', format('Rolled back to revision %s', p_revision_number), true);
+
+  UPDATE public.tokens
+  SET
+    description = CASE WHEN v_restore ? 'description' THEN v_restore ->> 'description' ELSE description END,
+    image_url = CASE WHEN v_restore ? 'image_url' THEN v_restore ->> 'image_url' ELSE image_url END,
+    image_media_type = CASE WHEN v_restore ? 'image_media_type' THEN v_restore ->> 'image_media_type' ELSE image_media_type END,
+    metadata = CASE WHEN v_restore ? 'metadata' THEN NULLIF(v_restore -> 'metadata', 'null'::JSONB) ELSE metadata END,
+    updated_at = NOW()
+  WHERE id = p_token_id
+  RETURNING * INTO v_token;
+
+  PERFORM set_config('app.revision_reason', '', true);
+
+  RETURN v_token;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- Definer because a minter's first mint also activates the token, which the
+-- minter cannot otherwise update
+CREATE OR REPLACE FUNCTION public.create_supply_transaction(
+  p_token_id UUID,
+  p_transaction_type TEXT,
+  p_amount BIGINT,
+  p_metadata JSONB DEFAULT '{}'::JSONB,
+  p_batch_job_id UUID DEFAULT NULL
+)
+RETURNS public.transactions AS $$
+DECLARE
+  v_token public.tokens%ROWTYPE;
+  v_pending_mint BIGINT;
+  v_pending_burn BIGINT;
+  v_transaction public.transactions%ROWTYPE;
+BEGIN
+  IF p_transaction_type NOT IN ('mint', 'burn') THEN
+    RAISE EXCEPTION 'Unsupported supply transaction type: %', p_transaction_type USING ERRCODE = '22023';
+  END IF;
+
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Amount must be a positive integer' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_token
+  FROM public.tokens
+  WHERE id = p_token_id AND public.has_token_role(id, 'minter')
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_transaction_type = 'mint' AND v_token.status NOT IN ('policy_locked', 'active') THEN
+    RAISE EXCEPTION 'Cannot mint a % token', v_token.status USING ERRCODE = '55000';
+  END IF;
+
+  IF p_transaction_type = 'burn' AND v_token.status NOT IN ('active', 'retired') THEN
+    RAISE EXCEPTION 'Cannot burn a % token', v_token.status USING ERRCODE = '55000';
+  END IF;
+
+  SELECT
+    COALESCE(SUM(amount) FILTER (WHERE transaction_type = 'mint'), 0),
+    COALESCE(SUM(amount) FILTER (WHERE transaction_type = 'burn'), 0)
+  INTO v_pending_mint, v_pending_burn
+  FROM public.transactions
+  WHERE token_id = p_token_id AND status = 'pending';
+
+  IF p_transaction_type = 'mint'
+    AND v_token.max_supply IS NOT NULL
+    AND v_token.total_supply + v_pending_mint + p_amount > v_token.max_supply THEN
+    RAISE EXCEPTION 'Minting % would exceed the maximum supply of % (% confirmed, % pending)',
+      p_amount, v_token.max_supply, v_token.total_supply, v_pending_mint
+      USING ERRCODE = '23514';
+  END IF;
+
+  IF p_transaction_type = 'burn' AND p_amount > v_token.total_supply - v_pending_burn THEN
+    RAISE EXCEPTION 'Cannot burn %: only % is circulating (% already pending burn)',
+      p_amount, v_token.total_supply - v_pending_burn, v_pending_burn
+      USING ERRCODE = '23514';
+  END IF;
+
+  PERFORM set_config('app.supply_checked', 'on', true);
+
+  INSERT INTO public.transactions (token_id, user_id, transaction_type, amount, status, metadata, batch_job_id)
+  VALUES (p_token_id, auth.uid(), p_transaction_type, p_amount, 'pending', p_metadata, p_batch_job_id)
+  RETURNING * INTO v_transaction;
+
+  PERFORM set_config('app.supply_checked', 'off', true);
+
+  IF v_token.status = 'policy_locked' THEN
+    PERFORM set_config('app.status_reason', 'First mint', true);
+    UPDATE public.tokens SET status = 'active', updated_at = NOW() WHERE id = p_token_id;
+    PERFORM set_config('app.status_reason', '', true);
+  END IF;
+
+  RETURN v_transaction;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
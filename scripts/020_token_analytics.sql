@@ -0,0 +1,90 @@
+-- Per-token analytics: confirmed transactions aggregated into hour, day or
+-- week buckets (UTC). The range is widened to whole buckets. Runs as the
+-- caller, so row-level security decides which transactions are counted.
+--
+-- Supply is anchored on tokens.total_supply, which only moves when a mint or
+-- burn is confirmed, and walked back through the confirmed mints and burns
+-- after each bucket. Only transactions from the requested range onwards are
+-- read, so old history does not slow down recent charts.
+
+CREATE INDEX IF NOT EXISTS idx_transactions_token_confirmed_created_at
+  ON public.transactions(token_id, created_at) WHERE status = 'confirmed';
+
+CREATE OR REPLACE FUNCTION public.token_analytics(
+  p_token_id UUID,
+  p_granularity TEXT,
+  p_from TIMESTAMP WITH TIME ZONE,
+  p_to TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (
+  bucket TIMESTAMP WITH TIME ZONE,
+  minted NUMERIC,
+  burned NUMERIC,
+  net_supply NUMERIC,
+  transaction_count BIGINT,
+  fees_ada NUMERIC
+) AS $$
+DECLARE
+  v_total_supply BIGINT;
+  v_net_after NUMERIC;
+  v_step INTERVAL;
+  v_from TIMESTAMP WITH TIME ZONE;
+  v_to TIMESTAMP WITH TIME ZONE;
+BEGIN
+  IF p_granularity NOT IN ('hour', 'day', 'week') THEN
+    RAISE EXCEPTION 'Granularity must be hour, day or week' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_to <= p_from THEN
+    RAISE EXCEPTION 'Range must end after it starts' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT total_supply INTO v_total_supply FROM public.tokens WHERE id = p_token_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  v_step := ('1 ' || p_granularity)::INTERVAL;
+  v_from := date_trunc(p_granularity, p_from);
+  v_to := date_trunc(p_granularity, p_to - INTERVAL '1 microsecond') + v_step;
+
+  -- Supply change after the range, to find the supply at its end
+  SELECT COALESCE(SUM(CASE t.transaction_type WHEN 'mint' THEN t.amount WHEN 'burn' THEN -t.amount ELSE 0 END), 0)
+  INTO v_net_after
+  FROM public.transactions t
+  WHERE t.token_id = p_token_id AND t.status = 'confirmed' AND t.created_at >= v_to;
+
+  RETURN QUERY
+  WITH periods AS (
+    SELECT generate_series(v_from, v_to - v_step, v_step) AS period
+  ),
+  totals AS (
+    SELECT
+      date_trunc(p_granularity, t.created_at) AS period,
+      SUM(t.amount) FILTER (WHERE t.transaction_type = 'mint') AS mint_amount,
+      SUM(t.amount) FILTER (WHERE t.transaction_type = 'burn') AS burn_amount,
+      COUNT(*) AS tx_count,
+      SUM(COALESCE(t.fee_ada, 0)) AS fee_total
+    FROM public.transactions t
+    WHERE t.token_id = p_token_id AND t.status = 'confirmed' AND t.created_at >= v_from AND t.created_at < v_to
+    GROUP BY 1
+  )
+  SELECT
+    p.period,
+    COALESCE(s.mint_amount, 0),
+    COALESCE(s.burn_amount, 0),
+    -- Supply at the end of the bucket: today's supply minus everything confirmed later
+    v_total_supply - v_net_after - COALESCE(
+      SUM(COALESCE(s.mint_amount, 0) - COALESCE(s.burn_amount, 0)) OVER (
+        ORDER BY p.period DESC ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ),
+      0
+    ),
+    COALESCE(s.tx_count, 0),
+    COALESCE(s.fee_total, 0)
+  FROM periods p
+  LEFT JOIN totals s ON s.period = p.period
+  ORDER BY p.period;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,49 @@
+-- Unsigned transactions built for wallet signing (POST /api/transactions/:id/build).
+-- A build fixes the transaction's hash, fee and validity window; the unsigned
+-- CBOR is kept so the wallet can be asked to sign it again.
+
+ALTER TABLE public.transactions
+  ADD COLUMN IF NOT EXISTS unsigned_tx TEXT,
+  ADD COLUMN IF NOT EXISTS ttl_slot BIGINT,
+  ADD COLUMN IF NOT EXISTS built_at TIMESTAMP WITH TIME ZONE;
+
+-- Users cannot update transactions directly, so builds are recorded through
+-- this function. It only writes the build columns of the caller's own
+-- pending transactions; rebuilding replaces the previous build.
+CREATE OR REPLACE FUNCTION public.record_transaction_build(
+  p_transaction_id UUID,
+  p_tx_hash TEXT,
+  p_fee_ada BIGINT,
+  p_unsigned_tx TEXT,
+  p_ttl_slot BIGINT
+)
+RETURNS public.transactions AS $$
+DECLARE
+  v_transaction public.transactions;
+BEGIN
+  SELECT * INTO v_transaction
+  FROM public.transactions
+  WHERE id = p_transaction_id AND user_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Transaction not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_transaction.status <> 'pending' THEN
+    RAISE EXCEPTION 'Only pending transactions can be built' USING ERRCODE = '55000';
+  END IF;
+
+  UPDATE public.transactions
+  SET tx_hash = p_tx_hash,
+      fee_ada = p_fee_ada,
+      unsigned_tx = p_unsigned_tx,
+      ttl_slot = p_ttl_slot,
+      built_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_transaction_id
+  RETURNING * INTO v_transaction;
+
+  RETURN v_transaction;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
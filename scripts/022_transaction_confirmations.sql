@@ -0,0 +1,37 @@
+-- On-chain confirmation tracking (scripts/transaction-tracker.js). The tracker
+-- records the block each pending transaction was seen in, confirms it once it
+-- is TRANSACTION_CONFIRMATION_DEPTH blocks deep, fails it when its TTL passes
+-- before it reaches the chain, and reverts it to pending if a rollback drops
+-- it. Reverting a confirmed mint or burn moves total_supply back through the
+-- apply_confirmed_supply trigger.
+
+ALTER TABLE public.transactions
+  ADD COLUMN IF NOT EXISTS block_slot BIGINT,
+  ADD COLUMN IF NOT EXISTS block_hash TEXT,
+  ADD COLUMN IF NOT EXISTS block_height BIGINT,
+  ADD COLUMN IF NOT EXISTS confirmations INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_pending_tracked
+  ON public.transactions(created_at) WHERE status = 'pending' AND tx_hash IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_confirmed_block_slot
+  ON public.transactions(block_slot) WHERE status = 'confirmed';
+
+-- Users cannot set a status themselves any more; platform admins can override
+-- what the tracker decided
+CREATE POLICY "Admins can view all transactions" ON public.transactions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.admin_users au
+      WHERE au.user_id = auth.uid() AND au.is_active = TRUE
+    )
+  );
+
+CREATE POLICY "Admins can update transactions" ON public.transactions
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM public.admin_users au
+      WHERE au.user_id = auth.uid() AND au.admin_level IN ('super_admin', 'admin') AND au.is_active = TRUE
+    )
+  );
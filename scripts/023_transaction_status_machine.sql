@@ -0,0 +1,291 @@
+-- Transaction status machine:
+--   pending    recorded, nothing built yet
+--   built      unsigned transaction built for wallet signing (the wallet may
+--              also sign and send it itself, straight to submitted)
+--   signed     wallet witnesses attached, not yet accepted by the chain provider
+--   submitted  accepted by the chain provider, or recorded with the hash of a
+--              transaction sent elsewhere
+--   confirmed  TRANSACTION_CONFIRMATION_DEPTH blocks deep; a rollback moves it
+--              back to submitted
+--   failed     rejected or abandoned (final)
+--   expired    TTL passed before the transaction reached the chain (final)
+ALTER TABLE public.transactions DROP CONSTRAINT IF EXISTS transactions_status_check;
+ALTER TABLE public.transactions ADD CONSTRAINT transactions_status_check
+  CHECK (status IN ('pending', 'built', 'signed', 'submitted', 'confirmed', 'failed', 'expired'));
+
+-- Existing pending transactions that were already sent are submitted; those
+-- with only a build are built
+UPDATE public.transactions SET status = 'submitted'
+WHERE status = 'pending' AND tx_hash IS NOT NULL AND (unsigned_tx IS NULL OR block_hash IS NOT NULL);
+
+UPDATE public.transactions SET status = 'built'
+WHERE status = 'pending' AND unsigned_tx IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_transactions_pending_tracked;
+CREATE INDEX IF NOT EXISTS idx_transactions_in_flight
+  ON public.transactions(created_at) WHERE status IN ('built', 'signed', 'submitted');
+
+CREATE TABLE IF NOT EXISTS public.transaction_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id UUID REFERENCES public.transactions(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  reason TEXT,
+  changed_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_status_history_transaction_id
+  ON public.transaction_status_history(transaction_id, created_at);
+
+ALTER TABLE public.transaction_status_history ENABLE ROW LEVEL SECURITY;
+
+-- Visible to whoever can see the transaction: its owner, members of its
+-- token's organization and admins
+CREATE POLICY "Users can view status history of visible transactions" ON public.transaction_status_history
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.transactions t
+      WHERE t.id = transaction_id
+    )
+  );
+
+CREATE OR REPLACE FUNCTION public.transaction_status_transition_allowed(p_from TEXT, p_to TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN (p_from, p_to) IN (
+    ('pending', 'built'),
+    ('pending', 'failed'),
+    ('built', 'signed'),
+    ('built', 'submitted'),
+    ('built', 'expired'),
+    ('built', 'failed'),
+    ('signed', 'built'),
+    ('signed', 'submitted'),
+    ('signed', 'expired'),
+    ('signed', 'failed'),
+    ('submitted', 'confirmed'),
+    ('submitted', 'expired'),
+    ('submitted', 'failed'),
+    ('confirmed', 'submitted')
+  );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Reject transitions that are not in the status machine
+CREATE OR REPLACE FUNCTION public.enforce_transaction_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.status NOT IN ('pending', 'submitted') THEN
+      RAISE EXCEPTION 'New transactions must start as pending or submitted' USING ERRCODE = '55000';
+    END IF;
+  ELSIF NEW.status IS DISTINCT FROM OLD.status
+    AND NOT public.transaction_status_transition_allowed(OLD.status, NEW.status) THEN
+    RAISE EXCEPTION 'Transaction cannot move from % to %', OLD.status, NEW.status USING ERRCODE = '55000';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enforce_transaction_status ON public.transactions;
+CREATE TRIGGER enforce_transaction_status
+  BEFORE INSERT OR UPDATE OF status ON public.transactions
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_transaction_status();
+
+-- Record every status change. The reason comes from
+-- transition_transaction_status(), or from failure_reason when the tracker
+-- fails or expires a transaction.
+CREATE OR REPLACE FUNCTION public.log_transaction_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    INSERT INTO public.transaction_status_history (transaction_id, from_status, to_status, reason, changed_by)
+    VALUES (
+      NEW.id,
+      CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE OLD.status END,
+      NEW.status,
+      COALESCE(
+        NULLIF(current_setting('app.status_reason', true), ''),
+        CASE WHEN NEW.status IN ('failed', 'expired') THEN NEW.failure_reason END,
+        CASE WHEN TG_OP = 'INSERT' THEN 'Transaction recorded' END
+      ),
+      auth.uid()
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS log_transaction_status ON public.transactions;
+CREATE TRIGGER log_transaction_status
+  AFTER INSERT OR UPDATE OF status ON public.transactions
+  FOR EACH ROW EXECUTE FUNCTION public.log_transaction_status();
+
+-- Move a transaction to a new status, recording why. Owners can only report
+-- what their wallet did (signed, submitted); everything else comes from the
+-- confirmation tracker or a platform admin.
+CREATE OR REPLACE FUNCTION public.transition_transaction_status(
+  p_transaction_id UUID,
+  p_status TEXT,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS public.transactions AS $$
+DECLARE
+  v_is_admin BOOLEAN;
+  v_transaction public.transactions%ROWTYPE;
+BEGIN
+  SELECT EXISTS (
+    SELECT 1 FROM public.admin_users au
+    WHERE au.user_id = auth.uid() AND au.admin_level IN ('super_admin', 'admin') AND au.is_active = TRUE
+  ) INTO v_is_admin;
+
+  SELECT * INTO v_transaction
+  FROM public.transactions
+  WHERE id = p_transaction_id AND (user_id = auth.uid() OR v_is_admin)
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Transaction not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT v_is_admin AND p_status NOT IN ('signed', 'submitted') THEN
+    RAISE EXCEPTION 'Only admins can move a transaction to %', p_status USING ERRCODE = '42501';
+  END IF;
+
+  PERFORM set_config('app.status_reason', COALESCE(p_reason, ''), true);
+
+  UPDATE public.transactions
+  SET status = p_status,
+      confirmed_at = CASE WHEN p_status = 'confirmed' THEN NOW() END,
+      failure_reason = CASE WHEN p_status IN ('failed', 'expired') THEN p_reason END,
+      updated_at = NOW()
+  WHERE id = p_transaction_id
+  RETURNING * INTO v_transaction;
+
+  PERFORM set_config('app.status_reason', '', true);
+
+  RETURN v_transaction;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Builds now move the transaction to built. Signed transactions can be
+-- rebuilt, e.g. after the chain provider rejected them.
+CREATE OR REPLACE FUNCTION public.record_transaction_build(
+  p_transaction_id UUID,
+  p_tx_hash TEXT,
+  p_fee_ada BIGINT,
+  p_unsigned_tx TEXT,
+  p_ttl_slot BIGINT
+)
+RETURNS public.transactions AS $$
+DECLARE
+  v_transaction public.transactions;
+BEGIN
+  SELECT * INTO v_transaction
+  FROM public.transactions
+  WHERE id = p_transaction_id AND user_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Transaction not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_transaction.status NOT IN ('pending', 'built', 'signed') THEN
+    RAISE EXCEPTION 'A % transaction cannot be built', v_transaction.status USING ERRCODE = '55000';
+  END IF;
+
+  UPDATE public.transactions
+  SET status = 'built',
+      tx_hash = p_tx_hash,
+      fee_ada = p_fee_ada,
+      unsigned_tx = p_unsigned_tx,
+      ttl_slot = p_ttl_slot,
+      built_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_transaction_id
+  RETURNING * INTO v_transaction;
+
+  RETURN v_transaction;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Supply reserved by unfinished mints and burns now covers every in-flight
+-- status, not just pending
+CREATE OR REPLACE FUNCTION public.create_supply_transaction(
+  p_token_id UUID,
+  p_transaction_type TEXT,
+  p_amount BIGINT,
+  p_metadata JSONB DEFAULT '{}'::JSONB,
+  p_batch_job_id UUID DEFAULT NULL
+)
+RETURNS public.transactions AS $$
+DECLARE
+  v_token public.tokens%ROWTYPE;
+  v_pending_mint BIGINT;
+  v_pending_burn BIGINT;
+  v_transaction public.transactions%ROWTYPE;
+BEGIN
+  IF p_transaction_type NOT IN ('mint', 'burn') THEN
+    RAISE EXCEPTION 'Unsupported supply transaction type: %', p_transaction_type USING ERRCODE = '22023';
+  END IF;
+
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Amount must be a positive integer' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_token
+  FROM public.tokens
+  WHERE id = p_token_id AND public.has_token_role(id, 'minter')
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_transaction_type = 'mint' AND v_token.status NOT IN ('policy_locked', 'active') THEN
+    RAISE EXCEPTION 'Cannot mint a % token', v_token.status USING ERRCODE = '55000';
+  END IF;
+
+  IF p_transaction_type = 'burn' AND v_token.status NOT IN ('active', 'retired') THEN
+    RAISE EXCEPTION 'Cannot burn a % token', v_token.status USING ERRCODE = '55000';
+  END IF;
+
+  SELECT
+    COALESCE(SUM(amount) FILTER (WHERE transaction_type = 'mint'), 0),
+    COALESCE(SUM(amount) FILTER (WHERE transaction_type = 'burn'), 0)
+  INTO v_pending_mint, v_pending_burn
+  FROM public.transactions
+  WHERE token_id = p_token_id AND status IN ('pending', 'built', 'signed', 'submitted');
+
+  IF p_transaction_type = 'mint'
+    AND v_token.max_supply IS NOT NULL
+    AND v_token.total_supply + v_pending_mint + p_amount > v_token.max_supply THEN
+    RAISE EXCEPTION 'Minting % would exceed the maximum supply of % (% confirmed, % pending)',
+      p_amount, v_token.max_supply, v_token.total_supply, v_pending_mint
+      USING ERRCODE = '23514';
+  END IF;
+
+  IF p_transaction_type = 'burn' AND p_amount > v_token.total_supply - v_pending_burn THEN
+    RAISE EXCEPTION 'Cannot burn %: only % is circulating (% already pending burn)',
+      p_amount, v_token.total_supply - v_pending_burn, v_pending_burn
+      USING ERRCODE = '23514';
+  END IF;
+
+  PERFORM set_config('app.supply_checked', 'on', true);
+
+  INSERT INTO public.transactions (token_id, user_id, transaction_type, amount, status, metadata, batch_job_id)
+  VALUES (p_token_id, auth.uid(), p_transaction_type, p_amount, 'pending', p_metadata, p_batch_job_id)
+  RETURNING * INTO v_transaction;
+
+  PERFORM set_config('app.supply_checked', 'off', true);
+
+  IF v_token.status = 'policy_locked' THEN
+    PERFORM set_config('app.status_reason', 'First mint', true);
+    UPDATE public.tokens SET status = 'active', updated_at = NOW() WHERE id = p_token_id;
+    PERFORM set_config('app.status_reason', '', true);
+  END IF;
+
+  RETURN v_transaction;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,42 @@
+-- Idempotency-Key support (middleware/idempotency.js). The first request with
+-- a key stores a fingerprint of its method, path and body; once it finishes,
+-- its response is stored too and replayed for retries with the same key.
+-- Keys belong to one user and expire after IDEMPOTENCY_KEY_TTL_HOURS.
+
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  idempotency_key TEXT NOT NULL CHECK (char_length(idempotency_key) BETWEEN 1 AND 255),
+  request_method TEXT NOT NULL,
+  request_path TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  -- Both NULL while the first request is still being processed
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  UNIQUE (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON public.idempotency_keys(expires_at);
+
+ALTER TABLE public.idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own idempotency keys" ON public.idempotency_keys
+  FOR ALL USING (auth.uid() = user_id);
+
+-- Expired keys are replaced when they are reused; this clears the rest and
+-- can be run from any scheduled job
+CREATE OR REPLACE FUNCTION public.purge_expired_idempotency_keys()
+RETURNS INTEGER AS $$
+DECLARE
+  v_deleted INTEGER;
+BEGIN
+  DELETE FROM public.idempotency_keys WHERE expires_at < NOW();
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+  RETURN v_deleted;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.purge_expired_idempotency_keys() FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,200 @@
+-- Transaction history exports (GET /api/transactions/export).
+--
+-- exchange_rates only keeps the latest price per symbol, so every price change
+-- is also kept in exchange_rate_history. Exports value each row with the last
+-- price recorded at or before it; rows older than the first recorded price
+-- have no valuation.
+
+CREATE TABLE IF NOT EXISTS public.exchange_rate_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_symbol TEXT NOT NULL,
+  price_usd DECIMAL(20, 8) NOT NULL,
+  price_ada DECIMAL(20, 8) NOT NULL,
+  recorded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rate_history_symbol_recorded_at
+  ON public.exchange_rate_history(token_symbol, recorded_at DESC);
+
+ALTER TABLE public.exchange_rate_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view exchange rate history" ON public.exchange_rate_history
+  FOR SELECT USING (true);
+
+INSERT INTO public.exchange_rate_history (token_symbol, price_usd, price_ada, recorded_at)
+SELECT r.token_symbol, r.price_usd, r.price_ada, COALESCE(r.updated_at, NOW())
+FROM public.exchange_rates r
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.exchange_rate_history h WHERE h.token_symbol = r.token_symbol
+);
+
+CREATE OR REPLACE FUNCTION public.record_exchange_rate_history()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.price_usd = OLD.price_usd AND NEW.price_ada = OLD.price_ada THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO public.exchange_rate_history (token_symbol, price_usd, price_ada, recorded_at)
+  VALUES (NEW.token_symbol, NEW.price_usd, NEW.price_ada, COALESCE(NEW.updated_at, NOW()));
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS record_exchange_rate_history ON public.exchange_rates;
+CREATE TRIGGER record_exchange_rate_history
+  AFTER INSERT OR UPDATE ON public.exchange_rates
+  FOR EACH ROW EXECUTE FUNCTION public.record_exchange_rate_history();
+
+-- One page of the caller's transactions, gasless sponsorships and payments
+-- in [p_from, p_to), oldest first, continuing after (p_after_at, p_after_id).
+-- On-chain transactions are dated when they were confirmed, if they were.
+-- Amounts are in base units and fees in lovelace; ada_usd and token_usd are
+-- the prices at that moment.
+CREATE OR REPLACE FUNCTION public.transaction_export(
+  p_from TIMESTAMP WITH TIME ZONE,
+  p_to TIMESTAMP WITH TIME ZONE,
+  p_after_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_after_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 500
+)
+RETURNS TABLE (
+  source TEXT,
+  id UUID,
+  occurred_at TIMESTAMP WITH TIME ZONE,
+  kind TEXT,
+  status TEXT,
+  token_symbol TEXT,
+  token_decimals INTEGER,
+  policy_id TEXT,
+  asset_name TEXT,
+  amount NUMERIC,
+  fee_lovelace BIGINT,
+  sponsored BOOLEAN,
+  fiat_amount NUMERIC,
+  fiat_currency TEXT,
+  tx_hash TEXT,
+  related_transaction_id UUID,
+  counterparty TEXT,
+  description TEXT,
+  ada_usd NUMERIC,
+  token_usd NUMERIC
+) AS $$
+  WITH entries AS (
+    SELECT
+      'transaction' AS source,
+      t.id,
+      COALESCE(t.confirmed_at, t.created_at) AS occurred_at,
+      t.transaction_type AS kind,
+      t.status,
+      k.symbol AS token_symbol,
+      k.decimals AS token_decimals,
+      k.policy_id,
+      k.asset_name,
+      t.amount::NUMERIC AS amount,
+      t.fee_ada AS fee_lovelace,
+      EXISTS (
+        SELECT 1 FROM public.gasless_transactions g
+        WHERE g.transaction_id = t.id AND g.status IN ('sponsored', 'executed')
+      ) AS sponsored,
+      NULL::NUMERIC AS fiat_amount,
+      NULL::TEXT AS fiat_currency,
+      t.tx_hash,
+      NULL::UUID AS related_transaction_id,
+      t.metadata->>'recipient' AS counterparty,
+      NULL::TEXT AS description
+    FROM public.transactions t
+    LEFT JOIN public.tokens k ON k.id = t.token_id
+    WHERE t.user_id = auth.uid()
+
+    UNION ALL
+
+    SELECT
+      'gasless',
+      g.id,
+      g.created_at,
+      'sponsored_fee',
+      g.status,
+      k.symbol,
+      k.decimals,
+      k.policy_id,
+      k.asset_name,
+      NULL::NUMERIC,
+      g.gas_fee_ada,
+      TRUE,
+      NULL::NUMERIC,
+      NULL::TEXT,
+      t.tx_hash,
+      g.transaction_id,
+      g.sponsor_address,
+      NULL::TEXT
+    FROM public.gasless_transactions g
+    LEFT JOIN public.transactions t ON t.id = g.transaction_id
+    LEFT JOIN public.tokens k ON k.id = t.token_id
+    WHERE g.user_id = auth.uid()
+
+    UNION ALL
+
+    SELECT
+      'payment',
+      p.id,
+      p.created_at,
+      'payment',
+      p.status,
+      NULL::TEXT,
+      NULL::INTEGER,
+      NULL::TEXT,
+      NULL::TEXT,
+      NULL::NUMERIC,
+      NULL::BIGINT,
+      FALSE,
+      p.amount_cents / 100.0,
+      UPPER(p.currency),
+      NULL::TEXT,
+      NULL::UUID,
+      NULL::TEXT,
+      p.description
+    FROM public.payment_transactions p
+    WHERE p.user_id = auth.uid()
+  )
+  SELECT
+    e.source,
+    e.id,
+    e.occurred_at,
+    e.kind,
+    e.status,
+    e.token_symbol,
+    e.token_decimals,
+    e.policy_id,
+    e.asset_name,
+    e.amount,
+    e.fee_lovelace,
+    e.sponsored,
+    e.fiat_amount,
+    e.fiat_currency,
+    e.tx_hash,
+    e.related_transaction_id,
+    e.counterparty,
+    e.description,
+    ada.price_usd,
+    token.price_usd
+  FROM entries e
+  LEFT JOIN LATERAL (
+    SELECT h.price_usd FROM public.exchange_rate_history h
+    WHERE h.token_symbol = 'ADA' AND h.recorded_at <= e.occurred_at
+    ORDER BY h.recorded_at DESC
+    LIMIT 1
+  ) ada ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT h.price_usd FROM public.exchange_rate_history h
+    WHERE h.token_symbol = UPPER(e.token_symbol) AND h.recorded_at <= e.occurred_at
+    ORDER BY h.recorded_at DESC
+    LIMIT 1
+  ) token ON TRUE
+  WHERE e.occurred_at >= p_from
+    AND e.occurred_at < p_to
+    AND (p_after_at IS NULL OR (e.occurred_at, e.id) > (p_after_at, p_after_id))
+  ORDER BY e.occurred_at, e.id
+  LIMIT LEAST(GREATEST(p_limit, 1), 1000);
+$$ LANGUAGE sql STABLE;
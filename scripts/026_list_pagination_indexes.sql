@@ -0,0 +1,23 @@
+-- Indexes for cursor pagination on list endpoints (utils/list-query.js).
+-- Pages are read in (sort column, id) order after the previous page's last
+-- row, so each sort a list offers gets a matching index.
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_created_at
+  ON public.transactions(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_transactions_user_amount
+  ON public.transactions(user_id, amount DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_transactions_token_created_at
+  ON public.transactions(token_id, created_at DESC, id DESC);
+-- tx_hash prefix filters (LIKE 'abc%')
+CREATE INDEX IF NOT EXISTS idx_transactions_tx_hash_prefix
+  ON public.transactions(tx_hash text_pattern_ops);
+
+CREATE INDEX IF NOT EXISTS idx_tokens_created_at_id ON public.tokens(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_tokens_token_name_id ON public.tokens(token_name, id);
+CREATE INDEX IF NOT EXISTS idx_tokens_symbol_id ON public.tokens(symbol, id);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user_created_at
+  ON public.audit_logs(user_id, created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_profiles_created_at_id ON public.profiles(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_profiles_email_id ON public.profiles(email, id);
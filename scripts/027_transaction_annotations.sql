@@ -0,0 +1,35 @@
+-- Private labels and notes on transactions (PUT /api/transactions/:id/annotation).
+-- Annotations are kept off-chain and belong to the user who wrote them, so
+-- members of an organization never see each other's on shared transactions.
+-- Labels are stored lowercased (utils/transaction-annotations.js).
+
+CREATE TABLE IF NOT EXISTS public.transaction_annotations (
+  transaction_id UUID NOT NULL REFERENCES public.transactions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  labels TEXT[] NOT NULL DEFAULT '{}' CHECK (cardinality(labels) <= 10),
+  note TEXT CHECK (char_length(note) <= 2000),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (transaction_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_annotations_user_id ON public.transaction_annotations(user_id);
+CREATE INDEX IF NOT EXISTS idx_transaction_annotations_labels ON public.transaction_annotations USING GIN (labels);
+
+ALTER TABLE public.transaction_annotations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own transaction annotations" ON public.transaction_annotations
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Only transactions the user can see may be annotated
+CREATE POLICY "Users can annotate visible transactions" ON public.transaction_annotations
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (SELECT 1 FROM public.transactions t WHERE t.id = transaction_id)
+  );
+
+CREATE POLICY "Users can update their own transaction annotations" ON public.transaction_annotations
+  FOR UPDATE USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own transaction annotations" ON public.transaction_annotations
+  FOR DELETE USING (auth.uid() = user_id);
@@ -0,0 +1,23 @@
+-- On-chain asset name bytes (lowercase hex) of each token's user-facing asset.
+-- The API works them out once from asset_name and asset_name_encoding when the
+-- token is created; minting, metadata, fingerprints and the registry subject
+-- all read this column instead of guessing whether asset_name is hex.
+ALTER TABLE public.tokens ADD COLUMN IF NOT EXISTS asset_name_hex TEXT;
+
+-- Existing tokens were minted under the old rule (even-length hex taken as
+-- bytes, anything else as UTF-8), so keep the names they already have on-chain
+UPDATE public.tokens
+SET asset_name_hex = CASE
+  WHEN asset_name ~ '^([0-9a-fA-F]{2})+$' THEN LOWER(asset_name)
+  ELSE ENCODE(CONVERT_TO(asset_name, 'UTF8'), 'hex')
+END
+WHERE asset_name_hex IS NULL;
+
+ALTER TABLE public.tokens ALTER COLUMN asset_name_hex SET NOT NULL;
+
+ALTER TABLE public.tokens DROP CONSTRAINT IF EXISTS tokens_asset_name_hex_format;
+ALTER TABLE public.tokens
+  ADD CONSTRAINT tokens_asset_name_hex_format CHECK (asset_name_hex ~ '^([0-9a-f]{2}){0,32}$');
+
+-- The policy ID and asset name bytes identify the asset on-chain
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tokens_policy_asset_name_hex ON public.tokens(policy_id, asset_name_hex);
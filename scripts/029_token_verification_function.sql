@@ -0,0 +1,33 @@
+-- Admins verify tokens through set_token_verification() instead of an UPDATE
+-- policy. The "Admins can verify tokens" policy from 015 let any active admin
+-- rewrite every column of any token; the function only touches is_verified
+-- (verified_at still comes from the protect_token_verification trigger).
+DROP POLICY IF EXISTS "Admins can verify tokens" ON public.tokens;
+
+CREATE OR REPLACE FUNCTION public.set_token_verification(p_token_id UUID, p_verified BOOLEAN)
+RETURNS public.tokens AS $$
+DECLARE
+  v_token public.tokens%ROWTYPE;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.admin_users au
+    WHERE au.user_id = auth.uid() AND au.is_active = TRUE
+  ) THEN
+    RAISE EXCEPTION 'Only admins can change token verification' USING ERRCODE = '42501';
+  END IF;
+
+  UPDATE public.tokens
+  SET is_verified = p_verified
+  WHERE id = p_token_id
+  RETURNING * INTO v_token;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN v_token;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.set_token_verification(UUID, BOOLEAN) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.set_token_verification(UUID, BOOLEAN) TO authenticated;
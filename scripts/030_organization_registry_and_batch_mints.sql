@@ -0,0 +1,29 @@
+-- Registry entries and batch mints follow the token's roles like its
+-- transactions do (scripts/019_organizations.sql): every member sees them,
+-- admins manage the registry entry and minters retry failed batch rows. The
+-- 009 and 011 policies still cover rows a user created themselves.
+
+CREATE POLICY "Members can view organization token registry submissions" ON public.token_registry_submissions
+  FOR SELECT USING (public.has_token_role(token_id, 'viewer'));
+
+CREATE POLICY "Admins can manage organization token registry submissions" ON public.token_registry_submissions
+  FOR ALL USING (public.has_token_role(token_id, 'admin'));
+
+CREATE POLICY "Members can view organization batch mint jobs" ON public.batch_mint_jobs
+  FOR SELECT USING (public.has_token_role(token_id, 'viewer'));
+
+CREATE POLICY "Members can view rows of organization batch mints" ON public.batch_mint_rows
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.batch_mint_jobs j
+      WHERE j.id = job_id AND public.has_token_role(j.token_id, 'viewer')
+    )
+  );
+
+CREATE POLICY "Minters can retry rows of organization batch mints" ON public.batch_mint_rows
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM public.batch_mint_jobs j
+      WHERE j.id = job_id AND public.has_token_role(j.token_id, 'minter')
+    )
+  );
@@ -0,0 +1,68 @@
+-- Sponsored builds (utils/gasless.js). The treasury's input, change and
+-- signature are part of the built transaction, so the sponsorship's
+-- gas_fee_ada is set from the same build as the transaction's fee_ada. A build
+-- without the treasury ends the sponsorship instead, so a sponsored fee is
+-- never recorded for a transaction the wallet pays for.
+DROP FUNCTION IF EXISTS public.record_transaction_build(UUID, TEXT, BIGINT, TEXT, BIGINT);
+
+CREATE OR REPLACE FUNCTION public.record_transaction_build(
+  p_transaction_id UUID,
+  p_tx_hash TEXT,
+  p_fee_ada BIGINT,
+  p_unsigned_tx TEXT,
+  p_ttl_slot BIGINT,
+  p_sponsored BOOLEAN DEFAULT FALSE
+)
+RETURNS public.transactions AS $$
+DECLARE
+  v_transaction public.transactions;
+BEGIN
+  SELECT * INTO v_transaction
+  FROM public.transactions
+  WHERE id = p_transaction_id AND user_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Transaction not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_transaction.status NOT IN ('pending', 'built', 'signed') THEN
+    RAISE EXCEPTION 'A % transaction cannot be built', v_transaction.status USING ERRCODE = '55000';
+  END IF;
+
+  -- Sponsorships that lapsed before this build, or that it leaves out, no
+  -- longer pay for the transaction
+  UPDATE public.gasless_transactions
+  SET status = 'failed',
+      updated_at = NOW()
+  WHERE transaction_id = p_transaction_id
+    AND status = 'sponsored'
+    AND (NOT p_sponsored OR expires_at <= NOW());
+
+  IF p_sponsored THEN
+    UPDATE public.gasless_transactions
+    SET gas_fee_ada = p_fee_ada,
+        updated_at = NOW()
+    WHERE transaction_id = p_transaction_id
+      AND user_id = auth.uid()
+      AND status = 'sponsored';
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'The transaction has no active sponsorship' USING ERRCODE = '55000';
+    END IF;
+  END IF;
+
+  UPDATE public.transactions
+  SET status = 'built',
+      tx_hash = p_tx_hash,
+      fee_ada = p_fee_ada,
+      unsigned_tx = p_unsigned_tx,
+      ttl_slot = p_ttl_slot,
+      built_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_transaction_id
+  RETURNING * INTO v_transaction;
+
+  RETURN v_transaction;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,128 @@
+-- A token's minting policy is fixed when it is created: the policy ID and
+-- script, the on-chain asset name, the supply cap and the time lock. The
+-- update policy from 019 lets token admins edit their token's row, so these
+-- columns are guarded by a trigger as total_supply is (012); otherwise an
+-- admin could lift the cap or the lock the mint endpoints enforce.
+--
+-- The time lock is also checked by create_supply_transaction() itself, so an
+-- rpc() call from the client cannot mint past it. Slots depend on the network
+-- (config/cardano.js), so the API stores the lock's wall-clock time next to
+-- its slot; run scripts/backfill-policy-lock-times.js once for tokens created
+-- before this migration.
+
+ALTER TABLE public.tokens ADD COLUMN IF NOT EXISTS policy_lock_time TIMESTAMP WITH TIME ZONE;
+
+-- Only the API roles are held back; the service role and the SQL editor can
+-- still correct a row (and the backfill fills in policy_lock_time)
+CREATE OR REPLACE FUNCTION public.protect_token_policy()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated')
+    AND (NEW.policy_id, NEW.policy_script, NEW.minting_policy, NEW.asset_name_hex,
+         NEW.max_supply, NEW.policy_lock_slot, NEW.policy_lock_time)
+      IS DISTINCT FROM
+        (OLD.policy_id, OLD.policy_script, OLD.minting_policy, OLD.asset_name_hex,
+         OLD.max_supply, OLD.policy_lock_slot, OLD.policy_lock_time) THEN
+    RAISE EXCEPTION 'A token''s minting policy, asset name, supply cap and time lock cannot be changed'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_token_policy ON public.tokens;
+CREATE TRIGGER protect_token_policy
+  BEFORE UPDATE OF policy_id, policy_script, minting_policy, asset_name_hex, max_supply, policy_lock_slot, policy_lock_time
+  ON public.tokens
+  FOR EACH ROW EXECUTE FUNCTION public.protect_token_policy();
+
+-- As in 023, with mints refused once the policy's time lock has passed
+CREATE OR REPLACE FUNCTION public.create_supply_transaction(
+  p_token_id UUID,
+  p_transaction_type TEXT,
+  p_amount BIGINT,
+  p_metadata JSONB DEFAULT '{}'::JSONB,
+  p_batch_job_id UUID DEFAULT NULL
+)
+RETURNS public.transactions AS $$
+DECLARE
+  v_token public.tokens%ROWTYPE;
+  v_pending_mint BIGINT;
+  v_pending_burn BIGINT;
+  v_transaction public.transactions%ROWTYPE;
+BEGIN
+  IF p_transaction_type NOT IN ('mint', 'burn') THEN
+    RAISE EXCEPTION 'Unsupported supply transaction type: %', p_transaction_type USING ERRCODE = '22023';
+  END IF;
+
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Amount must be a positive integer' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_token
+  FROM public.tokens
+  WHERE id = p_token_id AND public.has_token_role(id, 'minter')
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_transaction_type = 'mint' AND v_token.status NOT IN ('policy_locked', 'active') THEN
+    RAISE EXCEPTION 'Cannot mint a % token', v_token.status USING ERRCODE = '55000';
+  END IF;
+
+  IF p_transaction_type = 'burn' AND v_token.status NOT IN ('active', 'retired') THEN
+    RAISE EXCEPTION 'Cannot burn a % token', v_token.status USING ERRCODE = '55000';
+  END IF;
+
+  IF p_transaction_type = 'mint' AND v_token.policy_lock_slot IS NOT NULL THEN
+    IF v_token.policy_lock_time IS NULL THEN
+      RAISE EXCEPTION 'The time lock of this minting policy has no recorded time; run scripts/backfill-policy-lock-times.js'
+        USING ERRCODE = '55000';
+    END IF;
+
+    IF NOW() >= v_token.policy_lock_time THEN
+      RAISE EXCEPTION 'Minting policy locked at slot % (%)', v_token.policy_lock_slot, v_token.policy_lock_time
+        USING ERRCODE = '23514';
+    END IF;
+  END IF;
+
+  SELECT
+    COALESCE(SUM(amount) FILTER (WHERE transaction_type = 'mint'), 0),
+    COALESCE(SUM(amount) FILTER (WHERE transaction_type = 'burn'), 0)
+  INTO v_pending_mint, v_pending_burn
+  FROM public.transactions
+  WHERE token_id = p_token_id AND status IN ('pending', 'built', 'signed', 'submitted');
+
+  IF p_transaction_type = 'mint'
+    AND v_token.max_supply IS NOT NULL
+    AND v_token.total_supply + v_pending_mint + p_amount > v_token.max_supply THEN
+    RAISE EXCEPTION 'Minting % would exceed the maximum supply of % (% confirmed, % pending)',
+      p_amount, v_token.max_supply, v_token.total_supply, v_pending_mint
+      USING ERRCODE = '23514';
+  END IF;
+
+  IF p_transaction_type = 'burn' AND p_amount > v_token.total_supply - v_pending_burn THEN
+    RAISE EXCEPTION 'Cannot burn %: only % is circulating (% already pending burn)',
+      p_amount, v_token.total_supply - v_pending_burn, v_pending_burn
+      USING ERRCODE = '23514';
+  END IF;
+
+  PERFORM set_config('app.supply_checked', 'on', true);
+
+  INSERT INTO public.transactions (token_id, user_id, transaction_type, amount, status, metadata, batch_job_id)
+  VALUES (p_token_id, auth.uid(), p_transaction_type, p_amount, 'pending', p_metadata, p_batch_job_id)
+  RETURNING * INTO v_transaction;
+
+  PERFORM set_config('app.supply_checked', 'off', true);
+
+  IF v_token.status = 'policy_locked' THEN
+    PERFORM set_config('app.status_reason', 'First mint', true);
+    UPDATE public.tokens SET status = 'active', updated_at = NOW() WHERE id = p_token_id;
+    PERFORM set_config('app.status_reason', '', true);
+  END IF;
+
+  RETURN v_transaction;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,24 @@
+-- Token creation queues the initial supply as a mint right after storing the
+-- token (POST /api/tokens). When the database refuses that mint, the API
+-- removes the new token again so the request leaves nothing behind. Users
+-- cannot delete tokens otherwise, so this only removes a draft or
+-- policy_locked token that the caller created, can administer and that has no
+-- transactions yet.
+CREATE OR REPLACE FUNCTION public.discard_unminted_token(p_token_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM public.tokens t
+  WHERE t.id = p_token_id
+    AND t.creator_id = auth.uid()
+    AND public.has_token_role(t.id, 'admin')
+    AND t.status IN ('draft', 'policy_locked')
+    AND NOT EXISTS (SELECT 1 FROM public.transactions x WHERE x.token_id = t.id);
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Token not found, or it already has transactions' USING ERRCODE = 'P0002';
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.discard_unminted_token(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.discard_unminted_token(UUID) TO authenticated;
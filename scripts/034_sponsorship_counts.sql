@@ -0,0 +1,35 @@
+-- Rate limits on sponsored transactions (utils/gasless.js). A user's own
+-- policies count their own sponsorships; an organization's policies count
+-- every sponsorship of the organization's tokens, which members cannot read
+-- row by row, so the count comes from this function. A policy scoped to a
+-- token counts only that token's sponsorships.
+CREATE OR REPLACE FUNCTION public.count_sponsorships(
+  p_since TIMESTAMP WITH TIME ZONE,
+  p_organization_id UUID DEFAULT NULL,
+  p_token_id UUID DEFAULT NULL
+)
+RETURNS BIGINT AS $$
+DECLARE
+  v_count BIGINT;
+BEGIN
+  IF p_organization_id IS NOT NULL AND NOT public.has_organization_role(p_organization_id, 'viewer') THEN
+    RAISE EXCEPTION 'Not a member of this organization' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT COUNT(*) INTO v_count
+  FROM public.gasless_transactions g
+  LEFT JOIN public.transactions t ON t.id = g.transaction_id
+  LEFT JOIN public.tokens k ON k.id = t.token_id
+  WHERE g.created_at >= p_since
+    AND (p_token_id IS NULL OR t.token_id = p_token_id)
+    AND CASE
+      WHEN p_organization_id IS NULL THEN g.user_id = auth.uid()
+      ELSE k.organization_id = p_organization_id
+    END;
+
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.count_sponsorships(TIMESTAMP WITH TIME ZONE, UUID, UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.count_sponsorships(TIMESTAMP WITH TIME ZONE, UUID, UUID) TO authenticated;
@@ -0,0 +1,59 @@
+const { slotToDate } = require("../config/cardano")
+const logger = require("../utils/logger")
+
+// One-off backfill for scripts/032_token_policy_protection.sql: tokens created
+// before it have a policy_lock_slot but no policy_lock_time, and cannot be
+// minted until it is set. Run once with CARDANO_NETWORK set to the tokens'
+// network: node scripts/backfill-policy-lock-times.js
+
+const BATCH_SIZE = 500
+
+async function backfillPolicyLockTimes() {
+  // Loaded lazily so requiring the script does not demand service credentials
+  const { supabaseAdmin } = require("../config/supabase")
+  let updated = 0
+
+  // Filled rows drop out of the query, so keep taking the first batch
+  for (;;) {
+    const { data: tokens, error } = await supabaseAdmin
+      .from("tokens")
+      .select("id, policy_lock_slot")
+      .not("policy_lock_slot", "is", null)
+      .is("policy_lock_time", null)
+      .limit(BATCH_SIZE)
+
+    if (error) throw error
+    if (!tokens || tokens.length === 0) return updated
+
+    for (const token of tokens) {
+      const { error: updateError } = await supabaseAdmin
+        .from("tokens")
+        .update({ policy_lock_time: slotToDate(Number(token.policy_lock_slot)).toISOString() })
+        .eq("id", token.id)
+        .is("policy_lock_time", null)
+
+      if (updateError) throw updateError
+      updated += 1
+    }
+  }
+}
+
+async function main() {
+  try {
+    const updated = await backfillPolicyLockTimes()
+    logger.info(`Backfilled policy_lock_time on ${updated} token(s)`)
+    process.exit(0)
+  } catch (error) {
+    logger.error("Policy lock time backfill failed:", error)
+    process.exit(1)
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  backfillPolicyLockTimes,
+}
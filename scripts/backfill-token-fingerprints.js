@@ -0,0 +1,59 @@
+const { assetFingerprint } = require("../utils/asset-name")
+const logger = require("../utils/logger")
+
+// One-off backfill for scripts/010_token_fingerprints.sql: tokens created
+// before it have no CIP-14 fingerprint, so they cannot be looked up by
+// asset1... IDs. Postgres has no blake2b, so the fingerprints are computed
+// here with the same code the API uses. Run once after
+// scripts/028_token_asset_name_hex.sql: node scripts/backfill-token-fingerprints.js
+
+const BATCH_SIZE = 500
+
+async function backfillTokenFingerprints() {
+  // Loaded lazily so requiring the script does not demand service credentials
+  const { supabaseAdmin } = require("../config/supabase")
+  let updated = 0
+
+  // Filled rows drop out of the query, so keep taking the first batch
+  for (;;) {
+    const { data: tokens, error } = await supabaseAdmin
+      .from("tokens")
+      .select("id, policy_id, asset_name_hex")
+      .is("fingerprint", null)
+      .limit(BATCH_SIZE)
+
+    if (error) throw error
+    if (!tokens || tokens.length === 0) return updated
+
+    for (const token of tokens) {
+      const { error: updateError } = await supabaseAdmin
+        .from("tokens")
+        .update({ fingerprint: assetFingerprint(token.policy_id, token.asset_name_hex) })
+        .eq("id", token.id)
+        .is("fingerprint", null)
+
+      if (updateError) throw updateError
+      updated += 1
+    }
+  }
+}
+
+async function main() {
+  try {
+    const updated = await backfillTokenFingerprints()
+    logger.info(`Backfilled fingerprint on ${updated} token(s)`)
+    process.exit(0)
+  } catch (error) {
+    logger.error("Token fingerprint backfill failed:", error)
+    process.exit(1)
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  backfillTokenFingerprints,
+}
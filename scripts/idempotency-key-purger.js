@@ -0,0 +1,48 @@
+const logger = require("../utils/logger")
+
+// Clears expired Idempotency-Key rows (middleware/idempotency.js). Keys that
+// are reused after expiring are replaced on the spot; this removes the rest.
+class IdempotencyKeyPurger {
+  constructor() {
+    this.cronExpression = process.env.IDEMPOTENCY_KEY_PURGE_CRON || "0 * * * *"
+    this.running = false
+  }
+
+  get supabase() {
+    // Loaded lazily so requiring the purger does not demand service credentials
+    return require("../config/supabase").supabaseAdmin
+  }
+
+  // Delete every expired key; resolves to the number removed
+  async purgeExpiredKeys() {
+    const { data: deleted, error } = await this.supabase.rpc("purge_expired_idempotency_keys")
+    if (error) throw error
+    return deleted || 0
+  }
+
+  start() {
+    const cron = require("node-cron")
+
+    cron.schedule(this.cronExpression, async () => {
+      if (this.running) return
+      this.running = true
+      try {
+        const deleted = await this.purgeExpiredKeys()
+        if (deleted > 0) {
+          logger.info(`Purged ${deleted} expired idempotency key(s)`)
+        }
+      } catch (error) {
+        logger.error("Idempotency key purge failed:", error)
+      } finally {
+        this.running = false
+      }
+    })
+
+    logger.info(`Idempotency key purger initialized (${this.cronExpression})`)
+  }
+}
+
+// Create singleton instance
+const idempotencyKeyPurger = new IdempotencyKeyPurger()
+
+module.exports = idempotencyKeyPurger
@@ -0,0 +1,240 @@
+const logger = require("../utils/logger")
+const { SLOTS_PER_BLOCK, getChainProvider } = require("../utils/chain-provider")
+const { TTL_SLOTS } = require("../utils/tx-builder")
+
+// Cardano's security parameter: blocks deeper than this cannot be rolled back
+const ROLLBACK_DEPTH_BLOCKS = 2160
+
+// Transactions are read in pages of this size until none are left
+const PAGE_SIZE = 200
+
+const TX_HASH_PATTERN = /^[0-9a-f]{64}$/
+
+// Statuses whose transaction may be on its way to the chain
+const TRACKED_STATUSES = ["built", "signed", "submitted"]
+
+// Fields describing where a transaction sits on chain, or cleared when it is not there
+const chainFields = (status) => ({
+  block_slot: status ? status.slot : null,
+  block_hash: status ? status.blockHash : null,
+  block_height: status ? status.blockHeight : null,
+  confirmations: status ? status.confirmations : 0,
+})
+
+class TransactionTracker {
+  constructor() {
+    this.cronExpression = process.env.TRANSACTION_TRACKER_CRON || "* * * * *"
+    this.confirmationDepth = Number.parseInt(process.env.TRANSACTION_CONFIRMATION_DEPTH, 10) || 10
+    this.io = null
+    this.running = false
+  }
+
+  get supabase() {
+    // Loaded lazily so requiring the tracker does not demand service credentials
+    return require("../config/supabase").supabaseAdmin
+  }
+
+  get provider() {
+    return getChainProvider()
+  }
+
+  // Every row of `query()`, a page at a time, ordered by `column` (then id)
+  async *pages(query, column = "id", ascending = true) {
+    let last = null
+    for (;;) {
+      let page = query()
+      if (last && column === "id") {
+        page = page.gt("id", last.id)
+      } else if (last) {
+        const past = `${column}.${ascending ? "gt" : "lt"}.${last[column]}`
+        page = page.or(`${past},and(${column}.eq.${last[column]},id.gt.${last.id})`)
+      }
+      if (column !== "id") page = page.order(column, { ascending })
+
+      const { data: rows, error } = await page.order("id", { ascending: true }).limit(PAGE_SIZE)
+      if (error) throw error
+      if (!rows || rows.length === 0) return
+
+      yield rows
+      if (rows.length < PAGE_SIZE) return
+      last = rows[rows.length - 1]
+    }
+  }
+
+  /**
+   * Check every built, signed or submitted transaction and every confirmation
+   * that could still be rolled back against the chain. Resolves to the number
+   * of transactions confirmed, expired, failed, rolled back and otherwise updated.
+   */
+  async trackTransactions() {
+    const tip = await this.provider.getTip()
+    const summary = { confirmed: 0, expired: 0, failed: 0, rolledBack: 0, updated: 0 }
+
+    const track = async (transactions) => {
+      for (const transaction of transactions) {
+        try {
+          const outcome = await this.trackTransaction(transaction, tip)
+          if (outcome) summary[outcome] += 1
+        } catch (trackError) {
+          logger.error(`Tracking failed for transaction ${transaction.id}:`, trackError)
+        }
+      }
+    }
+
+    const inFlight = () =>
+      this.supabase.from("transactions").select("*").in("status", TRACKED_STATUSES).not("tx_hash", "is", null)
+
+    for await (const transactions of this.pages(inFlight)) {
+      await track(transactions)
+    }
+
+    // Confirmations within the rollback window, newest (the likeliest to be rolled back) first
+    const recent = () =>
+      this.supabase
+        .from("transactions")
+        .select("*")
+        .eq("status", "confirmed")
+        .not("tx_hash", "is", null)
+        .gte("block_slot", tip.slot - ROLLBACK_DEPTH_BLOCKS * SLOTS_PER_BLOCK)
+
+    for await (const transactions of this.pages(recent, "block_slot", false)) {
+      await track(transactions)
+    }
+
+    return summary
+  }
+
+  // Returns "confirmed", "expired", "failed", "rolledBack", "updated" or null when nothing changed
+  async trackTransaction(transaction, tip) {
+    // Placeholder hashes from before transactions were built (e.g. mint_<timestamp>) never reach the chain
+    if (!TX_HASH_PATTERN.test(transaction.tx_hash)) {
+      if (transaction.status === "confirmed") return null
+      const updated = await this.update(transaction, {
+        status: "failed",
+        failure_reason: `${transaction.tx_hash} is not a Cardano transaction hash`,
+      })
+      return updated && "failed"
+    }
+
+    const status = await this.provider.getTransactionStatus(transaction.tx_hash, tip)
+
+    if (transaction.status === "confirmed") {
+      if (status && status.blockHash === transaction.block_hash) return null
+
+      // Dropped by a rollback, or re-included in a different block
+      if (!status || status.confirmations < this.confirmationDepth) {
+        const updated = await this.update(transaction, {
+          status: "submitted",
+          confirmed_at: null,
+          ...chainFields(status),
+        })
+        if (updated) logger.warn(`Transaction ${transaction.tx_hash} rolled back; reverted to submitted`)
+        return updated && "rolledBack"
+      }
+
+      return (await this.update(transaction, chainFields(status))) && "updated"
+    }
+
+    if (!status) {
+      // A transaction cannot be included once the chain is past its TTL
+      if (transaction.ttl_slot !== null && tip.slot > Number(transaction.ttl_slot)) {
+        const updated = await this.update(transaction, {
+          status: "expired",
+          failure_reason: `Expired at slot ${transaction.ttl_slot} without reaching the chain`,
+          ...chainFields(null),
+        })
+        return updated && "expired"
+      }
+
+      // Transactions recorded without a TTL get as long as a built one would have
+      if (transaction.ttl_slot === null && Date.now() - Date.parse(transaction.created_at) > TTL_SLOTS * 1000) {
+        const updated = await this.update(transaction, {
+          status: "expired",
+          failure_reason: "Not on chain within the default TTL, and recorded without a TTL of its own",
+          ...chainFields(null),
+        })
+        return updated && "expired"
+      }
+
+      // Seen in a block that has since been rolled back
+      if (transaction.block_hash) {
+        return (await this.update(transaction, chainFields(null))) && "rolledBack"
+      }
+
+      return null
+    }
+
+    // Sent from the wallet directly rather than through the submit endpoint
+    if (transaction.status !== "submitted") {
+      const submitted = await this.update(transaction, { status: "submitted" })
+      if (!submitted) return null
+      transaction = submitted
+    }
+
+    if (status.confirmations >= this.confirmationDepth) {
+      const updated = await this.update(transaction, {
+        status: "confirmed",
+        confirmed_at: new Date().toISOString(),
+        ...chainFields(status),
+      })
+      if (updated) logger.info(`Transaction confirmed: ${transaction.tx_hash} (${status.confirmations} blocks)`)
+      return updated && "confirmed"
+    }
+
+    if (status.blockHash === transaction.block_hash && status.confirmations === transaction.confirmations) {
+      return null
+    }
+
+    return (await this.update(transaction, chainFields(status))) && "updated"
+  }
+
+  // Apply changes unless the transaction moved on since it was read (e.g. an admin override)
+  async update(transaction, changes) {
+    const { data: updated, error } = await this.supabase
+      .from("transactions")
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq("id", transaction.id)
+      .eq("status", transaction.status)
+      .select()
+      .maybeSingle()
+
+    if (error) throw error
+    if (!updated) return null
+
+    if (this.io) {
+      this.io.to(`user-${updated.user_id}`).emit("transaction-updated", updated)
+    }
+
+    return updated
+  }
+
+  // Start polling on a schedule; `io` is used for user-<id> notifications
+  start(io) {
+    const cron = require("node-cron")
+    this.io = io
+
+    cron.schedule(this.cronExpression, async () => {
+      if (this.running) return
+      this.running = true
+      try {
+        const { confirmed, expired, failed, rolledBack } = await this.trackTransactions()
+        if (confirmed + expired + failed + rolledBack > 0) {
+          logger.info(
+            `Transaction tracker: ${confirmed} confirmed, ${expired} expired, ${failed} failed, ${rolledBack} rolled back`,
+          )
+        }
+      } catch (error) {
+        logger.error("Transaction tracker run failed:", error)
+      } finally {
+        this.running = false
+      }
+    })
+
+    logger.info(`Transaction tracker initialized (${this.cronExpression}, ${this.confirmationDepth} confirmations)`)
+  }
+}
+
+// Create singleton instance
+const transactionTracker = new TransactionTracker()
+
+module.exports = transactionTracker
@@ -0,0 +1,136 @@
+const logger = require("../utils/logger")
+const { vestedAmount } = require("../utils/vesting")
+
+class VestingScheduler {
+  constructor() {
+    this.cronExpression = process.env.VESTING_SCHEDULER_CRON || "*/5 * * * *"
+    this.io = null
+    this.running = false
+  }
+
+  get supabase() {
+    // Loaded lazily so requiring the scheduler does not demand service credentials
+    return require("../config/supabase").supabaseAdmin
+  }
+
+  // Record a release transaction for every schedule with newly unlocked tokens
+  async releaseDueTranches(date = new Date()) {
+    const { data: schedules, error } = await this.supabase
+      .from("vesting_schedules")
+      .select("*, tokens (policy_id, asset_name, symbol, status), allocation:transactions!allocation_transaction_id (status)")
+      .eq("status", "active")
+      .lte("cliff_at", date.toISOString())
+
+    if (error) throw error
+
+    let released = 0
+    for (const schedule of schedules || []) {
+      try {
+        if (await this.releaseSchedule(schedule, date)) {
+          released += 1
+        }
+      } catch (releaseError) {
+        logger.error(`Vesting release failed for schedule ${schedule.id}:`, releaseError)
+      }
+    }
+
+    return released
+  }
+
+  async releaseSchedule(schedule, date) {
+    // Nothing can be released until the allocation itself has been minted
+    if (schedule.allocation?.status !== "confirmed") return false
+    // Frozen tokens keep vesting, but releases wait until the token is active again
+    if (schedule.tokens?.status === "frozen") return false
+
+    const vested = vestedAmount(schedule, date)
+    const previouslyReleased = Number(schedule.released_amount)
+    const amount = vested - previouslyReleased
+    if (amount <= 0) return false
+
+    // Claim the tranche first; the released_amount check stops a concurrent run releasing it twice
+    const { data: claimed, error: claimError } = await this.supabase
+      .from("vesting_schedules")
+      .update({
+        released_amount: vested,
+        status: vested >= Number(schedule.total_amount) ? "completed" : "active",
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", schedule.id)
+      .eq("released_amount", previouslyReleased)
+      .select()
+      .single()
+
+    if (claimError || !claimed) return false
+
+    const { data: transaction, error } = await this.supabase
+      .from("transactions")
+      .insert({
+        token_id: schedule.token_id,
+        user_id: schedule.user_id,
+        transaction_type: "vesting_release",
+        amount,
+        status: "pending",
+        vesting_schedule_id: schedule.id,
+        metadata: {
+          recipient: schedule.beneficiary_address,
+          policy_id: schedule.tokens?.policy_id,
+          asset_name: schedule.tokens?.asset_name,
+          vested_amount: vested,
+          total_amount: Number(schedule.total_amount),
+        },
+      })
+      .select()
+      .single()
+
+    if (error) {
+      // Give the tranche back so the next run retries it
+      await this.supabase
+        .from("vesting_schedules")
+        .update({ released_amount: previouslyReleased, status: "active" })
+        .eq("id", schedule.id)
+        .eq("released_amount", vested)
+      throw error
+    }
+
+    logger.info(`Vesting release: ${amount} ${schedule.tokens?.symbol} to ${schedule.beneficiary_address}`)
+
+    if (this.io) {
+      this.io.to(`user-${schedule.user_id}`).emit("transaction-created", transaction)
+      this.io.to(`user-${schedule.user_id}`).emit("vesting-released", {
+        schedule: claimed,
+        transaction,
+      })
+    }
+
+    return true
+  }
+
+  // Start releasing tranches on a schedule; `io` is used for user-<id> notifications
+  start(io) {
+    const cron = require("node-cron")
+    this.io = io
+
+    cron.schedule(this.cronExpression, async () => {
+      if (this.running) return
+      this.running = true
+      try {
+        const released = await this.releaseDueTranches()
+        if (released > 0) {
+          logger.info(`Scheduled vesting run released ${released} tranche(s)`)
+        }
+      } catch (error) {
+        logger.error("Scheduled vesting run failed:", error)
+      } finally {
+        this.running = false
+      }
+    })
+
+    logger.info(`Vesting scheduler initialized (${this.cronExpression})`)
+  }
+}
+
+// Create singleton instance
+const vestingScheduler = new VestingScheduler()
+
+module.exports = vestingScheduler
@@ -0,0 +1,58 @@
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { encodeAssetName, assetNameToText, assetFingerprint, isAssetFingerprint } = require("../utils/asset-name")
+
+// The test vectors of CIP-14
+const CIP14_VECTORS = [
+  ["7eae28af2208be856f7a119668ae52a49b73725e326dc16579dcc373", "", "asset1rjklcrnsdzqp65wjgrg55sy9723kw09mlgvlc3"],
+  ["7eae28af2208be856f7a119668ae52a49b73725e326dc16579dcc37e", "", "asset1nl0puwxmhas8fawxp8nx4e2q3wekg969n2auw3"],
+  ["1e349c9bdea19fd6c147626a5260bc44b71635f398b67c59881df209", "", "asset1uyuxku60yqe57nusqzjx38aan3f2wq6s93f6ea"],
+  [
+    "7eae28af2208be856f7a119668ae52a49b73725e326dc16579dcc373",
+    "504154415445",
+    "asset13n25uv0yaf5kus35fm2k86cqy60z58d9xmde92",
+  ],
+  [
+    "1e349c9bdea19fd6c147626a5260bc44b71635f398b67c59881df209",
+    "504154415445",
+    "asset1hv4p5tv2a837mzqrst04d0dcptdjmluqvdx9k3",
+  ],
+  [
+    "1e349c9bdea19fd6c147626a5260bc44b71635f398b67c59881df209",
+    "7eae28af2208be856f7a119668ae52a49b73725e326dc16579dcc373",
+    "asset1aqrdypg669jgazruv5ah07nuyqe0wxjhe2el6f",
+  ],
+  [
+    "7eae28af2208be856f7a119668ae52a49b73725e326dc16579dcc373",
+    "1e349c9bdea19fd6c147626a5260bc44b71635f398b67c59881df209",
+    "asset17jd78wukhtrnmjh3fngzasxm8rck0l2r4hhyyt",
+  ],
+  [
+    "7eae28af2208be856f7a119668ae52a49b73725e326dc16579dcc373",
+    "0000000000000000000000000000000000000000000000000000000000000000",
+    "asset1pkpwyknlvul7az0xx8czhl60pyel45rpje4z8w",
+  ],
+]
+
+test("assetFingerprint matches the CIP-14 test vectors", () => {
+  for (const [policyId, assetNameHex, fingerprint] of CIP14_VECTORS) {
+    assert.equal(assetFingerprint(policyId, assetNameHex), fingerprint)
+    assert.ok(isAssetFingerprint(fingerprint))
+  }
+})
+
+test("isAssetFingerprint rejects other bech32 strings and bad checksums", () => {
+  assert.equal(isAssetFingerprint("addr1vx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzers66hrl8"), false)
+  assert.equal(isAssetFingerprint("asset1rjklcrnsdzqp65wjgrg55sy9723kw09mlgvlc4"), false)
+})
+
+test("encodeAssetName never guesses that text is hex", () => {
+  assert.equal(encodeAssetName("cafe"), "63616665")
+  assert.equal(encodeAssetName("CAFE", "hex"), "cafe")
+  assert.equal(encodeAssetName("PATATE"), "504154415445")
+})
+
+test("assetNameToText falls back to hex for names that are not text", () => {
+  assert.equal(assetNameToText("504154415445"), "PATATE")
+  assert.equal(assetNameToText("000de140"), "000de140")
+})
@@ -0,0 +1,53 @@
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const bech32 = require("../utils/bech32")
+const { validateShelleyAddress } = require("../utils/cardano-validation")
+
+test("decodes the valid BIP-173 test vectors", () => {
+  for (const value of [
+    "A12UEL5L",
+    "a12uel5l",
+    "abcdef1qpzry9x8gf2tvdw0s3jn54khce6mua7lmqqqxw",
+    "split1checkupstagehandshakeupstreamerranterredcaperred2y9e3w",
+    "?1ezyfcl",
+  ]) {
+    const { prefix, bytes } = bech32.decode(value)
+    assert.equal(prefix, value.slice(0, value.lastIndexOf("1")).toLowerCase())
+    assert.equal(bech32.encode(prefix, bytes), value.toLowerCase())
+  }
+})
+
+test("rejects the invalid BIP-173 test vectors", () => {
+  for (const value of [
+    "A1G7SGD8", // checksum computed from the uppercase prefix
+    "a12uel5m", // wrong checksum
+    "10a06t8", // empty prefix
+    "1qzzfhee", // empty prefix
+    "li1dgmt3", // checksum too short
+    "pzry9x0s0muk", // no separator
+    "x1b4n0q5v", // invalid data character
+    "A12uEL5L", // mixed case
+  ]) {
+    assert.throws(() => bech32.decode(value), value)
+  }
+})
+
+test("validateShelleyAddress accepts the CIP-19 addresses", () => {
+  for (const address of [
+    "addr1qx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3n0d3vllmyqwsx5wktcd8cc3sq835lu7drv2xwl2wywfgse35a3x",
+    "addr1vx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzers66hrl8",
+    "addr_test1vz2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzerspjrlsz",
+  ]) {
+    assert.equal(validateShelleyAddress(address), null, address)
+  }
+})
+
+test("validateShelleyAddress checks the network, checksum and address kind", () => {
+  const mainnet = "addr1vx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzers66hrl8"
+  const stake = "stake1uyehkck0lajq8gr28t9uxnuvgcqrc6070x3k9r8048z8y5gh6ffgw"
+
+  assert.match(validateShelleyAddress(mainnet, { networkId: 0, networkName: "preprod" }), /addr_test1 on preprod/)
+  assert.match(validateShelleyAddress(`${mainnet.slice(0, -1)}9`), /^Invalid address/)
+  assert.notEqual(validateShelleyAddress(stake), null)
+  assert.equal(validateShelleyAddress(stake, { stake: true }), null)
+})
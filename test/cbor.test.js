@@ -0,0 +1,89 @@
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const crypto = require("crypto")
+const { blake2b } = require("blakejs")
+const bech32 = require("../utils/bech32")
+const { encode, decode, rawArrayItems } = require("../utils/cbor")
+const { MockLedger } = require("../utils/mock-ledger")
+const { buildMintingPolicy } = require("../utils/minting-policy")
+const { buildTokenTransaction, signingKeyHash, signTransaction, transactionId } = require("../utils/tx-builder")
+
+const hex = (value) => encode(value).toString("hex")
+
+test("encodes the RFC 8949 examples", () => {
+  assert.equal(hex(0), "00")
+  assert.equal(hex(23), "17")
+  assert.equal(hex(24), "1818")
+  assert.equal(hex(100), "1864")
+  assert.equal(hex(1000), "1903e8")
+  assert.equal(hex(1000000), "1a000f4240")
+  assert.equal(hex(1000000000000), "1b000000e8d4a51000")
+  assert.equal(hex(18446744073709551615n), "1bffffffffffffffff")
+  assert.equal(hex(-1), "20")
+  assert.equal(hex(-1000), "3903e7")
+  assert.equal(hex(Buffer.alloc(0)), "40")
+  assert.equal(hex(Buffer.from("01020304", "hex")), "4401020304")
+  assert.equal(hex("IETF"), "6449455446")
+  assert.equal(hex([]), "80")
+  assert.equal(hex([1, [2, 3], [4, 5]]), "8301820203820405")
+  assert.equal(
+    hex(
+      new Map([
+        [1, 2],
+        [3, 4],
+      ]),
+    ),
+    "a201020304",
+  )
+  assert.equal(hex(true), "f5")
+  assert.equal(hex(null), "f6")
+})
+
+test("decodes what it encodes", () => {
+  const value = new Map([
+    [0, [Buffer.from("aa", "hex"), 1000000]],
+    [2, "text"],
+  ])
+  assert.deepEqual(decode(encode(value)), value)
+  assert.throws(() => decode(Buffer.from("0000", "hex")), /Unexpected bytes/)
+})
+
+test("rawArrayItems returns each element's bytes as encoded", () => {
+  const items = rawArrayItems(Buffer.from("8301820203820405", "hex"))
+  assert.deepEqual(
+    items.map((item) => item.toString("hex")),
+    ["01", "820203", "820405"],
+  )
+})
+
+test("a built mint hashes its body, and signing keeps the transaction ID", async () => {
+  const signingKey = crypto.randomBytes(32).toString("hex")
+  const keyHash = signingKeyHash(signingKey)
+  const address = bech32.encode("addr_test", Buffer.concat([Buffer.from([0x60]), Buffer.from(keyHash, "hex")]))
+  const policy = buildMintingPolicy({ mintingPolicy: "unlimited", keyHashes: [keyHash] })
+  const token = { policy_id: policy.policyId, policy_script: policy.script, asset_name_hex: "545354", total_supply: 0 }
+
+  const ledger = new MockLedger()
+  ledger.fund(address, 5000000n)
+  const built = await buildTokenTransaction(ledger, {
+    transaction: { transaction_type: "mint", amount: 5, metadata: {} },
+    token,
+    changeAddress: address,
+  })
+
+  const [body] = rawArrayItems(Buffer.from(built.cbor, "hex"))
+  assert.equal(built.txHash, Buffer.from(blake2b(body, undefined, 32)).toString("hex"))
+  assert.equal(transactionId(built.cbor), built.txHash)
+  // The mint field (9) is policy ID => asset name => quantity, keyed by bytes
+  const [[policyId, assets]] = decode(body).get(9)
+  const [[assetName, quantity]] = assets
+  assert.equal(policyId.toString("hex"), policy.policyId)
+  assert.equal(assetName.toString("hex"), "545354")
+  assert.equal(quantity, 5)
+
+  const signed = signTransaction(built.cbor, signingKey)
+  assert.equal(transactionId(signed), built.txHash)
+  assert.deepEqual(rawArrayItems(Buffer.from(signed, "hex"))[0], body)
+  await ledger.submitTransaction(signed)
+  assert.equal((await ledger.getAddressAssets(address)).assets[policy.policyId + "545354"], 5n)
+})
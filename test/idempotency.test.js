@@ -0,0 +1,139 @@
+const { test, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const { beginIdempotentRequest, finishIdempotentRequest, requestFingerprint } = require("../utils/idempotency")
+
+// An idempotency_keys table in memory, with the unique (user_id,
+// idempotency_key) constraint and the handful of query methods the helpers use
+let rows
+let nextId
+
+const fakeSupabase = {
+  from() {
+    const filters = []
+    let operation = "select"
+    let changes
+    const matching = () => rows.filter((row) => filters.every(([column, value]) => row[column] === value))
+
+    const query = {
+      insert(row) {
+        return {
+          select: () => ({
+            single: async () => {
+              if (rows.some((r) => r.user_id === row.user_id && r.idempotency_key === row.idempotency_key)) {
+                return { data: null, error: { code: "23505", message: "duplicate key" } }
+              }
+              const inserted = {
+                id: String(++nextId),
+                response_status: null,
+                response_body: null,
+                created_at: new Date().toISOString(),
+                ...row,
+              }
+              rows.push(inserted)
+              return { data: { id: inserted.id }, error: null }
+            },
+          }),
+        }
+      },
+      select: () => query,
+      update(values) {
+        operation = "update"
+        changes = values
+        return query
+      },
+      delete() {
+        operation = "delete"
+        return query
+      },
+      eq(column, value) {
+        filters.push([column, value])
+        return query
+      },
+      is(column, value) {
+        filters.push([column, value])
+        return query
+      },
+      maybeSingle: async () => ({ data: matching()[0] || null, error: null }),
+      then(resolve) {
+        const found = matching()
+        if (operation === "update") found.forEach((row) => Object.assign(row, changes))
+        if (operation === "delete") rows = rows.filter((row) => !found.includes(row))
+        resolve({ data: found, error: null })
+      },
+    }
+    return query
+  },
+}
+
+const user = { id: "user-1", email: "user@example.com" }
+const request = (body, key = "key-1") => ({ key, method: "POST", path: "/api/tokens", body })
+
+beforeEach(() => {
+  rows = []
+  nextId = 0
+})
+
+test("the first request claims the key and retries replay its response", async () => {
+  const first = await beginIdempotentRequest(fakeSupabase, user, request({ a: 1, b: 2 }))
+  assert.ok(first.claimId)
+  await finishIdempotentRequest(fakeSupabase, first.claimId, 201, { id: "token-1" })
+
+  // Key order does not change the fingerprint
+  const retry = await beginIdempotentRequest(fakeSupabase, user, request({ b: 2, a: 1 }))
+  assert.deepEqual(retry, { replay: { status: 201, body: { id: "token-1" } } })
+})
+
+test("the same key with a different body is refused", async () => {
+  const first = await beginIdempotentRequest(fakeSupabase, user, request({ a: 1 }))
+  await finishIdempotentRequest(fakeSupabase, first.claimId, 201, {})
+
+  const other = await beginIdempotentRequest(fakeSupabase, user, request({ a: 2 }))
+  assert.equal(other.error.status, 422)
+  assert.notEqual(requestFingerprint("POST", "/api/tokens", { a: 1 }), requestFingerprint("POST", "/api/tokens", { a: 2 }))
+})
+
+test("a retry while the first request is running gets a 409", async () => {
+  await beginIdempotentRequest(fakeSupabase, user, request({}))
+
+  const retry = await beginIdempotentRequest(fakeSupabase, user, request({}))
+  assert.equal(retry.error.status, 409)
+})
+
+test("a server error releases the key for the retry", async () => {
+  const first = await beginIdempotentRequest(fakeSupabase, user, request({}))
+  await finishIdempotentRequest(fakeSupabase, first.claimId, 500, { error: "Internal server error" })
+  assert.equal(rows.length, 0)
+
+  const retry = await beginIdempotentRequest(fakeSupabase, user, request({}))
+  assert.ok(retry.claimId)
+})
+
+test("a claim older than its lease is taken over, and the stale request cannot overwrite it", async () => {
+  const stale = await beginIdempotentRequest(fakeSupabase, user, request({}), { leaseMinutes: 5 })
+  rows[0].created_at = new Date(Date.now() - 6 * 60 * 1000).toISOString()
+
+  const retry = await beginIdempotentRequest(fakeSupabase, user, request({}), { leaseMinutes: 5 })
+  assert.ok(retry.claimId)
+  assert.notEqual(retry.claimId, stale.claimId)
+
+  await finishIdempotentRequest(fakeSupabase, retry.claimId, 201, { attempt: 2 })
+  await finishIdempotentRequest(fakeSupabase, stale.claimId, 201, { attempt: 1 })
+  assert.deepEqual(await beginIdempotentRequest(fakeSupabase, user, request({})), {
+    replay: { status: 201, body: { attempt: 2 } },
+  })
+})
+
+test("an expired key can be used for a new request", async () => {
+  const first = await beginIdempotentRequest(fakeSupabase, user, request({ a: 1 }))
+  await finishIdempotentRequest(fakeSupabase, first.claimId, 201, {})
+  rows[0].expires_at = new Date(0).toISOString()
+
+  const reused = await beginIdempotentRequest(fakeSupabase, user, request({ a: 2 }))
+  assert.ok(reused.claimId)
+  assert.equal(rows.length, 1)
+})
+
+test("keys are checked for length", async () => {
+  const result = await beginIdempotentRequest(fakeSupabase, user, request({}, "k".repeat(256)))
+  assert.equal(result.error.status, 400)
+})
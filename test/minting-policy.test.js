@@ -0,0 +1,92 @@
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { blake2b } = require("blakejs")
+const {
+  MintingPolicyError,
+  nativeScriptToCbor,
+  policyIdFromScript,
+  findLockSlot,
+  buildMintingPolicy,
+  assertMintAllowed,
+} = require("../utils/minting-policy")
+const { dateToSlot } = require("../config/cardano")
+
+const KEY_HASH = "7eae28af2208be856f7a119668ae52a49b73725e326dc16579dcc373"
+const OTHER_KEY_HASH = "1e349c9bdea19fd6c147626a5260bc44b71635f398b67c59881df209"
+
+// blake2b-224 of the native script tag (00) followed by the script CBOR, written out by hand
+const expectedPolicyId = (scriptCborHex) =>
+  Buffer.from(blake2b(Buffer.from(`00${scriptCborHex}`, "hex"), undefined, 28)).toString("hex")
+
+test("a single signature script hashes to its policy ID", () => {
+  const script = { type: "sig", keyHash: KEY_HASH }
+
+  assert.equal(nativeScriptToCbor(script).toString("hex"), `8200581c${KEY_HASH}`)
+  assert.equal(policyIdFromScript(script), expectedPolicyId(`8200581c${KEY_HASH}`))
+})
+
+test("a time-locked script hashes its signature and before clauses in order", () => {
+  const script = {
+    type: "all",
+    scripts: [
+      { type: "sig", keyHash: KEY_HASH },
+      { type: "before", slot: 123456789 },
+    ],
+  }
+  const cbor = `8201828200581c${KEY_HASH}82051a075bcd15`
+
+  assert.equal(nativeScriptToCbor(script).toString("hex"), cbor)
+  assert.equal(policyIdFromScript(script), expectedPolicyId(cbor))
+})
+
+test("findLockSlot takes the earliest lock of an all and the latest of an any", () => {
+  const before = (slot) => ({ type: "before", slot })
+  const sig = { type: "sig", keyHash: KEY_HASH }
+
+  assert.equal(findLockSlot({ type: "all", scripts: [sig, before(200), before(100)] }), 100)
+  assert.equal(findLockSlot({ type: "any", scripts: [before(200), before(100)] }), 200)
+  assert.equal(findLockSlot({ type: "any", scripts: [sig, before(100)] }), null)
+  assert.equal(findLockSlot(sig), null)
+})
+
+test("buildMintingPolicy builds multi-signature and time-locked policies", () => {
+  const multiSig = buildMintingPolicy({
+    mintingPolicy: "unlimited",
+    keyHashes: [KEY_HASH, OTHER_KEY_HASH],
+    requiredSignatures: 1,
+  })
+  assert.deepEqual(multiSig.script, {
+    type: "atLeast",
+    required: 1,
+    scripts: [
+      { type: "sig", keyHash: KEY_HASH },
+      { type: "sig", keyHash: OTHER_KEY_HASH },
+    ],
+  })
+  assert.equal(multiSig.policyId, policyIdFromScript(multiSig.script))
+  assert.equal(multiSig.lockSlot, null)
+
+  const lockUntil = new Date(Date.now() + 24 * 60 * 60 * 1000)
+  const timeLocked = buildMintingPolicy({ mintingPolicy: "time-locked", keyHashes: [KEY_HASH], lockUntil })
+  assert.equal(timeLocked.lockSlot, dateToSlot(lockUntil))
+  assert.equal(timeLocked.lockTime.getTime(), Math.floor(lockUntil.getTime() / 1000) * 1000)
+})
+
+test("buildMintingPolicy rejects bad key hashes and past locks", () => {
+  assert.throws(() => buildMintingPolicy({ mintingPolicy: "unlimited", keyHashes: [] }), MintingPolicyError)
+  assert.throws(
+    () => buildMintingPolicy({ mintingPolicy: "unlimited", keyHashes: [KEY_HASH, KEY_HASH] }),
+    /must be unique/,
+  )
+  assert.throws(
+    () => buildMintingPolicy({ mintingPolicy: "time-locked", keyHashes: [KEY_HASH], lockUntil: "2020-01-01" }),
+    /must be in the future/,
+  )
+})
+
+test("assertMintAllowed enforces max_supply with amounts above 2^53", () => {
+  const token = { policy_lock_slot: null, max_supply: "9007199254740993", total_supply: "9007199254740990" }
+
+  assert.doesNotThrow(() => assertMintAllowed(token, 3n))
+  assert.throws(() => assertMintAllowed(token, 4n), MintingPolicyError)
+})
@@ -0,0 +1,148 @@
+const { test, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const { PGlite } = require("@electric-sql/pglite")
+
+// Runs the migrations in scripts/ on an in-process Postgres (PGlite) and
+// checks the supply rules of create_supply_transaction() and the token
+// triggers as a signed-in user would hit them. The setup stands in for the
+// parts of Supabase the migrations rely on: the API roles, auth.users and
+// auth.uid(), and the table privileges Supabase grants to authenticated.
+//
+// 005 (the Stripe tables) is not loaded: its policies read profiles.role,
+// which no migration creates. Neither is 025, which builds on 005's tables.
+const SKIPPED_MIGRATIONS = /^(005|025)_/
+
+const SUPABASE_SETUP = `
+  CREATE ROLE anon;
+  CREATE ROLE authenticated;
+  CREATE ROLE service_role;
+  CREATE SCHEMA auth;
+  CREATE TABLE auth.users (id UUID PRIMARY KEY, email TEXT, raw_user_meta_data JSONB DEFAULT '{}');
+  CREATE FUNCTION auth.uid() RETURNS UUID LANGUAGE sql STABLE AS $$
+    SELECT NULLIF(current_setting('request.jwt.claim.sub', true), '')::UUID
+  $$;
+  CREATE FUNCTION auth.role() RETURNS TEXT LANGUAGE sql STABLE AS $$
+    SELECT current_setting('request.jwt.claim.role', true)
+  $$;
+  CREATE FUNCTION auth.jwt() RETURNS JSONB LANGUAGE sql STABLE AS $$ SELECT '{}'::JSONB $$;
+`
+
+const USER_ID = "00000000-0000-4000-8000-000000000001"
+
+let db
+
+before(async () => {
+  db = new PGlite()
+  await db.exec(SUPABASE_SETUP)
+
+  const scripts = path.join(__dirname, "..", "scripts")
+  const migrations = fs
+    .readdirSync(scripts)
+    .filter((file) => file.endsWith(".sql") && !SKIPPED_MIGRATIONS.test(file))
+    .sort()
+  for (const file of migrations) {
+    await db.exec(fs.readFileSync(path.join(scripts, file), "utf8"))
+  }
+
+  await db.exec(`
+    GRANT USAGE ON SCHEMA public, auth TO anon, authenticated;
+    GRANT ALL ON ALL TABLES IN SCHEMA public TO anon, authenticated;
+  `)
+  await db.query("INSERT INTO auth.users (id, email) VALUES ($1, 'minter@example.com')", [USER_ID])
+})
+
+after(() => db.close())
+
+// A limited token owned by the test user, inserted as the service role would
+const createToken = async ({ maxSupply = 100, lockSlot = null, lockTime = null } = {}) => {
+  const { rows } = await db.query(
+    `INSERT INTO public.tokens
+       (token_name, symbol, policy_id, asset_name, asset_name_hex, minting_policy, max_supply,
+        policy_lock_slot, policy_lock_time, status, creator_id)
+     VALUES ('Test', 'TST', left(md5(random()::TEXT) || md5(random()::TEXT), 56), 'TST', '545354', 'limited', $1, $2, $3,
+       'policy_locked', $4)
+     RETURNING id`,
+    [maxSupply, lockSlot, lockTime, USER_ID],
+  )
+  return rows[0].id
+}
+
+// Run statements as the signed-in test user, in a transaction that is rolled back
+const asUser = async (callback) => {
+  await db.exec("BEGIN")
+  try {
+    await db.query("SELECT set_config('request.jwt.claim.sub', $1, true)", [USER_ID])
+    await db.exec("SET LOCAL ROLE authenticated")
+    return await callback()
+  } finally {
+    await db.exec("ROLLBACK")
+  }
+}
+
+const supplyTransaction = (tokenId, type, amount) =>
+  db.query("SELECT * FROM public.create_supply_transaction($1, $2, $3)", [tokenId, type, amount])
+
+test("mints up to max_supply, counting pending mints", async () => {
+  const tokenId = await createToken({ maxSupply: 100 })
+
+  await asUser(async () => {
+    const { rows } = await supplyTransaction(tokenId, "mint", 60)
+    assert.equal(rows[0].status, "pending")
+    await supplyTransaction(tokenId, "mint", 40)
+
+    // A refused statement aborts the transaction, so it comes last
+    await assert.rejects(supplyTransaction(tokenId, "mint", 1), {
+      code: "23514",
+      message: /would exceed the maximum supply of 100 \(0 confirmed, 100 pending\)/,
+    })
+  })
+})
+
+test("passes amounts above 2^53 to the database exactly", async () => {
+  const tokenId = await createToken({ maxSupply: "9223372036854775807" })
+
+  await asUser(async () => {
+    const { rows } = await supplyTransaction(tokenId, "mint", "9007199254740993")
+    assert.equal(String(rows[0].amount), "9007199254740993")
+  })
+})
+
+test("refuses to burn more than is circulating", async () => {
+  const tokenId = await createToken()
+
+  await asUser(async () => {
+    // The first mint activates the token, but pending mints are not circulating
+    await supplyTransaction(tokenId, "mint", 10)
+    await assert.rejects(supplyTransaction(tokenId, "burn", 1), { code: "23514", message: /only 0 is circulating/ })
+  })
+})
+
+test("refuses mints once the policy's time lock has passed", async () => {
+  const tokenId = await createToken({ lockSlot: 1000, lockTime: new Date(Date.now() - 60 * 1000) })
+
+  await asUser(async () => {
+    await assert.rejects(supplyTransaction(tokenId, "mint", 1), { code: "23514", message: /Minting policy locked/ })
+  })
+})
+
+test("a token admin cannot change the supply cap or policy", async () => {
+  const tokenId = await createToken()
+
+  await asUser(async () => {
+    await assert.rejects(db.query("UPDATE public.tokens SET max_supply = 1000000 WHERE id = $1", [tokenId]), {
+      code: "42501",
+      message: /cannot be changed/,
+    })
+  })
+  await asUser(async () => {
+    await assert.rejects(db.query("UPDATE public.tokens SET total_supply = 1000000 WHERE id = $1", [tokenId]), {
+      code: "42501",
+    })
+  })
+  await asUser(async () => {
+    const { affectedRows } = await db.query("UPDATE public.tokens SET description = 'Edited' WHERE id = $1", [tokenId])
+    assert.equal(affectedRows, 1)
+  })
+})
@@ -0,0 +1,21 @@
+const bech32 = require("./bech32")
+const { network } = require("../config/cardano")
+const { ADDRESS_PREFIXES, validateShelleyAddress } = require("./cardano-validation")
+
+// Shelley address helpers (CIP-19) bound to the configured network
+
+/**
+ * Check that a bech32 payment address is well formed and belongs to the
+ * configured network. Returns an error message, or null when the address is valid.
+ */
+const validateAddress = (address, networkId = network.networkId) =>
+  validateShelleyAddress(address, { networkId, networkName: network.name })
+
+// Raw length of an address in bytes, for transaction size estimates
+const addressByteLength = (address) => bech32.decode(address).bytes.length
+
+module.exports = {
+  ADDRESS_PREFIXES,
+  validateAddress,
+  addressByteLength,
+}
@@ -0,0 +1,56 @@
+const { blake2b } = require("blakejs")
+const bech32 = require("./bech32")
+
+// Asset name helpers. Asset names are raw bytes on-chain (max 32) and are
+// exchanged as hex. A token's bytes are worked out once, when it is created,
+// and stored as asset_name_hex; everything on-chain uses that column.
+
+const MAX_ASSET_NAME_BYTES = 32
+
+const FINGERPRINT_PREFIX = "asset"
+
+// How a client sends an asset name: UTF-8 text (the default) or hex bytes
+const ASSET_NAME_ENCODINGS = ["utf8", "hex"]
+
+const HEX_PATTERN = /^(?:[0-9a-fA-F]{2})*$/
+
+// Lowercase hex bytes of an asset name sent with the given encoding. Text is
+// never guessed to be hex: "cafe" is the four bytes 63616665.
+const encodeAssetName = (assetName, encoding = "utf8") => {
+  const name = String(assetName)
+  return encoding === "hex" ? name.toLowerCase() : Buffer.from(name, "utf8").toString("hex")
+}
+
+const isHexAssetName = (value) => HEX_PATTERN.test(value)
+
+// Best-effort readable form of a hex asset name (falls back to the hex itself)
+const assetNameToText = (assetNameHex) => {
+  const bytes = Buffer.from(assetNameHex, "hex")
+  const text = bytes.toString("utf8")
+  return Buffer.from(text, "utf8").equals(bytes) && !/[\u0000-\u001f]/.test(text) ? text : assetNameHex
+}
+
+// CIP-14 asset fingerprint: bech32("asset", blake2b-160(policy id ++ asset name))
+const assetFingerprint = (policyId, assetNameHex) => {
+  const bytes = Buffer.concat([Buffer.from(policyId, "hex"), Buffer.from(assetNameHex, "hex")])
+  return bech32.encode(FINGERPRINT_PREFIX, Buffer.from(blake2b(bytes, undefined, 20)))
+}
+
+const isAssetFingerprint = (value) => {
+  try {
+    const { prefix, bytes } = bech32.decode(value)
+    return prefix === FINGERPRINT_PREFIX && bytes.length === 20
+  } catch {
+    return false
+  }
+}
+
+module.exports = {
+  MAX_ASSET_NAME_BYTES,
+  ASSET_NAME_ENCODINGS,
+  encodeAssetName,
+  isHexAssetName,
+  assetNameToText,
+  assetFingerprint,
+  isAssetFingerprint,
+}
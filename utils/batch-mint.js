@@ -0,0 +1,147 @@
+const { validateAddress, addressByteLength } = require("./address")
+
+// Batch (airdrop) mints: one CSV of address,amount rows split into as many
+// mint transactions as needed to stay under the protocol's transaction size limit.
+
+const MAX_BATCH_ROWS = 5000
+const MAX_TX_SIZE = 16384
+
+// Room kept in every transaction for inputs, change, witnesses, the minting
+// script and the mint field itself
+const TX_BASE_OVERHEAD = 2000
+
+// Per output: CBOR headers, lovelace, policy id and the token quantity, on top
+// of the address and asset name bytes
+const OUTPUT_OVERHEAD = 60
+
+/**
+ * Convert a display amount ("12.5") to base units using the token's decimals.
+ * Returns null if the amount is not a positive number with at most `decimals`
+ * fractional digits or does not fit in a safe integer.
+ */
+const parseAmount = (value, decimals) => {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(value)
+  if (!match) return null
+
+  const [, whole, fraction = ""] = match
+  if (fraction.length > decimals) return null
+
+  const amount = BigInt(whole + fraction.padEnd(decimals, "0"))
+  if (amount <= 0n || amount > BigInt(Number.MAX_SAFE_INTEGER)) return null
+
+  return Number(amount)
+}
+
+/**
+ * Parse a CSV of `address,amount` rows (an optional header row is skipped).
+ * Amounts are in display units. Returns the valid rows and a per-row error list;
+ * row numbers are the line numbers in the uploaded file.
+ */
+const parseBatchCsv = (csv, token) => {
+  const rows = []
+  const errors = []
+  const lines = String(csv).split(/\r?\n/)
+
+  lines.forEach((line, index) => {
+    const rowNumber = index + 1
+    if (line.trim() === "") return
+
+    const cells = line.split(",").map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"))
+    if (index === 0 && cells[0].toLowerCase() === "address") return
+
+    if (cells.length !== 2) {
+      errors.push({ row: rowNumber, error: "Expected two columns: address,amount" })
+      return
+    }
+
+    const [address, rawAmount] = cells
+    const addressError = validateAddress(address)
+    if (addressError) {
+      errors.push({ row: rowNumber, address, error: addressError })
+      return
+    }
+
+    const amount = parseAmount(rawAmount, token.decimals ?? 0)
+    if (amount === null) {
+      errors.push({
+        row: rowNumber,
+        address,
+        error: `Amount must be a positive number with at most ${token.decimals ?? 0} decimal places`,
+      })
+      return
+    }
+
+    rows.push({ row_number: rowNumber, address, amount })
+  })
+
+  if (rows.length + errors.length > MAX_BATCH_ROWS) {
+    errors.unshift({ row: null, error: `A batch can contain at most ${MAX_BATCH_ROWS} rows` })
+  }
+
+  return { rows, errors }
+}
+
+/**
+ * Group rows into chunks whose estimated serialized transaction size stays
+ * under MAX_TX_SIZE once the mint metadata is included. The metadata is
+ * measured as JSON, which is never smaller than its CBOR encoding.
+ */
+const chunkRows = (rows, token, mintMetadata = {}) => {
+  const assetNameBytes = token.asset_name_hex.length / 2
+  const budget = MAX_TX_SIZE - TX_BASE_OVERHEAD - Buffer.byteLength(JSON.stringify(mintMetadata))
+
+  const chunks = []
+  let current = []
+  let used = 0
+
+  for (const row of rows) {
+    const size = addressByteLength(row.address) + assetNameBytes + OUTPUT_OVERHEAD
+    if (current.length > 0 && used + size > budget) {
+      chunks.push(current)
+      current = []
+      used = 0
+    }
+    current.push(row)
+    used += size
+  }
+
+  if (current.length > 0) {
+    chunks.push(current)
+  }
+
+  return chunks
+}
+
+// Row status follows the mint transaction it was last placed in; a row that
+// never made it into a transaction, or whose transaction failed or expired,
+// is failed so it can be retried
+const rowStatus = (row) => {
+  const status = row.transactions?.status
+  if (status === "confirmed") return "minted"
+  if (status === "failed" || status === "expired" || !row.transactions) return "failed"
+  return "pending"
+}
+
+// Per-status row counts and an overall job status
+const summarizeRows = (rows) => {
+  const counts = { pending: 0, minted: 0, failed: 0 }
+  rows.forEach((row) => {
+    counts[rowStatus(row)] += 1
+  })
+
+  let status = "processing"
+  if (counts.pending === 0 && counts.failed === 0) status = "completed"
+  else if (counts.pending === 0 && counts.minted === 0) status = "failed"
+  else if (counts.pending === 0) status = "partially_failed"
+
+  return { status, counts }
+}
+
+module.exports = {
+  MAX_BATCH_ROWS,
+  parseAmount,
+  parseBatchCsv,
+  chunkRows,
+  rowStatus,
+  summarizeRows,
+}
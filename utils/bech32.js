@@ -0,0 +1,103 @@
+// Bech32 (BIP-173) encoding, used for Cardano addresses and CIP-14 asset fingerprints
+
+const CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l"
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]
+
+// Cardano addresses routinely exceed the BIP-173 limit of 90 characters
+const MAX_LENGTH = 1023
+
+const polymod = (values) => {
+  let checksum = 1
+  for (const value of values) {
+    const top = checksum >>> 25
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value
+    for (let bit = 0; bit < 5; bit++) {
+      if ((top >>> bit) & 1) {
+        checksum ^= GENERATOR[bit]
+      }
+    }
+  }
+  return checksum
+}
+
+const expandPrefix = (prefix) => {
+  const high = Array.from(prefix, (char) => char.charCodeAt(0) >>> 5)
+  const low = Array.from(prefix, (char) => char.charCodeAt(0) & 31)
+  return [...high, 0, ...low]
+}
+
+const createChecksum = (prefix, words) => {
+  const checksum = polymod([...expandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0]) ^ 1
+  return Array.from({ length: 6 }, (_, index) => (checksum >>> (5 * (5 - index))) & 31)
+}
+
+// Regroup bits, e.g. 8-bit bytes into 5-bit words and back
+const convertBits = (data, fromBits, toBits, pad) => {
+  let accumulator = 0
+  let bits = 0
+  const maxValue = (1 << toBits) - 1
+  const result = []
+
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value
+    bits += fromBits
+    while (bits >= toBits) {
+      bits -= toBits
+      result.push((accumulator >>> bits) & maxValue)
+    }
+  }
+
+  if (pad) {
+    if (bits > 0) {
+      result.push((accumulator << (toBits - bits)) & maxValue)
+    }
+  } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) {
+    throw new Error("Invalid bech32 padding")
+  }
+
+  return result
+}
+
+const encode = (prefix, bytes) => {
+  const words = convertBits(bytes, 8, 5, true)
+  return `${prefix}1${[...words, ...createChecksum(prefix, words)].map((word) => CHARSET[word]).join("")}`
+}
+
+// Decode a bech32 string to its prefix and data bytes. Throws on malformed input or a bad checksum.
+const decode = (value) => {
+  if (typeof value !== "string" || value.length > MAX_LENGTH) {
+    throw new Error("Invalid bech32 string")
+  }
+  if (value !== value.toLowerCase() && value !== value.toUpperCase()) {
+    throw new Error("Bech32 strings must not mix upper and lower case")
+  }
+
+  const lower = value.toLowerCase()
+  const separator = lower.lastIndexOf("1")
+  if (separator < 1 || separator + 7 > lower.length) {
+    throw new Error("Invalid bech32 separator position")
+  }
+
+  const prefix = lower.slice(0, separator)
+  const words = Array.from(lower.slice(separator + 1), (char) => {
+    const word = CHARSET.indexOf(char)
+    if (word === -1) {
+      throw new Error(`Invalid bech32 character: ${char}`)
+    }
+    return word
+  })
+
+  if (polymod([...expandPrefix(prefix), ...words]) !== 1) {
+    throw new Error("Invalid bech32 checksum")
+  }
+
+  return {
+    prefix,
+    bytes: Buffer.from(convertBits(words.slice(0, -6), 5, 8, false)),
+  }
+}
+
+module.exports = {
+  encode,
+  decode,
+}
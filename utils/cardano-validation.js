@@ -0,0 +1,210 @@
+const bech32 = require("./bech32")
+const { MAX_ASSET_NAME_BYTES, encodeAssetName, isHexAssetName } = require("./asset-name")
+
+// Validation for Cardano identifiers, shared by the Express validators, the
+// Next.js API routes and the React forms. Each validator returns an error
+// message, or null when the value is valid.
+
+const ADDRESS_PREFIXES = {
+  1: "addr",
+  0: "addr_test",
+}
+
+const STAKE_ADDRESS_PREFIXES = {
+  1: "stake",
+  0: "stake_test",
+}
+
+// CIP-19 header types (high nibble of the first byte) and their payload lengths.
+// Pointer addresses end in three variable-length integers, so only their minimum is fixed.
+const ADDRESS_TYPES = {
+  0: { kind: "base", length: 57 },
+  1: { kind: "base", length: 57 },
+  2: { kind: "base", length: 57 },
+  3: { kind: "base", length: 57 },
+  4: { kind: "pointer", minLength: 32 },
+  5: { kind: "pointer", minLength: 32 },
+  6: { kind: "enterprise", length: 29 },
+  7: { kind: "enterprise", length: 29 },
+  14: { kind: "reward", length: 29 },
+  15: { kind: "reward", length: 29 },
+}
+
+const HASH_28_PATTERN = /^[0-9a-fA-F]{56}$/
+const HEX_32_PATTERN = /^[0-9a-fA-F]{64}$/
+
+// CIP-5 prefix for bech32-encoded ed25519 public keys
+const PUBLIC_KEY_PREFIX = "ed25519_pk"
+
+// Pointer addresses carry slot, transaction index and certificate index as
+// base-128 integers; the payload must hold exactly three of them
+const isValidPointer = (bytes) => {
+  let count = 0
+  let index = 29
+  while (index < bytes.length) {
+    while (index < bytes.length && bytes[index] & 0x80) index++
+    if (index === bytes.length) return false
+    index++
+    count++
+  }
+  return count === 3
+}
+
+/**
+ * Check a Shelley address: bech32 checksum, header type, payload length and a
+ * network tag matching both the prefix and `networkId` (when given). Payment
+ * addresses only, unless `stake` is set, in which case only reward addresses.
+ */
+const validateShelleyAddress = (address, { networkId, networkName = "this network", stake = false } = {}) => {
+  if (typeof address !== "string" || address.length === 0) {
+    return "Address is required"
+  }
+
+  let decoded
+  try {
+    decoded = bech32.decode(address)
+  } catch (error) {
+    return `Invalid address: ${error.message}`
+  }
+
+  const { prefix, bytes } = decoded
+  const prefixes = stake ? STAKE_ADDRESS_PREFIXES : ADDRESS_PREFIXES
+
+  if (networkId !== undefined && prefix !== prefixes[networkId]) {
+    return `Address must start with ${prefixes[networkId]}1 on ${networkName}`
+  }
+
+  const prefixNetworkId = Object.keys(prefixes).find((id) => prefixes[id] === prefix)
+  if (prefixNetworkId === undefined) {
+    return `Address must start with ${Object.values(prefixes)
+      .map((value) => `${value}1`)
+      .join(" or ")}`
+  }
+
+  if (bytes.length === 0) {
+    return "Invalid address: empty payload"
+  }
+
+  const addressType = ADDRESS_TYPES[bytes[0] >> 4]
+  if (!addressType || (addressType.kind === "reward") !== stake) {
+    return stake ? "Address is not a stake address" : "Address is not a payment address"
+  }
+
+  if ((bytes[0] & 0x0f) !== Number(prefixNetworkId)) {
+    return "Address network id does not match its prefix"
+  }
+
+  if (addressType.length !== undefined && bytes.length !== addressType.length) {
+    return `Invalid ${addressType.kind} address: expected ${addressType.length} bytes, got ${bytes.length}`
+  }
+
+  if (addressType.kind === "pointer" && (bytes.length < addressType.minLength || !isValidPointer(bytes))) {
+    return "Invalid pointer address"
+  }
+
+  return null
+}
+
+const validatePolicyId = (value) =>
+  typeof value === "string" && HASH_28_PATTERN.test(value) ? null : "Policy ID must be 56 hex characters"
+
+const validateKeyHash = (value) =>
+  typeof value === "string" && HASH_28_PATTERN.test(value) ? null : "Key hashes must be 56 hex characters"
+
+const validateScriptHash = (value) =>
+  typeof value === "string" && HASH_28_PATTERN.test(value) ? null : "Script hash must be 56 hex characters"
+
+// Asset names are UTF-8 text, or hex bytes when encoding is "hex" (see
+// asset-name.js); either way at most 32 bytes on-chain
+const validateAssetName = (value, encoding = "utf8") => {
+  if (typeof value !== "string" || value.length === 0) {
+    return "Asset name is required"
+  }
+  if (encoding === "hex" && !isHexAssetName(value)) {
+    return "Hex asset names must be an even number of hex digits"
+  }
+  if (encodeAssetName(value, encoding).length / 2 > MAX_ASSET_NAME_BYTES) {
+    return `Asset name must be at most ${MAX_ASSET_NAME_BYTES} bytes`
+  }
+  return null
+}
+
+// Ed25519 curve arithmetic (RFC 8032) for checking a key is a valid point
+const FIELD_PRIME = BigInt(2) ** BigInt(255) - BigInt(19)
+
+const mod = (value) => ((value % FIELD_PRIME) + FIELD_PRIME) % FIELD_PRIME
+
+const modPow = (base, exponent) => {
+  let result = BigInt(1)
+  base = mod(base)
+  while (exponent > BigInt(0)) {
+    if (exponent & BigInt(1)) result = mod(result * base)
+    base = mod(base * base)
+    exponent >>= BigInt(1)
+  }
+  return result
+}
+
+const CURVE_D = mod(BigInt(-121665) * modPow(BigInt(121666), FIELD_PRIME - BigInt(2)))
+
+// A 32-byte key encodes y (little-endian) and the sign of x in its top bit.
+// It is valid when y is reduced and x² = (y² - 1) / (d·y² + 1) has a root.
+const isCurvePoint = (hex) => {
+  const bytes = hex.match(/../g).map((byte) => Number.parseInt(byte, 16))
+  const sign = bytes[31] >> 7
+  bytes[31] &= 0x7f
+
+  const y = bytes.reduceRight((value, byte) => (value << BigInt(8)) + BigInt(byte), BigInt(0))
+  if (y >= FIELD_PRIME) return false
+
+  const ySquared = mod(y * y)
+  const xSquared = mod((ySquared - BigInt(1)) * modPow(CURVE_D * ySquared + BigInt(1), FIELD_PRIME - BigInt(2)))
+
+  if (xSquared === BigInt(0)) return sign === 0
+  return modPow(xSquared, (FIELD_PRIME - BigInt(1)) / BigInt(2)) === BigInt(1)
+}
+
+// Hex of an ed25519 public key given as hex or as CIP-5 bech32 (ed25519_pk1...), or null
+const publicKeyToHex = (value) => {
+  if (typeof value !== "string") return null
+  if (HEX_32_PATTERN.test(value)) return value.toLowerCase()
+
+  try {
+    const { prefix, bytes } = bech32.decode(value)
+    if (prefix !== PUBLIC_KEY_PREFIX || bytes.length !== 32) return null
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("")
+  } catch {
+    return null
+  }
+}
+
+const validatePublicKey = (value) => {
+  const hex = publicKeyToHex(value)
+  if (!hex) {
+    return `Public key must be 32 bytes of hex or a ${PUBLIC_KEY_PREFIX}1... key`
+  }
+  if (!isCurvePoint(hex)) {
+    return "Public key is not a valid ed25519 point"
+  }
+  return null
+}
+
+// Adapt a validator for express-validator's custom()
+const validatorFor = (validate, options) => (value) => {
+  const message = validate(value, options)
+  if (message) throw new Error(message)
+  return true
+}
+
+module.exports = {
+  ADDRESS_PREFIXES,
+  STAKE_ADDRESS_PREFIXES,
+  validateShelleyAddress,
+  validatePolicyId,
+  validateKeyHash,
+  validateScriptHash,
+  validateAssetName,
+  publicKeyToHex,
+  validatePublicKey,
+  validatorFor,
+}
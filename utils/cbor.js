@@ -0,0 +1,269 @@
+// Minimal CBOR (RFC 8949) encoder and decoder covering the subset Cardano uses:
+// unsigned/negative integers, byte strings, text strings, arrays, maps and tags
+
+class Tagged {
+  constructor(tag, value) {
+    this.tag = tag
+    this.value = value
+  }
+}
+
+// Plutus data byte strings longer than 64 bytes must be encoded as an
+// indefinite-length byte string made of 64 byte chunks
+class BoundedBytes {
+  constructor(bytes) {
+    this.bytes = Buffer.from(bytes)
+  }
+}
+
+const BOUNDED_BYTES_CHUNK = 64
+
+// Encode a major type with its argument (length, value or tag number)
+const encodeHead = (majorType, argument) => {
+  const value = BigInt(argument)
+  const major = majorType << 5
+
+  if (value < 24n) {
+    return Buffer.from([major | Number(value)])
+  }
+
+  if (value < 0x100n) {
+    return Buffer.from([major | 24, Number(value)])
+  }
+
+  if (value < 0x10000n) {
+    const buffer = Buffer.alloc(3)
+    buffer[0] = major | 25
+    buffer.writeUInt16BE(Number(value), 1)
+    return buffer
+  }
+
+  if (value < 0x100000000n) {
+    const buffer = Buffer.alloc(5)
+    buffer[0] = major | 26
+    buffer.writeUInt32BE(Number(value), 1)
+    return buffer
+  }
+
+  if (value < 0x10000000000000000n) {
+    const buffer = Buffer.alloc(9)
+    buffer[0] = major | 27
+    buffer.writeBigUInt64BE(value, 1)
+    return buffer
+  }
+
+  throw new RangeError(`CBOR integer out of range: ${value}`)
+}
+
+const encodeInteger = (value) => {
+  const integer = BigInt(value)
+  return integer >= 0n ? encodeHead(0, integer) : encodeHead(1, -1n - integer)
+}
+
+const encodeMapEntries = (entries) => {
+  return Buffer.concat([
+    encodeHead(5, entries.length),
+    ...entries.flatMap(([key, value]) => [encode(key), encode(value)]),
+  ])
+}
+
+// Encode a JavaScript value as CBOR. Plain objects become maps with text keys;
+// use a Map when integer keys are required (e.g. transaction bodies)
+const encode = (value) => {
+  if (value instanceof Tagged) {
+    return Buffer.concat([encodeHead(6, value.tag), encode(value.value)])
+  }
+
+  if (value instanceof BoundedBytes) {
+    if (value.bytes.length <= BOUNDED_BYTES_CHUNK) {
+      return encode(value.bytes)
+    }
+    const chunks = []
+    for (let offset = 0; offset < value.bytes.length; offset += BOUNDED_BYTES_CHUNK) {
+      chunks.push(encode(value.bytes.subarray(offset, offset + BOUNDED_BYTES_CHUNK)))
+    }
+    return Buffer.concat([Buffer.from([0x5f]), ...chunks, Buffer.from([0xff])])
+  }
+
+  if (typeof value === "bigint") {
+    return encodeInteger(value)
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isSafeInteger(value)) {
+      throw new TypeError(`CBOR encoder only supports integers, got ${value}`)
+    }
+    return encodeInteger(value)
+  }
+
+  if (typeof value === "string") {
+    const bytes = Buffer.from(value, "utf8")
+    return Buffer.concat([encodeHead(3, bytes.length), bytes])
+  }
+
+  if (typeof value === "boolean") {
+    return Buffer.from([value ? 0xf5 : 0xf4])
+  }
+
+  if (value === null || value === undefined) {
+    return Buffer.from([0xf6])
+  }
+
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.concat([encodeHead(2, value.length), Buffer.from(value)])
+  }
+
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHead(4, value.length), ...value.map(encode)])
+  }
+
+  if (value instanceof Map) {
+    return encodeMapEntries(Array.from(value.entries()))
+  }
+
+  if (typeof value === "object") {
+    return encodeMapEntries(Object.entries(value))
+  }
+
+  throw new TypeError(`Unsupported CBOR value type: ${typeof value}`)
+}
+
+class Decoder {
+  constructor(bytes) {
+    this.bytes = Buffer.from(bytes)
+    this.offset = 0
+  }
+
+  take(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new RangeError("Unexpected end of CBOR input")
+    }
+    const slice = this.bytes.subarray(this.offset, this.offset + length)
+    this.offset += length
+    return slice
+  }
+
+  // Returns the argument of a head, or null for an indefinite length
+  readArgument(additional) {
+    if (additional < 24) return BigInt(additional)
+    if (additional === 24) return BigInt(this.take(1)[0])
+    if (additional === 25) return BigInt(this.take(2).readUInt16BE(0))
+    if (additional === 26) return BigInt(this.take(4).readUInt32BE(0))
+    if (additional === 27) return this.take(8).readBigUInt64BE(0)
+    if (additional === 31) return null
+    throw new TypeError(`Unsupported CBOR additional information: ${additional}`)
+  }
+
+  isBreak() {
+    if (this.bytes[this.offset] === 0xff) {
+      this.offset++
+      return true
+    }
+    return false
+  }
+
+  // Integers decode to numbers when safe and to bigints otherwise; maps always decode to Map
+  decodeItem() {
+    const initial = this.take(1)[0]
+    const majorType = initial >> 5
+    const additional = initial & 0x1f
+
+    if (majorType === 7) {
+      if (additional === 20) return false
+      if (additional === 21) return true
+      if (additional === 22) return null
+      if (additional === 23) return undefined
+      throw new TypeError("CBOR floats and simple values are not supported")
+    }
+
+    const argument = this.readArgument(additional)
+
+    switch (majorType) {
+      case 0:
+        return toInteger(argument)
+      case 1:
+        return toInteger(-1n - argument)
+      case 2:
+      case 3: {
+        let bytes
+        if (argument === null) {
+          const chunks = []
+          while (!this.isBreak()) chunks.push(Buffer.from(this.decodeItem(), majorType === 3 ? "utf8" : undefined))
+          bytes = Buffer.concat(chunks)
+        } else {
+          bytes = Buffer.from(this.take(Number(argument)))
+        }
+        return majorType === 3 ? bytes.toString("utf8") : bytes
+      }
+      case 4: {
+        const items = []
+        if (argument === null) {
+          while (!this.isBreak()) items.push(this.decodeItem())
+        } else {
+          for (let index = 0n; index < argument; index++) items.push(this.decodeItem())
+        }
+        return items
+      }
+      case 5: {
+        const map = new Map()
+        if (argument === null) {
+          while (!this.isBreak()) map.set(this.decodeItem(), this.decodeItem())
+        } else {
+          for (let index = 0n; index < argument; index++) map.set(this.decodeItem(), this.decodeItem())
+        }
+        return map
+      }
+      case 6:
+        return new Tagged(Number(argument), this.decodeItem())
+    }
+  }
+}
+
+const toInteger = (value) => {
+  return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value
+}
+
+// Decode a single CBOR item; trailing bytes are an error
+const decode = (bytes) => {
+  const decoder = new Decoder(bytes)
+  const value = decoder.decodeItem()
+  if (decoder.offset !== decoder.bytes.length) {
+    throw new RangeError("Unexpected bytes after CBOR item")
+  }
+  return value
+}
+
+// The raw encoding of each element of a definite-length array, for hashing
+// or re-assembling parts exactly as they were signed (e.g. a transaction body)
+const rawArrayItems = (bytes) => {
+  const decoder = new Decoder(bytes)
+  const initial = decoder.take(1)[0]
+  if (initial >> 5 !== 4) {
+    throw new TypeError("CBOR item is not an array")
+  }
+
+  const length = decoder.readArgument(initial & 0x1f)
+  if (length === null) {
+    throw new TypeError("Indefinite-length arrays are not supported here")
+  }
+
+  const items = []
+  for (let index = 0n; index < length; index++) {
+    const start = decoder.offset
+    decoder.decodeItem()
+    items.push(decoder.bytes.subarray(start, decoder.offset))
+  }
+  if (decoder.offset !== decoder.bytes.length) {
+    throw new RangeError("Unexpected bytes after CBOR item")
+  }
+  return items
+}
+
+module.exports = {
+  Tagged,
+  BoundedBytes,
+  encode,
+  encodeHead,
+  decode,
+  rawArrayItems,
+}
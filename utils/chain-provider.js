@@ -0,0 +1,405 @@
+const { blake2b } = require("blakejs")
+const { chain } = require("../config/chain")
+
+// Access to the Cardano chain. The backend is chosen by CHAIN_PROVIDER (see
+// config/chain.js); any object implementing the interface below can be
+// installed with setChainProvider().
+//
+//   getUtxos(address)             => [{ txHash, outputIndex, address, lovelace, assets, datumHash, inlineDatum, referenceScriptHash }]
+//   getProtocolParameters()       => { minFeeA, minFeeB, coinsPerUtxoByte, maxTxSize, maxValueSize, priceMemory, priceSteps }
+//   submitTransaction(cborHex)    => transaction hash
+//   getTransactionStatus(txHash)  => null while not on chain, else { txHash, slot, blockHash, blockHeight, confirmations }
+//   getAddressAssets(address)     => { lovelace, assets }
+//   getTip()                      => { slot, blockHash, blockHeight }
+//
+// Amounts are bigints. Assets are keyed by unit: the policy ID followed by
+// the hex asset name. Execution unit prices are { numerator, denominator }
+// lovelace per unit. Failures reject with a ChainProviderError whose status
+// is 400 when the node rejected a submitted transaction. getTransactionStatus()
+// also takes a tip from getTip(), so callers checking many transactions fetch
+// the tip once.
+
+class ChainProviderError extends Error {
+  constructor(message, status = 502) {
+    super(message)
+    this.name = "ChainProviderError"
+    this.status = status
+  }
+}
+
+const REQUEST_TIMEOUT_MS = 15000
+
+// Cardano produces a block every 20 slots on average (active slot coefficient 0.05)
+const SLOTS_PER_BLOCK = 20
+
+// Total lovelace and assets across a set of UTxOs
+const sumUtxos = (utxos) => {
+  const total = { lovelace: 0n, assets: {} }
+  for (const utxo of utxos) {
+    total.lovelace += utxo.lovelace
+    for (const [unit, quantity] of Object.entries(utxo.assets)) {
+      total.assets[unit] = (total.assets[unit] || 0n) + quantity
+    }
+  }
+  return total
+}
+
+// A price as an exact fraction, from a decimal (Blockfrost) or "a/b" (Ogmios)
+const ratio = (value) => {
+  const text = typeof value === "number" && /e/i.test(String(value)) ? value.toFixed(20) : String(value)
+  if (text.includes("/")) {
+    const [numerator, denominator] = text.split("/")
+    return { numerator: BigInt(numerator), denominator: BigInt(denominator) }
+  }
+  const [whole, fraction = ""] = text.split(".")
+  return { numerator: BigInt(`${whole}${fraction}`), denominator: 10n ** BigInt(fraction.length) }
+}
+
+// Blockfrost pages address UTxOs 100 at a time
+const BLOCKFROST_PAGE_SIZE = 100
+const MAX_UTXO_PAGES = 20
+
+class BlockfrostProvider {
+  constructor(apiUrl, projectId) {
+    this.apiUrl = apiUrl.replace(/\/+$/, "")
+    this.projectId = projectId
+  }
+
+  // Resolves to the parsed body, or null for a 404
+  async request(path, { method = "GET", body, contentType } = {}) {
+    const headers = {}
+    if (this.projectId) headers.project_id = this.projectId
+    if (contentType) headers["Content-Type"] = contentType
+
+    let response
+    try {
+      response = await fetch(`${this.apiUrl}${path}`, {
+        method,
+        headers,
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      })
+    } catch (error) {
+      throw new ChainProviderError(`Unable to reach Blockfrost: ${error.message}`)
+    }
+
+    if (response.status === 404) return null
+    if (!response.ok) {
+      const detail = await response.json().catch(() => null)
+      throw new ChainProviderError(
+        detail?.message || `Blockfrost request failed (HTTP ${response.status})`,
+        response.status === 400 && method === "POST" ? 400 : 502,
+      )
+    }
+
+    return response.json()
+  }
+
+  async getUtxos(address) {
+    const utxos = []
+
+    for (let page = 1; page <= MAX_UTXO_PAGES; page++) {
+      const rows = await this.request(
+        `/addresses/${encodeURIComponent(address)}/utxos?count=${BLOCKFROST_PAGE_SIZE}&page=${page}`,
+      )
+      // Blockfrost answers 404 for an address that has never been used
+      if (!rows) break
+
+      utxos.push(...rows.map(blockfrostUtxo))
+      if (rows.length < BLOCKFROST_PAGE_SIZE) break
+    }
+
+    return utxos
+  }
+
+  async getProtocolParameters() {
+    const parameters = await this.request("/epochs/latest/parameters")
+    if (!parameters) {
+      throw new ChainProviderError("Blockfrost returned no protocol parameters")
+    }
+
+    return {
+      minFeeA: BigInt(parameters.min_fee_a),
+      minFeeB: BigInt(parameters.min_fee_b),
+      coinsPerUtxoByte: BigInt(parameters.coins_per_utxo_size ?? parameters.coins_per_utxo_word),
+      maxTxSize: Number(parameters.max_tx_size),
+      maxValueSize: Number(parameters.max_val_size),
+      priceMemory: ratio(parameters.price_mem),
+      priceSteps: ratio(parameters.price_step),
+    }
+  }
+
+  async submitTransaction(cborHex) {
+    return this.request("/tx/submit", {
+      method: "POST",
+      body: Buffer.from(cborHex, "hex"),
+      contentType: "application/cbor",
+    })
+  }
+
+  async getTransactionStatus(txHash, tip) {
+    const transaction = await this.request(`/txs/${txHash}`)
+    if (!transaction) return null
+
+    const { blockHeight, slot } = tip || (await this.getTip())
+    return {
+      txHash,
+      slot: transaction.slot,
+      blockHash: transaction.block,
+      blockHeight: transaction.block_height,
+      confirmations: blockHeight - transaction.block_height + 1,
+    }
+  }
+
+  async getAddressAssets(address) {
+    const account = await this.request(`/addresses/${encodeURIComponent(address)}`)
+    return account ? blockfrostAmount(account.amount) : { lovelace: 0n, assets: {} }
+  }
+
+  async getTip() {
+    const block = await this.request("/blocks/latest")
+    return { slot: block.slot, blockHash: block.hash, blockHeight: block.height }
+  }
+}
+
+const blockfrostAmount = (amount) => {
+  const total = { lovelace: 0n, assets: {} }
+  for (const { unit, quantity } of amount) {
+    if (unit === "lovelace") {
+      total.lovelace = BigInt(quantity)
+    } else {
+      total.assets[unit] = BigInt(quantity)
+    }
+  }
+  return total
+}
+
+const blockfrostUtxo = (row) => ({
+  txHash: row.tx_hash,
+  outputIndex: row.output_index,
+  address: row.address,
+  ...blockfrostAmount(row.amount),
+  datumHash: row.data_hash || null,
+  inlineDatum: row.inline_datum || null,
+  referenceScriptHash: row.reference_script_hash || null,
+})
+
+// Ogmios v6 speaks JSON-RPC over a single WebSocket, opened on first use and
+// re-opened after it drops. Ogmios cannot look up past transactions, so
+// getTransactionStatus() asks the Kupo indexer, which must index the outputs
+// of the transactions being tracked. Kupo has no block heights; confirmations
+// are estimated from the slots elapsed since the transaction.
+class OgmiosProvider {
+  constructor(url, kupoUrl) {
+    this.url = url
+    this.kupoUrl = kupoUrl ? kupoUrl.replace(/\/+$/, "") : null
+    this.connection = null
+    this.pending = new Map()
+    this.nextId = 1
+  }
+
+  connect() {
+    if (this.connection) return this.connection
+
+    if (typeof WebSocket === "undefined") {
+      return Promise.reject(new ChainProviderError("The Ogmios provider needs WebSocket support (Node.js 22 or later)", 500))
+    }
+
+    this.connection = new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url)
+
+      socket.addEventListener("open", () => resolve(socket))
+      socket.addEventListener("message", (event) => this.handleMessage(event.data))
+      socket.addEventListener("error", () => reject(new ChainProviderError(`Unable to reach Ogmios at ${this.url}`)))
+      socket.addEventListener("close", () => {
+        this.connection = null
+        for (const [id, request] of this.pending) {
+          clearTimeout(request.timer)
+          request.reject(new ChainProviderError("Ogmios connection closed"))
+          this.pending.delete(id)
+        }
+      })
+    })
+
+    // Let the next request try again after a failed connection
+    this.connection.catch(() => {
+      this.connection = null
+    })
+
+    return this.connection
+  }
+
+  handleMessage(data) {
+    let message
+    try {
+      message = JSON.parse(data)
+    } catch {
+      return
+    }
+
+    const request = this.pending.get(message.id)
+    if (!request) return
+
+    clearTimeout(request.timer)
+    this.pending.delete(message.id)
+
+    if (message.error) {
+      request.reject(
+        new ChainProviderError(
+          `Ogmios ${request.method} failed: ${message.error.message}`,
+          request.method === "submitTransaction" ? 400 : 502,
+        ),
+      )
+    } else {
+      request.resolve(message.result)
+    }
+  }
+
+  async request(method, params = {}) {
+    const socket = await this.connect()
+    const id = this.nextId++
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id)
+        reject(new ChainProviderError(`Ogmios ${method} timed out`))
+      }, REQUEST_TIMEOUT_MS)
+
+      this.pending.set(id, { method, resolve, reject, timer })
+      socket.send(JSON.stringify({ jsonrpc: "2.0", method, params, id }))
+    })
+  }
+
+  async getUtxos(address) {
+    const rows = await this.request("queryLedgerState/utxo", { addresses: [address] })
+    return rows.map(ogmiosUtxo)
+  }
+
+  async getProtocolParameters() {
+    const parameters = await this.request("queryLedgerState/protocolParameters")
+    return {
+      minFeeA: BigInt(parameters.minFeeCoefficient),
+      minFeeB: BigInt(parameters.minFeeConstant.ada.lovelace),
+      coinsPerUtxoByte: BigInt(parameters.minUtxoDepositCoefficient),
+      maxTxSize: Number(parameters.maxTransactionSize.bytes),
+      maxValueSize: Number(parameters.maxValueSize.bytes),
+      priceMemory: ratio(parameters.scriptExecutionPrices.memory),
+      priceSteps: ratio(parameters.scriptExecutionPrices.cpu),
+    }
+  }
+
+  async submitTransaction(cborHex) {
+    const result = await this.request("submitTransaction", { transaction: { cbor: cborHex } })
+    return result.transaction.id
+  }
+
+  async getTransactionStatus(txHash, tip) {
+    if (!this.kupoUrl) {
+      throw new ChainProviderError("KUPO_URL is required to look up transactions with the Ogmios provider", 500)
+    }
+
+    let response
+    try {
+      response = await fetch(`${this.kupoUrl}/matches/*@${txHash}`, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) })
+    } catch (error) {
+      throw new ChainProviderError(`Unable to reach Kupo: ${error.message}`)
+    }
+    if (!response.ok) {
+      throw new ChainProviderError(`Kupo request failed (HTTP ${response.status})`)
+    }
+
+    const [match] = await response.json()
+    if (!match) return null
+
+    const { blockHeight, slot } = tip || (await this.getTip())
+    return {
+      txHash,
+      slot: match.created_at.slot_no,
+      blockHash: match.created_at.header_hash,
+      blockHeight: null,
+      confirmations: Math.floor((slot - match.created_at.slot_no) / SLOTS_PER_BLOCK) + 1,
+    }
+  }
+
+  async getAddressAssets(address) {
+    return sumUtxos(await this.getUtxos(address))
+  }
+
+  async getTip() {
+    const [tip, blockHeight] = await Promise.all([
+      this.request("queryNetwork/tip"),
+      this.request("queryNetwork/blockHeight"),
+    ])
+    if (tip === "origin") {
+      return { slot: 0, blockHash: null, blockHeight: 0 }
+    }
+    return { slot: tip.slot, blockHash: tip.id, blockHeight }
+  }
+}
+
+// Script hashes are blake2b-224 over the script CBOR prefixed with its language tag
+const SCRIPT_LANGUAGE_TAGS = { native: 0, "plutus:v1": 1, "plutus:v2": 2, "plutus:v3": 3 }
+
+const ogmiosScriptHash = (script) => {
+  const tagged = Buffer.concat([Buffer.from([SCRIPT_LANGUAGE_TAGS[script.language]]), Buffer.from(script.cbor, "hex")])
+  return Buffer.from(blake2b(tagged, undefined, 28)).toString("hex")
+}
+
+// Ogmios values are { ada: { lovelace }, <policy id>: { <asset name hex>: quantity } }
+const ogmiosUtxo = (row) => {
+  const { ada, ...policies } = row.value
+  const assets = {}
+  for (const [policyId, names] of Object.entries(policies)) {
+    for (const [assetName, quantity] of Object.entries(names)) {
+      assets[policyId + assetName] = BigInt(quantity)
+    }
+  }
+
+  return {
+    txHash: row.transaction.id,
+    outputIndex: row.index,
+    address: row.address,
+    lovelace: BigInt(ada.lovelace),
+    assets,
+    datumHash: row.datumHash || null,
+    inlineDatum: row.datum || null,
+    referenceScriptHash: row.script ? ogmiosScriptHash(row.script) : null,
+  }
+}
+
+const createChainProvider = () => {
+  switch (chain.provider) {
+    case "blockfrost":
+      return new BlockfrostProvider(chain.blockfrost.url, chain.blockfrost.projectId)
+    case "ogmios":
+      return new OgmiosProvider(chain.ogmios.url, chain.kupo.url)
+    case "mock": {
+      // Required here: mock-ledger.js depends on this module
+      const { MockLedger, MOCK_FUNDING_LOVELACE } = require("./mock-ledger")
+      const ledger = new MockLedger()
+      chain.mock.fundedAddresses.forEach((address) => ledger.fund(address, MOCK_FUNDING_LOVELACE))
+      return ledger
+    }
+  }
+}
+
+let chainProvider = null
+
+const getChainProvider = () => {
+  if (!chainProvider) chainProvider = createChainProvider()
+  return chainProvider
+}
+
+const setChainProvider = (provider) => {
+  chainProvider = provider
+}
+
+module.exports = {
+  SLOTS_PER_BLOCK,
+  ChainProviderError,
+  BlockfrostProvider,
+  OgmiosProvider,
+  sumUtxos,
+  getChainProvider,
+  setChainProvider,
+}
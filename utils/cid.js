@@ -0,0 +1,58 @@
+const crypto = require("crypto")
+
+// IPFS content identifiers (https://github.com/multiformats/cid).
+//
+// Images are stored as a single raw block, so their CID is
+// base32(<version 1><raw codec><sha2-256 multihash>). That matches what
+// `ipfs add --cid-version=1` reports for files up to its 256 KiB chunk size,
+// which is why uploads are limited to that size.
+
+const CID_VERSION = 0x01
+const RAW_CODEC = 0x55
+const SHA2_256 = 0x12
+const SHA2_256_LENGTH = 32
+
+const MAX_SINGLE_BLOCK_BYTES = 256 * 1024
+
+// RFC 4648 base32, lower case without padding (multibase prefix "b")
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567"
+const MULTIBASE_BASE32 = "b"
+
+const RAW_CID_PATTERN = /^bafkrei[a-z2-7]{52}$/
+
+const base32Encode = (bytes) => {
+  let result = ""
+  let accumulator = 0
+  let bits = 0
+
+  for (const byte of bytes) {
+    accumulator = (accumulator << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      bits -= 5
+      result += BASE32_ALPHABET[(accumulator >>> bits) & 31]
+    }
+  }
+
+  if (bits > 0) {
+    result += BASE32_ALPHABET[(accumulator << (5 - bits)) & 31]
+  }
+
+  return result
+}
+
+// CIDv1 (raw codec, sha2-256) of `bytes`, e.g. "bafkrei..."
+const computeCid = (bytes) => {
+  const digest = crypto.createHash("sha256").update(bytes).digest()
+  const cid = Buffer.concat([Buffer.from([CID_VERSION, RAW_CODEC, SHA2_256, SHA2_256_LENGTH]), digest])
+  return MULTIBASE_BASE32 + base32Encode(cid)
+}
+
+// Whether `value` is a CID this module could have produced
+const isRawCid = (value) => typeof value === "string" && RAW_CID_PATTERN.test(value)
+
+module.exports = {
+  MAX_SINGLE_BLOCK_BYTES,
+  computeCid,
+  isRawCid,
+}
@@ -0,0 +1,65 @@
+const { chunkString } = require("./token-metadata")
+
+// CIP-20 (https://cips.cardano.org/cip/CIP-0020) transaction messages: label
+// 674 metadata of the form { msg: [...] }, where every string is at most 64
+// bytes. Longer lines are split across several strings; wallets and explorers
+// show them joined back together.
+const CIP20_LABEL = 674
+
+// Keeps memos from crowding out the rest of a 16 KiB transaction
+const MAX_MESSAGE_BYTES = 1024
+
+// C0 and C1 controls other than newlines, which separate lines
+const CONTROL_CHARACTERS = /[\u0000-\u0009\u000b-\u001f\u007f-\u009f]/
+
+// A message is one string (lines separated by newlines) or an array of lines
+const messageLines = (message) => (Array.isArray(message) ? message : String(message).split(/\r?\n/))
+
+/**
+ * Check a transaction message. Returns an error message, or null when valid.
+ */
+const validateCip20Message = (message) => {
+  if (Array.isArray(message) ? message.some((line) => typeof line !== "string") : typeof message !== "string") {
+    return "Message must be a string or an array of strings"
+  }
+
+  const lines = messageLines(message)
+  if (lines.every((line) => line.trim() === "")) {
+    return "Message is empty"
+  }
+
+  if (lines.some((line) => CONTROL_CHARACTERS.test(line))) {
+    return "Message cannot contain control characters"
+  }
+
+  const bytes = lines.reduce((total, line) => total + Buffer.byteLength(line, "utf8"), 0)
+  if (bytes > MAX_MESSAGE_BYTES) {
+    return `Message is ${bytes} bytes; at most ${MAX_MESSAGE_BYTES} are allowed`
+  }
+
+  return null
+}
+
+/**
+ * The label 674 metadatum for a validated message: each line split into
+ * chunks of at most 64 bytes, without leading or trailing blank lines.
+ */
+const buildCip20Message = (message) => {
+  const lines = messageLines(message)
+  const first = lines.findIndex((line) => line.trim() !== "")
+  const last = lines.length - 1 - [...lines].reverse().findIndex((line) => line.trim() !== "")
+
+  const msg = lines.slice(first, last + 1).flatMap((line) => {
+    const chunks = chunkString(line)
+    return Array.isArray(chunks) ? chunks : [chunks]
+  })
+
+  return { msg }
+}
+
+module.exports = {
+  CIP20_LABEL,
+  MAX_MESSAGE_BYTES,
+  validateCip20Message,
+  buildCip20Message,
+}
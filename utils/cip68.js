@@ -0,0 +1,157 @@
+const { Tagged, BoundedBytes, encode } = require("./cbor")
+const { MAX_ASSET_NAME_BYTES } = require("./asset-name")
+
+// CIP-68 (https://cips.cardano.org/cip/CIP-0068) datum metadata standard.
+// Each token is a pair: a (100) reference token holding the metadata as an
+// inline datum, and a user token carrying one of the user labels below.
+const REFERENCE_TOKEN_LABEL = 100
+const USER_TOKEN_LABELS = {
+  222: "nft",
+  333: "ft",
+  444: "rft",
+}
+
+const LABEL_PREFIX_BYTES = 4
+const MAX_BASE_NAME_BYTES = MAX_ASSET_NAME_BYTES - LABEL_PREFIX_BYTES
+
+class Cip68Error extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "Cip68Error"
+  }
+}
+
+// CRC-8 (polynomial 0x07) used by the CIP-67 label checksum
+const crc8 = (bytes) => {
+  let crc = 0
+  for (const byte of bytes) {
+    crc ^= byte
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff
+    }
+  }
+  return crc
+}
+
+// CIP-67 asset name label: 0 + label (16 bits) + crc8 + 0, e.g. 100 => 000643b0
+const labelPrefix = (label) => {
+  const labelHex = label.toString(16).padStart(4, "0")
+  const checksum = crc8(Buffer.from(labelHex, "hex")).toString(16).padStart(2, "0")
+  return `0${labelHex}${checksum}0`
+}
+
+// Returns the CIP-67 label if the hex asset name starts with a valid one
+const parseLabel = (assetNameHex) => {
+  if (assetNameHex.length < LABEL_PREFIX_BYTES * 2 || assetNameHex[0] !== "0" || assetNameHex[7] !== "0") {
+    return null
+  }
+  const label = Number.parseInt(assetNameHex.slice(1, 5), 16)
+  return labelPrefix(label) === assetNameHex.slice(0, 8) ? label : null
+}
+
+/**
+ * Derive the reference and user token asset names (hex) from a hex base name.
+ * Throws if the base name is already labelled or leaves no room for the prefix.
+ */
+const buildCip68AssetNames = (baseHex, userLabel) => {
+  if (!USER_TOKEN_LABELS[userLabel]) {
+    throw new Cip68Error(`Unsupported CIP-68 user token label: ${userLabel}`)
+  }
+
+  if (parseLabel(baseHex) !== null) {
+    throw new Cip68Error("Asset name already carries a CIP-67 label; supply the unprefixed name")
+  }
+
+  if (baseHex.length / 2 > MAX_BASE_NAME_BYTES) {
+    throw new Cip68Error(`CIP-68 asset names are limited to ${MAX_BASE_NAME_BYTES} bytes before the label prefix`)
+  }
+
+  return {
+    referenceAssetName: labelPrefix(REFERENCE_TOKEN_LABEL) + baseHex,
+    userAssetName: labelPrefix(userLabel) + baseHex,
+  }
+}
+
+// Metadata fields for each user token type, taken from the token record
+const buildDatumFields = (token) => {
+  const fields = {
+    ...(token.metadata || {}),
+    name: token.token_name,
+  }
+
+  if (token.description) fields.description = token.description
+
+  switch (Number(token.cip68_label)) {
+    case 333:
+      if (token.symbol) fields.ticker = token.symbol
+      if (token.decimals !== undefined && token.decimals !== null) fields.decimals = token.decimals
+      if (token.image_url) fields.logo = token.image_url
+      break
+    case 444:
+      if (token.decimals !== undefined && token.decimals !== null) fields.decimals = token.decimals
+      if (token.image_url) fields.image = token.image_url
+      break
+    default:
+      if (token.image_url) fields.image = token.image_url
+  }
+
+  return Object.entries(fields).filter(([, value]) => typeof value === "string" || Number.isSafeInteger(value))
+}
+
+const toPlutusJson = (value) => {
+  return typeof value === "string" ? { bytes: Buffer.from(value, "utf8").toString("hex") } : { int: value }
+}
+
+const toPlutusCbor = (value) => {
+  return typeof value === "string" ? new BoundedBytes(Buffer.from(value, "utf8")) : value
+}
+
+/**
+ * Build the inline datum for a token's (100) reference token:
+ * Constr 0 [metadata map, version, extra]. Returned both as cardano-cli
+ * detailed-schema JSON and as CBOR hex.
+ */
+const buildCip68Datum = (token) => {
+  const entries = buildDatumFields(token)
+  const version = Number(token.cip68_label) === 444 ? 2 : 1
+
+  const json = {
+    constructor: 0,
+    fields: [
+      {
+        map: entries.map(([key, value]) => ({
+          k: toPlutusJson(key),
+          v: toPlutusJson(value),
+        })),
+      },
+      { int: version },
+      { constructor: 0, fields: [] },
+    ],
+  }
+
+  // Constr 0 is CBOR tag 121
+  const cbor = encode(
+    new Tagged(121, [
+      new Map(entries.map(([key, value]) => [toPlutusCbor(key), toPlutusCbor(value)])),
+      version,
+      new Tagged(121, []),
+    ]),
+  )
+
+  return {
+    json,
+    cborHex: cbor.toString("hex"),
+    metadata: Object.fromEntries(entries),
+    version,
+  }
+}
+
+module.exports = {
+  REFERENCE_TOKEN_LABEL,
+  USER_TOKEN_LABELS,
+  Cip68Error,
+  labelPrefix,
+  parseLabel,
+  buildCip68AssetNames,
+  buildCip68Datum,
+}
@@ -0,0 +1,120 @@
+const { chain } = require("../config/chain")
+const {
+  TransactionBuildError,
+  buildTokenTransaction,
+  paymentKeyHash,
+  signingKeyHash,
+  signTransaction,
+} = require("./tx-builder")
+
+// Sponsored (gasless) transactions. The treasury at GASLESS_SPONSOR_ADDRESS
+// adds its own ADA input to the build, pays the fee, takes the change and
+// signs with GASLESS_SPONSOR_SIGNING_KEY; the wallet adds its signatures
+// afterwards. A gasless_transactions row in the sponsored status marks the
+// transaction as sponsored, and every build of it is sponsored until the row
+// expires.
+
+// How long a sponsorship lasts for rebuilding the transaction
+const SPONSORSHIP_MINUTES = 30
+
+// Why sponsored transactions cannot be built right now, or null
+const sponsorUnavailable = (sponsorAddress = chain.sponsorAddress) => {
+  if (!sponsorAddress) return "No sponsor treasury address is configured"
+  if (sponsorAddress !== chain.sponsorAddress) return "The sponsoring treasury is no longer configured"
+  if (!chain.sponsorSigningKey) return "No sponsor treasury signing key is configured"
+
+  try {
+    if (signingKeyHash(chain.sponsorSigningKey) !== paymentKeyHash(sponsorAddress)) {
+      return "The sponsor signing key does not control the treasury address"
+    }
+  } catch (error) {
+    if (error instanceof TransactionBuildError) return `Invalid sponsor configuration: ${error.message}`
+    throw error
+  }
+
+  return null
+}
+
+// The transaction's unexpired sponsorship, or null
+const findActiveSponsorship = async (supabase, transactionId) => {
+  const { data: sponsorship, error } = await supabase
+    .from("gasless_transactions")
+    .select("id, sponsor_address, gas_fee_ada, expires_at")
+    .eq("transaction_id", transactionId)
+    .eq("status", "sponsored")
+    .gt("expires_at", new Date().toISOString())
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (error) throw error
+  return sponsorship
+}
+
+/**
+ * Check the active rate and amount limits that apply to sponsoring a
+ * transaction of `token` (which must include id and organization_id) for
+ * `fee` lovelace: the user's own policies and those of the token's
+ * organization, skipping policies scoped to another token. Resolves to null,
+ * or to { status, error, message } for the first limit exceeded.
+ */
+const checkSponsorPolicies = async (supabase, userId, token, fee) => {
+  let query = supabase.from("security_policies").select("*").eq("is_active", true)
+  query = token.organization_id
+    ? query.or(`and(user_id.eq.${userId},organization_id.is.null),organization_id.eq.${token.organization_id}`)
+    : query.eq("user_id", userId).is("organization_id", null)
+
+  const { data: policies, error } = await query
+  if (error) throw error
+
+  for (const policy of policies || []) {
+    if (policy.token_id && policy.token_id !== token.id) continue
+    const config = policy.policy_config
+
+    if (policy.policy_type === "rate_limit") {
+      const { data: count, error: countError } = await supabase.rpc("count_sponsorships", {
+        p_since: new Date(Date.now() - config.hours * 60 * 60 * 1000).toISOString(),
+        p_organization_id: policy.organization_id,
+        p_token_id: policy.token_id,
+      })
+      if (countError) throw countError
+
+      if (Number(count) >= config.max_transactions) {
+        return {
+          status: 429,
+          error: "Rate limit exceeded",
+          message: `Maximum ${config.max_transactions} gasless transactions per ${config.hours} hours`,
+        }
+      }
+    }
+
+    if (policy.policy_type === "amount_limit" && BigInt(fee) > BigInt(config.max_amount)) {
+      return {
+        status: 400,
+        error: "Amount limit exceeded",
+        message: `Maximum fee limit is ${config.max_amount} lovelace`,
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Build a transaction with the treasury paying the fee (see
+ * buildTokenTransaction) and sign it with the treasury key. Check
+ * sponsorUnavailable() first. Throws like buildTokenTransaction, including a
+ * SponsorFundsError when the treasury cannot cover the fee.
+ */
+const buildSponsoredTransaction = async (provider, options) => {
+  const built = await buildTokenTransaction(provider, { ...options, sponsorAddress: chain.sponsorAddress })
+  return { ...built, cbor: signTransaction(built.cbor, chain.sponsorSigningKey) }
+}
+
+module.exports = {
+  SPONSORSHIP_MINUTES,
+  sponsorUnavailable,
+  findActiveSponsorship,
+  checkSponsorPolicies,
+  buildSponsoredTransaction,
+}
@@ -0,0 +1,175 @@
+const crypto = require("crypto")
+const logger = require("./logger")
+
+// Idempotency-Key support shared by the Express middleware
+// (middleware/idempotency.js) and the Next.js routes (lib/idempotency.ts). The
+// first request with a key claims it in idempotency_keys
+// (scripts/024_idempotency_keys.sql); once it finishes its response is stored
+// and replayed for retries with the same key.
+
+const MAX_KEY_LENGTH = 255
+const DEFAULT_TTL_HOURS = 24
+// A claim whose request has not finished in this long is treated as
+// abandoned (e.g. the process died mid-request) and can be claimed again
+const DEFAULT_LEASE_MINUTES = 5
+
+// JSON with object keys sorted, so equal bodies always fingerprint the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+    return `{${entries.join(",")}}`
+  }
+  return JSON.stringify(value) ?? "null"
+}
+
+const requestFingerprint = (method, path, body) => {
+  return crypto
+    .createHash("sha256")
+    .update(`${method} ${path}\n${canonicalJson(body ?? {})}`)
+    .digest("hex")
+}
+
+const isAbandoned = (row, leaseMinutes) =>
+  row.response_status === null && Date.now() - new Date(row.created_at).getTime() > leaseMinutes * 60 * 1000
+
+// Claim the key for this request. Resolves to { claimed } with the new row's
+// id, or to { existing } when an unexpired request already holds the key.
+const claimKey = async (supabase, user, { key, method, path, requestHash, ttlHours, leaseMinutes }) => {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { data: claimed, error } = await supabase
+      .from("idempotency_keys")
+      .insert({
+        user_id: user.id,
+        idempotency_key: key,
+        request_method: method,
+        request_path: path,
+        request_hash: requestHash,
+        expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString(),
+      })
+      .select("id")
+      .single()
+
+    if (!error) return { claimed }
+    if (error.code !== "23505") throw error
+
+    const { data: existing, error: fetchError } = await supabase
+      .from("idempotency_keys")
+      .select("*")
+      .eq("user_id", user.id)
+      .eq("idempotency_key", key)
+      .maybeSingle()
+
+    if (fetchError) throw fetchError
+    if (existing && new Date(existing.expires_at) > new Date() && !isAbandoned(existing, leaseMinutes)) {
+      return { existing }
+    }
+
+    // Expired, abandoned or just released: free the key and claim it again
+    if (existing) {
+      if (isAbandoned(existing, leaseMinutes)) {
+        logger.warn(`Reclaiming abandoned idempotency key ${key} for ${user.email}`)
+      }
+      await supabase.from("idempotency_keys").delete().eq("id", existing.id)
+    }
+  }
+
+  throw new Error(`Idempotency key ${key} could not be claimed`)
+}
+
+/**
+ * Start a request sent with an Idempotency-Key header. Keys are per user;
+ * reusing one with a different method, path or body is refused with a 422,
+ * and one whose first request is still running with a 409 until that request
+ * finishes or its lease runs out. Resolves to one of
+ *   { claimId }                   run the request, then call finishIdempotentRequest()
+ *   { replay: { status, body } }  the stored response of the first request
+ *   { error: { status, error, message } }
+ */
+const beginIdempotentRequest = async (
+  supabase,
+  user,
+  { key, method, path, body },
+  {
+    ttlHours = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || DEFAULT_TTL_HOURS,
+    leaseMinutes = Number(process.env.IDEMPOTENCY_KEY_LEASE_MINUTES) || DEFAULT_LEASE_MINUTES,
+  } = {},
+) => {
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return {
+      error: {
+        status: 400,
+        error: "Invalid idempotency key",
+        message: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`,
+      },
+    }
+  }
+
+  const requestHash = requestFingerprint(method, path, body)
+  const { claimed, existing } = await claimKey(supabase, user, {
+    key,
+    method,
+    path,
+    requestHash,
+    ttlHours,
+    leaseMinutes,
+  })
+
+  if (claimed) return { claimId: claimed.id }
+
+  if (existing.request_hash !== requestHash) {
+    return {
+      error: {
+        status: 422,
+        error: "Idempotency key reused",
+        message: "This Idempotency-Key was already used for a different request",
+      },
+    }
+  }
+
+  if (existing.response_status === null) {
+    return {
+      error: {
+        status: 409,
+        error: "Request in progress",
+        message: "The first request with this Idempotency-Key has not finished yet",
+      },
+    }
+  }
+
+  logger.info(`Idempotent replay: ${method} ${path} for ${user.email}`)
+  return { replay: { status: existing.response_status, body: existing.response_body } }
+}
+
+// Store the response for replays, or release the key after a server error so
+// the request can be retried. Works on this request's own claim, so a request
+// that outlived its lease leaves the retry that reclaimed the key alone.
+const finishIdempotentRequest = async (supabase, claimId, status, body) => {
+  if (status >= 500 || body === undefined) {
+    const { error } = await supabase.from("idempotency_keys").delete().eq("id", claimId)
+    if (error) throw error
+    return
+  }
+
+  const { error } = await supabase
+    .from("idempotency_keys")
+    .update({
+      response_status: status,
+      response_body: body,
+      completed_at: new Date().toISOString(),
+    })
+    .eq("id", claimId)
+    .is("response_status", null)
+  if (error) throw error
+}
+
+module.exports = {
+  MAX_KEY_LENGTH,
+  canonicalJson,
+  requestFingerprint,
+  beginIdempotentRequest,
+  finishIdempotentRequest,
+}
@@ -0,0 +1,108 @@
+const fs = require("fs/promises")
+const path = require("path")
+
+// Where uploaded token images are kept, keyed by CID. Pick a backend with
+// IMAGE_STORAGE:
+//
+// - local (default): files under IMAGE_STORAGE_DIR (./uploads/images)
+// - ipfs:            added and pinned on the IPFS node at IPFS_API_URL
+//
+// Any object with put(cid, bytes, mediaType) and get(cid) can be installed
+// with setImageStorage().
+
+class ImageStorageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "ImageStorageError"
+  }
+}
+
+class LocalImageStorage {
+  constructor(directory) {
+    this.directory = directory
+  }
+
+  async put(cid, bytes) {
+    await fs.mkdir(this.directory, { recursive: true })
+    try {
+      // Content-addressed, so an existing file already holds these bytes
+      await fs.writeFile(path.join(this.directory, cid), bytes, { flag: "wx" })
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error
+    }
+  }
+
+  async get(cid) {
+    try {
+      return await fs.readFile(path.join(this.directory, cid))
+    } catch (error) {
+      if (error.code === "ENOENT") return null
+      throw error
+    }
+  }
+}
+
+class IpfsImageStorage {
+  constructor(apiUrl) {
+    this.apiUrl = apiUrl.replace(/\/+$/, "")
+  }
+
+  async put(cid, bytes, mediaType) {
+    const form = new FormData()
+    form.append("file", new Blob([bytes], { type: mediaType }), cid)
+
+    const response = await fetch(`${this.apiUrl}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`, {
+      method: "POST",
+      body: form,
+      signal: AbortSignal.timeout(30000),
+    })
+    if (!response.ok) {
+      throw new ImageStorageError(`IPFS node rejected the image (HTTP ${response.status})`)
+    }
+
+    const { Hash } = await response.json()
+    if (Hash !== cid) {
+      throw new ImageStorageError(`IPFS node stored the image as ${Hash}, expected ${cid}`)
+    }
+  }
+
+  async get(cid) {
+    const response = await fetch(`${this.apiUrl}/api/v0/cat?arg=${encodeURIComponent(cid)}`, {
+      method: "POST",
+      signal: AbortSignal.timeout(30000),
+    })
+    if (!response.ok) return null
+
+    return Buffer.from(await response.arrayBuffer())
+  }
+}
+
+const createImageStorage = () => {
+  switch (process.env.IMAGE_STORAGE || "local") {
+    case "local":
+      return new LocalImageStorage(process.env.IMAGE_STORAGE_DIR || path.join(process.cwd(), "uploads", "images"))
+    case "ipfs":
+      return new IpfsImageStorage(process.env.IPFS_API_URL || "http://127.0.0.1:5001")
+    default:
+      throw new ImageStorageError(`Unknown IMAGE_STORAGE backend: ${process.env.IMAGE_STORAGE}`)
+  }
+}
+
+let imageStorage = null
+
+const getImageStorage = () => {
+  if (!imageStorage) imageStorage = createImageStorage()
+  return imageStorage
+}
+
+const setImageStorage = (storage) => {
+  imageStorage = storage
+}
+
+module.exports = {
+  ImageStorageError,
+  LocalImageStorage,
+  IpfsImageStorage,
+  getImageStorage,
+  setImageStorage,
+}
@@ -0,0 +1,35 @@
+// ipfs:// URIs and the HTTP URLs used to display them. Safe to import from
+// client components.
+//
+// NEXT_PUBLIC_IPFS_GATEWAY_URL points at an IPFS gateway (e.g. https://ipfs.io).
+// Without it, images are served by this app from /api/public/images/<cid>.
+
+const IPFS_URI_PREFIX = "ipfs://"
+
+// CIDv0 (Qm...) or base32 CIDv1, optionally followed by a path
+const IPFS_URI_PATTERN = /^ipfs:\/\/(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})(\/\S*)?$/
+
+const ipfsUri = (cid) => `${IPFS_URI_PREFIX}${cid}`
+
+const isIpfsUri = (uri) => typeof uri === "string" && uri.startsWith(IPFS_URI_PREFIX)
+
+// The CID (plus any path) of an ipfs:// URI, or null for other URIs
+const cidFromUri = (uri) => (isIpfsUri(uri) ? uri.slice(IPFS_URI_PREFIX.length) : null)
+
+// HTTP URL for displaying `uri`; other URLs are returned unchanged
+const gatewayUrl = (uri) => {
+  const cid = cidFromUri(uri)
+  if (cid === null) return uri
+
+  const gateway = process.env.NEXT_PUBLIC_IPFS_GATEWAY_URL
+  return gateway ? `${gateway.replace(/\/+$/, "")}/ipfs/${cid}` : `/api/public/images/${cid}`
+}
+
+module.exports = {
+  IPFS_URI_PREFIX,
+  IPFS_URI_PATTERN,
+  ipfsUri,
+  isIpfsUri,
+  cidFromUri,
+  gatewayUrl,
+}
@@ -0,0 +1,199 @@
+const { query } = require("express-validator")
+
+// Shared filtering, sorting and pagination for list endpoints. Each list
+// declares which filters and sort fields it offers; requests then page with
+// an opaque cursor (keyset on the sort field and id, no row count). Passing
+// `offset` instead still pages the old way, with an exact total.
+
+class ListQueryError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "ListQueryError"
+  }
+}
+
+/**
+ * Describe a list endpoint. Sort fields must be NOT NULL columns of the
+ * listed table, which must have an `id` column.
+ *
+ *   rangeFilters   { name: column } → min_<name> / max_<name> (integers)
+ *   equalFilters   { name: column } → <name> (UUIDs)
+ *   prefixFilters  { name: column } → <name> (hex prefixes)
+ */
+const defineList = (config) => ({
+  defaultLimit: 20,
+  maxLimit: 100,
+  sortFields: ["created_at"],
+  defaultSort: "created_at",
+  dateColumn: "created_at",
+  rangeFilters: {},
+  equalFilters: {},
+  prefixFilters: {},
+  ...config,
+})
+
+const listValidators = (list) => [
+  query("limit").optional().isInt({ min: 1, max: list.maxLimit }),
+  query("offset").optional().isInt({ min: 0 }),
+  query("cursor").optional().isBase64({ urlSafe: true }).withMessage("Invalid cursor"),
+  query("sort")
+    .optional()
+    .isIn(list.sortFields)
+    .withMessage(`Sort must be one of: ${list.sortFields.join(", ")}`),
+  query("order").optional().isIn(["asc", "desc"]).withMessage("Order must be asc or desc"),
+  query("from").optional().isISO8601().withMessage("from must be an ISO 8601 date"),
+  query("to").optional().isISO8601().withMessage("to must be an ISO 8601 date"),
+  ...Object.keys(list.rangeFilters).flatMap((name) => [
+    query(`min_${name}`).optional().isInt({ min: 0 }).withMessage(`min_${name} must be a non-negative integer`),
+    query(`max_${name}`).optional().isInt({ min: 0 }).withMessage(`max_${name} must be a non-negative integer`),
+  ]),
+  ...Object.keys(list.equalFilters).map((name) => query(name).optional().isUUID().withMessage(`Invalid ${name}`)),
+  ...Object.keys(list.prefixFilters).map((name) =>
+    query(name)
+      .optional()
+      .isHexadecimal()
+      .isLength({ max: 64 })
+      .withMessage(`${name} must be a hex prefix of at most 64 characters`),
+  ),
+]
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString("base64url")
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, "base64url").toString("utf8"))
+    if (cursor && typeof cursor === "object" && "value" in cursor && typeof cursor.id === "string") return cursor
+  } catch {
+    // Reported below
+  }
+  throw new ListQueryError("Invalid cursor")
+}
+
+/**
+ * Read a validated request query into a page description. Throws a
+ * ListQueryError for cursors that are malformed or belong to another sort.
+ */
+const parseListQuery = (list, params) => {
+  const sort = params.sort || list.defaultSort
+  const ascending = params.order === "asc"
+  const cursor = params.cursor ? decodeCursor(params.cursor) : null
+
+  if (cursor && params.offset !== undefined) {
+    throw new ListQueryError("Use either cursor or offset, not both")
+  }
+
+  if (cursor && (cursor.sort !== sort || cursor.ascending !== ascending)) {
+    throw new ListQueryError("The cursor belongs to a different sort; start again without it")
+  }
+
+  if (params.from && params.to && new Date(params.to) <= new Date(params.from)) {
+    throw new ListQueryError("to must be after from")
+  }
+
+  for (const name of Object.keys(list.rangeFilters)) {
+    const min = params[`min_${name}`]
+    const max = params[`max_${name}`]
+    if (min !== undefined && max !== undefined && Number(max) < Number(min)) {
+      throw new ListQueryError(`max_${name} must not be less than min_${name}`)
+    }
+  }
+
+  return {
+    list,
+    params,
+    limit: Number.parseInt(params.limit) || list.defaultLimit,
+    offset: params.offset === undefined ? null : Number.parseInt(params.offset),
+    sort,
+    ascending,
+    cursor,
+  }
+}
+
+// Options for .select(): only offset paging counts rows
+const listSelectOptions = (page) => (page.offset === null ? {} : { count: "exact" })
+
+// Double-quoted PostgREST value, safe inside or=(...)
+const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`
+
+/**
+ * Apply the page's filters, order and window to a query built with
+ * listSelectOptions(page).
+ */
+const applyListQuery = (builder, page) => {
+  const { list, params } = page
+  let q = builder
+
+  if (params.from) q = q.gte(list.dateColumn, new Date(params.from).toISOString())
+  if (params.to) q = q.lt(list.dateColumn, new Date(params.to).toISOString())
+
+  for (const [name, column] of Object.entries(list.rangeFilters)) {
+    if (params[`min_${name}`] !== undefined) q = q.gte(column, params[`min_${name}`])
+    if (params[`max_${name}`] !== undefined) q = q.lte(column, params[`max_${name}`])
+  }
+
+  for (const [name, column] of Object.entries(list.equalFilters)) {
+    if (params[name]) q = q.eq(column, params[name])
+  }
+
+  for (const [name, column] of Object.entries(list.prefixFilters)) {
+    if (params[name]) q = q.like(column, `${params[name].toLowerCase()}%`)
+  }
+
+  // Rows after the cursor: past its sort value, or level with it and past its id
+  if (page.cursor) {
+    const op = page.ascending ? "gt" : "lt"
+    const value = quoteFilterValue(page.cursor.value)
+    q = q.or(`${page.sort}.${op}.${value},and(${page.sort}.eq.${value},id.${op}.${quoteFilterValue(page.cursor.id)})`)
+  }
+
+  q = q.order(page.sort, { ascending: page.ascending }).order("id", { ascending: page.ascending })
+
+  // One extra row tells whether there is a next page
+  return page.offset === null ? q.limit(page.limit + 1) : q.range(page.offset, page.offset + page.limit - 1)
+}
+
+/**
+ * Split fetched rows into the page's items and its pagination block:
+ * { limit, hasMore, nextCursor } for cursor paging, plus total and offset
+ * for offset paging.
+ */
+const listPage = (page, rows, count) => {
+  if (page.offset !== null) {
+    const items = rows || []
+    return {
+      items,
+      pagination: {
+        total: count,
+        limit: page.limit,
+        offset: page.offset,
+        hasMore: count > page.offset + page.limit,
+      },
+    }
+  }
+
+  const items = (rows || []).slice(0, page.limit)
+  const hasMore = (rows || []).length > page.limit
+  const last = items[items.length - 1]
+
+  return {
+    items,
+    pagination: {
+      limit: page.limit,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor({ sort: page.sort, ascending: page.ascending, value: last[page.sort], id: last.id })
+        : null,
+    },
+  }
+}
+
+module.exports = {
+  ListQueryError,
+  defineList,
+  listValidators,
+  parseListQuery,
+  listSelectOptions,
+  applyListQuery,
+  listPage,
+  quoteFilterValue,
+}
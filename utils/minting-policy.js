@@ -0,0 +1,276 @@
+const { blake2b } = require("blakejs")
+const { encode } = require("./cbor")
+const { dateToSlot, slotToDate } = require("../config/cardano")
+
+const MINTING_POLICIES = ["unlimited", "limited", "time-locked", "custom"]
+
+const KEY_HASH_PATTERN = /^[0-9a-f]{56}$/
+const MAX_SCRIPT_DEPTH = 8
+
+class MintingPolicyError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "MintingPolicyError"
+  }
+}
+
+// Validate a native script in cardano-cli JSON form (sig / before / after / all / any / atLeast)
+const validateNativeScript = (script, depth = 0) => {
+  if (depth > MAX_SCRIPT_DEPTH) {
+    throw new MintingPolicyError(`Native script exceeds maximum nesting depth of ${MAX_SCRIPT_DEPTH}`)
+  }
+
+  if (!script || typeof script !== "object" || Array.isArray(script)) {
+    throw new MintingPolicyError("Native script must be an object")
+  }
+
+  switch (script.type) {
+    case "sig":
+      if (typeof script.keyHash !== "string" || !KEY_HASH_PATTERN.test(script.keyHash)) {
+        throw new MintingPolicyError("sig clause requires a 56 character hex keyHash")
+      }
+      return
+
+    case "before":
+    case "after":
+      if (!Number.isSafeInteger(script.slot) || script.slot < 0) {
+        throw new MintingPolicyError(`${script.type} clause requires a non-negative integer slot`)
+      }
+      return
+
+    case "all":
+    case "any":
+    case "atLeast":
+      if (!Array.isArray(script.scripts) || script.scripts.length === 0) {
+        throw new MintingPolicyError(`${script.type} clause requires a non-empty scripts array`)
+      }
+      if (
+        script.type === "atLeast" &&
+        (!Number.isSafeInteger(script.required) || script.required < 1 || script.required > script.scripts.length)
+      ) {
+        throw new MintingPolicyError("atLeast clause requires between 1 and scripts.length signatures")
+      }
+      script.scripts.forEach((child) => validateNativeScript(child, depth + 1))
+      return
+
+    default:
+      throw new MintingPolicyError(`Unknown native script type: ${script.type}`)
+  }
+}
+
+// Convert the JSON form to the ledger's CDDL representation
+const toLedgerScript = (script) => {
+  switch (script.type) {
+    case "sig":
+      return [0, Buffer.from(script.keyHash, "hex")]
+    case "all":
+      return [1, script.scripts.map(toLedgerScript)]
+    case "any":
+      return [2, script.scripts.map(toLedgerScript)]
+    case "atLeast":
+      return [3, script.required, script.scripts.map(toLedgerScript)]
+    case "after":
+      return [4, script.slot]
+    case "before":
+      return [5, script.slot]
+  }
+}
+
+const nativeScriptToCbor = (script) => {
+  return encode(toLedgerScript(script))
+}
+
+// Policy ID = blake2b-224 over the script CBOR prefixed with the native script tag (0x00)
+const policyIdFromScript = (script) => {
+  const tagged = Buffer.concat([Buffer.from([0x00]), nativeScriptToCbor(script)])
+  return Buffer.from(blake2b(tagged, undefined, 28)).toString("hex")
+}
+
+// Find the earliest "before" slot that constrains every minting path, if any
+const findLockSlot = (script) => {
+  switch (script.type) {
+    case "before":
+      return script.slot
+    case "all": {
+      const slots = script.scripts.map(findLockSlot).filter((slot) => slot !== null)
+      return slots.length > 0 ? Math.min(...slots) : null
+    }
+    case "any":
+    case "atLeast": {
+      const slots = script.scripts.map(findLockSlot)
+      return slots.every((slot) => slot !== null) ? Math.max(...slots) : null
+    }
+    default:
+      return null
+  }
+}
+
+// Find the earliest slot from which some minting path can be satisfied, if any path waits on an "after" clause
+const findStartSlot = (script) => {
+  switch (script.type) {
+    case "after":
+      return script.slot
+    case "all": {
+      const slots = script.scripts.map(findStartSlot).filter((slot) => slot !== null)
+      return slots.length > 0 ? Math.max(...slots) : null
+    }
+    case "any":
+    case "atLeast": {
+      const slots = script.scripts.map(findStartSlot)
+      return slots.every((slot) => slot !== null) ? Math.min(...slots) : null
+    }
+    default:
+      return null
+  }
+}
+
+// All key hashes referenced by sig clauses anywhere in the script
+const collectKeyHashes = (script) => {
+  if (script.type === "sig") {
+    return [script.keyHash]
+  }
+  return (script.scripts || []).flatMap(collectKeyHashes)
+}
+
+const buildSignatureClause = (keyHashes, requiredSignatures) => {
+  const normalized = (keyHashes || []).map((keyHash) => String(keyHash).toLowerCase())
+
+  if (normalized.length === 0) {
+    throw new MintingPolicyError("At least one policy key hash is required")
+  }
+
+  normalized.forEach((keyHash) => {
+    if (!KEY_HASH_PATTERN.test(keyHash)) {
+      throw new MintingPolicyError(`Invalid policy key hash: ${keyHash}`)
+    }
+  })
+
+  if (new Set(normalized).size !== normalized.length) {
+    throw new MintingPolicyError("Policy key hashes must be unique")
+  }
+
+  const signatures = normalized.map((keyHash) => ({ type: "sig", keyHash }))
+
+  if (signatures.length === 1) {
+    return signatures[0]
+  }
+
+  const required = requiredSignatures ?? signatures.length
+  if (!Number.isSafeInteger(required) || required < 1 || required > signatures.length) {
+    throw new MintingPolicyError("Required signatures must be between 1 and the number of key hashes")
+  }
+
+  return required === signatures.length
+    ? { type: "all", scripts: signatures }
+    : { type: "atLeast", required, scripts: signatures }
+}
+
+const buildLockClause = (lockUntil) => {
+  const lockDate = new Date(lockUntil)
+
+  if (!lockUntil || Number.isNaN(lockDate.getTime())) {
+    throw new MintingPolicyError("A valid lock_until date is required")
+  }
+
+  if (lockDate.getTime() <= Date.now()) {
+    throw new MintingPolicyError("lock_until must be in the future")
+  }
+
+  return { type: "before", slot: dateToSlot(lockDate) }
+}
+
+/**
+ * Build the native minting script for one of the form's policy choices and derive its policy ID.
+ *
+ * - unlimited:   signature clause only
+ * - limited:     signature clause, plus a "before" lock when lock_until is given
+ * - time-locked: signature clause AND "before" lock at lock_until
+ * - custom:      caller-supplied native script JSON, validated as-is
+ */
+const buildMintingPolicy = ({ mintingPolicy, keyHashes, requiredSignatures, lockUntil, customScript }) => {
+  let script
+
+  switch (mintingPolicy) {
+    case "unlimited":
+      script = buildSignatureClause(keyHashes, requiredSignatures)
+      break
+
+    case "limited": {
+      const signatureClause = buildSignatureClause(keyHashes, requiredSignatures)
+      script = lockUntil ? { type: "all", scripts: [signatureClause, buildLockClause(lockUntil)] } : signatureClause
+      break
+    }
+
+    case "time-locked":
+      script = {
+        type: "all",
+        scripts: [buildSignatureClause(keyHashes, requiredSignatures), buildLockClause(lockUntil)],
+      }
+      break
+
+    case "custom":
+      script = typeof customScript === "string" ? parseCustomScript(customScript) : customScript
+      break
+
+    default:
+      throw new MintingPolicyError(`Unsupported minting policy: ${mintingPolicy}`)
+  }
+
+  validateNativeScript(script)
+
+  const lockSlot = findLockSlot(script)
+
+  return {
+    script,
+    policyId: policyIdFromScript(script),
+    lockSlot,
+    // The database checks the lock by time, as it does not know the network
+    lockTime: lockSlot === null ? null : slotToDate(lockSlot),
+  }
+}
+
+/**
+ * Check that a token's policy still allows minting `amount` more base units:
+ * the policy's lock slot must not have passed and a limited token must stay
+ * within max_supply. Throws a MintingPolicyError otherwise.
+ */
+const assertMintAllowed = (token, amount, date = new Date()) => {
+  if (token.policy_lock_slot !== null && token.policy_lock_slot !== undefined) {
+    if (dateToSlot(date) >= Number(token.policy_lock_slot)) {
+      throw new MintingPolicyError(
+        `Minting policy locked at slot ${token.policy_lock_slot} (${slotToDate(Number(token.policy_lock_slot)).toISOString()})`,
+      )
+    }
+  }
+
+  if (token.max_supply !== null && token.max_supply !== undefined) {
+    const newSupply = BigInt(token.total_supply || 0) + BigInt(amount)
+    if (newSupply > BigInt(token.max_supply)) {
+      throw new MintingPolicyError(
+        `Minting ${amount} would bring supply to ${newSupply}, above the maximum supply of ${token.max_supply}`,
+      )
+    }
+  }
+}
+
+const parseCustomScript = (customScript) => {
+  try {
+    return JSON.parse(customScript)
+  } catch {
+    throw new MintingPolicyError("Custom script must be valid JSON")
+  }
+}
+
+module.exports = {
+  MINTING_POLICIES,
+  MintingPolicyError,
+  validateNativeScript,
+  toLedgerScript,
+  nativeScriptToCbor,
+  policyIdFromScript,
+  findLockSlot,
+  findStartSlot,
+  collectKeyHashes,
+  buildMintingPolicy,
+  assertMintAllowed,
+}
@@ -0,0 +1,250 @@
+const { blake2b } = require("blakejs")
+const bech32 = require("./bech32")
+const { Tagged, encode, decode, rawArrayItems } = require("./cbor")
+const { ADDRESS_PREFIXES } = require("./cardano-validation")
+const { SLOTS_PER_BLOCK, ChainProviderError, sumUtxos } = require("./chain-provider")
+const { dateToSlot } = require("../config/cardano")
+
+// Deterministic in-memory ledger implementing the chain provider interface,
+// for local development (CHAIN_PROVIDER=mock) and tests. Every submitted
+// transaction goes into a block of its own; advance() adds empty blocks for
+// confirmation depth and rollback() drops the latest blocks, restoring the
+// UTxOs their transactions spent. Blocks are 20 slots apart but never behind
+// `clock` (wall-clock slots by default; pass a fixed clock in tests). Inputs,
+// validity interval and value balance are checked; signatures and scripts are not.
+
+const MOCK_FUNDING_LOVELACE = 10000000000n
+
+const MOCK_PROTOCOL_PARAMETERS = {
+  minFeeA: 44n,
+  minFeeB: 155381n,
+  coinsPerUtxoByte: 4310n,
+  maxTxSize: 16384,
+  maxValueSize: 5000,
+  priceMemory: { numerator: 577n, denominator: 10000n },
+  priceSteps: { numerator: 721n, denominator: 10000000n },
+}
+
+const hash256 = (bytes) => Buffer.from(blake2b(bytes, undefined, 32)).toString("hex")
+
+// script_ref = #6.24(bytes .cbor [language, script]); native scripts hash with
+// their CBOR, Plutus scripts with their bytes, each behind the language tag
+const referenceScriptHash = (scriptRef) => {
+  const [language, script] = decode(scriptRef.value)
+  const bytes = language === 0 ? encode(script) : script
+  return Buffer.from(blake2b(Buffer.concat([Buffer.from([language]), bytes]), undefined, 28)).toString("hex")
+}
+
+const utxoKey = (txHash, outputIndex) => `${txHash}#${outputIndex}`
+
+// { policy_id => { asset_name => quantity } } to { <unit>: bigint }
+const flattenMultiasset = (multiasset) => {
+  const assets = {}
+  for (const [policyId, names] of multiasset || new Map()) {
+    for (const [assetName, quantity] of names) {
+      const unit = policyId.toString("hex") + assetName.toString("hex")
+      assets[unit] = (assets[unit] || 0n) + BigInt(quantity)
+    }
+  }
+  return assets
+}
+
+const decodeValue = (value) => {
+  return Array.isArray(value)
+    ? { lovelace: BigInt(value[0]), assets: flattenMultiasset(value[1]) }
+    : { lovelace: BigInt(value), assets: {} }
+}
+
+// Legacy [address, value, datum_hash?] and post-Alonzo map outputs
+const decodeOutput = (output) => {
+  const address = output instanceof Map ? output.get(0) : output[0]
+  const value = decodeValue(output instanceof Map ? output.get(1) : output[1])
+
+  let datumHash = output instanceof Map ? null : output[2] || null
+  let inlineDatum = null
+  const datum = output instanceof Map ? output.get(2) : null
+  if (datum) {
+    if (datum[0] === 0) {
+      datumHash = datum[1]
+    } else if (datum[1] instanceof Tagged) {
+      inlineDatum = datum[1].value.toString("hex")
+    }
+  }
+
+  return {
+    address: bech32.encode(ADDRESS_PREFIXES[address[0] & 0x0f], address),
+    ...value,
+    datumHash: datumHash ? datumHash.toString("hex") : null,
+    inlineDatum,
+    referenceScriptHash: output instanceof Map && output.has(3) ? referenceScriptHash(output.get(3)) : null,
+  }
+}
+
+const sameAssets = (a, b) => {
+  const units = new Set([...Object.keys(a), ...Object.keys(b)])
+  return Array.from(units).every((unit) => (a[unit] || 0n) === (b[unit] || 0n))
+}
+
+class MockLedger {
+  constructor({ parameters = MOCK_PROTOCOL_PARAMETERS, clock = () => dateToSlot(new Date()) } = {}) {
+    this.parameters = parameters
+    this.clock = clock
+    this.utxos = new Map()
+    this.blocks = []
+    this.transactions = new Map()
+    this.genesis = { slot: clock(), blockHash: hash256(Buffer.from("genesis")), blockHeight: 0 }
+    this.fundings = 0
+  }
+
+  get tip() {
+    const block = this.blocks[this.blocks.length - 1]
+    return block ? { slot: block.slot, blockHash: block.hash, blockHeight: block.height } : { ...this.genesis }
+  }
+
+  // Create a UTxO at `address` out of thin air and return it
+  fund(address, lovelace, assets = {}) {
+    this.fundings++
+    const utxo = {
+      txHash: hash256(Buffer.from(`funding:${this.fundings}`)),
+      outputIndex: 0,
+      address,
+      lovelace: BigInt(lovelace),
+      assets: Object.fromEntries(Object.entries(assets).map(([unit, quantity]) => [unit, BigInt(quantity)])),
+      datumHash: null,
+      inlineDatum: null,
+      referenceScriptHash: null,
+    }
+    this.utxos.set(utxoKey(utxo.txHash, 0), utxo)
+    return utxo
+  }
+
+  nextSlot() {
+    return Math.max(this.tip.slot + SLOTS_PER_BLOCK, this.clock())
+  }
+
+  addBlock(transactions) {
+    const tip = this.tip
+    const block = {
+      height: tip.blockHeight + 1,
+      slot: this.nextSlot(),
+      transactions,
+    }
+    block.hash = hash256(Buffer.from(`${tip.blockHash}:${block.height}:${transactions.map((tx) => tx.txHash).join(",")}`))
+    this.blocks.push(block)
+    transactions.forEach((transaction) => this.transactions.set(transaction.txHash, block))
+    return block
+  }
+
+  // Add `count` empty blocks
+  advance(count = 1) {
+    for (let index = 0; index < count; index++) this.addBlock([])
+    return this.tip
+  }
+
+  // Drop the latest `count` blocks and undo their transactions
+  rollback(count = 1) {
+    for (let index = 0; index < count && this.blocks.length > 0; index++) {
+      const block = this.blocks.pop()
+      for (const transaction of [...block.transactions].reverse()) {
+        transaction.created.forEach((key) => this.utxos.delete(key))
+        transaction.spent.forEach((utxo) => this.utxos.set(utxoKey(utxo.txHash, utxo.outputIndex), utxo))
+        this.transactions.delete(transaction.txHash)
+      }
+    }
+    return this.tip
+  }
+
+  async getUtxos(address) {
+    return Array.from(this.utxos.values()).filter((utxo) => utxo.address === address)
+  }
+
+  async getProtocolParameters() {
+    return { ...this.parameters }
+  }
+
+  async submitTransaction(cborHex) {
+    let items
+    let body
+    try {
+      items = rawArrayItems(Buffer.from(cborHex, "hex"))
+      body = decode(items[0])
+    } catch (error) {
+      throw new ChainProviderError(`Invalid transaction CBOR: ${error.message}`, 400)
+    }
+
+    const txHash = hash256(items[0])
+    if (this.transactions.has(txHash)) {
+      throw new ChainProviderError(`Transaction ${txHash} is already on chain`, 400)
+    }
+
+    const slot = this.nextSlot()
+    const ttl = body.get(3)
+    if (ttl !== undefined && slot >= ttl) {
+      throw new ChainProviderError(`Transaction expired at slot ${ttl}`, 400)
+    }
+    const validityStart = body.get(8)
+    if (validityStart !== undefined && slot < validityStart) {
+      throw new ChainProviderError(`Transaction is not valid before slot ${validityStart}`, 400)
+    }
+
+    // Conway-era sets may carry tag 258
+    const inputs = body.get(0) instanceof Tagged ? body.get(0).value : body.get(0)
+    const spent = inputs.map(([inputHash, outputIndex]) => {
+      const utxo = this.utxos.get(utxoKey(inputHash.toString("hex"), outputIndex))
+      if (!utxo) {
+        throw new ChainProviderError(`Input ${inputHash.toString("hex")}#${outputIndex} is spent or unknown`, 400)
+      }
+      return utxo
+    })
+
+    const outputs = body.get(1).map(decodeOutput)
+    const fee = BigInt(body.get(2))
+    const mint = flattenMultiasset(body.get(9))
+
+    const consumed = sumUtxos(spent)
+    const produced = sumUtxos(outputs)
+    for (const [unit, quantity] of Object.entries(mint)) {
+      consumed.assets[unit] = (consumed.assets[unit] || 0n) + quantity
+    }
+    if (consumed.lovelace !== produced.lovelace + fee || !sameAssets(consumed.assets, produced.assets)) {
+      throw new ChainProviderError("Transaction is not balanced", 400)
+    }
+
+    const created = outputs.map((output, outputIndex) => {
+      const key = utxoKey(txHash, outputIndex)
+      this.utxos.set(key, { txHash, outputIndex, ...output })
+      return key
+    })
+    spent.forEach((utxo) => this.utxos.delete(utxoKey(utxo.txHash, utxo.outputIndex)))
+
+    this.addBlock([{ txHash, spent, created }])
+    return txHash
+  }
+
+  async getTransactionStatus(txHash, tip = this.tip) {
+    const block = this.transactions.get(txHash)
+    if (!block) return null
+
+    return {
+      txHash,
+      slot: block.slot,
+      blockHash: block.hash,
+      blockHeight: block.height,
+      confirmations: tip.blockHeight - block.height + 1,
+    }
+  }
+
+  async getAddressAssets(address) {
+    return sumUtxos(await this.getUtxos(address))
+  }
+
+  async getTip() {
+    return this.tip
+  }
+}
+
+module.exports = {
+  MOCK_FUNDING_LOVELACE,
+  MOCK_PROTOCOL_PARAMETERS,
+  MockLedger,
+}
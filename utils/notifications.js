@@ -130,4 +130,38 @@ notifications.addTemplate("security_alert", {
   type: "email",
 })
 
+notifications.addTemplate("token_transfer_requested", {
+  subject: "Token Transfer Waiting for You",
+  content:
+    "{{from_email}} wants to transfer ownership of {{token_name}} ({{symbol}}) to you. {{message}}Accept the transfer before {{expires_at}}: {{accept_url}}",
+  type: "email",
+})
+
+notifications.addTemplate("token_transfer_sent", {
+  subject: "Token Transfer Started",
+  content:
+    "You started transferring {{token_name}} ({{symbol}}) to {{to_email}}. You remain the owner until they accept; you can cancel the transfer until {{expires_at}}.",
+  type: "email",
+})
+
+notifications.addTemplate("token_transfer_cancelled", {
+  subject: "Token Transfer Cancelled",
+  content: "{{from_email}} cancelled the transfer of {{token_name}} ({{symbol}}) to {{to_email}}.",
+  type: "email",
+})
+
+notifications.addTemplate("token_transfer_completed", {
+  subject: "Token Transfer Completed",
+  content:
+    "Ownership of {{token_name}} ({{symbol}}) has moved from {{from_email}} to {{to_email}}, along with its transactions, vesting schedules, security policies and multi-sig wallets.",
+  type: "email",
+})
+
+notifications.addTemplate("organization_invitation", {
+  subject: "You're Invited to {{organization_name}}",
+  content:
+    "{{inviter_email}} invited you to join {{organization_name}} as {{role}}. Accept the invitation before {{expires_at}}: {{accept_url}}",
+  type: "email",
+})
+
 module.exports = notifications
@@ -0,0 +1,150 @@
+const crypto = require("crypto")
+
+// Organizations (scripts/019_organizations.sql). Roles are ordered: each one
+// can do everything the roles after it can.
+//
+//   owner   manage members of any role and delete the organization
+//   admin   create and edit tokens, manage wallets, policies and invitations
+//   minter  mint, burn, vest and batch mint
+//   viewer  read everything the organization owns
+//
+// The database enforces the same rules through RLS; the checks here exist to
+// answer with a clear 403 instead of an empty result.
+
+const ORGANIZATION_ROLES = ["owner", "admin", "minter", "viewer"]
+
+const INVITATION_EXPIRY_DAYS = 7
+
+const roleRank = (role) => {
+  const index = ORGANIZATION_ROLES.indexOf(role)
+  return index === -1 ? 0 : ORGANIZATION_ROLES.length - index
+}
+
+const hasRole = (role, required) => roleRank(role) > 0 && roleRank(role) >= roleRank(required)
+
+// Owners grant owner and admin; admins grant minter and viewer
+const roleNeededToManage = (role) => (role === "owner" || role === "admin" ? "owner" : "admin")
+
+const createInvitationSecret = () => crypto.randomBytes(32).toString("base64url")
+
+const hashInvitationSecret = (secret) => crypto.createHash("sha256").update(String(secret)).digest("hex")
+
+const invitationAcceptUrl = (invitationId, secret) =>
+  `${process.env.FRONTEND_URL}/dashboard/invitations/${invitationId}?secret=${encodeURIComponent(secret)}`
+
+const getOrganizationRole = async (supabase, userId, organizationId) => {
+  const { data: member } = await supabase
+    .from("organization_members")
+    .select("role")
+    .eq("organization_id", organizationId)
+    .eq("user_id", userId)
+    .maybeSingle()
+
+  return member?.role || null
+}
+
+/**
+ * Check the user holds at least `role` in an organization. Resolves to
+ * { role, error } with error shaped like findTokenForRole's.
+ */
+const checkOrganizationRole = async (supabase, userId, organizationId, role) => {
+  const userRole = await getOrganizationRole(supabase, userId, organizationId)
+
+  if (!userRole) {
+    return {
+      role: null,
+      error: {
+        status: 404,
+        error: "Organization not found",
+        message: "Organization does not exist or you are not a member",
+      },
+    }
+  }
+
+  if (!hasRole(userRole, role)) {
+    return {
+      role: userRole,
+      error: {
+        status: 403,
+        error: "Insufficient role",
+        message: `This requires the ${role} role in the organization; you are a ${userRole}`,
+      },
+    }
+  }
+
+  return { role: userRole, error: null }
+}
+
+const memberOrganizationIds = async (supabase, userId) => {
+  const { data: memberships } = await supabase
+    .from("organization_members")
+    .select("organization_id")
+    .eq("user_id", userId)
+
+  return (memberships || []).map((membership) => membership.organization_id)
+}
+
+// The user's role on a token (which must include creator_id and
+// organization_id): personal tokens give their creator every role
+const tokenRole = async (supabase, userId, token) => {
+  if (!token.organization_id) {
+    return token.creator_id === userId ? "owner" : null
+  }
+  return getOrganizationRole(supabase, userId, token.organization_id)
+}
+
+/**
+ * Load a token the user may act on with at least `role`. Resolves to
+ * { data, role, error }, where error is { status, error, message }: 404 when
+ * the user has no access at all, 403 when their role is too low.
+ */
+const findTokenForRole = async (supabase, userId, tokenId, role, columns = "*") => {
+  const { data: token } = await supabase
+    .from("tokens")
+    .select(columns === "*" ? columns : `${columns}, creator_id, organization_id`)
+    .eq("id", tokenId)
+    .maybeSingle()
+
+  const userRole = token ? await tokenRole(supabase, userId, token) : null
+
+  if (!userRole) {
+    return {
+      data: null,
+      role: null,
+      error: {
+        status: 404,
+        error: "Token not found",
+        message: "Token does not exist or you don't have access to it",
+      },
+    }
+  }
+
+  if (!hasRole(userRole, role)) {
+    return {
+      data: null,
+      role: userRole,
+      error: {
+        status: 403,
+        error: "Insufficient role",
+        message: `This requires the ${role} role in the token's organization; you are a ${userRole}`,
+      },
+    }
+  }
+
+  return { data: token, role: userRole, error: null }
+}
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  INVITATION_EXPIRY_DAYS,
+  hasRole,
+  roleNeededToManage,
+  createInvitationSecret,
+  hashInvitationSecret,
+  invitationAcceptUrl,
+  getOrganizationRole,
+  checkOrganizationRole,
+  memberOrganizationIds,
+  tokenRole,
+  findTokenForRole,
+}
@@ -0,0 +1,94 @@
+// Per-token analytics backed by the token_analytics SQL function
+// (scripts/020_token_analytics.sql). Amounts are in base units and fees in
+// lovelace, like the transactions they are summed from.
+
+const ANALYTICS_GRANULARITIES = ["hour", "day", "week"]
+
+const BUCKET_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+}
+
+// Range used when the request gives no start date
+const DEFAULT_BUCKETS = { hour: 48, day: 30, week: 26 }
+
+const MAX_BUCKETS = 1000
+
+class AnalyticsError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "AnalyticsError"
+  }
+}
+
+/**
+ * Fill in the defaults for a requested range and check it is not too large.
+ * Throws an AnalyticsError.
+ */
+const resolveAnalyticsRange = ({ granularity = "day", from, to } = {}) => {
+  if (!ANALYTICS_GRANULARITIES.includes(granularity)) {
+    throw new AnalyticsError(`Granularity must be one of: ${ANALYTICS_GRANULARITIES.join(", ")}`)
+  }
+
+  const end = to ? new Date(to) : new Date()
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_BUCKETS[granularity] * BUCKET_MS[granularity])
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new AnalyticsError("from and to must be ISO 8601 dates")
+  }
+
+  if (end <= start) {
+    throw new AnalyticsError("to must be after from")
+  }
+
+  if ((end - start) / BUCKET_MS[granularity] > MAX_BUCKETS) {
+    throw new AnalyticsError(`A range may cover at most ${MAX_BUCKETS} ${granularity} buckets`)
+  }
+
+  return { granularity, from: start.toISOString(), to: end.toISOString() }
+}
+
+const toSeriesPoint = (row) => ({
+  bucket: new Date(row.bucket).toISOString(),
+  minted: Number(row.minted),
+  burned: Number(row.burned),
+  net_supply: Number(row.net_supply),
+  transaction_count: Number(row.transaction_count),
+  fees_ada: Number(row.fees_ada),
+})
+
+const summarizeSeries = (series) => ({
+  minted: series.reduce((sum, point) => sum + point.minted, 0),
+  burned: series.reduce((sum, point) => sum + point.burned, 0),
+  transaction_count: series.reduce((sum, point) => sum + point.transaction_count, 0),
+  fees_ada: series.reduce((sum, point) => sum + point.fees_ada, 0),
+  supply_start: series.length > 0 ? series[0].net_supply - series[0].minted + series[0].burned : null,
+  supply_end: series.length > 0 ? series[series.length - 1].net_supply : null,
+})
+
+/**
+ * Load a token's series for a resolved range. Resolves to { series, totals }
+ * or rejects with the Supabase error.
+ */
+const fetchTokenAnalytics = async (supabase, tokenId, { granularity, from, to }) => {
+  const { data, error } = await supabase.rpc("token_analytics", {
+    p_token_id: tokenId,
+    p_granularity: granularity,
+    p_from: from,
+    p_to: to,
+  })
+
+  if (error) throw error
+
+  const series = (data || []).map(toSeriesPoint)
+  return { series, totals: summarizeSeries(series) }
+}
+
+module.exports = {
+  ANALYTICS_GRANULARITIES,
+  MAX_BUCKETS,
+  AnalyticsError,
+  resolveAnalyticsRange,
+  fetchTokenAnalytics,
+}
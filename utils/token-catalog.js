@@ -0,0 +1,65 @@
+// Public token catalog, read from the token_catalog view
+// (scripts/015_public_token_catalog.sql). The view already hides draft and
+// reported tokens and joins in the current price.
+
+const CATALOG_COLUMNS = [
+  "id",
+  "token_name",
+  "symbol",
+  "policy_id",
+  "asset_name",
+  "fingerprint",
+  "decimals",
+  "total_supply",
+  "max_supply",
+  "description",
+  "image_url",
+  "token_standard",
+  "minting_policy",
+  "status",
+  "is_verified",
+  "verified_at",
+  "created_at",
+  "price_usd",
+  "price_ada",
+  "change_24h",
+  "volume_24h",
+  "market_cap",
+  "price_updated_at",
+].join(", ")
+
+// Catalog pages are the same for every visitor, so shared caches may keep them briefly
+const CATALOG_CACHE_CONTROL = "public, max-age=60, stale-while-revalidate=300"
+
+const CATALOG_DEFAULT_LIMIT = 20
+const CATALOG_MAX_LIMIT = 100
+
+/**
+ * Build the catalog query for one page. `search` is matched against name,
+ * symbol and description with web-search syntax ("quoted phrases", -exclude).
+ */
+const buildCatalogQuery = (
+  supabase,
+  { search, policyId, createdAfter, createdBefore, verified, limit = CATALOG_DEFAULT_LIMIT, offset = 0 },
+) => {
+  let query = supabase.from("token_catalog").select(CATALOG_COLUMNS, { count: "exact" })
+
+  if (search) query = query.textSearch("search_vector", search, { type: "websearch", config: "simple" })
+  if (policyId) query = query.eq("policy_id", policyId.toLowerCase())
+  if (createdAfter) query = query.gte("created_at", createdAfter)
+  if (createdBefore) query = query.lte("created_at", createdBefore)
+  if (verified !== undefined) query = query.eq("is_verified", verified)
+
+  // id breaks ties so pages stay stable when tokens share a creation time
+  return query
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: true })
+    .range(offset, offset + limit - 1)
+}
+
+module.exports = {
+  CATALOG_CACHE_CONTROL,
+  CATALOG_DEFAULT_LIMIT,
+  CATALOG_MAX_LIMIT,
+  buildCatalogQuery,
+}
@@ -0,0 +1,148 @@
+const { body, validationResult } = require("express-validator")
+const { ASSET_NAME_ENCODINGS, assetFingerprint, encodeAssetName } = require("./asset-name")
+const { MINTING_POLICIES, MintingPolicyError, buildMintingPolicy } = require("./minting-policy")
+const { USER_TOKEN_LABELS, buildCip68AssetNames } = require("./cip68")
+const { validateAssetName, validateKeyHash, validatorFor } = require("./cardano-validation")
+const { IPFS_URI_PATTERN, isIpfsUri } = require("./ipfs")
+const { validateSupplyAmount } = require("./token-supply")
+
+// Token creation, shared by POST /api/tokens (routes/tokens.js) and the
+// Next.js route (app/api/tokens/route.ts) so both accept the same bodies and
+// store the same rows.
+
+// total_supply and max_supply may be 0, and are otherwise amounts like any mint
+const validateSupply = (value) => {
+  if (value === 0 || value === "0" || !validateSupplyAmount(value)) return null
+  return "Supply must be a non-negative integer that fits in 64 bits; send values above 2^53 as a decimal string"
+}
+
+const tokenCreationValidators = [
+  body("token_name").notEmpty().withMessage("Token name is required"),
+  body("symbol").notEmpty().withMessage("Symbol is required"),
+  body("asset_name").custom((value, { req }) => validatorFor(validateAssetName, req.body.asset_name_encoding)(value)),
+  body("asset_name_encoding").optional().isIn(ASSET_NAME_ENCODINGS).withMessage("Asset name encoding must be utf8 or hex"),
+  body("token_standard").optional().isIn(["cip25", "cip68"]).withMessage("Invalid token standard"),
+  body("cip68_label")
+    .optional()
+    .isIn(Object.keys(USER_TOKEN_LABELS).map(Number))
+    .withMessage("CIP-68 label must be 222, 333 or 444"),
+  body("minting_policy").optional().isIn(MINTING_POLICIES).withMessage("Invalid minting policy"),
+  body("policy_key_hashes").optional().isArray({ min: 1, max: 16 }),
+  body("policy_key_hashes.*").custom(validatorFor(validateKeyHash)),
+  body("required_signatures").optional().isInt({ min: 1 }).toInt(),
+  body("lock_until").optional().isISO8601().withMessage("Lock until must be an ISO 8601 date"),
+  body("custom_script").optional().isObject().withMessage("Custom script must be a native script object"),
+  body("max_supply").optional().custom(validatorFor(validateSupply)),
+  body("decimals").optional().isInt({ min: 0, max: 18 }).withMessage("Decimals must be an integer from 0 to 18").toInt(),
+  body("total_supply").optional().custom(validatorFor(validateSupply)),
+  body("description").optional().isLength({ max: 1000 }),
+  body("image_url")
+    .optional()
+    .if((value) => !isIpfsUri(value))
+    .isURL(),
+  body("image_url").optional().if(isIpfsUri).matches(IPFS_URI_PATTERN).withMessage("Invalid ipfs:// image URI"),
+  body("image_media_type")
+    .optional()
+    .matches(/^image\/[\w.+-]+$/)
+    .withMessage("Image media type must be an image/* MIME type"),
+  body("metadata").optional().isObject().withMessage("Metadata must be an object"),
+  body("initial_mint_metadata").optional().isObject(),
+  body("organization_id").optional().isUUID().withMessage("Invalid organization ID"),
+]
+
+// Run tokenCreationValidators outside Express. Resolves to express-validator's
+// errors (empty when the body is valid) and the sanitized body.
+const validateTokenCreation = async (requestBody) => {
+  const req = { body: { ...requestBody } }
+  for (const validator of tokenCreationValidators) {
+    await validator.run(req)
+  }
+  return { errors: validationResult(req).array(), body: req.body }
+}
+
+/**
+ * Work out the tokens row for a validated creation body: the minting policy
+ * built server-side (so the stored policy ID is the one that governs
+ * minting), the asset name bytes and CIP-68 names, and the fingerprint.
+ * Returns { token, initialSupply }, the supply to mint on creation as a
+ * bigint. Throws MintingPolicyError or Cip68Error for a body that cannot make
+ * a token.
+ */
+const buildNewToken = (requestBody, { creatorId }) => {
+  const {
+    token_name,
+    symbol,
+    asset_name,
+    asset_name_encoding = "utf8",
+    decimals = 6,
+    total_supply = 0,
+    description,
+    image_url,
+    image_media_type,
+    metadata,
+    token_standard = "cip25",
+    cip68_label = 333,
+    minting_policy = "unlimited",
+    policy_key_hashes,
+    required_signatures,
+    lock_until,
+    custom_script,
+    max_supply,
+    organization_id,
+  } = requestBody
+
+  const initialSupply = BigInt(total_supply)
+  if (minting_policy === "limited" && max_supply !== undefined && initialSupply > BigInt(max_supply)) {
+    throw new MintingPolicyError("Initial supply cannot exceed max_supply")
+  }
+
+  const policy = buildMintingPolicy({
+    mintingPolicy: minting_policy,
+    keyHashes: policy_key_hashes,
+    requiredSignatures: required_signatures,
+    lockUntil: lock_until,
+    customScript: custom_script,
+  })
+
+  // CIP-68 tokens get their (100) reference and user token names derived from the base name
+  const assetNameHex = encodeAssetName(asset_name, asset_name_encoding)
+  const assetNames =
+    token_standard === "cip68"
+      ? buildCip68AssetNames(assetNameHex, Number(cip68_label))
+      : { userAssetName: assetNameHex, referenceAssetName: null }
+
+  const token = {
+    token_name,
+    symbol,
+    policy_id: policy.policyId,
+    // asset_name keeps the name as sent; CIP-68 tokens store their labelled hex name
+    asset_name: token_standard === "cip68" ? assetNames.userAssetName : asset_name,
+    asset_name_hex: assetNames.userAssetName,
+    fingerprint: assetFingerprint(policy.policyId, assetNames.userAssetName),
+    token_standard,
+    cip68_label: token_standard === "cip68" ? Number(cip68_label) : null,
+    reference_asset_name: assetNames.referenceAssetName,
+    decimals,
+    description,
+    image_url: image_url || null,
+    image_media_type: (image_url && image_media_type) || null,
+    metadata,
+    minting_policy,
+    policy_script: policy.script,
+    policy_lock_slot: policy.lockSlot,
+    policy_lock_time: policy.lockTime,
+    max_supply: minting_policy === "limited" ? String(max_supply ?? initialSupply) : null,
+    // Tokens minted on creation are ready for their first mint; others stay drafts until locked
+    status: initialSupply > 0n ? "policy_locked" : "draft",
+    creator_id: creatorId,
+    organization_id: organization_id || null,
+  }
+
+  return { token, initialSupply }
+}
+
+module.exports = {
+  tokenCreationValidators,
+  validateTokenCreation,
+  buildNewToken,
+}
@@ -0,0 +1,174 @@
+const { MAX_SINGLE_BLOCK_BYTES, computeCid } = require("./cid")
+const { ipfsUri, gatewayUrl } = require("./ipfs")
+const { getImageStorage } = require("./image-storage")
+
+// Token image uploads: PNG, SVG or WebP, identified by their content rather
+// than the declared type, and limited to one IPFS block.
+
+const IMAGE_MEDIA_TYPES = ["image/png", "image/svg+xml", "image/webp"]
+
+const MAX_IMAGE_BYTES = MAX_SINGLE_BLOCK_BYTES
+
+// Raster images only; SVGs scale, so they just need a positive size
+const MIN_IMAGE_DIMENSION = 32
+const MAX_IMAGE_DIMENSION = 4096
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+// SVGs are served from our own origin, so anything that can run script is refused
+const UNSAFE_SVG_PATTERNS = [
+  [/<script[\s>]/i, "script elements"],
+  [/\son[a-z]+\s*=/i, "event handler attributes"],
+  [/javascript:/i, "javascript: URLs"],
+  [/<foreignObject[\s>]/i, "foreignObject elements"],
+  [/<!ENTITY/i, "entity declarations"],
+]
+
+const pngSize = (bytes) => {
+  if (bytes.length < 24 || bytes.toString("ascii", 12, 16) !== "IHDR") return null
+  return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) }
+}
+
+const webpSize = (bytes) => {
+  if (bytes.length < 30) return null
+
+  switch (bytes.toString("ascii", 12, 16)) {
+    case "VP8 ":
+      return { width: bytes.readUInt16LE(26) & 0x3fff, height: bytes.readUInt16LE(28) & 0x3fff }
+    case "VP8L":
+      return {
+        width: 1 + (((bytes[22] & 0x3f) << 8) | bytes[21]),
+        height: 1 + (((bytes[24] & 0x0f) << 10) | (bytes[23] << 2) | ((bytes[22] & 0xc0) >> 6)),
+      }
+    case "VP8X":
+      return { width: 1 + bytes.readUIntLE(24, 3), height: 1 + bytes.readUIntLE(27, 3) }
+    default:
+      return null
+  }
+}
+
+const svgLength = (value) => {
+  const match = /^\s*([\d.]+)\s*(px)?\s*$/.exec(value || "")
+  return match ? Number.parseFloat(match[1]) : null
+}
+
+const svgSize = (text) => {
+  const root = /<svg\b([^>]*)>/i.exec(text)
+  if (!root) return null
+
+  const attribute = (name) => new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, "i").exec(root[1])?.[1]
+
+  const width = svgLength(attribute("width"))
+  const height = svgLength(attribute("height"))
+  if (width && height) return { width, height }
+
+  const viewBox = (attribute("viewBox") || "").trim().split(/[\s,]+/).map(Number)
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: viewBox[2], height: viewBox[3] }
+  }
+
+  return null
+}
+
+const sniffMediaType = (bytes) => {
+  if (bytes.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) return "image/png"
+  if (bytes.toString("ascii", 0, 4) === "RIFF" && bytes.toString("ascii", 8, 12) === "WEBP") return "image/webp"
+
+  const head = bytes.subarray(0, 1024).toString("utf8").replace(/^\uFEFF/, "").trimStart()
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg\b/i.test(head)) return "image/svg+xml"
+
+  return null
+}
+
+/**
+ * Check an uploaded image. Returns its media type and dimensions along with a
+ * list of problems; the image is acceptable when `errors` is empty.
+ */
+const inspectImage = (bytes, declaredType) => {
+  const errors = []
+
+  if (bytes.length === 0) {
+    return { mediaType: null, width: null, height: null, errors: ["Image is empty"] }
+  }
+  if (bytes.length > MAX_IMAGE_BYTES) {
+    errors.push(`Image is ${bytes.length} bytes; the limit is ${MAX_IMAGE_BYTES} bytes (256 KiB)`)
+  }
+
+  const mediaType = sniffMediaType(bytes)
+  if (!mediaType) {
+    errors.push(`Image must be one of: ${IMAGE_MEDIA_TYPES.join(", ")}`)
+    return { mediaType: null, width: null, height: null, errors }
+  }
+  if (declaredType && declaredType !== mediaType) {
+    errors.push(`Content-Type is ${declaredType} but the file is ${mediaType}`)
+  }
+
+  let size
+  if (mediaType === "image/svg+xml") {
+    const text = bytes.toString("utf8")
+    for (const [pattern, description] of UNSAFE_SVG_PATTERNS) {
+      if (pattern.test(text)) errors.push(`SVG images may not contain ${description}`)
+    }
+    size = svgSize(text)
+    if (!size) errors.push("SVG must declare width and height or a viewBox")
+  } else {
+    size = mediaType === "image/png" ? pngSize(bytes) : webpSize(bytes)
+    if (!size) {
+      errors.push("Unable to read the image dimensions; the file may be corrupt")
+    } else if (
+      Math.min(size.width, size.height) < MIN_IMAGE_DIMENSION ||
+      Math.max(size.width, size.height) > MAX_IMAGE_DIMENSION
+    ) {
+      errors.push(
+        `Image is ${size.width}x${size.height}; ` +
+          `both sides must be between ${MIN_IMAGE_DIMENSION} and ${MAX_IMAGE_DIMENSION} pixels`,
+      )
+    }
+  }
+
+  return { mediaType, width: size?.width ?? null, height: size?.height ?? null, errors }
+}
+
+/**
+ * Validate an upload and store it under its CID. Returns `{ image, errors }`;
+ * nothing is stored when there are errors. `image.uri` (ipfs://<cid>) is what
+ * goes into token metadata, `image.gateway_url` is for display.
+ */
+const storeImage = async (bytes, declaredType) => {
+  const { mediaType, width, height, errors } = inspectImage(bytes, declaredType)
+  if (errors.length > 0) return { image: null, errors }
+
+  const cid = computeCid(bytes)
+  await getImageStorage().put(cid, bytes, mediaType)
+
+  const uri = ipfsUri(cid)
+  return {
+    image: { cid, uri, gateway_url: gatewayUrl(uri), media_type: mediaType, width, height, size: bytes.length },
+    errors,
+  }
+}
+
+// A stored image and its media type, or null if the CID is unknown
+const loadImage = async (cid) => {
+  const bytes = await getImageStorage().get(cid)
+  if (!bytes) return null
+
+  return { bytes, mediaType: sniffMediaType(bytes) || "application/octet-stream" }
+}
+
+// Headers for serving stored images. Content never changes for a CID, and the
+// policy keeps an SVG opened directly from running anything.
+const IMAGE_RESPONSE_HEADERS = {
+  "Cache-Control": "public, max-age=31536000, immutable",
+  "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+  "X-Content-Type-Options": "nosniff",
+}
+
+module.exports = {
+  IMAGE_MEDIA_TYPES,
+  MAX_IMAGE_BYTES,
+  IMAGE_RESPONSE_HEADERS,
+  inspectImage,
+  storeImage,
+  loadImage,
+}
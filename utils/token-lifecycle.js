@@ -0,0 +1,29 @@
+// Token lifecycle states and the transitions between them. The database
+// enforces the same rules (scripts/014_token_lifecycle.sql); these are used
+// to reject requests early with a clear message.
+
+const TOKEN_STATUSES = ["draft", "policy_locked", "active", "frozen", "retired"]
+
+const STATUS_TRANSITIONS = {
+  draft: ["policy_locked", "retired"],
+  policy_locked: ["active", "retired"],
+  active: ["frozen", "retired"],
+  frozen: ["active", "retired"],
+  retired: [],
+}
+
+// What each operation requires of the token's status
+const MINTABLE_STATUSES = ["policy_locked", "active"]
+const BURNABLE_STATUSES = ["active", "retired"]
+const EDITABLE_STATUSES = ["draft", "policy_locked", "active", "frozen"]
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to)
+
+module.exports = {
+  TOKEN_STATUSES,
+  STATUS_TRANSITIONS,
+  MINTABLE_STATUSES,
+  BURNABLE_STATUSES,
+  EDITABLE_STATUSES,
+  canTransition,
+}
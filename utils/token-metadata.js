@@ -0,0 +1,196 @@
+const { MAX_ASSET_NAME_BYTES } = require("./asset-name")
+const { buildCip68Datum } = require("./cip68")
+
+// CIP-25 (https://cips.cardano.org/cip/CIP-0025) NFT / token metadata
+const CIP25_LABEL = 721
+const CIP25_VERSION = "2.0"
+
+// Transaction metadata strings are limited to 64 bytes
+const MAX_METADATA_STRING_BYTES = 64
+
+const POLICY_ID_PATTERN = /^[0-9a-f]{56}$/
+const HEX_PATTERN = /^(?:[0-9a-f]{2})*$/
+
+const MEDIA_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  svg: "image/svg+xml",
+  webp: "image/webp",
+}
+
+// Split a string into chunks of at most 64 UTF-8 bytes without breaking characters.
+// Short strings are returned unchanged, long ones as an array of chunks.
+const chunkString = (value) => {
+  const text = String(value)
+  if (Buffer.byteLength(text, "utf8") <= MAX_METADATA_STRING_BYTES) {
+    return text
+  }
+
+  const chunks = []
+  let current = ""
+  for (const char of text) {
+    if (Buffer.byteLength(current + char, "utf8") > MAX_METADATA_STRING_BYTES) {
+      chunks.push(current)
+      current = ""
+    }
+    current += char
+  }
+  if (current) chunks.push(current)
+
+  return chunks
+}
+
+const guessMediaType = (uri) => {
+  const extension = String(uri).split(/[?#]/)[0].split(".").pop().toLowerCase()
+  return MEDIA_TYPES[extension] || null
+}
+
+// Build the asset entry for a token record (name, image, mediaType, description, decimals)
+const buildCip25Asset = (token) => {
+  const asset = {
+    ...(token.metadata || {}),
+    name: token.token_name,
+  }
+
+  if (token.image_url) {
+    asset.image = chunkString(token.image_url)
+    const mediaType = token.image_media_type || guessMediaType(token.image_url)
+    if (mediaType) asset.mediaType = mediaType
+  }
+
+  if (token.description) asset.description = chunkString(token.description)
+  if (token.symbol) asset.ticker = token.symbol
+  if (token.decimals !== undefined && token.decimals !== null) asset.decimals = token.decimals
+
+  return asset
+}
+
+/**
+ * Build CIP-25 v2 label 721 metadata for a token:
+ * { 721: { <policy_id>: { <asset_name_hex>: { name, image, ... } }, version: "2.0" } }
+ */
+const buildCip25Metadata = (token) => {
+  return {
+    [CIP25_LABEL]: {
+      [token.policy_id]: {
+        [token.asset_name_hex]: buildCip25Asset(token),
+      },
+      version: CIP25_VERSION,
+    },
+  }
+}
+
+// Collect every string that exceeds the 64 byte metadata limit
+const findOversizedStrings = (value, path, errors) => {
+  if (typeof value === "string") {
+    if (Buffer.byteLength(value, "utf8") > MAX_METADATA_STRING_BYTES) {
+      errors.push(`${path} exceeds ${MAX_METADATA_STRING_BYTES} bytes; split it into an array of chunks`)
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => findOversizedStrings(item, `${path}[${index}]`, errors))
+  } else if (value && typeof value === "object") {
+    for (const [key, item] of Object.entries(value)) {
+      if (Buffer.byteLength(key, "utf8") > MAX_METADATA_STRING_BYTES) {
+        errors.push(`${path} key "${key.slice(0, 16)}..." exceeds ${MAX_METADATA_STRING_BYTES} bytes`)
+      }
+      findOversizedStrings(item, `${path}.${key}`, errors)
+    }
+  }
+}
+
+const isStringOrChunks = (value) => {
+  return typeof value === "string" || (Array.isArray(value) && value.every((chunk) => typeof chunk === "string"))
+}
+
+/**
+ * Check label 721 metadata against the CIP-25 v2 rules. Returns a list of
+ * human readable problems; an empty list means the metadata is valid.
+ */
+const validateCip25Metadata = (metadata) => {
+  const errors = []
+  const root = metadata?.[CIP25_LABEL]
+
+  if (!root || typeof root !== "object") {
+    return [`Metadata must contain label ${CIP25_LABEL}`]
+  }
+
+  if (root.version !== CIP25_VERSION) {
+    errors.push(`version must be "${CIP25_VERSION}"`)
+  }
+
+  const policies = Object.entries(root).filter(([key]) => key !== "version")
+  if (policies.length === 0) {
+    errors.push("At least one policy ID is required")
+  }
+
+  for (const [policyId, assets] of policies) {
+    if (!POLICY_ID_PATTERN.test(policyId)) {
+      errors.push(`${policyId} is not a valid policy ID`)
+    }
+
+    for (const [assetName, asset] of Object.entries(assets || {})) {
+      const path = `${policyId}.${assetName}`
+
+      if (!HEX_PATTERN.test(assetName) || assetName.length > MAX_ASSET_NAME_BYTES * 2) {
+        errors.push(`${path}: asset name must be hex encoded and at most ${MAX_ASSET_NAME_BYTES} bytes`)
+      }
+      if (typeof asset?.name !== "string" || asset.name.length === 0) {
+        errors.push(`${path}: name is required`)
+      }
+      if (!asset?.image || !isStringOrChunks(asset.image)) {
+        errors.push(`${path}: image is required`)
+      }
+      if (asset?.mediaType !== undefined && !String(asset.mediaType).startsWith("image/")) {
+        errors.push(`${path}: mediaType must be an image/* MIME type`)
+      }
+      if (asset?.description !== undefined && !isStringOrChunks(asset.description)) {
+        errors.push(`${path}: description must be a string or array of strings`)
+      }
+
+      findOversizedStrings(asset, path, errors)
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Metadata recorded on a mint transaction so wallets and explorers can display
+ * the token: the CIP-68 reference datum, or label 721 metadata for CIP-25
+ * tokens. `errors` lists CIP-25 problems that would make the metadata invalid.
+ */
+const buildMintMetadata = (token) => {
+  if (token.token_standard === "cip68") {
+    const datum = buildCip68Datum(token)
+    return {
+      metadata: {
+        cip68: {
+          reference_asset_name: token.reference_asset_name,
+          user_asset_name: token.asset_name_hex,
+          datum: datum.json,
+          datum_cbor: datum.cborHex,
+        },
+      },
+      errors: [],
+    }
+  }
+
+  const onchainMetadata = buildCip25Metadata(token)
+  return {
+    metadata: { onchain_metadata: onchainMetadata },
+    errors: validateCip25Metadata(onchainMetadata),
+  }
+}
+
+module.exports = {
+  CIP25_LABEL,
+  CIP25_VERSION,
+  MAX_METADATA_STRING_BYTES,
+  chunkString,
+  guessMediaType,
+  buildCip25Metadata,
+  validateCip25Metadata,
+  buildMintMetadata,
+}
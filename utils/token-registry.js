@@ -0,0 +1,198 @@
+const crypto = require("crypto")
+const { blake2b } = require("blakejs")
+const { encode } = require("./cbor")
+const { nativeScriptToCbor, collectKeyHashes } = require("./minting-policy")
+const { cidFromUri } = require("./ipfs")
+const { loadImage } = require("./token-image")
+
+// Cardano off-chain token registry (CIP-26) entries, as accepted by
+// https://github.com/cardano-foundation/cardano-token-registry
+
+// Registry limits for each well-known property
+const LIMITS = {
+  name: { min: 1, max: 50 },
+  description: { max: 500 },
+  ticker: { min: 2, max: 9 },
+  url: { max: 250 },
+  decimals: { min: 0, max: 19 },
+  logo: { maxBase64Length: 87400 },
+}
+
+const REGISTRY_PROPERTIES = ["name", "description", "ticker", "decimals", "url", "logo"]
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+// DER prefix that turns a raw 32 byte ed25519 public key into an SPKI structure
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex")
+
+const hash256 = (bytes) => Buffer.from(blake2b(bytes, undefined, 32))
+
+const subjectForToken = (token) => `${token.policy_id}${token.asset_name_hex}`
+
+// Validate a base64 logo: must decode to a PNG and fit in the registry's size limit
+const validateLogo = (logo) => {
+  const errors = []
+
+  if (logo.length > LIMITS.logo.maxBase64Length) {
+    errors.push(
+      `logo is ${logo.length} base64 characters; the registry allows at most ${LIMITS.logo.maxBase64Length} (about 64 KB)`,
+    )
+  }
+
+  const bytes = Buffer.from(logo, "base64")
+  if (!bytes.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    errors.push("logo must be a PNG image")
+  }
+
+  return errors
+}
+
+// Load a PNG logo (from image storage for ipfs:// images, otherwise over HTTP) and return it base64 encoded
+const fetchLogo = async (imageUrl) => {
+  const cid = cidFromUri(imageUrl)
+  if (cid) {
+    const image = await loadImage(cid)
+    if (!image) {
+      throw new Error(`Image ${cid} is not in image storage; upload it as base64 instead`)
+    }
+    return image.bytes.toString("base64")
+  }
+
+  if (!/^https?:\/\//.test(imageUrl)) {
+    throw new Error("logo can only be fetched from an http(s) or ipfs:// image_url; upload it as base64 instead")
+  }
+
+  const response = await fetch(imageUrl, { signal: AbortSignal.timeout(10000) })
+  if (!response.ok) {
+    throw new Error(`Unable to fetch logo from image_url (HTTP ${response.status})`)
+  }
+
+  const bytes = Buffer.from(await response.arrayBuffer())
+  return bytes.toString("base64")
+}
+
+/**
+ * Build the unsigned registry entry for a token. Returns the entry, the
+ * problems that would make the registry reject it, and the message each
+ * property's attestation signature must cover.
+ */
+const buildRegistryEntry = (token, { logo, url, sequenceNumber = 0 } = {}) => {
+  const subject = subjectForToken(token)
+  const values = {
+    name: token.token_name,
+    description: token.description || "",
+    ticker: token.symbol,
+    decimals: token.decimals ?? 0,
+    url: url || token.metadata?.url,
+    logo,
+  }
+
+  const errors = []
+
+  if (!token.policy_script) {
+    errors.push("Token has no stored policy script; registry entries require the minting policy")
+  }
+  if (values.name.length < LIMITS.name.min || values.name.length > LIMITS.name.max) {
+    errors.push(`name must be ${LIMITS.name.min}-${LIMITS.name.max} characters`)
+  }
+  if (!values.description || values.description.length > LIMITS.description.max) {
+    errors.push(`description is required and must be at most ${LIMITS.description.max} characters`)
+  }
+  if (values.ticker.length < LIMITS.ticker.min || values.ticker.length > LIMITS.ticker.max) {
+    errors.push(`ticker must be ${LIMITS.ticker.min}-${LIMITS.ticker.max} characters`)
+  }
+  if (values.decimals < LIMITS.decimals.min || values.decimals > LIMITS.decimals.max) {
+    errors.push(`decimals must be between ${LIMITS.decimals.min} and ${LIMITS.decimals.max}`)
+  }
+  if (values.url !== undefined && (!/^https:\/\//.test(values.url) || values.url.length > LIMITS.url.max)) {
+    errors.push(`url must be an https URL of at most ${LIMITS.url.max} characters`)
+  }
+  if (values.logo !== undefined) {
+    errors.push(...validateLogo(values.logo))
+  }
+
+  const entry = { subject }
+  if (token.policy_script) {
+    entry.policy = nativeScriptToCbor(token.policy_script).toString("hex")
+  }
+
+  const attestationMessages = {}
+  for (const property of REGISTRY_PROPERTIES) {
+    if (values[property] === undefined || values[property] === "") continue
+
+    entry[property] = {
+      sequenceNumber,
+      value: values[property],
+      signatures: [],
+    }
+    attestationMessages[property] = attestationMessage(subject, property, values[property], sequenceNumber)
+  }
+
+  return { entry, errors, attestationMessages }
+}
+
+// CIP-26 attestation message:
+// blake2b-256(blake2b-256(cbor(subject)) ++ blake2b-256(cbor(property)) ++ blake2b-256(cbor(value)) ++ blake2b-256(cbor(seq)))
+const attestationMessage = (subject, property, value, sequenceNumber) => {
+  return hash256(
+    Buffer.concat([
+      hash256(encode(subject)),
+      hash256(encode(property)),
+      hash256(encode(value)),
+      hash256(encode(sequenceNumber)),
+    ]),
+  ).toString("hex")
+}
+
+const verifyEd25519 = (publicKeyHex, messageHex, signatureHex) => {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyHex, "hex")]),
+      format: "der",
+      type: "spki",
+    })
+    return crypto.verify(null, Buffer.from(messageHex, "hex"), key, Buffer.from(signatureHex, "hex"))
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Check a property attestation: the signature must verify against the
+ * property's message and the public key must hash to one of the policy's
+ * signing keys. Returns an error message, or null when the attestation is valid.
+ */
+const verifyAttestation = (token, entry, { property, public_key, signature }) => {
+  const field = entry[property]
+  if (!field) {
+    return `${property} is not part of the registry entry`
+  }
+
+  const keyHash = Buffer.from(blake2b(Buffer.from(public_key, "hex"), undefined, 28)).toString("hex")
+  if (!collectKeyHashes(token.policy_script).includes(keyHash)) {
+    return `public key for ${property} is not a signer of the token's minting policy`
+  }
+
+  const message = attestationMessage(entry.subject, property, field.value, field.sequenceNumber)
+  if (!verifyEd25519(public_key, message, signature)) {
+    return `signature for ${property} does not verify`
+  }
+
+  return null
+}
+
+// Properties that still lack at least one signature
+const unsignedProperties = (entry) => {
+  return REGISTRY_PROPERTIES.filter((property) => entry[property] && entry[property].signatures.length === 0)
+}
+
+module.exports = {
+  REGISTRY_PROPERTIES,
+  LIMITS,
+  subjectForToken,
+  fetchLogo,
+  buildRegistryEntry,
+  attestationMessage,
+  verifyAttestation,
+  unsignedProperties,
+}
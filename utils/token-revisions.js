@@ -0,0 +1,67 @@
+// Token metadata revisions (scripts/017_token_revisions.sql). The database
+// records a revision for every change to these fields; this module turns
+// revisions into readable diffs and reconstructs past versions of a token.
+// Safe to import from client components.
+
+const REVISION_FIELDS = ["description", "image_url", "image_media_type", "metadata"]
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value)
+
+/**
+ * One entry per changed value of a revision. Metadata objects are compared key
+ * by key, so a single edited property shows up as `metadata.<key>`.
+ */
+const diffRevision = (revision) => {
+  const entries = []
+
+  for (const [field, { before = null, after = null }] of Object.entries(revision.changes || {})) {
+    if (field === "metadata" && isPlainObject(before || {}) && isPlainObject(after || {})) {
+      const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+      for (const key of [...keys].sort()) {
+        const previous = before?.[key] ?? null
+        const next = after?.[key] ?? null
+        if (JSON.stringify(previous) !== JSON.stringify(next)) {
+          entries.push({ field: `metadata.${key}`, before: previous, after: next })
+        }
+      }
+    } else {
+      entries.push({ field, before, after })
+    }
+  }
+
+  return entries
+}
+
+// The token's editable fields right after revision `revisionNumber`, found by
+// undoing every later revision from the current values
+const stateAtRevision = (token, revisions, revisionNumber) => {
+  const state = Object.fromEntries(REVISION_FIELDS.map((field) => [field, token[field] ?? null]))
+
+  revisions
+    .filter((revision) => revision.revision_number > revisionNumber)
+    .sort((a, b) => b.revision_number - a.revision_number)
+    .forEach((revision) => {
+      for (const [field, change] of Object.entries(revision.changes || {})) {
+        if (field in state) state[field] = change.before ?? null
+      }
+    })
+
+  return state
+}
+
+// The token's editable fields as they were at `date`
+const stateAt = (token, revisions, date) => {
+  const time = new Date(date).getTime()
+  const revisionNumber = revisions
+    .filter((revision) => new Date(revision.created_at).getTime() <= time)
+    .reduce((latest, revision) => Math.max(latest, revision.revision_number), 0)
+
+  return { revision_number: revisionNumber, ...stateAtRevision(token, revisions, revisionNumber) }
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  diffRevision,
+  stateAtRevision,
+  stateAt,
+}
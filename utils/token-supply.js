@@ -0,0 +1,95 @@
+const { assertMintAllowed } = require("./minting-policy")
+const { MINTABLE_STATUSES, BURNABLE_STATUSES } = require("./token-lifecycle")
+
+// Mint and burn requests go through the create_supply_transaction database
+// function (scripts/012_token_supply_enforcement.sql), which locks the token
+// and checks the request against its lifecycle status and against confirmed
+// and pending supply atomically.
+
+// SQLSTATEs raised by create_supply_transaction
+const SUPPLY_LIMIT_CODE = "23514"
+const TOKEN_NOT_FOUND_CODE = "P0002"
+const INVALID_STATUS_CODE = "55000"
+
+// Amounts are BIGINT in the database, which can exceed what a JSON number holds
+// exactly, so larger amounts are sent as decimal strings
+const MAX_AMOUNT = 9223372036854775807n
+const AMOUNT_PATTERN = /^[1-9][0-9]*$/
+
+// Why `value` is not a positive token amount, or null
+const validateSupplyAmount = (value) => {
+  if (typeof value === "number") {
+    if (!Number.isSafeInteger(value) || value <= 0) {
+      return "Amount must be a positive integer; send amounts above 2^53 as a decimal string"
+    }
+    return null
+  }
+  if (typeof value !== "string" || !AMOUNT_PATTERN.test(value)) {
+    return "Amount must be a positive integer or a decimal string of one"
+  }
+  if (BigInt(value) > MAX_AMOUNT) {
+    return `Amount must be at most ${MAX_AMOUNT}`
+  }
+  return null
+}
+
+class SupplyError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = "SupplyError"
+    this.status = status
+  }
+}
+
+/**
+ * Create a pending mint or burn transaction for `token`. The token's status
+ * is checked first, and mints against the policy's time lock; the supply cap
+ * and burn balance are enforced by the database. Throws MintingPolicyError or
+ * SupplyError (409 for a token in the wrong status) when the request is not allowed.
+ * `amount` is a number or a decimal string (see validateSupplyAmount).
+ */
+const createSupplyTransaction = async (
+  supabase,
+  { token, transactionType, amount, metadata = {}, batchJobId = null },
+) => {
+  const allowedStatuses = transactionType === "mint" ? MINTABLE_STATUSES : BURNABLE_STATUSES
+  if (token.status && !allowedStatuses.includes(token.status)) {
+    throw new SupplyError(`Cannot ${transactionType} a ${token.status} token`, 409)
+  }
+
+  if (transactionType === "mint") {
+    assertMintAllowed(token, amount)
+  }
+
+  const { data: transaction, error } = await supabase
+    .rpc("create_supply_transaction", {
+      p_token_id: token.id,
+      p_transaction_type: transactionType,
+      // Sent as a string so PostgREST reads the exact value into BIGINT
+      p_amount: BigInt(amount).toString(),
+      p_metadata: metadata,
+      p_batch_job_id: batchJobId,
+    })
+    .single()
+
+  if (error) {
+    if (error.code === SUPPLY_LIMIT_CODE) {
+      throw new SupplyError(error.message)
+    }
+    if (error.code === INVALID_STATUS_CODE) {
+      throw new SupplyError(error.message, 409)
+    }
+    if (error.code === TOKEN_NOT_FOUND_CODE) {
+      throw new SupplyError("Token does not exist or you don't have access to it", 404)
+    }
+    throw error
+  }
+
+  return transaction
+}
+
+module.exports = {
+  SupplyError,
+  validateSupplyAmount,
+  createSupplyTransaction,
+}
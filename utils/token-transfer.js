@@ -0,0 +1,50 @@
+const crypto = require("crypto")
+const logger = require("./logger")
+const notifications = require("./notifications")
+
+// Token ownership transfers (scripts/018_token_ownership_transfers.sql). The
+// recipient proves they received the email by presenting its secret; the
+// database only ever sees the secret's hash.
+
+const TRANSFER_EXPIRY_DAYS = 7
+
+const createTransferSecret = () => crypto.randomBytes(32).toString("base64url")
+
+const hashTransferSecret = (secret) => crypto.createHash("sha256").update(String(secret)).digest("hex")
+
+const transferAcceptUrl = (transferId, secret) =>
+  `${process.env.FRONTEND_URL}/dashboard/transfers/${transferId}?secret=${encodeURIComponent(secret)}`
+
+// Template data shared by every transfer notification
+const transferNotificationData = (transfer, token) => ({
+  token_name: token.token_name,
+  symbol: token.symbol,
+  from_email: transfer.from_email,
+  to_email: transfer.to_email,
+  expires_at: new Date(transfer.expires_at).toUTCString(),
+  message: transfer.message ? `"${transfer.message}" ` : "",
+})
+
+/**
+ * Email each recipient. The transfer itself has already been saved, so a
+ * failed notification is logged rather than failing the request.
+ */
+const notifyTransfer = async (templateName, data, recipients) => {
+  const results = await Promise.allSettled(
+    recipients.map((recipient) => notifications.send("email", templateName, data, recipient)),
+  )
+
+  const failed = results.filter((result) => result.status === "rejected")
+  if (failed.length > 0) {
+    logger.warn(`${failed.length} of ${recipients.length} ${templateName} notifications failed`)
+  }
+}
+
+module.exports = {
+  TRANSFER_EXPIRY_DAYS,
+  createTransferSecret,
+  hashTransferSecret,
+  transferAcceptUrl,
+  transferNotificationData,
+  notifyTransfer,
+}
@@ -0,0 +1,110 @@
+const { quoteFilterValue } = require("./list-query")
+
+// Private labels and notes on transactions
+// (scripts/027_transaction_annotations.sql). They are kept off-chain, and each
+// user only ever sees their own, even on an organization's shared transactions.
+
+const MAX_LABELS = 10
+const MAX_LABEL_LENGTH = 32
+const MAX_NOTE_LENGTH = 2000
+
+const LABEL_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _-]*$/u
+
+// Labels ignore case and surrounding or repeated spaces
+const normalizeLabel = (label) => String(label).trim().replace(/\s+/g, " ").toLowerCase()
+
+/**
+ * Check one label. Returns an error message, or null when valid.
+ */
+const validateLabel = (label) => {
+  if (typeof label !== "string") {
+    return "Labels must be strings"
+  }
+
+  const normalized = normalizeLabel(label)
+  if (!normalized) {
+    return "Labels cannot be empty"
+  }
+  if (normalized.length > MAX_LABEL_LENGTH) {
+    return `Labels can be at most ${MAX_LABEL_LENGTH} characters`
+  }
+  if (!LABEL_PATTERN.test(normalized)) {
+    return "Labels may only contain letters, digits, spaces, hyphens and underscores"
+  }
+
+  return null
+}
+
+/**
+ * Check a transaction's list of labels. Returns an error message, or null.
+ */
+const validateLabels = (labels) => {
+  if (!Array.isArray(labels)) {
+    return "Labels must be an array"
+  }
+
+  for (const label of labels) {
+    const error = validateLabel(label)
+    if (error) return error
+  }
+
+  if (normalizeLabels(labels).length > MAX_LABELS) {
+    return `A transaction can have at most ${MAX_LABELS} labels`
+  }
+
+  return null
+}
+
+// Normalized labels without duplicates, in the order given
+const normalizeLabels = (labels) => Array.from(new Set(labels.map(normalizeLabel)))
+
+/**
+ * Check a note (null clears it). Returns an error message, or null.
+ */
+const validateNote = (note) => {
+  if (note === null) return null
+  if (typeof note !== "string") {
+    return "Note must be a string"
+  }
+  if (note.length > MAX_NOTE_LENGTH) {
+    return `Note can be at most ${MAX_NOTE_LENGTH} characters`
+  }
+  return null
+}
+
+/**
+ * PostgREST or() filter on transaction_annotations for a search term: notes
+ * containing it, or a label equal to it.
+ */
+const annotationSearchFilter = (search) => {
+  const pattern = `%${search.replace(/[\\%_]/g, "\\$&")}%`
+  const filters = [`note.ilike.${quoteFilterValue(pattern)}`]
+  if (!validateLabel(search)) {
+    filters.push(`labels.cs.${quoteFilterValue(`{"${normalizeLabel(search)}"}`)}`)
+  }
+  return filters.join(",")
+}
+
+// Replace an embedded transaction_annotations list (RLS leaves only the
+// caller's) with the transaction's labels and note
+const withAnnotation = ({ transaction_annotations: annotations, ...transaction }) => {
+  const annotation = (annotations || [])[0]
+  return {
+    ...transaction,
+    labels: annotation ? annotation.labels : [],
+    note: annotation ? annotation.note : null,
+  }
+}
+
+module.exports = {
+  MAX_LABELS,
+  MAX_LABEL_LENGTH,
+  MAX_NOTE_LENGTH,
+  normalizeLabel,
+  normalizeLabels,
+  validateLabel,
+  validateLabels,
+  validateNote,
+  annotationSearchFilter,
+  withAnnotation,
+}
@@ -0,0 +1,270 @@
+// Transaction history exports backed by the transaction_export SQL function
+// (scripts/025_transaction_exports.sql). Rows are read a page at a time so a
+// full history can be streamed without holding it in memory.
+
+const EXPORT_FORMATS = ["csv", "jsonl", "koinly"]
+
+const EXPORT_PAGE_SIZE = 500
+
+class ExportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "ExportError"
+  }
+}
+
+/**
+ * Fill in the defaults for a requested date range: from the beginning of the
+ * history up to now. Throws an ExportError.
+ */
+const resolveExportRange = ({ from, to } = {}) => {
+  const start = from ? new Date(from) : new Date(0)
+  const end = to ? new Date(to) : new Date()
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new ExportError("from and to must be ISO 8601 dates")
+  }
+
+  if (end <= start) {
+    throw new ExportError("to must be after from")
+  }
+
+  return { from: start.toISOString(), to: end.toISOString() }
+}
+
+/**
+ * Yield every export row in the range, oldest first. Rejects with the
+ * Supabase error.
+ */
+async function* fetchExportRows(supabase, { from, to }) {
+  let after = null
+
+  while (true) {
+    const { data, error } = await supabase.rpc("transaction_export", {
+      p_from: from,
+      p_to: to,
+      p_after_at: after ? after.occurred_at : null,
+      p_after_id: after ? after.id : null,
+      p_limit: EXPORT_PAGE_SIZE,
+    })
+
+    if (error) throw error
+
+    yield* data || []
+
+    if (!data || data.length < EXPORT_PAGE_SIZE) return
+    after = data[data.length - 1]
+  }
+}
+
+// Base units to a decimal string, without going through floating point
+const formatUnits = (value, decimals) => {
+  const units = BigInt(value)
+  const scale = 10n ** BigInt(decimals)
+  const whole = (units < 0n ? -units : units) / scale
+  const fraction = ((units < 0n ? -units : units) % scale).toString().padStart(decimals, "0").replace(/0+$/, "")
+  return `${units < 0n ? "-" : ""}${whole}${fraction ? `.${fraction}` : ""}`
+}
+
+const formatUsd = (value) => (Number.isFinite(value) ? value.toFixed(2) : null)
+
+/**
+ * Flatten a transaction_export row into display units: token amounts use the
+ * token's decimals, fees are in ADA, and USD values use the prices at the
+ * time of the transaction (null when no price was recorded yet).
+ */
+const toExportRecord = (row) => {
+  const decimals = row.token_decimals ?? 0
+  const amount = row.amount === null ? null : formatUnits(row.amount, decimals)
+  const feeAda = row.fee_lovelace === null ? null : formatUnits(row.fee_lovelace, 6)
+  const adaUsd = row.ada_usd === null ? null : Number(row.ada_usd)
+  const tokenUsd = row.token_usd === null ? null : Number(row.token_usd)
+
+  return {
+    id: row.id,
+    date: new Date(row.occurred_at).toISOString(),
+    source: row.source,
+    type: row.kind,
+    status: row.status,
+    token: row.token_symbol,
+    policy_id: row.policy_id,
+    asset_name: row.asset_name,
+    amount,
+    fee_ada: feeAda,
+    sponsored: row.sponsored,
+    fiat_amount: row.fiat_amount === null ? null : Number(row.fiat_amount).toFixed(2),
+    fiat_currency: row.fiat_currency,
+    tx_hash: row.tx_hash,
+    related_transaction_id: row.related_transaction_id,
+    counterparty: row.counterparty,
+    description: row.description,
+    ada_usd: adaUsd,
+    fee_usd: feeAda !== null && adaUsd !== null ? formatUsd(Number(feeAda) * adaUsd) : null,
+    value_usd: amount !== null && tokenUsd !== null ? formatUsd(Number(amount) * tokenUsd) : null,
+  }
+}
+
+// Quote a CSV cell; text that a spreadsheet would run as a formula is
+// prefixed with an apostrophe
+const csvCell = (value) => {
+  if (value === null || value === undefined) return ""
+  let text = String(value)
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvLine = (values) => `${values.map(csvCell).join(",")}\r\n`
+
+const CSV_COLUMNS = [
+  "date",
+  "source",
+  "type",
+  "status",
+  "token",
+  "policy_id",
+  "asset_name",
+  "amount",
+  "fee_ada",
+  "sponsored",
+  "fiat_amount",
+  "fiat_currency",
+  "tx_hash",
+  "related_transaction_id",
+  "counterparty",
+  "description",
+  "ada_usd",
+  "fee_usd",
+  "value_usd",
+  "id",
+]
+
+// Koinly's universal CSV import format
+const KOINLY_COLUMNS = [
+  "Date",
+  "Sent Amount",
+  "Sent Currency",
+  "Received Amount",
+  "Received Currency",
+  "Fee Amount",
+  "Fee Currency",
+  "Net Worth Amount",
+  "Net Worth Currency",
+  "Label",
+  "Description",
+  "TxHash",
+]
+
+const koinlyDate = (iso) => `${iso.slice(0, 10)} ${iso.slice(11, 19)} UTC`
+
+/**
+ * A Koinly row for a record, or null when it has no tax effect: only
+ * confirmed on-chain transactions and succeeded payments are exported, and
+ * sponsored fees are left out because the user did not pay them.
+ */
+const toKoinlyRow = (record) => {
+  const fee = record.fee_ada && !record.sponsored && Number(record.fee_ada) > 0 ? record.fee_ada : null
+
+  if (record.source === "payment") {
+    if (record.status !== "succeeded") return null
+    return [
+      koinlyDate(record.date),
+      record.fiat_amount,
+      record.fiat_currency,
+      null,
+      null,
+      null,
+      null,
+      null,
+      null,
+      "cost",
+      record.description || "Platform payment",
+      null,
+    ]
+  }
+
+  if (record.source !== "transaction" || record.status !== "confirmed") return null
+
+  const received = record.type === "mint"
+  const movesTokens = ["mint", "burn", "transfer", "vesting_release"].includes(record.type)
+
+  // Reference updates only move the CIP-68 reference token; their fee is the cost
+  if (!movesTokens) {
+    if (!fee) return null
+    return [
+      koinlyDate(record.date),
+      fee,
+      "ADA",
+      null,
+      null,
+      null,
+      null,
+      record.fee_usd,
+      record.fee_usd ? "USD" : null,
+      "cost",
+      `${record.type} ${record.token || ""}`.trim(),
+      record.tx_hash,
+    ]
+  }
+
+  return [
+    koinlyDate(record.date),
+    received ? null : record.amount,
+    received ? null : record.token,
+    received ? record.amount : null,
+    received ? record.token : null,
+    fee,
+    fee ? "ADA" : null,
+    record.value_usd,
+    record.value_usd ? "USD" : null,
+    null,
+    `${record.type} ${record.amount} ${record.token}${record.counterparty ? ` to ${record.counterparty}` : ""}`,
+    record.tx_hash,
+  ]
+}
+
+/**
+ * How to write an export format: its content type, file extension, header
+ * and how each row becomes a line (null to leave the row out).
+ */
+const exportFormat = (format) => {
+  switch (format) {
+    case "csv":
+      return {
+        contentType: "text/csv; charset=utf-8",
+        extension: "csv",
+        header: csvLine(CSV_COLUMNS),
+        line: (row) => {
+          const record = toExportRecord(row)
+          return csvLine(CSV_COLUMNS.map((column) => record[column]))
+        },
+      }
+    case "jsonl":
+      return {
+        contentType: "application/x-ndjson; charset=utf-8",
+        extension: "jsonl",
+        header: "",
+        line: (row) => `${JSON.stringify(toExportRecord(row))}\n`,
+      }
+    case "koinly":
+      return {
+        contentType: "text/csv; charset=utf-8",
+        extension: "csv",
+        header: csvLine(KOINLY_COLUMNS),
+        line: (row) => {
+          const values = toKoinlyRow(toExportRecord(row))
+          return values && csvLine(values)
+        },
+      }
+    default:
+      throw new ExportError(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`)
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  ExportError,
+  resolveExportRange,
+  fetchExportRows,
+  toExportRecord,
+  exportFormat,
+}
@@ -0,0 +1,39 @@
+// Transaction states and the transitions between them. The database enforces
+// the same rules (scripts/023_transaction_status_machine.sql); these are used
+// to reject requests early and to tell clients where a transaction can go next.
+
+const TRANSACTION_STATUSES = ["pending", "built", "signed", "submitted", "confirmed", "failed", "expired"]
+
+const STATUS_TRANSITIONS = {
+  pending: ["built", "failed"],
+  built: ["signed", "submitted", "expired", "failed"],
+  signed: ["built", "submitted", "expired", "failed"],
+  submitted: ["confirmed", "expired", "failed"],
+  confirmed: ["submitted"],
+  failed: [],
+  expired: [],
+}
+
+// New transactions start as pending, or as submitted when recorded with the
+// hash of a transaction that is already on its way to the chain
+const INITIAL_STATUSES = ["pending", "submitted"]
+
+// What each operation requires of the transaction's status. Rebuilding a
+// built transaction replaces the previous build.
+const BUILDABLE_STATUSES = ["pending", "built", "signed"]
+const SUBMITTABLE_STATUSES = ["built", "signed"]
+
+// Not final yet: mints and burns in these statuses still count against supply
+const IN_FLIGHT_STATUSES = ["pending", "built", "signed", "submitted"]
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to)
+
+module.exports = {
+  TRANSACTION_STATUSES,
+  STATUS_TRANSITIONS,
+  INITIAL_STATUSES,
+  BUILDABLE_STATUSES,
+  SUBMITTABLE_STATUSES,
+  IN_FLIGHT_STATUSES,
+  canTransition,
+}
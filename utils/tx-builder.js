@@ -0,0 +1,609 @@
+const crypto = require("crypto")
+const { blake2b } = require("blakejs")
+const bech32 = require("./bech32")
+const { Tagged, encode, encodeHead, decode, rawArrayItems } = require("./cbor")
+const {
+  toLedgerScript,
+  policyIdFromScript,
+  findLockSlot,
+  findStartSlot,
+  collectKeyHashes,
+} = require("./minting-policy")
+const { CIP25_LABEL } = require("./token-metadata")
+const { CIP20_LABEL } = require("./cip20")
+const { dateToSlot } = require("../config/cardano")
+
+// Unsigned transaction builder. Spends UTxOs from the chain provider (see
+// chain-provider.js) and produces Babbage-era transaction CBOR that a CIP-30
+// wallet can sign: coin selection, a change output, min-ADA for every output
+// and a fee taken from the protocol parameters. Mints and burns carry the
+// token's native script in the witness set; the wallet adds the signatures.
+
+// How long a built transaction stays valid (slots are one second)
+const TTL_SLOTS = 2 * 60 * 60
+
+// Bytes the ledger adds to every output's serialized size for min-ADA
+const UTXO_ENTRY_OVERHEAD = 160n
+
+const MAX_INPUTS = 100
+
+// Only native scripts are built, and they run no Plutus code
+const NO_EXECUTION_UNITS = { memory: 0n, steps: 0n }
+
+class TransactionBuildError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "TransactionBuildError"
+  }
+}
+
+// The sponsor's address holds too little ADA to pay a sponsored fee
+class SponsorFundsError extends TransactionBuildError {
+  constructor(message) {
+    super(message)
+    this.name = "SponsorFundsError"
+  }
+}
+
+// DER prefix that turns a raw 32 byte ed25519 signing key into a PKCS#8 structure
+const ED25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex")
+
+const hash256 = (bytes) => Buffer.from(blake2b(bytes, undefined, 32))
+
+const addressBytes = (address) => {
+  try {
+    return bech32.decode(address).bytes
+  } catch (error) {
+    throw new TransactionBuildError(`Invalid address ${address}: ${error.message}`)
+  }
+}
+
+// Payment key hash of a base, pointer or enterprise address, or null for script addresses
+const paymentKeyHash = (address) => {
+  const bytes = addressBytes(address)
+  const type = bytes[0] >> 4
+  return type <= 7 && type % 2 === 0 ? bytes.subarray(1, 29).toString("hex") : null
+}
+
+// Units are the policy ID followed by the hex asset name
+const addAssets = (target, assets, sign = 1n) => {
+  for (const [unit, quantity] of Object.entries(assets || {})) {
+    target[unit] = (target[unit] || 0n) + sign * BigInt(quantity)
+  }
+  return target
+}
+
+const sumAssets = (items) => items.reduce((total, item) => addAssets(total, item.assets), {})
+
+// { policy_id => { asset_name => quantity } } with zero quantities dropped
+const groupAssets = (assets) => {
+  const policies = new Map()
+
+  for (const unit of Object.keys(assets).sort()) {
+    if (assets[unit] === 0n) continue
+    const policyId = unit.slice(0, 56)
+    if (!policies.has(policyId)) policies.set(policyId, new Map())
+    policies.get(policyId).set(unit.slice(56), assets[unit])
+  }
+
+  return new Map(
+    Array.from(policies, ([policyId, names]) => [
+      Buffer.from(policyId, "hex"),
+      new Map(Array.from(names, ([name, quantity]) => [Buffer.from(name, "hex"), quantity])),
+    ]),
+  )
+}
+
+// value = coin / [coin, multiasset]
+const encodeValue = (lovelace, assets) => {
+  const multiasset = groupAssets(assets)
+  return multiasset.size > 0 ? [lovelace, multiasset] : lovelace
+}
+
+// Post-Alonzo output map; a datum is always inline
+const encodeOutput = (output) => {
+  const fields = [
+    [0, addressBytes(output.address)],
+    [1, encodeValue(output.lovelace, output.assets)],
+  ]
+  if (output.datum) {
+    fields.push([2, [1, new Tagged(24, output.datum)]])
+  }
+  return new Map(fields)
+}
+
+// Raise an output's ADA to the minimum its size requires. The coin's own
+// encoding grows with its value, so repeat until the amount is stable.
+const withMinLovelace = (output, coinsPerUtxoByte) => {
+  let lovelace = output.lovelace || 0n
+  for (;;) {
+    const size = BigInt(encode(encodeOutput({ ...output, lovelace })).length)
+    const required = coinsPerUtxoByte * (UTXO_ENTRY_OVERHEAD + size)
+    if (lovelace >= required) return { ...output, lovelace }
+    lovelace = required
+  }
+}
+
+// Transaction metadata: integers, text, bytes, lists and maps
+const toMetadatum = (value) => {
+  if (typeof value === "string" || typeof value === "bigint" || Buffer.isBuffer(value)) {
+    return value
+  }
+  if (typeof value === "number" && Number.isSafeInteger(value)) {
+    return value
+  }
+  if (Array.isArray(value)) {
+    return value.map(toMetadatum)
+  }
+  if (value && typeof value === "object") {
+    return new Map(Object.entries(value).map(([key, item]) => [key, toMetadatum(item)]))
+  }
+  throw new TransactionBuildError(`Metadata cannot contain ${JSON.stringify(value)}`)
+}
+
+// CIP-25 v2 keys policies and asset names by their raw bytes and carries the version as an integer
+const cip25AuxiliaryData = (onchainMetadata) => {
+  const { version, ...policies } = onchainMetadata[CIP25_LABEL] || {}
+
+  const root = new Map(
+    Object.entries(policies).map(([policyId, assets]) => [
+      Buffer.from(policyId, "hex"),
+      new Map(Object.entries(assets).map(([name, asset]) => [Buffer.from(name, "hex"), toMetadatum(asset)])),
+    ]),
+  )
+  root.set("version", Number.parseInt(version, 10))
+
+  return new Map([[CIP25_LABEL, root]])
+}
+
+// Key hashes that sign on every path through the script
+const requiredKeyHashes = (script) => {
+  switch (script.type) {
+    case "sig":
+      return [script.keyHash]
+    case "all":
+      return script.scripts.flatMap(requiredKeyHashes)
+    case "atLeast":
+      return script.required === script.scripts.length ? script.scripts.flatMap(requiredKeyHashes) : []
+    default:
+      return []
+  }
+}
+
+const compareDescending = (a, b) => (a < b ? 1 : a > b ? -1 : 0)
+
+const compareInputs = (a, b) => a.txHash.localeCompare(b.txHash) || a.outputIndex - b.outputIndex
+
+const sameUtxo = (a, b) => a.txHash === b.txHash && a.outputIndex === b.outputIndex
+
+// Returns the body and the full transaction. Fee estimates pass placeholder
+// vkey witnesses so the size matches the signed transaction.
+const assembleTransaction = (spec, inputs, outputs, fee, witnessCount = 0) => {
+  const body = new Map([
+    [0, [...inputs].sort(compareInputs).map((utxo) => [Buffer.from(utxo.txHash, "hex"), utxo.outputIndex])],
+    [1, outputs.map(encodeOutput)],
+    [2, fee],
+    [3, spec.ttl],
+  ])
+
+  if (spec.auxiliaryData) body.set(7, hash256(encode(spec.auxiliaryData)))
+  if (spec.validityStart !== null) body.set(8, spec.validityStart)
+  if (Object.values(spec.mint).some((quantity) => quantity !== 0n)) body.set(9, groupAssets(spec.mint))
+  if (spec.requiredSigners.length > 0) body.set(14, spec.requiredSigners.map((keyHash) => Buffer.from(keyHash, "hex")))
+
+  const witnessSet = new Map()
+  if (witnessCount > 0) {
+    witnessSet.set(0, Array.from({ length: witnessCount }, () => [Buffer.alloc(32), Buffer.alloc(64)]))
+  }
+  if (spec.script) witnessSet.set(1, [toLedgerScript(spec.script)])
+
+  return { body, transaction: [body, witnessSet, true, spec.auxiliaryData || null] }
+}
+
+// Execution units at the protocol's prices, rounded up like the ledger does
+const executionUnitsFee = (parameters, units) => {
+  if (units.memory === 0n && units.steps === 0n) return 0n
+  const { priceMemory, priceSteps } = parameters
+  const denominator = priceMemory.denominator * priceSteps.denominator
+  const numerator =
+    units.memory * priceMemory.numerator * priceSteps.denominator +
+    units.steps * priceSteps.numerator * priceMemory.denominator
+  return (numerator + denominator - 1n) / denominator
+}
+
+/**
+ * The ledger's minimum fee for a signed transaction of `size` bytes: minFeeA
+ * per byte plus minFeeB, plus its script execution units at the protocol's
+ * prices. Returns { sizeFee, executionFee, total } in lovelace.
+ */
+const minFee = (parameters, size, executionUnits = NO_EXECUTION_UNITS) => {
+  const sizeFee = parameters.minFeeA * BigInt(size) + parameters.minFeeB
+  const executionFee = executionUnitsFee(parameters, executionUnits)
+  return { sizeFee, executionFee, total: sizeFee + executionFee }
+}
+
+// One vkey witness per distinct key: input payment keys plus the script's signers
+const countWitnesses = (spec, inputs) => {
+  const keyHashes = new Set(inputs.map((utxo) => paymentKeyHash(utxo.address)).filter(Boolean))
+  if (spec.script) collectKeyHashes(spec.script).forEach((keyHash) => keyHashes.add(keyHash))
+  return Math.max(keyHashes.size, 1)
+}
+
+/**
+ * Balance and serialize a transaction.
+ *
+ * `spec` holds the outputs ({ address, lovelace?, assets, datum? }), the mint
+ * ({ <unit>: quantity }, negative to burn), the native script, auxiliary data,
+ * validity interval, required signers, inputs that must be spent and the
+ * change address. Inputs holding the assets being sent or burned are picked
+ * first, then the largest ADA-only outputs until the change output covers its
+ * own min-ADA after the fee. UTxOs with a datum or reference script are only
+ * spent when listed in `requiredInputs`.
+ *
+ * With `spec.sponsor` ({ address, utxos }) the sponsor pays the fee instead:
+ * the wallet's inputs only cover the outputs and its own change, and ADA-only
+ * sponsor UTxOs are added for the fee, with their change going back to the
+ * sponsor. Their inputs and signature count towards the fee like the wallet's.
+ * Throws a TransactionBuildError, or a SponsorFundsError when the sponsor
+ * cannot cover the fee.
+ */
+const buildTransaction = (spec, utxos, parameters) => {
+  const outputs = spec.outputs.map((output) => withMinLovelace(output, parameters.coinsPerUtxoByte))
+  const selected = [...spec.requiredInputs]
+
+  const spendable = utxos.filter(
+    (utxo) =>
+      !utxo.datumHash &&
+      !utxo.inlineDatum &&
+      !utxo.referenceScriptHash &&
+      !selected.some((input) => sameUtxo(input, utxo)),
+  )
+
+  // Assets the inputs must supply: everything sent that is not minted, plus everything burned
+  const needed = addAssets(sumAssets(outputs), spec.mint, -1n)
+
+  for (const [unit, quantity] of Object.entries(needed)) {
+    if (quantity <= 0n) continue
+
+    let held = sumAssets(selected)[unit] || 0n
+    const candidates = spendable
+      .filter((utxo) => utxo.assets[unit] && !selected.includes(utxo))
+      .sort((a, b) => compareDescending(a.assets[unit], b.assets[unit]))
+
+    for (const utxo of candidates) {
+      if (held >= quantity) break
+      selected.push(utxo)
+      held += utxo.assets[unit]
+    }
+
+    if (held < quantity) {
+      throw new TransactionBuildError(`Wallet holds ${held} of ${unit} but ${quantity} are needed`)
+    }
+  }
+
+  const adaCandidates = spendable
+    .filter((utxo) => !selected.includes(utxo))
+    .sort((a, b) => Object.keys(a.assets).length - Object.keys(b.assets).length || compareDescending(a.lovelace, b.lovelace))
+
+  const outputLovelace = outputs.reduce((total, output) => total + output.lovelace, 0n)
+  let fee = 0n
+
+  const sponsor = spec.sponsor
+  const sponsorSelected = []
+  const sponsorCandidates = sponsor
+    ? sponsor.utxos
+        .filter((utxo) => !utxo.datumHash && !utxo.inlineDatum && !utxo.referenceScriptHash)
+        .filter((utxo) => Object.keys(utxo.assets).length === 0)
+        .sort((a, b) => compareDescending(a.lovelace, b.lovelace))
+    : []
+
+  for (;;) {
+    if (selected.length + sponsorSelected.length > MAX_INPUTS) {
+      throw new TransactionBuildError(`Transaction would need more than ${MAX_INPUTS} inputs`)
+    }
+
+    const inputLovelace = selected.reduce((total, utxo) => total + utxo.lovelace, 0n)
+    const changeAssets = addAssets(addAssets(sumAssets(selected), spec.mint), sumAssets(outputs), -1n)
+    const change = withMinLovelace({ address: spec.changeAddress, assets: changeAssets }, parameters.coinsPerUtxoByte)
+    const walletFee = sponsor ? 0n : fee
+    const available = inputLovelace - outputLovelace - walletFee
+
+    if (available < change.lovelace) {
+      const next = adaCandidates.shift()
+      if (!next) {
+        throw new TransactionBuildError(
+          `Insufficient ADA: inputs hold ${inputLovelace} lovelace, ${outputLovelace + walletFee + change.lovelace} needed`,
+        )
+      }
+      selected.push(next)
+      continue
+    }
+
+    const allOutputs = [...outputs, { ...change, lovelace: available }]
+
+    if (sponsor) {
+      const sponsorLovelace = sponsorSelected.reduce((total, utxo) => total + utxo.lovelace, 0n)
+      const sponsorChange = withMinLovelace({ address: sponsor.address, assets: {} }, parameters.coinsPerUtxoByte)
+
+      if (sponsorLovelace - fee < sponsorChange.lovelace) {
+        const next = sponsorCandidates.shift()
+        if (!next) {
+          throw new SponsorFundsError(
+            `Sponsor holds ${sponsorLovelace} spendable lovelace, ${fee + sponsorChange.lovelace} needed`,
+          )
+        }
+        sponsorSelected.push(next)
+        continue
+      }
+
+      allOutputs.push({ ...sponsorChange, lovelace: sponsorLovelace - fee })
+    }
+
+    const inputs = [...selected, ...sponsorSelected]
+    const { transaction: estimate } = assembleTransaction(spec, inputs, allOutputs, fee, countWitnesses(spec, inputs))
+    const size = encode(estimate).length
+    const required = minFee(parameters, size, NO_EXECUTION_UNITS)
+
+    if (fee < required.total) {
+      fee = required.total
+      continue
+    }
+
+    if (size > parameters.maxTxSize) {
+      throw new TransactionBuildError(`Transaction is ${size} bytes, above the ${parameters.maxTxSize} byte limit`)
+    }
+
+    const { body, transaction } = assembleTransaction(spec, inputs, allOutputs, fee)
+
+    return {
+      cbor: encode(transaction).toString("hex"),
+      txHash: hash256(encode(body)).toString("hex"),
+      fee,
+      // What the fee pays for, with the wallet's (and sponsor's) signatures included
+      feeDetails: {
+        size,
+        sizeFee: required.sizeFee,
+        executionUnits: NO_EXECUTION_UNITS,
+        executionFee: required.executionFee,
+      },
+      ttl: spec.ttl,
+      validityStart: spec.validityStart,
+      inputs: [...inputs].sort(compareInputs).map((utxo) => ({
+        tx_hash: utxo.txHash,
+        output_index: utxo.outputIndex,
+      })),
+      requiredSigners: spec.requiredSigners,
+    }
+  }
+}
+
+// The token's native script, checked against its policy ID
+const policyScriptFor = (token) => {
+  const script = token.policy_script
+  if (!script) {
+    throw new TransactionBuildError("Token has no native minting script")
+  }
+  if (policyIdFromScript(script) !== token.policy_id) {
+    throw new TransactionBuildError("Token's minting script does not hash to its policy ID")
+  }
+  return script
+}
+
+/**
+ * Build the unsigned transaction for a pending mint, burn, transfer or CIP-68
+ * reference update. UTxOs are read from the change address and any extra
+ * wallet `addresses`. With `sponsorAddress`, that address pays the fee (see
+ * buildTransaction). Resolves to the buildTransaction() result; throws a
+ * TransactionBuildError, or the provider's error when the chain is unreachable.
+ */
+const buildTokenTransaction = async (
+  provider,
+  { transaction, token, changeAddress, addresses = [], sponsorAddress, date = new Date() },
+) => {
+  const walletAddresses = Array.from(new Set([changeAddress, ...addresses]))
+  const [utxoSets, sponsorUtxos, parameters] = await Promise.all([
+    Promise.all(walletAddresses.map((address) => provider.getUtxos(address))),
+    sponsorAddress ? provider.getUtxos(sponsorAddress) : null,
+    provider.getProtocolParameters(),
+  ])
+  const utxos = utxoSets.flat()
+
+  const metadata = transaction.metadata || {}
+  const unit = token.policy_id + token.asset_name_hex
+  const amount = BigInt(transaction.amount)
+  const currentSlot = dateToSlot(date)
+
+  const spec = {
+    outputs: [],
+    mint: {},
+    script: null,
+    auxiliaryData: null,
+    ttl: currentSlot + TTL_SLOTS,
+    validityStart: null,
+    requiredSigners: [],
+    requiredInputs: [],
+    changeAddress,
+    sponsor: sponsorAddress ? { address: sponsorAddress, utxos: sponsorUtxos } : null,
+  }
+
+  switch (transaction.transaction_type) {
+    case "mint": {
+      spec.script = policyScriptFor(token)
+      spec.mint[unit] = amount
+      spec.outputs.push({ address: metadata.recipient || changeAddress, assets: { [unit]: amount } })
+
+      if (metadata.onchain_metadata) {
+        spec.auxiliaryData = cip25AuxiliaryData(metadata.onchain_metadata)
+      }
+
+      // The first CIP-68 mint also creates the reference token holding the datum
+      if (metadata.cip68 && Number(token.total_supply || 0) === 0) {
+        const referenceUnit = token.policy_id + metadata.cip68.reference_asset_name
+        if (!utxos.some((utxo) => utxo.assets[referenceUnit])) {
+          spec.mint[referenceUnit] = 1n
+          spec.outputs.push({
+            address: changeAddress,
+            assets: { [referenceUnit]: 1n },
+            datum: Buffer.from(metadata.cip68.datum_cbor, "hex"),
+          })
+        }
+      }
+      break
+    }
+
+    case "burn":
+      spec.script = policyScriptFor(token)
+      spec.mint[unit] = -amount
+      break
+
+    case "transfer":
+      if (!metadata.recipient) {
+        throw new TransactionBuildError("Transfer has no recipient address")
+      }
+      spec.outputs.push({ address: metadata.recipient, assets: { [unit]: amount } })
+      break
+
+    case "reference_update": {
+      const referenceUnit = token.policy_id + metadata.reference_asset_name
+      const reference = utxos.find((utxo) => utxo.assets[referenceUnit])
+      if (!reference) {
+        throw new TransactionBuildError("None of the wallet addresses holds the reference token")
+      }
+      if (!paymentKeyHash(reference.address)) {
+        throw new TransactionBuildError("The reference token is held by a script address")
+      }
+      spec.requiredInputs.push(reference)
+      spec.outputs.push({
+        address: reference.address,
+        assets: { [referenceUnit]: 1n },
+        datum: Buffer.from(metadata.datum_cbor, "hex"),
+      })
+      break
+    }
+
+    default:
+      throw new TransactionBuildError(`${transaction.transaction_type} transactions cannot be built for wallet signing`)
+  }
+
+  // A CIP-20 message goes alongside any CIP-25 metadata
+  if (metadata.cip20) {
+    spec.auxiliaryData = spec.auxiliaryData || new Map()
+    spec.auxiliaryData.set(CIP20_LABEL, toMetadatum(metadata.cip20))
+  }
+
+  // Keep the validity interval inside the script's time locks
+  if (spec.script) {
+    const lockSlot = findLockSlot(spec.script)
+    if (lockSlot !== null) {
+      if (currentSlot >= lockSlot) {
+        throw new TransactionBuildError(`Minting policy locked at slot ${lockSlot}`)
+      }
+      spec.ttl = Math.min(spec.ttl, lockSlot)
+    }
+
+    const startSlot = findStartSlot(spec.script)
+    if (startSlot !== null) {
+      if (currentSlot < startSlot) {
+        throw new TransactionBuildError(`Minting policy opens at slot ${startSlot}`)
+      }
+      spec.validityStart = currentSlot
+    }
+
+    spec.requiredSigners = Array.from(new Set(requiredKeyHashes(spec.script)))
+  }
+
+  return buildTransaction(spec, utxos, parameters)
+}
+
+const splitTransaction = (cborHex) => {
+  try {
+    const items = rawArrayItems(Buffer.from(cborHex, "hex"))
+    if (items.length !== 4) throw new TypeError("expected a 4 element array")
+    return items
+  } catch (error) {
+    throw new TransactionBuildError(`Invalid transaction CBOR: ${error.message}`)
+  }
+}
+
+// The transaction ID: blake2b-256 of the body exactly as serialized
+const transactionId = (cborHex) => hash256(splitTransaction(cborHex)[0]).toString("hex")
+
+// vkey witnesses may be a plain array or a tag 258 set
+const witnessList = (value) => (value instanceof Tagged ? value.value : value || [])
+
+// A raw ed25519 signing key as 64 hex characters, or the cborHex of a
+// cardano-cli .skey file (the same bytes behind a 5820 prefix)
+const privateKeyFromHex = (signingKey) => {
+  const hex = /^5820[0-9a-fA-F]{64}$/.test(signingKey || "") ? signingKey.slice(4) : signingKey
+  if (!/^[0-9a-fA-F]{64}$/.test(hex || "")) {
+    throw new TransactionBuildError("A signing key must be 32 bytes of hex")
+  }
+  return crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(hex, "hex")]),
+    format: "der",
+    type: "pkcs8",
+  })
+}
+
+const verificationKey = (privateKey) =>
+  crypto.createPublicKey(privateKey).export({ format: "der", type: "spki" }).subarray(-32)
+
+// Hex key hash of a signing key's verification key, as in the addresses it controls
+const signingKeyHash = (signingKey) =>
+  Buffer.from(blake2b(verificationKey(privateKeyFromHex(signingKey)), undefined, 28)).toString("hex")
+
+/**
+ * Add the vkey witnesses from a CIP-30 signTx() witness set (hex) to an
+ * unsigned transaction, keeping the body and auxiliary data byte for byte so
+ * the signatures stay valid. Returns the signed transaction as hex.
+ */
+const attachWitnesses = (unsignedTx, walletWitnessSet) => {
+  const [body, witnessBytes, isValid, auxiliaryData] = splitTransaction(unsignedTx)
+
+  let witnessSet
+  let walletWitnesses
+  try {
+    witnessSet = decode(witnessBytes)
+    walletWitnesses = decode(Buffer.from(walletWitnessSet, "hex"))
+  } catch (error) {
+    throw new TransactionBuildError(`Invalid witness set CBOR: ${error.message}`)
+  }
+
+  const vkeys = witnessList(walletWitnesses instanceof Map ? walletWitnesses.get(0) : null)
+  if (vkeys.length === 0) {
+    throw new TransactionBuildError("The wallet's witness set has no signatures")
+  }
+
+  const merged = new Map([[0, [...witnessList(witnessSet.get(0)), ...vkeys]]])
+  for (const [key, value] of witnessSet) {
+    if (key !== 0) merged.set(key, value)
+  }
+
+  return Buffer.concat([encodeHead(4, 4), body, encode(merged), isValid, auxiliaryData]).toString("hex")
+}
+
+/**
+ * Sign a transaction (hex) with a server-held signing key, e.g. the sponsor
+ * treasury's, and add the vkey witness. Witnesses already on the transaction
+ * are kept, so the wallet can sign before or after.
+ */
+const signTransaction = (transaction, signingKey) => {
+  const privateKey = privateKeyFromHex(signingKey)
+  const signature = crypto.sign(null, Buffer.from(transactionId(transaction), "hex"), privateKey)
+  const witnessSet = new Map([[0, [[verificationKey(privateKey), signature]]]])
+  return attachWitnesses(transaction, encode(witnessSet).toString("hex"))
+}
+
+module.exports = {
+  TTL_SLOTS,
+  TransactionBuildError,
+  SponsorFundsError,
+  minFee,
+  buildTransaction,
+  buildTokenTransaction,
+  paymentKeyHash,
+  transactionId,
+  attachWitnesses,
+  signingKeyHash,
+  signTransaction,
+}
@@ -0,0 +1,116 @@
+// Vesting schedule math. Amounts are base units; schedules vest nothing before
+// the cliff and everything at end_at.
+//
+// - linear:  vests continuously from start_at to end_at
+// - stepped: vests in equal tranches every step_interval_days from start_at
+
+const VESTING_SCHEDULE_TYPES = ["linear", "stepped"]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+class VestingError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "VestingError"
+  }
+}
+
+const toTime = (value) => new Date(value).getTime()
+
+// Validate a new schedule's dates and shape. Throws a VestingError.
+const validateVestingSchedule = ({ schedule_type, start_at, cliff_at, end_at, step_interval_days, total_amount }) => {
+  if (!VESTING_SCHEDULE_TYPES.includes(schedule_type)) {
+    throw new VestingError(`Schedule type must be one of: ${VESTING_SCHEDULE_TYPES.join(", ")}`)
+  }
+
+  if (!Number.isSafeInteger(total_amount) || total_amount <= 0) {
+    throw new VestingError("Total amount must be a positive integer")
+  }
+
+  const start = toTime(start_at)
+  const cliff = cliff_at ? toTime(cliff_at) : start
+  const end = toTime(end_at)
+
+  if ([start, cliff, end].some(Number.isNaN)) {
+    throw new VestingError("start_at, cliff_at and end_at must be valid dates")
+  }
+  if (end <= start) {
+    throw new VestingError("end_at must be after start_at")
+  }
+  if (cliff < start || cliff > end) {
+    throw new VestingError("cliff_at must be between start_at and end_at")
+  }
+
+  if (schedule_type === "stepped") {
+    if (!Number.isSafeInteger(step_interval_days) || step_interval_days <= 0) {
+      throw new VestingError("Stepped schedules require a positive step_interval_days")
+    }
+    if (step_interval_days * DAY_MS > end - start) {
+      throw new VestingError("step_interval_days is longer than the vesting period")
+    }
+  }
+}
+
+const stepCount = (schedule) => {
+  return Math.ceil((toTime(schedule.end_at) - toTime(schedule.start_at)) / (schedule.step_interval_days * DAY_MS))
+}
+
+// Amount vested by `date`
+const vestedAmount = (schedule, date = new Date()) => {
+  const now = toTime(date)
+  const start = toTime(schedule.start_at)
+  const cliff = toTime(schedule.cliff_at || schedule.start_at)
+  const end = toTime(schedule.end_at)
+  const total = BigInt(schedule.total_amount)
+
+  if (now < cliff) return 0
+  if (now >= end) return Number(total)
+
+  if (schedule.schedule_type === "stepped") {
+    const steps = stepCount(schedule)
+    const stepsPassed = Math.floor((now - start) / (schedule.step_interval_days * DAY_MS))
+    return Number((total * BigInt(stepsPassed)) / BigInt(steps))
+  }
+
+  return Number((total * BigInt(now - start)) / BigInt(end - start))
+}
+
+// When the next tranche unlocks after `date`. Null once fully vested, and for
+// linear schedules past the cliff since they unlock continuously.
+const nextUnlockAt = (schedule, date = new Date()) => {
+  const now = toTime(date)
+  const start = toTime(schedule.start_at)
+  const cliff = toTime(schedule.cliff_at || schedule.start_at)
+  const end = toTime(schedule.end_at)
+
+  if (now >= end) return null
+  if (now < cliff) return new Date(cliff).toISOString()
+  if (schedule.schedule_type !== "stepped") return null
+
+  const interval = schedule.step_interval_days * DAY_MS
+  const next = start + (Math.floor((now - start) / interval) + 1) * interval
+  return new Date(Math.min(next, end)).toISOString()
+}
+
+// Vested, released and claimable (vested but not yet released) amounts
+const summarizeSchedule = (schedule, date = new Date()) => {
+  const vested = vestedAmount(schedule, date)
+  const released = Number(schedule.released_amount || 0)
+
+  return {
+    vested_amount: vested,
+    released_amount: released,
+    claimable_amount: Math.max(vested - released, 0),
+    locked_amount: Number(schedule.total_amount) - vested,
+    next_unlock_at: schedule.status === "active" ? nextUnlockAt(schedule, date) : null,
+  }
+}
+
+module.exports = {
+  VESTING_SCHEDULE_TYPES,
+  VestingError,
+  validateVestingSchedule,
+  vestedAmount,
+  nextUnlockAt,
+  summarizeSchedule,
+}